@@ -3,10 +3,21 @@
  * Aplicación principal basada en principios de Calidad de Software
  */
 
-import { SYSTEM_INFO, DEV_CONFIG, PERFORMANCE_TARGETS } from './utils/constants.js';
+import { SYSTEM_INFO, DEV_CONFIG, PERFORMANCE_TARGETS, APP_CONFIG } from './utils/constants.js';
 import { DOM, Performance, Events } from './utils/helpers.js';
+import { api } from './utils/api.js';
+import { networkStatus } from './utils/offline.js';
 import { authManager, setupPasswordStrengthIndicator, setupDemoCredentialsHelper } from './modules/auth.js';
 import { notificationManager, showNotification, showSystemStatus } from './modules/notifications.js';
+import { mfaManager } from './modules/mfa.js';
+import { outboxManager } from './modules/outbox.js';
+import { settingsManager } from './modules/settings.js';
+import { sessionsManager } from './modules/sessions.js';
+import { auditManager } from './modules/audit.js';
+import { usersManager } from './modules/users.js';
+import { bulkActionsManager } from './modules/bulk.js';
+import { passkeysManager } from './modules/passkeys.js';
+import { pendingChangesManager } from './modules/pending.js';
 
 /**
  * Clase principal de la aplicación
@@ -71,6 +82,20 @@ class StudyQualityApp {
         // Los módulos core ya están inicializados por sus importaciones
         this.modules.auth = authManager;
         this.modules.notifications = notificationManager;
+        this.modules.mfa = mfaManager;
+        this.modules.outbox = outboxManager;
+        this.modules.settings = settingsManager;
+        this.modules.sessions = sessionsManager;
+        this.modules.audit = auditManager;
+        this.modules.users = usersManager;
+        this.modules.bulk = bulkActionsManager;
+        this.modules.passkeys = passkeysManager;
+        this.modules.pending = pendingChangesManager;
+
+        // Con el simulador como backend, sus tareas periódicas corren en la pestaña
+        if (APP_CONFIG.api.transport === 'mock') {
+            api.startMaintenance();
+        }
         
         console.log('📦 Módulos core inicializados');
     }
@@ -121,6 +146,7 @@ class StudyQualityApp {
     setupApplication() {
         this.setupServiceWorker();
         this.setupErrorHandling();
+        this.setupConnectivityMonitoring();
         this.setupPerformanceMonitoring();
         this.setupKeyboardShortcuts();
         this.setupAccessibility();
@@ -148,6 +174,30 @@ class StudyQualityApp {
         }
     }
 
+    /**
+     * Avisa los cambios de conexión y los refleja en el estado del usuario
+     */
+    setupConnectivityMonitoring() {
+        const renderStatus = online => {
+            const status = DOM.$('#userStatus');
+            if (status) {
+                status.textContent = online ? 'En línea' : 'Sin conexión';
+                status.classList.toggle('online', online);
+                status.classList.toggle('offline', !online);
+            }
+        };
+
+        Events.on('network:online', () => {
+            renderStatus(true);
+            showSystemStatus('online');
+        });
+        Events.on('network:offline', () => {
+            renderStatus(false);
+            showSystemStatus('offline');
+        });
+        renderStatus(networkStatus.isOnline());
+    }
+
     /**
      * Configura manejo de errores globales
      */
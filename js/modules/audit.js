@@ -0,0 +1,207 @@
+/**
+ * AUDIT - StudyQuality System
+ * Vista de auditoría de accesos y avisos de actividad sospechosa para administradores
+ */
+
+import { MESSAGES, PERMISSIONS, STORAGE_KEYS, APP_CONFIG } from '../utils/constants.js';
+import { DOM, Format, Time, Events } from '../utils/helpers.js';
+import { AuditAPI } from '../utils/api.js';
+import { sessionStorage, userStorage, authAuditStorage } from '../utils/storage.js';
+import { AUTH_EVENT_TYPES } from '../utils/audit.js';
+import { Permissions } from '../utils/permissions.js';
+import { showSuccess, showError, showWarning } from './notifications.js';
+
+/**
+ * Gestión de la vista de auditoría de accesos
+ */
+export class AuditManager {
+    constructor() {
+        this.tableBody = null;
+        // Las alertas anteriores a este momento ya se avisaron (o se resumen al iniciar sesión)
+        this.lastNotifiedAt = new Date().toISOString();
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.tableBody = DOM.$('#auditTableBody');
+
+        const typeFilter = DOM.$('#auditTypeFilter');
+        if (typeFilter) {
+            Object.entries(AUTH_EVENT_TYPES).forEach(([type, label]) => {
+                typeFilter.appendChild(DOM.createElement('option', { value: type }, label));
+            });
+            typeFilter.addEventListener('change', () => this.loadEvents());
+        }
+
+        const flaggedFilter = DOM.$('#auditFlaggedFilter');
+        if (flaggedFilter) {
+            flaggedFilter.addEventListener('change', () => this.loadEvents());
+        }
+
+        const emailFilter = DOM.$('#auditEmailFilter');
+        if (emailFilter) {
+            emailFilter.addEventListener('input', Time.debounce(() => this.loadEvents(),
+                APP_CONFIG.table.searchDebounceDelay));
+        }
+
+        const refreshBtn = DOM.$('#refreshAuditBtn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadEvents());
+        }
+
+        const reviewBtn = DOM.$('#reviewAuditBtn');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => this.reviewAlerts());
+        }
+
+        Events.on('auth:login', () => this.onLogin());
+        Events.on('auth:logout', () => {
+            if (this.tableBody) this.tableBody.innerHTML = '';
+        });
+
+        // Alertas generadas en esta pestaña o en otras (p. ej. intentos fallidos en la pantalla de acceso)
+        Events.on('audit:flagged', () => this.checkNewFlags());
+        window.addEventListener('storage', (event) => {
+            if (event.key && event.key.endsWith(STORAGE_KEYS.AUTH_AUDIT)) {
+                this.checkNewFlags();
+            }
+        });
+    }
+
+    /**
+     * Indica si el usuario actual puede ver la auditoría
+     * @returns {boolean} True si tiene el permiso
+     */
+    canView() {
+        const user = sessionStorage.getCurrentUser();
+        return !!user && Permissions.can(user.role, PERMISSIONS.AUDIT_VIEW);
+    }
+
+    /**
+     * Al iniciar sesión un administrador, resume las alertas pendientes y carga la vista
+     */
+    onLogin() {
+        if (!this.canView()) return;
+
+        this.lastNotifiedAt = new Date().toISOString();
+        const pending = authAuditStorage.getUnreviewedCount();
+        if (pending > 0) {
+            showWarning(`${MESSAGES.WARNING.UNREVIEWED_ALERTS}: ${pending}`, {
+                title: MESSAGES.WARNING.SUSPICIOUS_ACTIVITY
+            });
+        }
+
+        this.loadEvents();
+    }
+
+    /**
+     * Avisa de las alertas registradas desde el último aviso
+     */
+    checkNewFlags() {
+        if (!this.canView()) return;
+
+        const fresh = authAuditStorage.getAll()
+            .filter(event => event.flags.length > 0 && event.timestamp > this.lastNotifiedAt);
+        if (fresh.length === 0) return;
+
+        this.lastNotifiedAt = fresh[fresh.length - 1].timestamp;
+        fresh.forEach(event => event.flags.forEach(flag => {
+            showWarning(flag.message, { title: MESSAGES.WARNING.SUSPICIOUS_ACTIVITY, persistent: flag.severity === 'high' });
+        }));
+
+        this.updateAlertCount(authAuditStorage.getUnreviewedCount());
+    }
+
+    /**
+     * Carga los eventos según los filtros de la vista
+     */
+    async loadEvents() {
+        if (!this.tableBody || !this.canView()) return;
+
+        try {
+            const response = await AuditAPI.getAuthEvents({
+                type: DOM.$('#auditTypeFilter')?.value,
+                email: DOM.$('#auditEmailFilter')?.value.trim(),
+                flagged: DOM.$('#auditFlaggedFilter')?.checked ? 'true' : ''
+            });
+
+            this.render(response.data.events);
+            this.updateAlertCount(response.data.unreviewed);
+        } catch (error) {
+            console.error('Error cargando la auditoría:', error);
+        }
+    }
+
+    render(events) {
+        this.tableBody.innerHTML = '';
+
+        if (events.length === 0) {
+            const row = DOM.createElement('tr');
+            row.appendChild(DOM.createElement('td', { colspan: 5, className: 'audit-empty' }, MESSAGES.INFO.SEARCH_NO_RESULTS));
+            this.tableBody.appendChild(row);
+            return;
+        }
+
+        events.forEach(event => this.tableBody.appendChild(this.renderEvent(event)));
+    }
+
+    /**
+     * Crea la fila de un evento; los datos se insertan como texto
+     * @param {Object} event - Evento de auditoría
+     * @returns {Element} Fila de la tabla
+     */
+    renderEvent(event) {
+        const flagged = event.flags.length > 0;
+        const row = DOM.createElement('tr', {
+            className: flagged ? `audit-flagged${event.reviewed ? ' reviewed' : ''}` : ''
+        });
+
+        row.appendChild(DOM.createElement('td', {}, Format.date(event.timestamp, { second: '2-digit' })));
+        row.appendChild(DOM.createElement('td', {}, AUTH_EVENT_TYPES[event.type] || event.type));
+        const emailCell = DOM.createElement('td', {}, event.email || '—');
+        if (event.impersonatorId !== null && event.impersonatorId !== undefined) {
+            const impersonator = userStorage.getUserById(event.impersonatorId);
+            emailCell.appendChild(DOM.createElement('span', { className: 'audit-impersonator' },
+                `Suplantado por ${impersonator ? impersonator.email : `#${event.impersonatorId}`}`));
+        }
+        row.appendChild(emailCell);
+        row.appendChild(DOM.createElement('td', {}, Format.device(event.userAgent)));
+
+        const flagsCell = DOM.createElement('td');
+        event.flags.forEach(flag => {
+            flagsCell.appendChild(DOM.createElement('span', { className: `audit-flag severity-${flag.severity}` }, flag.message));
+        });
+        row.appendChild(flagsCell);
+
+        return row;
+    }
+
+    updateAlertCount(count) {
+        const badge = DOM.$('#auditAlertCount');
+        if (badge) {
+            badge.textContent = count > 0 ? `(${count} sin revisar)` : '';
+        }
+    }
+
+    async reviewAlerts() {
+        try {
+            const response = await AuditAPI.reviewAlerts();
+            showSuccess(response.message);
+            await this.loadEvents();
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.PERMISSION_DENIED);
+        }
+    }
+}
+
+// Instancia global
+export const auditManager = new AuditManager();
+
+export default {
+    AuditManager,
+    auditManager
+};
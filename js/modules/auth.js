@@ -3,11 +3,17 @@
  * Módulo de autenticación y autorización
  */
 
-import { DOM, Time } from '../utils/helpers.js';
-import { FormValidator } from '../utils/validators.js';
-import { AuthAPI } from '../utils/api.js';
+import { APP_CONFIG, MESSAGES } from '../utils/constants.js';
+import { DOM, Time, Events } from '../utils/helpers.js';
+import { FormValidator, PasswordStrength, PasswordPolicy } from '../utils/validators.js';
+import { AuthAPI, UsersAPI } from '../utils/api.js';
 import { sessionStorage } from '../utils/storage.js';
-import { showNotification } from './notifications.js';
+import { AuthAudit, AUTH_EVENT_TYPES } from '../utils/audit.js';
+import { Permissions } from '../utils/permissions.js';
+import { tabSync, SYNC_EVENTS } from '../utils/sync.js';
+import { WebAuthnClient } from '../utils/webauthn.js';
+import { showNotification, showWarning, notificationManager } from './notifications.js';
+import { renderMfaSetup, renderRecoveryCodes } from './mfa.js';
 
 /**
  * Clase principal de autenticación
@@ -16,9 +22,19 @@ export class AuthManager {
     constructor() {
         this.loginValidator = null;
         this.registerValidator = null;
+        this.forgotValidator = null;
+        this.resetValidator = null;
+        this.expiredPasswordValidator = null;
+        this.resetToken = null;
+        this.passwordChallenge = null;
         this.currentUser = null;
-        this.sessionTimeout = 30 * 60 * 1000; // 30 minutos
+        this.sessionTimeout = APP_CONFIG.auth.sessionTimeout;
         this.sessionTimer = null;
+        this.refreshTimer = null;
+        this.sessionWarning = null;
+        this.warningCountdown = null;
+        this.mfaChallenge = null;
+        this.useRecoveryCode = false;
         
         this.init();
     }
@@ -32,6 +48,8 @@ export class AuthManager {
         this.checkExistingSession();
         this.setupPasswordToggles();
         this.startSessionMonitoring();
+        this.setupTabSync();
+        this.handleAppLink();
     }
 
     /**
@@ -49,6 +67,77 @@ export class AuthManager {
             });
         });
 
+        // Verificación en dos pasos
+        const mfaForm = DOM.$('#mfaForm');
+        if (mfaForm) {
+            mfaForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleMfaVerify(DOM.$('#mfaCode').value.trim());
+            });
+        }
+
+        const mfaEnrollForm = DOM.$('#mfaEnrollForm');
+        if (mfaEnrollForm) {
+            mfaEnrollForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleMfaEnroll(DOM.$('#mfaEnrollCode').value.trim());
+            });
+        }
+
+        const recoveryToggle = DOM.$('#mfaRecoveryToggle');
+        if (recoveryToggle) {
+            recoveryToggle.addEventListener('click', () => {
+                this.setRecoveryMode(!this.useRecoveryCode);
+            });
+        }
+
+        ['#mfaCancelBtn', '#mfaEnrollCancelBtn'].forEach(selector => {
+            const button = DOM.$(selector);
+            if (button) {
+                button.addEventListener('click', () => this.cancelMfa());
+            }
+        });
+
+        // Acceso con passkey (se oculta si el navegador no admite WebAuthn)
+        const passkeyLoginBtn = DOM.$('#passkeyLoginBtn');
+        if (passkeyLoginBtn) {
+            if (WebAuthnClient.isSupported()) {
+                passkeyLoginBtn.addEventListener('click', () => this.handlePasskeyLogin());
+            } else {
+                DOM.hide(passkeyLoginBtn);
+            }
+        }
+
+        // Recuperación de contraseña
+        const forgotBtn = DOM.$('#forgotPasswordBtn');
+        if (forgotBtn) {
+            forgotBtn.addEventListener('click', () => {
+                const email = DOM.$('#loginEmail')?.value.trim();
+                this.switchTab('forgot');
+                if (email) DOM.$('#forgotEmail').value = email;
+            });
+        }
+
+        DOM.$$('[data-action="back-to-login"]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.resetToken = null;
+                this.passwordChallenge = null;
+                this.switchTab('login');
+            });
+        });
+
+        // Enlaces de los emails abiertos con la aplicación ya cargada
+        window.addEventListener('hashchange', () => this.handleAppLink());
+
+        // La API rechazó una petición porque la sesión se cerró desde otro dispositivo
+        Events.on('auth:session-revoked', () => this.handleSessionRevoked());
+
+        // Fin de la suplantación de un usuario
+        const stopImpersonationBtn = DOM.$('#stopImpersonationBtn');
+        if (stopImpersonationBtn) {
+            stopImpersonationBtn.addEventListener('click', () => this.stopImpersonation());
+        }
+
         // Logout
         const logoutBtn = DOM.$('#logoutBtn');
         if (logoutBtn) {
@@ -87,6 +176,30 @@ export class AuthManager {
                 this.handleRegister(data);
             };
         }
+
+        const forgotForm = DOM.$('#forgotForm');
+        if (forgotForm) {
+            this.forgotValidator = new FormValidator(forgotForm);
+            this.forgotValidator.onValidSubmit = (data) => {
+                this.handleForgotPassword(data);
+            };
+        }
+
+        const resetForm = DOM.$('#resetForm');
+        if (resetForm) {
+            this.resetValidator = new FormValidator(resetForm);
+            this.resetValidator.onValidSubmit = (data) => {
+                this.handleResetPassword(data);
+            };
+        }
+
+        const expiredPasswordForm = DOM.$('#expiredPasswordForm');
+        if (expiredPasswordForm) {
+            this.expiredPasswordValidator = new FormValidator(expiredPasswordForm);
+            this.expiredPasswordValidator.onValidSubmit = (data) => {
+                this.handleExpiredPassword(data);
+            };
+        }
     }
 
     /**
@@ -141,40 +254,275 @@ export class AuthManager {
 
     /**
      * Maneja el proceso de login
-     * @param {Object} credentials - Credenciales de usuario
+     * @param {Object} formData - Datos del formulario de login
      */
-    async handleLogin(credentials) {
+    async handleLogin(formData) {
         try {
             this.setFormLoading('loginForm', true);
 
-            const response = await AuthAPI.login(credentials);
+            const response = await AuthAPI.login({
+                email: formData.loginEmail,
+                password: formData.loginPassword
+            });
 
             if (response.success) {
-                this.currentUser = response.data.user;
-                this.onLoginSuccess(response.data.user);
-                showNotification(response.message, 'success');
+                if (response.data.mfaRequired) {
+                    this.showMfaStep(response.data.challenge);
+                } else if (response.data.mfaEnrollmentRequired) {
+                    await this.showMfaEnrollment(response.data.challenge);
+                } else {
+                    this.completeLogin(response);
+                }
             }
         } catch (error) {
+            // Cuenta sin verificar: la API reenvió el enlace de activación
+            if (error.data?.reason === 'email_not_verified') {
+                Events.emit('outbox:updated');
+            }
             this.handleAuthError(error);
         } finally {
             this.setFormLoading('loginForm', false);
         }
     }
 
+    /**
+     * Inicia sesión con una passkey; la verificación en el autenticador sustituye a la contraseña y al código 2FA
+     */
+    async handlePasskeyLogin() {
+        const button = DOM.$('#passkeyLoginBtn');
+
+        try {
+            DOM.addClass(button, 'loading');
+            button.disabled = true;
+
+            const options = await AuthAPI.getPasskeyLoginOptions();
+            const credential = await WebAuthnClient.get(options.data);
+            const response = await AuthAPI.loginWithPasskey(credential);
+            this.completeLogin(response);
+        } catch (error) {
+            // El usuario cerró el diálogo del navegador o se agotó el tiempo
+            if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+                showWarning(MESSAGES.ERROR.PASSKEY_CANCELLED);
+                return;
+            }
+            this.handleAuthError(error);
+        } finally {
+            DOM.removeClass(button, 'loading');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Finaliza un login exitoso (con o sin segundo paso)
+     * @param {Object} response - Respuesta de la API con el usuario
+     */
+    completeLogin(response) {
+        if (response.data.passwordChangeRequired) {
+            this.showPasswordChange(response.data.challenge);
+            return;
+        }
+
+        this.resetMfaViews();
+        this.currentUser = response.data.user;
+        this.onLoginSuccess(response.data.user);
+        tabSync.publish(SYNC_EVENTS.LOGIN);
+        showNotification(response.message, 'success');
+
+        const remaining = response.data.recoveryCodesRemaining;
+        if (remaining !== undefined && remaining <= 3) {
+            showWarning(`${MESSAGES.WARNING.RECOVERY_CODES_LOW}: ${remaining}`);
+        }
+    }
+
+    /**
+     * Pide una contraseña nueva cuando la actual superó la antigüedad máxima
+     * @param {string} challenge - Desafío de cambio de contraseña
+     */
+    showPasswordChange(challenge) {
+        this.resetMfaViews();
+        this.passwordChallenge = challenge;
+        this.switchTab('expiredPassword');
+
+        const hint = DOM.$('#expiredPasswordHint');
+        if (hint) {
+            hint.textContent = `${PasswordPolicy.describe().join(', ')}.`;
+        }
+        showNotification(MESSAGES.INFO.PASSWORD_EXPIRED, 'info');
+    }
+
+    /**
+     * Cambia la contraseña vencida y abre la sesión
+     * @param {Object} formData - Datos del formulario de contraseña vencida
+     */
+    async handleExpiredPassword(formData) {
+        if (!this.passwordChallenge) return;
+
+        try {
+            this.setFormLoading('expiredPasswordForm', true);
+            const response = await AuthAPI.changeExpiredPassword(this.passwordChallenge, formData.expiredPassword);
+            this.passwordChallenge = null;
+            this.completeLogin(response);
+        } catch (error) {
+            if (error.data?.reason === 'invalid_challenge') {
+                this.passwordChallenge = null;
+                this.switchTab('login');
+            }
+            this.handleAuthError(error);
+        } finally {
+            this.setFormLoading('expiredPasswordForm', false);
+        }
+    }
+
+    /**
+     * Muestra el segundo paso del login
+     * @param {string} challenge - Desafío emitido tras validar la contraseña
+     */
+    showMfaStep(challenge) {
+        this.mfaChallenge = challenge;
+        this.switchTab('mfa');
+        this.setRecoveryMode(false);
+    }
+
+    /**
+     * Alterna entre código TOTP y código de recuperación
+     * @param {boolean} enabled - True para usar un código de recuperación
+     */
+    setRecoveryMode(enabled) {
+        this.useRecoveryCode = enabled;
+
+        const label = DOM.$('#mfaCodeLabel');
+        const input = DOM.$('#mfaCode');
+        const toggle = DOM.$('#mfaRecoveryToggle');
+
+        if (label) label.textContent = enabled ? 'Código de recuperación:' : 'Código de verificación:';
+        if (input) {
+            input.value = '';
+            input.inputMode = enabled ? 'text' : 'numeric';
+        }
+        if (toggle) {
+            toggle.textContent = enabled ? 'Usar la aplicación autenticadora' : 'Usar un código de recuperación';
+        }
+    }
+
+    /**
+     * Verifica el código del segundo paso
+     * @param {string} code - Código TOTP o de recuperación
+     */
+    async handleMfaVerify(code) {
+        if (!code || !this.mfaChallenge) return;
+
+        try {
+            this.setFormLoading('mfaForm', true);
+            const factor = this.useRecoveryCode ? { recoveryCode: code } : { code };
+            const response = await AuthAPI.verifyMfa(this.mfaChallenge, factor);
+            this.completeLogin(response);
+        } catch (error) {
+            this.handleMfaError(error);
+        } finally {
+            this.setFormLoading('mfaForm', false);
+        }
+    }
+
+    /**
+     * Inicia el enrolamiento obligatorio por rol
+     * @param {string} challenge - Desafío de enrolamiento
+     */
+    async showMfaEnrollment(challenge) {
+        this.mfaChallenge = challenge;
+        this.switchTab('mfaEnroll');
+
+        const form = DOM.$('#mfaEnrollForm');
+        if (form) DOM.show(form);
+
+        const response = await AuthAPI.setupMfa(challenge);
+        renderMfaSetup(DOM.$('#mfaEnrollSetup'), response.data);
+        showNotification(MESSAGES.ERROR.MFA_REQUIRED, 'info');
+    }
+
+    /**
+     * Confirma el enrolamiento y muestra los códigos de recuperación antes de entrar
+     * @param {string} code - Código generado por la aplicación
+     */
+    async handleMfaEnroll(code) {
+        if (!code || !this.mfaChallenge) return;
+
+        try {
+            this.setFormLoading('mfaEnrollForm', true);
+            const response = await AuthAPI.enableMfa(code, this.mfaChallenge);
+            this.mfaChallenge = null;
+
+            const setup = DOM.$('#mfaEnrollSetup');
+            renderRecoveryCodes(setup, response.data.recoveryCodes);
+            DOM.hide(DOM.$('#mfaEnrollForm'));
+
+            const continueBtn = DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-primary'
+            }, 'Continuar al sistema');
+            continueBtn.addEventListener('click', () => this.completeLogin(response));
+            setup.appendChild(continueBtn);
+        } catch (error) {
+            this.handleMfaError(error);
+        } finally {
+            this.setFormLoading('mfaEnrollForm', false);
+        }
+    }
+
+    /**
+     * Maneja errores del segundo paso
+     * @param {Error} error - Error ocurrido
+     */
+    handleMfaError(error) {
+        // Desafío vencido o cuenta bloqueada: volver a empezar desde la contraseña
+        if (error.data?.reason === 'invalid_challenge' || error.status === 423) {
+            this.cancelMfa();
+        }
+        this.handleAuthError(error);
+    }
+
+    /**
+     * Abandona el segundo paso y vuelve al formulario de login
+     */
+    cancelMfa() {
+        this.resetMfaViews();
+        this.switchTab('login');
+    }
+
+    /**
+     * Descarta el desafío y el contenido del enrolamiento (QR, códigos de recuperación)
+     */
+    resetMfaViews() {
+        this.mfaChallenge = null;
+
+        const setup = DOM.$('#mfaEnrollSetup');
+        if (setup) setup.innerHTML = '';
+
+        if (DOM.$('#mfaTab.active') || DOM.$('#mfaEnrollTab.active')) {
+            this.switchTab('login');
+        }
+    }
+
     /**
      * Maneja el proceso de registro
-     * @param {Object} userData - Datos del usuario
+     * @param {Object} formData - Datos del formulario de registro
      */
-    async handleRegister(userData) {
+    async handleRegister(formData) {
         try {
             this.setFormLoading('registerForm', true);
 
-            const response = await AuthAPI.register(userData);
+            const response = await AuthAPI.register({
+                name: formData.regName,
+                email: formData.regEmail,
+                password: formData.regPassword,
+                role: formData.regRole
+            });
 
+            // La cuenta queda pendiente hasta abrir el enlace enviado por email
             if (response.success) {
-                this.currentUser = response.data.user;
-                this.onLoginSuccess(response.data.user);
+                Events.emit('outbox:updated');
                 showNotification(response.message, 'success');
+                this.switchTab('login');
+                DOM.$('#loginEmail').value = response.data.user.email;
             }
         } catch (error) {
             this.handleAuthError(error);
@@ -183,10 +531,122 @@ export class AuthManager {
         }
     }
 
+    /**
+     * Solicita el envío de un enlace de restablecimiento
+     * @param {Object} formData - Datos del formulario de recuperación
+     */
+    async handleForgotPassword(formData) {
+        try {
+            this.setFormLoading('forgotForm', true);
+
+            const response = await AuthAPI.requestPasswordReset(formData.forgotEmail);
+            Events.emit('outbox:updated');
+
+            if (response.success) {
+                showNotification(response.message, 'info');
+                this.switchTab('login');
+            }
+        } catch (error) {
+            this.handleAuthError(error);
+        } finally {
+            this.setFormLoading('forgotForm', false);
+        }
+    }
+
+    /**
+     * Guarda la nueva contraseña usando el token del enlace
+     * @param {Object} formData - Datos del formulario de restablecimiento
+     */
+    async handleResetPassword(formData) {
+        if (!this.resetToken) {
+            showNotification(MESSAGES.ERROR.INVALID_RESET_TOKEN, 'error');
+            this.switchTab('forgot');
+            return;
+        }
+
+        try {
+            this.setFormLoading('resetForm', true);
+
+            const response = await AuthAPI.resetPassword(this.resetToken, formData.resetPassword);
+
+            if (response.success) {
+                this.resetToken = null;
+                Events.emit('outbox:updated');
+                showNotification(response.message, 'success');
+                this.switchTab('login');
+            }
+        } catch (error) {
+            // Un token inválido no se puede reintentar: pedir un enlace nuevo
+            if (error.data?.reason === 'invalid_token') {
+                this.resetToken = null;
+                this.switchTab('forgot');
+            }
+            this.handleAuthError(error);
+        } finally {
+            this.setFormLoading('resetForm', false);
+        }
+    }
+
+    /**
+     * Atiende los enlaces enviados por email (#reset-password?token=... o #verify-email?token=...)
+     */
+    handleAppLink() {
+        const match = window.location.hash.match(/^#(reset-password|verify-email)\?token=([^&]+)/);
+        if (!match) return;
+
+        const [, action, token] = match;
+
+        // Quitar el token de la URL para que no quede en el historial
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        if (action === 'verify-email') {
+            this.handleVerifyEmail(decodeURIComponent(token));
+        } else {
+            this.openResetForm(decodeURIComponent(token));
+        }
+    }
+
+    /**
+     * Activa la cuenta con el token del enlace de verificación
+     * @param {string} token - Token de verificación
+     */
+    async handleVerifyEmail(token) {
+        try {
+            const response = await AuthAPI.verifyEmail(token);
+            showNotification(response.message, 'success');
+
+            if (!this.currentUser) {
+                this.switchTab('login');
+                DOM.$('#loginEmail').value = response.data.email;
+            }
+        } catch (error) {
+            this.handleAuthError(error);
+        }
+    }
+
+    /**
+     * Abre el formulario de nueva contraseña con el token del enlace de restablecimiento
+     * @param {string} token - Token de restablecimiento
+     */
+    openResetForm(token) {
+        this.resetToken = token;
+
+        if (this.currentUser) {
+            showWarning(MESSAGES.WARNING.LOGOUT_TO_RESET_PASSWORD);
+            return;
+        }
+        this.switchTab('reset');
+    }
+
     /**
      * Maneja el logout
+     * @param {Object} options - { broadcast: false } para no avisar a las demás pestañas
      */
-    async logout() {
+    async logout(options = {}) {
+        if (this.currentUser) {
+            this.logAuthEvent('LOGOUT_SUCCESS', this.currentUser);
+        }
+
         try {
             await AuthAPI.logout();
             this.onLogoutSuccess();
@@ -196,6 +656,10 @@ export class AuthManager {
             // Forzar logout local incluso si hay error en API
             this.onLogoutSuccess();
         }
+
+        if (options.broadcast !== false) {
+            tabSync.publish(SYNC_EVENTS.LOGOUT);
+        }
     }
 
     /**
@@ -207,7 +671,8 @@ export class AuthManager {
         this.hideAuthSection();
         this.showDashboard(user);
         this.startSessionTimer();
-        this.logAuthEvent('LOGIN_SUCCESS', user);
+        this.scheduleTokenRefresh();
+        Events.emit('auth:login', { user });
     }
 
     /**
@@ -216,10 +681,11 @@ export class AuthManager {
     onLogoutSuccess() {
         this.currentUser = null;
         this.stopSessionTimer();
+        this.stopTokenRefresh();
         this.showAuthSection();
         this.hideDashboard();
         this.clearForms();
-        this.logAuthEvent('LOGOUT_SUCCESS');
+        Events.emit('auth:logout');
     }
 
     /**
@@ -230,7 +696,14 @@ export class AuthManager {
         let message = 'Error de autenticación';
         
         if (error.status === 401) {
-            message = 'Credenciales incorrectas';
+            message = error.message || 'Credenciales incorrectas';
+            const remaining = error.data?.remainingAttempts;
+            if (remaining !== undefined) {
+                message += `. Intentos restantes: ${remaining}`;
+            }
+        } else if (error.status === 423) {
+            // Cuenta bloqueada: el mensaje ya incluye el tiempo restante
+            message = error.message;
         } else if (error.status === 409) {
             message = 'El usuario ya existe';
         } else if (error.message) {
@@ -245,7 +718,10 @@ export class AuthManager {
      * Verifica si existe una sesión activa
      */
     checkExistingSession() {
-        if (sessionStorage.isLoggedIn() && !sessionStorage.isSessionExpired()) {
+        const tokenExpiry = sessionStorage.getTokenExpiry();
+        const hasValidToken = tokenExpiry && tokenExpiry > new Date();
+
+        if (sessionStorage.isLoggedIn() && hasValidToken && !sessionStorage.isSessionExpired(this.sessionTimeout / 60000)) {
             const user = sessionStorage.getCurrentUser();
             if (user) {
                 this.onLoginSuccess(user);
@@ -263,15 +739,17 @@ export class AuthManager {
         // Actualizar actividad en cada interacción
         ['click', 'keypress', 'mousemove', 'scroll'].forEach(event => {
             document.addEventListener(event, Time.throttle(() => {
-                if (this.currentUser) {
+                // Con el aviso visible la sesión solo se extiende de forma explícita
+                if (this.currentUser && !this.sessionWarning) {
                     sessionStorage.updateActivity();
+                    tabSync.publish(SYNC_EVENTS.ACTIVITY);
                 }
             }, 60000), { passive: true }); // Cada minuto máximo
         });
 
         // Verificar expiración cada minuto
         setInterval(() => {
-            if (this.currentUser && sessionStorage.isSessionExpired()) {
+            if (this.currentUser && sessionStorage.isSessionExpired(this.sessionTimeout / 60000)) {
                 this.handleSessionExpired();
             }
         }, 60000);
@@ -281,29 +759,271 @@ export class AuthManager {
      * Maneja la expiración de sesión
      */
     handleSessionExpired() {
+        if (!this.currentUser) return;
+
+        this.stopSessionTimer();
+        this.logAuthEvent('SESSION_EXPIRED', this.currentUser);
         showNotification('Su sesión ha expirado. Por favor, inicie sesión nuevamente.', 'warning');
-        this.logout();
+        tabSync.publish(SYNC_EVENTS.EXPIRED);
+        this.logout({ broadcast: false });
+    }
+
+    /**
+     * Pasa a ver la aplicación con la identidad y los permisos de otro usuario
+     * @param {Object} user - Usuario a suplantar
+     */
+    async impersonate(user) {
+        try {
+            const response = await UsersAPI.impersonate(user.id);
+            this.logAuthEvent('IMPERSONATION_START', response.data.user);
+            this.switchIdentity(response.data.user, response.message);
+        } catch (error) {
+            showNotification(error.message || MESSAGES.ERROR.IMPERSONATION_NOT_ALLOWED, 'error');
+        }
+    }
+
+    /**
+     * Vuelve a la identidad del administrador
+     */
+    async stopImpersonation() {
+        const impersonated = this.currentUser;
+
+        try {
+            const response = await AuthAPI.stopImpersonation();
+            this.logAuthEvent('IMPERSONATION_END', impersonated, { impersonatorId: response.data.user.id });
+            this.switchIdentity(response.data.user, response.message);
+        } catch (error) {
+            showNotification(error.message || MESSAGES.ERROR.NOT_IMPERSONATING, 'error');
+        }
+    }
+
+    /**
+     * Recarga el panel con la identidad efectiva de la sesión y avisa a las demás pestañas
+     * @param {Object} user - Usuario efectivo
+     * @param {string} message - Mensaje a mostrar
+     */
+    switchIdentity(user, message) {
+        this.onLoginSuccess(user);
+        tabSync.publish(SYNC_EVENTS.LOGIN);
+        showNotification(message, 'info');
+    }
+
+    /**
+     * Indica si el administrador está viendo la aplicación como otro usuario
+     * @returns {boolean} True durante una suplantación
+     */
+    isImpersonating() {
+        return !!sessionStorage.getImpersonator();
+    }
+
+    /**
+     * Maneja la revocación remota de la sesión (detectada en la siguiente petición a la API)
+     */
+    handleSessionRevoked() {
+        if (!this.currentUser) return;
+
+        this.stopSessionTimer();
+        this.logAuthEvent('SESSION_REVOKED', this.currentUser);
+        showNotification(MESSAGES.ERROR.SESSION_REVOKED, 'warning');
+        tabSync.publish(SYNC_EVENTS.REVOKED);
+        this.logout({ broadcast: false });
     }
 
     /**
-     * Inicia el temporizador de sesión
+     * Aplica en esta pestaña los cambios de sesión hechos en otras.
+     * Los manejadores solo actualizan el estado local y nunca vuelven a publicar,
+     * así los mensajes no rebotan entre pestañas.
+     */
+    setupTabSync() {
+        tabSync.subscribe(SYNC_EVENTS.LOGIN, () => {
+            const user = sessionStorage.getCurrentUser();
+            if (user && sessionStorage.isLoggedIn() &&
+                (!this.currentUser || this.currentUser.id !== user.id)) {
+                this.onLoginSuccess(user);
+            }
+        });
+
+        tabSync.subscribe(SYNC_EVENTS.LOGOUT, () => {
+            if (!this.currentUser) return;
+            this.onLogoutSuccess();
+            showNotification(MESSAGES.INFO.SESSION_CLOSED_ELSEWHERE, 'info');
+        });
+
+        tabSync.subscribe(SYNC_EVENTS.EXPIRED, () => {
+            if (!this.currentUser) return;
+            this.onLogoutSuccess();
+            showNotification('Su sesión ha expirado. Por favor, inicie sesión nuevamente.', 'warning');
+        });
+
+        tabSync.subscribe(SYNC_EVENTS.REVOKED, () => {
+            if (!this.currentUser) return;
+            this.onLogoutSuccess();
+            showNotification(MESSAGES.ERROR.SESSION_REVOKED, 'warning');
+        });
+
+        // La actividad ya está en el almacenamiento compartido: basta con reprogramar el aviso
+        tabSync.subscribe(SYNC_EVENTS.ACTIVITY, () => {
+            if (this.currentUser) {
+                this.startSessionTimer();
+            }
+        });
+
+        tabSync.subscribe(SYNC_EVENTS.TOKEN_REFRESHED, () => {
+            if (this.currentUser) {
+                this.scheduleTokenRefresh();
+            }
+        });
+    }
+
+    /**
+     * Inicia el temporizador de sesión (programa el aviso previo a la expiración)
      */
     startSessionTimer() {
         this.stopSessionTimer();
-        
+
+        const delay = Math.max(0, this.getSessionRemaining() - APP_CONFIG.auth.sessionWarningTime);
         this.sessionTimer = setTimeout(() => {
-            this.handleSessionExpired();
-        }, this.sessionTimeout);
+            // Si hubo actividad mientras tanto, reprogramar en lugar de avisar
+            if (this.getSessionRemaining() > APP_CONFIG.auth.sessionWarningTime) {
+                this.startSessionTimer();
+            } else {
+                this.showSessionWarning();
+            }
+        }, delay);
     }
 
     /**
-     * Detiene el temporizador de sesión
+     * Detiene el temporizador de sesión y retira el aviso si está visible
      */
     stopSessionTimer() {
         if (this.sessionTimer) {
             clearTimeout(this.sessionTimer);
             this.sessionTimer = null;
         }
+        this.hideSessionWarning();
+    }
+
+    /**
+     * Calcula el tiempo restante de sesión según la última actividad
+     * @returns {number} Milisegundos hasta la expiración
+     */
+    getSessionRemaining() {
+        const lastActivity = sessionStorage.getLastActivity() || new Date();
+        return lastActivity.getTime() + this.sessionTimeout - Date.now();
+    }
+
+    /**
+     * Muestra el aviso persistente con cuenta regresiva
+     */
+    showSessionWarning() {
+        this.hideSessionWarning();
+
+        this.sessionWarning = showWarning(this.formatSessionWarning(this.getSessionRemaining()), {
+            title: 'Sesión por expirar',
+            persistent: true,
+            actions: [
+                {
+                    text: 'Cerrar sesión',
+                    handler: () => this.logout(),
+                    dismiss: false
+                },
+                {
+                    text: 'Extender sesión',
+                    primary: true,
+                    handler: () => this.extendSession(),
+                    dismiss: false
+                }
+            ]
+        });
+
+        this.warningCountdown = setInterval(() => {
+            const remaining = this.getSessionRemaining();
+            if (remaining <= 0) {
+                this.handleSessionExpired();
+            } else if (this.sessionWarning) {
+                notificationManager.update(this.sessionWarning.id, this.formatSessionWarning(remaining));
+            }
+        }, 1000);
+
+        this.logAuthEvent('SESSION_EXPIRING', this.currentUser);
+    }
+
+    /**
+     * Detiene la cuenta regresiva y retira el aviso
+     */
+    hideSessionWarning() {
+        if (this.warningCountdown) {
+            clearInterval(this.warningCountdown);
+            this.warningCountdown = null;
+        }
+        if (this.sessionWarning) {
+            notificationManager.remove(this.sessionWarning.id);
+            this.sessionWarning = null;
+        }
+    }
+
+    /**
+     * Extiende la sesión a petición del usuario
+     */
+    extendSession() {
+        sessionStorage.updateActivity();
+        tabSync.publish(SYNC_EVENTS.ACTIVITY);
+        this.startSessionTimer();
+        this.logAuthEvent('SESSION_EXTENDED', this.currentUser);
+    }
+
+    /**
+     * Genera el texto del aviso de expiración
+     * @param {number} remaining - Milisegundos restantes
+     * @returns {string} Mensaje con la cuenta regresiva
+     */
+    formatSessionWarning(remaining) {
+        const totalSeconds = Math.max(0, Math.ceil(remaining / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${MESSAGES.WARNING.SESSION_EXPIRING}: ${minutes}:${seconds}`;
+    }
+
+    /**
+     * Programa la renovación silenciosa del token antes de que expire
+     */
+    scheduleTokenRefresh() {
+        this.stopTokenRefresh();
+
+        const expiry = sessionStorage.getTokenExpiry();
+        if (!expiry) return;
+
+        const delay = Math.max(0, expiry - Date.now() - APP_CONFIG.auth.tokenRefreshMargin);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshSession();
+        }, delay);
+    }
+
+    /**
+     * Renueva el token de acceso si la sesión sigue activa
+     */
+    async refreshSession() {
+        // Las sesiones inactivas no se renuevan: el monitoreo de sesión las cierra
+        if (!this.currentUser || sessionStorage.isSessionExpired(this.sessionTimeout / 60000)) return;
+
+        try {
+            await AuthAPI.refresh();
+            this.scheduleTokenRefresh();
+            tabSync.publish(SYNC_EVENTS.TOKEN_REFRESHED);
+        } catch (error) {
+            console.error('Error renovando la sesión:', error);
+            this.handleSessionExpired();
+        }
+    }
+
+    /**
+     * Detiene la renovación programada del token
+     */
+    stopTokenRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
     }
 
     /**
@@ -329,14 +1049,48 @@ export class AuthManager {
         if (dashboard) {
             DOM.addClass(dashboard, 'active');
             this.updateDashboardUser(user);
+            this.applyPermissions();
+            this.updateImpersonationBanner(user);
+        }
+    }
+
+    /**
+     * Muestra el aviso permanente de suplantación con el usuario efectivo y el administrador real
+     * @param {Object} user - Usuario efectivo
+     */
+    updateImpersonationBanner(user) {
+        const banner = DOM.$('#impersonationBanner');
+        if (!banner) return;
+
+        const impersonator = sessionStorage.getImpersonator();
+        banner.style.display = impersonator ? '' : 'none';
+        if (impersonator) {
+            DOM.$('#impersonationText').textContent =
+                `Está viendo la aplicación como ${user.name} (${user.email}). ` +
+                `Las acciones quedan registradas a nombre de ${impersonator.name}.`;
         }
     }
 
+    /**
+     * Oculta las acciones marcadas con data-permission que el usuario no puede realizar
+     */
+    applyPermissions() {
+        // No se usa DOM.show porque forzaría display: block en botones en línea
+        DOM.$$('[data-permission]').forEach(element => {
+            element.style.display = this.can(element.dataset.permission) ? '' : 'none';
+        });
+    }
+
     hideDashboard() {
         const dashboard = DOM.$('#dashboard');
         if (dashboard) {
             DOM.removeClass(dashboard, 'active');
         }
+
+        const banner = DOM.$('#impersonationBanner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
     }
 
     updateDashboardUser(user) {
@@ -346,7 +1100,13 @@ export class AuthManager {
 
         if (userName) userName.textContent = user.name;
         if (userRole) {
-            userRole.textContent = user.role === 'admin' ? 'Administrador' : 'Usuario';
+            const roleLabels = {
+                admin: 'Administrador',
+                moderator: 'Moderador',
+                user: 'Usuario',
+                guest: 'Invitado'
+            };
+            userRole.textContent = roleLabels[user.role] || 'Usuario';
         }
         if (userAvatar) {
             userAvatar.textContent = user.name.charAt(0).toUpperCase();
@@ -383,6 +1143,19 @@ export class AuthManager {
         if (this.registerValidator) {
             this.registerValidator.reset();
         }
+        if (this.forgotValidator) {
+            this.forgotValidator.reset();
+        }
+        if (this.resetValidator) {
+            this.resetValidator.reset();
+        }
+        if (this.expiredPasswordValidator) {
+            this.expiredPasswordValidator.reset();
+        }
+        ['#mfaForm', '#mfaEnrollForm'].forEach(selector => {
+            const form = DOM.$(selector);
+            if (form) form.reset();
+        });
     }
 
     focusLoginForm() {
@@ -413,12 +1186,35 @@ export class AuthManager {
         return this.hasRole('admin');
     }
 
+    /**
+     * Verifica si el usuario actual tiene un permiso
+     * @param {string} permission - Permiso (PERMISSIONS.*)
+     * @returns {boolean} True si el rol del usuario lo incluye
+     */
+    can(permission) {
+        return !!this.currentUser && Permissions.can(this.currentUser.role, permission);
+    }
+
     logAuthEvent(event, user = null, data = {}) {
         console.log(`🔐 Auth Event: ${event}`, {
             user: user ? { id: user.id, email: user.email } : null,
             timestamp: new Date().toISOString(),
             ...data
         });
+
+        // Solo los eventos de sesión relevantes se guardan en la auditoría;
+        // los inicios de sesión, fallos y bloqueos los registra la API
+        if (AUTH_EVENT_TYPES[event]) {
+            const impersonator = sessionStorage.getImpersonator();
+            const { email, impersonatorId = impersonator ? impersonator.id : null, ...details } = data;
+            AuthAudit.record(event, {
+                user,
+                email,
+                sessionId: sessionStorage.getSessionId(),
+                impersonatorId,
+                data: details
+            });
+        }
     }
 }
 
@@ -434,44 +1230,21 @@ export function setupPasswordStrengthIndicator() {
         if (strengthIndicator) {
             field.addEventListener('input', () => {
                 const password = field.value;
-                const strength = calculatePasswordStrength(password);
-                
-                strengthIndicator.className = `password-strength ${strength}`;
+
+                // Mismo estimador que usa FormValidator, con el nombre y email del formulario
+                const userInputs = Array.from(field.form?.querySelectorAll('input[type="email"], input[autocomplete="name"]') || [])
+                    .map(input => input.value);
+                const estimate = PasswordStrength.estimate(password, userInputs);
+
+                strengthIndicator.className = `password-strength ${estimate.level}`;
+                strengthIndicator.textContent = password
+                    ? [PasswordStrength.labels[estimate.level], PasswordStrength.feedback(estimate)].filter(Boolean).join(' · ')
+                    : '';
             });
         }
     });
 }
 
-/**
- * Calcula la fortaleza de una contraseña
- * @param {string} password - Contraseña a evaluar
- * @returns {string} Nivel de fortaleza
- */
-function calculatePasswordStrength(password) {
-    if (!password) return '';
-    
-    let score = 0;
-    
-    // Longitud
-    if (password.length >= 8) score++;
-    if (password.length >= 12) score++;
-    
-    // Tipos de caracteres
-    if (/[a-z]/.test(password)) score++;
-    if (/[A-Z]/.test(password)) score++;
-    if (/\d/.test(password)) score++;
-    if (/[!@#$%^&*(),.?":{}|<>]/.test(password)) score++;
-    
-    // Patrones comunes (penalizar)
-    if (/(.)\1{2,}/.test(password)) score--; // Caracteres repetidos
-    if (/123|abc|qwe/i.test(password)) score--; // Secuencias comunes
-    
-    if (score <= 2) return 'weak';
-    if (score === 3) return 'fair';
-    if (score === 4) return 'good';
-    return 'strong';
-}
-
 /**
  * Autocompletar credenciales demo
  */
@@ -504,6 +1277,7 @@ export const auth = {
     getCurrentUser: () => authManager.getCurrentUser(),
     hasRole: (role) => authManager.hasRole(role),
     isAdmin: () => authManager.isAdmin(),
+    can: (permission) => authManager.can(permission),
     logout: () => authManager.logout()
 };
 
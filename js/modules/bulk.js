@@ -0,0 +1,259 @@
+/**
+ * BULK - StudyQuality System
+ * Acciones masivas sobre los usuarios seleccionados en la tabla
+ */
+
+import { MESSAGES } from '../utils/constants.js';
+import { DOM, Events } from '../utils/helpers.js';
+import { UsersAPI } from '../utils/api.js';
+import { usersManager, ROLE_LABELS, STATUS_LABELS } from './users.js';
+import { showSuccess, showError, showWarning, showInfo, showConfirmation } from './notifications.js';
+
+// Acciones disponibles en el modal
+const OPERATION_LABELS = {
+    status: 'Cambiar estado',
+    role: 'Cambiar rol',
+    note: 'Agregar una nota',
+    export: 'Exportar selección',
+    delete: 'Eliminar'
+};
+
+/**
+ * Descarga un archivo generado por la API
+ * @param {Object} file - { filename, format, content }
+ */
+function downloadFile(file) {
+    const blob = new Blob([file.content], { type: file.format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = DOM.createElement('a', { href: url, download: file.filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Modal de acciones masivas y resumen de resultados
+ */
+export class BulkActionsManager {
+    constructor() {
+        this.modal = null;
+        this.body = null;
+        this.button = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.modal = DOM.$('#bulkModal');
+        this.body = DOM.$('#bulkModalBody');
+        this.button = DOM.$('#bulkActionsBtn');
+
+        if (this.button) {
+            this.button.addEventListener('click', () => this.open());
+        }
+
+        const closeBtn = DOM.$('#closeBulkModalBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        Events.on('users:selection', (e) => this.updateCount(e.detail.count));
+    }
+
+    /**
+     * Muestra cuántos usuarios hay seleccionados en el botón
+     * @param {number} count - Usuarios seleccionados
+     */
+    updateCount(count) {
+        const badge = DOM.$('#bulkSelectionCount');
+        if (badge) {
+            badge.textContent = count > 0 ? String(count) : '';
+        }
+    }
+
+    open() {
+        if (!this.modal) return;
+        if (usersManager.getSelectedIds().length === 0) {
+            showWarning('Seleccione al menos un usuario en la tabla');
+            return;
+        }
+        this.renderForm();
+        DOM.addClass(this.modal, 'active');
+    }
+
+    close() {
+        if (this.modal) {
+            DOM.removeClass(this.modal, 'active');
+        }
+    }
+
+    renderForm() {
+        const options = labels => Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        const count = usersManager.getSelectedIds().length;
+
+        this.body.innerHTML = `
+            <p class="bulk-selection">${count} ${count === 1 ? 'usuario seleccionado' : 'usuarios seleccionados'}</p>
+            <form id="bulkForm">
+                <div class="form-group">
+                    <label for="bulkOperation">Acción:</label>
+                    <select id="bulkOperation">${options(OPERATION_LABELS)}</select>
+                </div>
+                <div class="form-group" data-operation="status">
+                    <label for="bulkStatus">Nuevo estado:</label>
+                    <select id="bulkStatus">${options(STATUS_LABELS)}</select>
+                </div>
+                <div class="form-group" data-operation="role">
+                    <label for="bulkRole">Nuevo rol:</label>
+                    <select id="bulkRole">${options(ROLE_LABELS)}</select>
+                </div>
+                <div class="form-group" data-operation="note">
+                    <label for="bulkNote">Nota (se agrega a las notas existentes):</label>
+                    <textarea id="bulkNote" rows="3"></textarea>
+                </div>
+                <div class="form-group" data-operation="export">
+                    <label for="bulkFormat">Formato:</label>
+                    <select id="bulkFormat"><option value="csv">CSV</option><option value="json">JSON</option></select>
+                </div>
+                <label class="bulk-mode">
+                    <input type="checkbox" id="bulkAtomic">
+                    Todo o nada: si algún usuario no admite la acción, no se aplica a ninguno
+                </label>
+                <div class="modal-actions">
+                    <button type="submit" class="btn btn-primary">Aplicar</button>
+                </div>
+            </form>`;
+
+        const operation = DOM.$('#bulkOperation');
+        const toggleFields = () => {
+            this.body.querySelectorAll('[data-operation]').forEach(field => {
+                field.style.display = field.dataset.operation === operation.value ? '' : 'none';
+            });
+        };
+        operation.addEventListener('change', toggleFields);
+        toggleFields();
+
+        DOM.$('#bulkForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+
+    submit() {
+        const operation = DOM.$('#bulkOperation').value;
+        const params = {
+            status: { status: DOM.$('#bulkStatus').value },
+            role: { role: DOM.$('#bulkRole').value },
+            note: { note: DOM.$('#bulkNote').value.trim() },
+            export: { format: DOM.$('#bulkFormat').value },
+            delete: {}
+        }[operation];
+        const mode = DOM.$('#bulkAtomic').checked ? 'atomic' : 'best-effort';
+
+        if (operation === 'note' && !params.note) {
+            showError('Escriba la nota que desea agregar');
+            return;
+        }
+
+        if (operation === 'delete') {
+            showConfirmation(MESSAGES.WARNING.BULK_DELETE_CONFIRM, () => this.run(operation, params, mode));
+            return;
+        }
+        this.run(operation, params, mode);
+    }
+
+    /**
+     * Ejecuta la operación con los usuarios seleccionados y muestra el resumen
+     * @param {string} operation - Operación
+     * @param {Object} params - Parámetros de la operación
+     * @param {string} mode - 'atomic' o 'best-effort'
+     */
+    async run(operation, params, mode) {
+        const submitBtn = this.body.querySelector('button[type="submit"]');
+        try {
+            DOM.addClass(submitBtn, 'loading');
+            submitBtn.disabled = true;
+
+            const response = await UsersAPI.bulkOperation(operation, usersManager.getSelectedIds(), params, mode,
+                usersManager.getSelectedVersions());
+            if (response.queued) {
+                showInfo(response.message);
+                usersManager.clearSelection();
+                this.close();
+                return;
+            }
+
+            const { summary } = response.data;
+            this.renderSummary(response.message, response.data);
+
+            if (summary.failed > 0) {
+                showWarning(response.message);
+            } else {
+                showSuccess(response.message);
+            }
+
+            if (operation !== 'export') {
+                usersManager.clearSelection();
+                await usersManager.loadUsers();
+            }
+        } catch (error) {
+            // Operación atómica cancelada: la API informa qué usuarios la impidieron
+            if (error.data && error.data.results) {
+                this.renderSummary(error.message, error.data);
+            }
+            showError(error.message);
+        } finally {
+            DOM.removeClass(submitBtn, 'loading');
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Muestra el resumen y el detalle de los usuarios que fallaron
+     * @param {string} title - Mensaje de la API
+     * @param {Object} data - { results, summary, export }
+     */
+    renderSummary(title, data) {
+        const { results, summary } = data;
+        this.body.innerHTML = '';
+
+        const summaryBox = DOM.createElement('div', { className: 'bulk-summary' });
+        summaryBox.appendChild(DOM.createElement('p', {}, title));
+        summaryBox.appendChild(DOM.createElement('p', { className: 'bulk-summary-counts' },
+            `Correctos: ${summary.succeeded} · Con error: ${summary.failed} · Total: ${summary.total}`));
+        this.body.appendChild(summaryBox);
+
+        const failed = results.filter(result => !result.success);
+        if (failed.length > 0) {
+            const list = DOM.createElement('ul', { className: 'bulk-results' });
+            failed.forEach(result => {
+                list.appendChild(DOM.createElement('li', {}, `Usuario #${result.id}: ${result.error}`));
+            });
+            this.body.appendChild(list);
+        }
+
+        const actions = DOM.createElement('div', { className: 'modal-actions' });
+        if (data.export) {
+            const downloadBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-primary' },
+                `Descargar ${data.export.filename}`);
+            downloadBtn.addEventListener('click', () => downloadFile(data.export));
+            actions.appendChild(downloadBtn);
+        }
+        const closeBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-outline' }, 'Cerrar');
+        closeBtn.addEventListener('click', () => this.close());
+        actions.appendChild(closeBtn);
+        this.body.appendChild(actions);
+    }
+}
+
+// Instancia global
+export const bulkActionsManager = new BulkActionsManager();
+
+export default {
+    BulkActionsManager,
+    bulkActionsManager
+};
@@ -0,0 +1,242 @@
+/**
+ * MFA - StudyQuality System
+ * Verificación en dos pasos (TOTP) desde la configuración de la cuenta
+ */
+
+import { APP_CONFIG, MESSAGES } from '../utils/constants.js';
+import { DOM, Events } from '../utils/helpers.js';
+import { AuthAPI } from '../utils/api.js';
+import { sessionStorage } from '../utils/storage.js';
+import { QRCode } from '../utils/qrcode.js';
+import { showSuccess, showError } from './notifications.js';
+
+/**
+ * Muestra el código QR, la clave y el URI otpauth de un enrolamiento
+ * @param {Element} container - Contenedor destino
+ * @param {Object} setup - { secret, uri } devuelto por la API
+ */
+export function renderMfaSetup(container, setup) {
+    container.innerHTML = '';
+
+    const qr = DOM.createElement('div', { className: 'mfa-qr' });
+    qr.innerHTML = QRCode.toSVG(setup.uri, { scale: 5 });
+
+    const secret = DOM.createElement('p', { className: 'mfa-secret' },
+        `Clave manual: ${setup.secret.match(/.{1,4}/g).join(' ')}`);
+    const uri = DOM.createElement('p', { className: 'mfa-uri' }, setup.uri);
+
+    container.appendChild(qr);
+    container.appendChild(secret);
+    container.appendChild(uri);
+}
+
+/**
+ * Muestra los códigos de recuperación recién generados
+ * @param {Element} container - Contenedor destino
+ * @param {Array<string>} codes - Códigos en texto plano
+ */
+export function renderRecoveryCodes(container, codes) {
+    container.innerHTML = '';
+
+    const note = DOM.createElement('p', { className: 'recovery-codes-note' },
+        'Guarda estos códigos de recuperación en un lugar seguro. Cada uno sirve una sola vez y no se volverán a mostrar.');
+    const list = DOM.createElement('ul', { className: 'recovery-codes' });
+    codes.forEach(code => list.appendChild(DOM.createElement('li', {}, code)));
+
+    container.appendChild(note);
+    container.appendChild(list);
+}
+
+/**
+ * Gestión de la verificación en dos pasos del usuario actual
+ */
+export class MfaManager {
+    constructor() {
+        this.modal = null;
+        this.body = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.modal = DOM.$('#mfaModal');
+        this.body = DOM.$('#mfaModalBody');
+
+        const manageBtn = DOM.$('#mfaManageBtn');
+        if (manageBtn) {
+            manageBtn.addEventListener('click', () => this.open());
+        }
+
+        const closeBtn = DOM.$('#closeMfaModalBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        Events.on('auth:login', () => this.updateStatus());
+        this.updateStatus();
+    }
+
+    open() {
+        if (!this.modal) return;
+        this.render();
+        DOM.addClass(this.modal, 'active');
+    }
+
+    close() {
+        if (this.modal) {
+            DOM.removeClass(this.modal, 'active');
+        }
+    }
+
+    /**
+     * Actualiza el texto de estado en la configuración
+     */
+    updateStatus() {
+        const status = DOM.$('#mfaStatus');
+        const user = sessionStorage.getCurrentUser();
+        if (status && user) {
+            status.textContent = `Verificación en dos pasos: ${user.mfaEnabled ? 'activada' : 'desactivada'}`;
+        }
+    }
+
+    /**
+     * Muestra la vista que corresponde al estado actual
+     */
+    render() {
+        const user = sessionStorage.getCurrentUser();
+        if (user && user.mfaEnabled) {
+            this.renderManage(user);
+        } else {
+            this.renderIntro();
+        }
+    }
+
+    renderIntro() {
+        this.body.innerHTML = `
+            <p class="recovery-codes-note">
+                Además de la contraseña, se pedirá un código de 6 dígitos generado por una aplicación
+                autenticadora (Google Authenticator, Authy, 1Password, etc.).
+            </p>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" id="mfaStartBtn">Comenzar configuración</button>
+            </div>`;
+
+        DOM.$('#mfaStartBtn').addEventListener('click', () => this.startSetup());
+    }
+
+    async startSetup() {
+        try {
+            const response = await AuthAPI.setupMfa();
+
+            this.body.innerHTML = `
+                <div class="mfa-setup" id="mfaModalSetup"></div>
+                <form id="mfaModalEnableForm">
+                    <div class="form-group">
+                        <label for="mfaModalCode">Código generado por la aplicación:</label>
+                        <input type="text" id="mfaModalCode" required autocomplete="one-time-code" inputmode="numeric">
+                    </div>
+                    <div class="modal-actions">
+                        <button type="submit" class="btn btn-success">Activar</button>
+                    </div>
+                </form>`;
+
+            renderMfaSetup(DOM.$('#mfaModalSetup'), response.data);
+            DOM.$('#mfaModalEnableForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.enable(DOM.$('#mfaModalCode').value.trim());
+            });
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.INVALID_DATA);
+        }
+    }
+
+    async enable(code) {
+        try {
+            const response = await AuthAPI.enableMfa(code);
+            sessionStorage.updateCurrentUser({ mfaEnabled: true });
+            this.updateStatus();
+            showSuccess(response.message);
+            this.showRecoveryCodes(response.data.recoveryCodes);
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.MFA_INVALID_CODE);
+        }
+    }
+
+    renderManage(user) {
+        const isRequired = APP_CONFIG.auth.mfa.requiredRoles.includes(user.role);
+
+        this.body.innerHTML = `
+            <p class="recovery-codes-note">
+                La verificación en dos pasos está activada.
+                ${isRequired ? MESSAGES.ERROR.MFA_REQUIRED + ', por lo que no puede desactivarse.' : ''}
+            </p>
+            <form id="mfaModalManageForm">
+                <div class="form-group">
+                    <label for="mfaModalCode">Código actual (o código de recuperación para desactivar):</label>
+                    <input type="text" id="mfaModalCode" required autocomplete="one-time-code">
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-outline" id="mfaRegenerateBtn">Regenerar códigos de recuperación</button>
+                    ${isRequired ? '' : '<button type="button" class="btn btn-danger" id="mfaDisableBtn">Desactivar</button>'}
+                </div>
+            </form>`;
+
+        const readCode = () => DOM.$('#mfaModalCode').value.trim();
+        DOM.$('#mfaModalManageForm').addEventListener('submit', (e) => e.preventDefault());
+        DOM.$('#mfaRegenerateBtn').addEventListener('click', () => this.regenerate(readCode()));
+
+        const disableBtn = DOM.$('#mfaDisableBtn');
+        if (disableBtn) {
+            disableBtn.addEventListener('click', () => this.disable(readCode()));
+        }
+    }
+
+    async regenerate(code) {
+        try {
+            const response = await AuthAPI.regenerateRecoveryCodes(code);
+            showSuccess(response.message);
+            this.showRecoveryCodes(response.data.recoveryCodes);
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.MFA_INVALID_CODE);
+        }
+    }
+
+    async disable(code) {
+        // Los códigos TOTP son numéricos; cualquier otro valor se trata como código de recuperación
+        const factor = /^\d+$/.test(code) ? { code } : { recoveryCode: code };
+
+        try {
+            const response = await AuthAPI.disableMfa(factor);
+            sessionStorage.updateCurrentUser({ mfaEnabled: false });
+            this.updateStatus();
+            showSuccess(response.message);
+            this.close();
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.MFA_INVALID_CODE);
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        this.body.innerHTML = `
+            <div id="mfaModalCodes"></div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" id="mfaCodesDoneBtn">Listo</button>
+            </div>`;
+
+        renderRecoveryCodes(DOM.$('#mfaModalCodes'), codes);
+        DOM.$('#mfaCodesDoneBtn').addEventListener('click', () => this.close());
+    }
+}
+
+// Instancia global
+export const mfaManager = new MfaManager();
+
+export default {
+    MfaManager,
+    mfaManager,
+    renderMfaSetup,
+    renderRecoveryCodes
+};
@@ -250,6 +250,24 @@ export class NotificationManager {
         return notification;
     }
 
+    /**
+     * Actualiza el mensaje de una notificación visible
+     * @param {number} id - ID de la notificación
+     * @param {string} message - Nuevo mensaje
+     * @returns {boolean} True si la notificación sigue visible
+     */
+    update(id, message) {
+        const notification = this.notifications.find(n => n.id === id);
+        if (!notification) return false;
+
+        notification.message = message;
+        const body = notification.element.querySelector('.notification-body');
+        if (body) {
+            body.textContent = message;
+        }
+        return true;
+    }
+
     /**
      * Crea una notificación
      * @param {string} message - Mensaje
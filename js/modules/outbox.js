@@ -0,0 +1,154 @@
+/**
+ * OUTBOX - StudyQuality System
+ * Visor de la bandeja de correo simulada (emails de restablecimiento, verificación, etc.)
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { DOM, Format, Events } from '../utils/helpers.js';
+import { mailOutboxStorage } from '../utils/storage.js';
+
+/**
+ * Gestión del modal de la bandeja de correo
+ */
+export class OutboxManager {
+    constructor() {
+        this.modal = null;
+        this.list = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.modal = DOM.$('#outboxModal');
+        this.list = DOM.$('#outboxList');
+
+        ['#outboxBtn', '#viewOutboxBtn'].forEach(selector => {
+            const button = DOM.$(selector);
+            if (button) {
+                button.addEventListener('click', () => this.open());
+            }
+        });
+
+        const closeBtn = DOM.$('#closeOutboxModalBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        const clearBtn = DOM.$('#clearOutboxBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                mailOutboxStorage.clear();
+                this.render();
+            });
+        }
+
+        // Emails enviados desde esta pestaña o desde otras
+        Events.on('outbox:updated', () => this.refresh());
+        window.addEventListener('storage', (event) => {
+            if (event.key && event.key.endsWith(STORAGE_KEYS.MAIL_OUTBOX)) {
+                this.refresh();
+            }
+        });
+
+        this.updateCount();
+    }
+
+    open() {
+        if (!this.modal) return;
+        this.render();
+        DOM.addClass(this.modal, 'active');
+    }
+
+    close() {
+        if (this.modal) {
+            DOM.removeClass(this.modal, 'active');
+        }
+    }
+
+    /**
+     * Actualiza el contador y, si el modal está abierto, la lista
+     */
+    refresh() {
+        if (this.modal && DOM.hasClass(this.modal, 'active')) {
+            this.render();
+        } else {
+            this.updateCount();
+        }
+    }
+
+    /**
+     * Muestra la cantidad de mensajes no leídos junto al botón de la bandeja
+     */
+    updateCount() {
+        const count = DOM.$('#outboxCount');
+        if (count) {
+            const unread = mailOutboxStorage.getUnreadCount();
+            count.textContent = unread > 0 ? `(${unread})` : '';
+        }
+    }
+
+    /**
+     * Dibuja la lista de mensajes
+     */
+    render() {
+        if (!this.list) return;
+
+        const messages = mailOutboxStorage.getMessages();
+        this.list.innerHTML = '';
+
+        if (messages.length === 0) {
+            this.list.appendChild(DOM.createElement('p', { className: 'outbox-empty' }, 'No hay mensajes'));
+        } else {
+            messages.forEach(message => this.list.appendChild(this.renderMessage(message)));
+        }
+
+        this.updateCount();
+    }
+
+    /**
+     * Crea el elemento de un mensaje; el contenido se inserta como texto
+     * @param {Object} message - Mensaje de la bandeja
+     * @returns {Element} Elemento del mensaje
+     */
+    renderMessage(message) {
+        const item = DOM.createElement('details', {
+            className: `outbox-message${message.read ? '' : ' unread'}`
+        });
+
+        const summary = DOM.createElement('summary');
+        summary.appendChild(DOM.createElement('strong', {}, message.subject));
+        summary.appendChild(DOM.createElement('span', { className: 'outbox-meta' },
+            `Para: ${message.to} · ${Format.date(message.sentAt)}`));
+        item.appendChild(summary);
+
+        item.appendChild(DOM.createElement('p', { className: 'outbox-body' }, message.body));
+
+        message.links.forEach(link => {
+            const anchor = DOM.createElement('a', { href: link.url, className: 'btn btn-primary' }, link.label);
+            anchor.addEventListener('click', () => this.close());
+            item.appendChild(anchor);
+        });
+
+        item.addEventListener('toggle', () => {
+            if (item.open && !message.read) {
+                message.read = true;
+                mailOutboxStorage.markAsRead(message.id);
+                DOM.removeClass(item, 'unread');
+                this.updateCount();
+            }
+        });
+
+        return item;
+    }
+}
+
+// Instancia global
+export const outboxManager = new OutboxManager();
+
+export default {
+    OutboxManager,
+    outboxManager
+};
@@ -0,0 +1,146 @@
+/**
+ * PASSKEYS - StudyQuality System
+ * Registro y eliminación de las passkeys de la cuenta
+ */
+
+import { MESSAGES } from '../utils/constants.js';
+import { DOM, Format, Events } from '../utils/helpers.js';
+import { AuthAPI } from '../utils/api.js';
+import { WebAuthnClient } from '../utils/webauthn.js';
+import { showSuccess, showError, showWarning, showConfirmation } from './notifications.js';
+
+/**
+ * Gestión de las passkeys del usuario actual
+ */
+export class PasskeysManager {
+    constructor() {
+        this.list = null;
+        this.form = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.list = DOM.$('#passkeysList');
+        this.form = DOM.$('#passkeyRegisterForm');
+
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.registerPasskey(DOM.$('#passkeyName').value.trim());
+            });
+        }
+
+        Events.on('auth:login', () => this.loadPasskeys());
+        Events.on('auth:logout', () => {
+            if (this.list) this.list.innerHTML = '';
+        });
+    }
+
+    /**
+     * Carga las passkeys del usuario actual
+     */
+    async loadPasskeys() {
+        if (!this.list) return;
+
+        try {
+            const response = await AuthAPI.getPasskeys();
+            this.render(response.data.passkeys);
+        } catch (error) {
+            console.error('Error cargando las passkeys:', error);
+        }
+    }
+
+    render(passkeys) {
+        this.list.innerHTML = '';
+
+        if (passkeys.length === 0) {
+            this.list.appendChild(DOM.createElement('li', { className: 'sessions-hint' }, 'No hay passkeys registradas'));
+            return;
+        }
+
+        passkeys.forEach(passkey => this.list.appendChild(this.renderPasskey(passkey)));
+    }
+
+    /**
+     * Crea el elemento de una passkey; los datos se insertan como texto
+     * @param {Object} passkey - Passkey devuelta por la API
+     * @returns {Element} Elemento de la lista
+     */
+    renderPasskey(passkey) {
+        const item = DOM.createElement('li', { className: 'session-item' });
+
+        const info = DOM.createElement('div', { className: 'session-info' });
+        info.appendChild(DOM.createElement('strong', {}, passkey.name));
+        info.appendChild(DOM.createElement('span', { className: 'session-meta' },
+            `Creada: ${Format.date(passkey.createdAt)} · Último uso: ` +
+            (passkey.lastUsedAt ? Format.relativeDate(passkey.lastUsedAt) : 'nunca')));
+        item.appendChild(info);
+
+        const button = DOM.createElement('button', { type: 'button', className: 'btn btn-outline' }, 'Eliminar');
+        button.addEventListener('click', () => this.removePasskey(passkey));
+        item.appendChild(button);
+
+        return item;
+    }
+
+    /**
+     * Crea una passkey en el autenticador y la registra en la cuenta
+     * @param {string} name - Nombre para reconocerla en la lista
+     */
+    async registerPasskey(name) {
+        if (!WebAuthnClient.isSupported()) {
+            showError(MESSAGES.ERROR.PASSKEY_UNSUPPORTED);
+            return;
+        }
+
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        try {
+            DOM.addClass(submitBtn, 'loading');
+            submitBtn.disabled = true;
+
+            const options = await AuthAPI.getPasskeyRegistrationOptions();
+            const credential = await WebAuthnClient.create(options.data);
+            const response = await AuthAPI.registerPasskey(credential, name);
+
+            showSuccess(response.message);
+            this.form.reset();
+            await this.loadPasskeys();
+        } catch (error) {
+            // El usuario cerró el diálogo del navegador; InvalidStateError: el autenticador ya tiene una passkey de la cuenta
+            if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+                showWarning(MESSAGES.ERROR.PASSKEY_CANCELLED);
+            } else if (error.name === 'InvalidStateError') {
+                showError(MESSAGES.ERROR.PASSKEY_EXISTS);
+            } else {
+                showError(error.message || MESSAGES.ERROR.PASSKEY_INVALID);
+            }
+        } finally {
+            DOM.removeClass(submitBtn, 'loading');
+            submitBtn.disabled = false;
+        }
+    }
+
+    removePasskey(passkey) {
+        showConfirmation(`¿Eliminar la passkey "${passkey.name}"? Ya no podrá usarla para iniciar sesión.`, async () => {
+            try {
+                const response = await AuthAPI.removePasskey(passkey.id);
+                showSuccess(response.message);
+            } catch (error) {
+                showError(error.message || MESSAGES.ERROR.PASSKEY_NOT_FOUND);
+            }
+            await this.loadPasskeys();
+        });
+    }
+}
+
+// Instancia global
+export const passkeysManager = new PasskeysManager();
+
+export default {
+    PasskeysManager,
+    passkeysManager
+};
@@ -0,0 +1,209 @@
+/**
+ * PENDING - StudyQuality System
+ * Cambios de usuarios pendientes de enviar: lista, reintentos y envío al recuperar la conexión
+ */
+
+import { MESSAGES } from '../utils/constants.js';
+import { DOM, Format, Events } from '../utils/helpers.js';
+import { PendingChangesAPI } from '../utils/api.js';
+import { networkStatus } from '../utils/offline.js';
+import { authManager } from './auth.js';
+import { usersManager } from './users.js';
+import { showSuccess, showWarning, showError } from './notifications.js';
+
+const STATUS_LABELS = {
+    pending: 'Pendiente',
+    conflict: 'Conflicto',
+    failed: 'Error'
+};
+
+/**
+ * Gestión del modal de cambios pendientes
+ */
+export class PendingChangesManager {
+    constructor() {
+        this.modal = null;
+        this.list = null;
+        this.button = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.modal = DOM.$('#pendingModal');
+        this.list = DOM.$('#pendingList');
+        this.button = DOM.$('#pendingChangesBtn');
+
+        if (this.button) {
+            this.button.addEventListener('click', () => this.open());
+        }
+
+        const closeBtn = DOM.$('#closePendingModalBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        const replayBtn = DOM.$('#replayPendingBtn');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => {
+                if (!networkStatus.isOnline()) {
+                    showWarning(MESSAGES.ERROR.NETWORK_ERROR);
+                    return;
+                }
+                this.replay();
+            });
+        }
+
+        Events.on('queue:changed', () => this.refresh());
+        Events.on('network:online', () => this.replay());
+        // Cambios guardados sin conexión en una sesión anterior
+        Events.on('auth:login', () => this.replay());
+        Events.on('auth:logout', () => this.refresh());
+
+        this.refresh();
+        if (authManager.isLoggedIn()) {
+            this.replay();
+        }
+    }
+
+    open() {
+        if (!this.modal) return;
+        this.render();
+        DOM.addClass(this.modal, 'active');
+    }
+
+    close() {
+        if (this.modal) {
+            DOM.removeClass(this.modal, 'active');
+        }
+    }
+
+    /**
+     * Actualiza el contador y, si el modal está abierto, la lista
+     */
+    async refresh() {
+        const entries = await PendingChangesAPI.getPending();
+        this.updateCount(entries.length);
+        if (this.modal && DOM.hasClass(this.modal, 'active')) {
+            this.renderEntries(entries);
+        }
+    }
+
+    /**
+     * @param {number} count - Cambios pendientes de la sesión actual
+     */
+    updateCount(count) {
+        const badge = DOM.$('#pendingChangesCount');
+        if (badge) {
+            badge.textContent = String(count);
+        }
+        if (this.button) {
+            this.button.style.display = count > 0 ? '' : 'none';
+        }
+    }
+
+    /**
+     * Envía los cambios pendientes en orden
+     */
+    async replay() {
+        if (!networkStatus.isOnline()) return;
+        await this.report(() => PendingChangesAPI.replay());
+    }
+
+    /**
+     * Reenvía un cambio con conflicto (sobre la versión actual) o con error
+     * @param {number} id - Id del cambio
+     */
+    async retry(id) {
+        if (!networkStatus.isOnline()) {
+            showWarning(MESSAGES.ERROR.NETWORK_ERROR);
+            return;
+        }
+        await this.report(() => PendingChangesAPI.retry(id));
+    }
+
+    /**
+     * Ejecuta un envío de la cola e informa el resultado
+     * @param {Function} send - () => Promise<{ sent, conflicts, failed }>
+     */
+    async report(send) {
+        try {
+            const result = await send();
+            if (result.sent > 0) {
+                showSuccess(`${MESSAGES.SUCCESS.PENDING_SYNCED} (${result.sent})`);
+                await usersManager.loadUsers();
+            }
+            if (result.conflicts > 0 || result.failed > 0) {
+                showWarning(MESSAGES.WARNING.PENDING_CONFLICTS);
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    async render() {
+        this.renderEntries(await PendingChangesAPI.getPending());
+    }
+
+    /**
+     * Dibuja la lista de cambios pendientes
+     * @param {Array} entries - Cambios de la cola
+     */
+    renderEntries(entries) {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        if (entries.length === 0) {
+            this.list.appendChild(DOM.createElement('p', { className: 'pending-empty' }, 'No hay cambios pendientes'));
+            return;
+        }
+        entries.forEach(entry => this.list.appendChild(this.renderEntry(entry)));
+    }
+
+    /**
+     * Crea el elemento de un cambio pendiente; el contenido se inserta como texto
+     * @param {Object} entry - Cambio de la cola
+     * @returns {Element} Elemento del cambio
+     */
+    renderEntry(entry) {
+        const item = DOM.createElement('div', { className: `pending-item ${entry.status}` });
+
+        const header = DOM.createElement('div', { className: 'pending-header' });
+        header.appendChild(DOM.createElement('strong', {}, entry.label));
+        header.appendChild(DOM.createElement('span', { className: 'pending-status' }, STATUS_LABELS[entry.status]));
+        item.appendChild(header);
+        item.appendChild(DOM.createElement('span', { className: 'pending-meta' }, Format.date(entry.createdAt)));
+
+        if (entry.error) {
+            item.appendChild(DOM.createElement('p', { className: 'pending-error' }, entry.error.message));
+            (entry.error.results || []).forEach(result => {
+                item.appendChild(DOM.createElement('p', { className: 'pending-error' }, `Usuario #${result.id}: ${result.error}`));
+            });
+        }
+
+        const actions = DOM.createElement('div', { className: 'pending-actions' });
+        if (entry.status !== 'pending') {
+            const retryLabel = entry.status === 'conflict' ? 'Guardar mis cambios' : 'Reintentar';
+            const retryBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-primary' }, retryLabel);
+            retryBtn.addEventListener('click', () => this.retry(entry.id));
+            actions.appendChild(retryBtn);
+        }
+        const discardBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-outline' }, 'Descartar');
+        discardBtn.addEventListener('click', () => PendingChangesAPI.discard(entry.id));
+        actions.appendChild(discardBtn);
+        item.appendChild(actions);
+
+        return item;
+    }
+}
+
+// Instancia global
+export const pendingChangesManager = new PendingChangesManager();
+
+export default {
+    PendingChangesManager,
+    pendingChangesManager
+};
@@ -0,0 +1,221 @@
+/**
+ * SESSIONS - StudyQuality System
+ * Sesiones activas del usuario y revocación remota (propia o administrativa)
+ */
+
+import { MESSAGES, PERMISSIONS } from '../utils/constants.js';
+import { DOM, Format, Events } from '../utils/helpers.js';
+import { SessionsAPI } from '../utils/api.js';
+import { sessionStorage } from '../utils/storage.js';
+import { Permissions } from '../utils/permissions.js';
+import { showSuccess, showError, showConfirmation } from './notifications.js';
+
+/**
+ * Gestión de los paneles de sesiones activas
+ */
+export class SessionsManager {
+    constructor() {
+        this.list = null;
+        this.allList = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.list = DOM.$('#sessionsList');
+        this.allList = DOM.$('#allSessionsList');
+
+        const refreshBtn = DOM.$('#refreshSessionsBtn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadSessions());
+        }
+
+        const refreshAllBtn = DOM.$('#refreshAllSessionsBtn');
+        if (refreshAllBtn) {
+            refreshAllBtn.addEventListener('click', () => this.loadAllSessions());
+        }
+
+        const revokeOthersBtn = DOM.$('#revokeOtherSessionsBtn');
+        if (revokeOthersBtn) {
+            revokeOthersBtn.addEventListener('click', () => this.revokeOtherSessions());
+        }
+
+        Events.on('auth:login', () => this.refresh());
+        Events.on('auth:logout', () => {
+            [this.list, this.allList].forEach(list => {
+                if (list) list.innerHTML = '';
+            });
+        });
+    }
+
+    /**
+     * Indica si el usuario actual puede administrar las sesiones de otros
+     * @returns {boolean} True si tiene el permiso
+     */
+    canManage() {
+        const user = sessionStorage.getCurrentUser();
+        return !!user && Permissions.can(user.role, PERMISSIONS.SESSIONS_MANAGE);
+    }
+
+    /**
+     * Recarga los paneles visibles para el usuario actual
+     */
+    async refresh() {
+        await this.loadSessions();
+        if (this.canManage()) {
+            await this.loadAllSessions();
+        }
+    }
+
+    /**
+     * Carga las sesiones del usuario actual
+     */
+    async loadSessions() {
+        if (!this.list) return;
+
+        try {
+            const response = await SessionsAPI.getMySessions();
+            this.renderList(this.list, response.data.sessions, session => this.renderSession(session, {
+                onRevoke: session.current ? null : () => this.revokeMySession(session.id)
+            }));
+        } catch (error) {
+            console.error('Error cargando las sesiones:', error);
+        }
+    }
+
+    /**
+     * Carga las sesiones de todos los usuarios, agrupadas por usuario
+     */
+    async loadAllSessions() {
+        if (!this.allList || !this.canManage()) return;
+
+        try {
+            const response = await SessionsAPI.getAllSessions();
+            const groups = new Map();
+            response.data.sessions.forEach(session => {
+                if (!groups.has(session.userId)) {
+                    groups.set(session.userId, { user: session.user, sessions: [] });
+                }
+                groups.get(session.userId).sessions.push(session);
+            });
+
+            this.renderList(this.allList, [...groups.values()], group => this.renderUserGroup(group));
+        } catch (error) {
+            console.error('Error cargando las sesiones de los usuarios:', error);
+        }
+    }
+
+    renderList(list, items, renderItem) {
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            list.appendChild(DOM.createElement('li', { className: 'sessions-hint' }, 'No hay sesiones activas'));
+            return;
+        }
+
+        items.forEach(item => list.appendChild(renderItem(item)));
+    }
+
+    /**
+     * Crea el elemento de una sesión; los datos se insertan como texto
+     * @param {Object} session - Sesión devuelta por la API
+     * @param {Object} options - { onRevoke } acción del botón de cierre (null para ocultarlo)
+     * @returns {Element} Elemento de la sesión
+     */
+    renderSession(session, { onRevoke }) {
+        const item = DOM.createElement('li', {
+            className: `session-item${session.current ? ' current' : ''}`
+        });
+
+        const info = DOM.createElement('div', { className: 'session-info' });
+        info.appendChild(DOM.createElement('strong', {}, Format.device(session.userAgent)));
+        info.appendChild(DOM.createElement('span', { className: 'session-meta' },
+            `Inicio: ${Format.date(session.createdAt)} · Última actividad: ${Format.relativeDate(session.lastActivity)}`));
+        if (session.current) {
+            info.appendChild(DOM.createElement('span', { className: 'session-badge' }, 'Esta sesión'));
+        }
+        item.appendChild(info);
+
+        if (onRevoke) {
+            const button = DOM.createElement('button', { type: 'button', className: 'btn btn-outline' }, 'Cerrar sesión');
+            button.addEventListener('click', onRevoke);
+            item.appendChild(button);
+        }
+
+        return item;
+    }
+
+    renderUserGroup({ user, sessions }) {
+        const userId = sessions[0].userId;
+        const group = DOM.createElement('li', { className: 'session-group' });
+
+        const header = DOM.createElement('div', { className: 'session-item' });
+        header.appendChild(DOM.createElement('strong', {},
+            user ? `${user.name} (${user.email})` : `Usuario #${userId}`));
+        const revokeAllBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-danger' },
+            `Cerrar todas (${sessions.length})`);
+        revokeAllBtn.addEventListener('click', () => this.revokeUserSessions(userId, user));
+        header.appendChild(revokeAllBtn);
+        group.appendChild(header);
+
+        const list = DOM.createElement('ul', { className: 'sessions-list' });
+        sessions.forEach(session => list.appendChild(this.renderSession(session, {
+            onRevoke: () => this.revokeSession(session.id)
+        })));
+        group.appendChild(list);
+
+        return group;
+    }
+
+    async revokeMySession(id) {
+        await this.runAction(() => SessionsAPI.revokeMySession(id));
+    }
+
+    revokeOtherSessions() {
+        showConfirmation('¿Cerrar la sesión en todos los demás dispositivos?', () => {
+            this.runAction(() => SessionsAPI.revokeOtherSessions());
+        });
+    }
+
+    async revokeSession(id) {
+        await this.runAction(() => SessionsAPI.revokeSession(id));
+    }
+
+    revokeUserSessions(userId, user) {
+        const name = user ? user.name : `el usuario #${userId}`;
+        showConfirmation(`¿Cerrar todas las sesiones de ${name}?`, () => {
+            this.runAction(() => SessionsAPI.revokeUserSessions(userId));
+        });
+    }
+
+    /**
+     * Ejecuta una revocación, informa el resultado y recarga los paneles
+     * @param {Function} action - Llamada a la API
+     */
+    async runAction(action) {
+        try {
+            const response = await action();
+            showSuccess(response.message);
+        } catch (error) {
+            // Si la revocada era la propia sesión, el módulo de autenticación ya cerró la sesión
+            if (error.data?.reason !== 'session_revoked') {
+                showError(error.message || MESSAGES.ERROR.SESSION_NOT_FOUND);
+            }
+        }
+
+        if (sessionStorage.isLoggedIn()) {
+            await this.refresh();
+        }
+    }
+}
+
+// Instancia global
+export const sessionsManager = new SessionsManager();
+
+export default {
+    SessionsManager,
+    sessionsManager
+};
@@ -0,0 +1,227 @@
+/**
+ * SETTINGS - StudyQuality System
+ * Configuración del sistema: política de contraseñas, cambio de contraseña propia, perfil de red del simulador
+ * y métricas del cliente HTTP
+ */
+
+import { DEV_CONFIG, MESSAGES, PERMISSIONS } from '../utils/constants.js';
+import { DOM, Events } from '../utils/helpers.js';
+import { FormValidator } from '../utils/validators.js';
+import { AuthAPI, SettingsAPI, MetricsAPI, requestMetrics } from '../utils/api.js';
+import { sessionStorage } from '../utils/storage.js';
+import { Permissions } from '../utils/permissions.js';
+import { faultInjector } from '../utils/faults.js';
+import { networkStatus } from '../utils/offline.js';
+import { showSuccess, showError, showInfo } from './notifications.js';
+
+// Casillas del formulario de política y el campo de la política que representan
+const POLICY_CHECKBOXES = {
+    policyRequireUppercase: 'requireUppercase',
+    policyRequireLowercase: 'requireLowercase',
+    policyRequireNumbers: 'requireNumbers',
+    policyRequireSymbols: 'requireSymbols'
+};
+
+const POLICY_NUMBERS = {
+    policyMinLength: 'minLength',
+    policyMinScore: 'minScore',
+    policyHistorySize: 'historySize',
+    policyMaxAgeDays: 'maxAgeDays'
+};
+
+/**
+ * Gestión del módulo de configuración
+ */
+export class SettingsManager {
+    constructor() {
+        this.policyForm = null;
+        this.changePasswordValidator = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.policyForm = DOM.$('#passwordPolicyForm');
+        if (this.policyForm) {
+            this.policyForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.savePasswordPolicy();
+            });
+        }
+
+        const changePasswordForm = DOM.$('#changePasswordForm');
+        if (changePasswordForm) {
+            this.changePasswordValidator = new FormValidator(changePasswordForm);
+            this.changePasswordValidator.onValidSubmit = (data) => {
+                this.changePassword(data);
+            };
+        }
+
+        this.setupFaultProfile();
+
+        const metricsBtn = DOM.$('#showMetricsBtn');
+        if (metricsBtn) {
+            metricsBtn.addEventListener('click', () => this.showMetrics());
+        }
+
+        Events.on('auth:login', () => this.loadPasswordPolicy());
+        Events.on('auth:logout', () => {
+            if (this.changePasswordValidator) {
+                this.changePasswordValidator.reset();
+            }
+        });
+    }
+
+    /**
+     * Selector del perfil de latencia y fallos del simulador de API
+     */
+    setupFaultProfile() {
+        // La opción "Sin conexión" del simulador también deja a la aplicación sin conexión
+        networkStatus.setSimulatedOffline(faultInjector.getState().offline);
+
+        const form = DOM.$('#faultProfileForm');
+        if (!form) return;
+
+        const select = DOM.$('#faultProfile');
+        Object.entries(DEV_CONFIG.faultProfiles).forEach(([name, profile]) => {
+            select.appendChild(DOM.createElement('option', { value: name }, profile.label));
+        });
+        this.renderFaultProfile(faultInjector.getState());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const seed = DOM.$('#faultSeed').value;
+            const state = faultInjector.select({
+                profile: select.value,
+                seed: seed === '' ? null : Number(seed),
+                offline: DOM.$('#faultOffline').checked
+            });
+            this.renderFaultProfile(state);
+            networkStatus.setSimulatedOffline(state.offline);
+            showSuccess(MESSAGES.SUCCESS.SETTINGS_SAVED);
+        });
+    }
+
+    renderFaultProfile(state) {
+        DOM.$('#faultProfile').value = state.profile;
+        DOM.$('#faultSeed').value = String(state.seed);
+        DOM.$('#faultOffline').checked = state.offline;
+        DOM.$('#faultProfileStatus').textContent =
+            `Para reproducir esta secuencia de fallos: ?faults=${state.profile}&seed=${state.seed}` +
+            (state.offline ? '&offline=1' : '');
+    }
+
+    /**
+     * Muestra la tasa de aciertos de la caché y los tiempos de las peticiones de esta pestaña
+     */
+    async showMetrics() {
+        try {
+            const { data } = await MetricsAPI.getPerformanceMetrics();
+            const requests = requestMetrics.getSummary();
+            const metrics = {
+                'Aciertos de caché': `${data.cacheHitRate}%`,
+                'Peticiones': String(requests.requests),
+                'Tiempo medio': `${requests.averageTime} ms`,
+                'Tiempo p95': `${requests.p95Time} ms`
+            };
+
+            const grid = DOM.$('#performanceMetrics');
+            if (grid) {
+                grid.innerHTML = '';
+                Object.entries(metrics).forEach(([label, value]) => {
+                    const item = DOM.createElement('div', { className: 'metric-item' });
+                    item.appendChild(DOM.createElement('div', { className: 'metric-value' }, value));
+                    item.appendChild(DOM.createElement('div', { className: 'metric-label' }, label));
+                    grid.appendChild(item);
+                });
+            }
+            showInfo(Object.entries(metrics).map(([label, value]) => `${label}: ${value}`).join(' · '));
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Indica si el usuario actual puede editar la configuración
+     * @returns {boolean} True si tiene el permiso
+     */
+    canManage() {
+        const user = sessionStorage.getCurrentUser();
+        return !!user && Permissions.can(user.role, PERMISSIONS.SETTINGS_MANAGE);
+    }
+
+    /**
+     * Carga la política vigente en el formulario
+     */
+    async loadPasswordPolicy() {
+        if (!this.policyForm || !this.canManage()) return;
+
+        try {
+            const response = await SettingsAPI.getPasswordPolicy();
+            this.fillPolicyForm(response.data.policy);
+        } catch (error) {
+            console.error('Error cargando la política de contraseñas:', error);
+        }
+    }
+
+    fillPolicyForm(policy) {
+        Object.entries(POLICY_NUMBERS).forEach(([id, field]) => {
+            DOM.$(`#${id}`).value = policy[field];
+        });
+        Object.entries(POLICY_CHECKBOXES).forEach(([id, field]) => {
+            DOM.$(`#${id}`).checked = !!policy[field];
+        });
+        DOM.$('#policyBannedWords').value = policy.bannedWords.join(', ');
+    }
+
+    readPolicyForm() {
+        const policy = {};
+        Object.entries(POLICY_NUMBERS).forEach(([id, field]) => {
+            policy[field] = Number(DOM.$(`#${id}`).value);
+        });
+        Object.entries(POLICY_CHECKBOXES).forEach(([id, field]) => {
+            policy[field] = DOM.$(`#${id}`).checked;
+        });
+        policy.bannedWords = DOM.$('#policyBannedWords').value
+            .split(/[,\n]/)
+            .map(word => word.trim())
+            .filter(Boolean);
+        return policy;
+    }
+
+    async savePasswordPolicy() {
+        try {
+            const response = await SettingsAPI.updatePasswordPolicy(this.readPolicyForm());
+            this.fillPolicyForm(response.data.policy);
+            showSuccess(response.message);
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.INVALID_DATA);
+        }
+    }
+
+    /**
+     * Cambia la contraseña del usuario actual
+     * @param {Object} formData - Datos del formulario de cambio de contraseña
+     */
+    async changePassword(formData) {
+        try {
+            const response = await AuthAPI.changePassword(formData.currentPassword, formData.changePassword);
+            this.changePasswordValidator.reset();
+            Events.emit('outbox:updated');
+            showSuccess(response.message);
+        } catch (error) {
+            showError(error.message || MESSAGES.ERROR.INVALID_DATA);
+        }
+    }
+}
+
+// Instancia global
+export const settingsManager = new SettingsManager();
+
+export default {
+    SettingsManager,
+    settingsManager
+};
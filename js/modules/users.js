@@ -0,0 +1,609 @@
+/**
+ * USERS - StudyQuality System
+ * Tabla de gestión de usuarios y acciones por fila
+ */
+
+import { APP_CONFIG, MESSAGES, PERMISSIONS, USER_STATUS } from '../utils/constants.js';
+import { DOM, Format, Events, Time } from '../utils/helpers.js';
+import { UsersAPI } from '../utils/api.js';
+import { sessionStorage } from '../utils/storage.js';
+import { Permissions } from '../utils/permissions.js';
+import { authManager } from './auth.js';
+import { showSuccess, showError, showWarning, showInfo } from './notifications.js';
+
+// Etiquetas de la tabla
+export const ROLE_LABELS = {
+    admin: 'Administrador',
+    moderator: 'Moderador',
+    user: 'Usuario',
+    guest: 'Invitado'
+};
+
+export const STATUS_LABELS = {
+    [USER_STATUS.ACTIVE]: 'Activo',
+    [USER_STATUS.INACTIVE]: 'Inactivo',
+    [USER_STATUS.PENDING]: 'Pendiente',
+    [USER_STATUS.SUSPENDED]: 'Suspendido'
+};
+
+// Campos del modal de edición: campo del usuario -> control del formulario
+const EDITABLE_FIELDS = {
+    name: { input: '#modalName', label: 'Nombre' },
+    email: { input: '#modalEmail', label: 'Email' },
+    role: { input: '#modalRole', label: 'Rol', format: role => ROLE_LABELS[role] || role },
+    status: { input: '#modalStatus', label: 'Estado', format: status => STATUS_LABELS[status] || status },
+    notes: { input: '#modalNotes', label: 'Notas' }
+};
+
+/**
+ * Gestión de la tabla de usuarios
+ */
+export class UsersManager {
+    constructor() {
+        this.tableBody = null;
+        this.users = [];
+        this.query = this.defaultQuery();
+        this.pagination = null;
+        // Carga en curso; la siguiente (p. ej. otra tecla en la búsqueda) la cancela
+        this.loadController = null;
+        // Usuarios marcados para acciones masivas, id → versión (se conservan al cambiar de página)
+        this.selected = new Map();
+        this.modal = null;
+        this.form = null;
+        this.conflictPanel = null;
+        // Usuario tal como estaba al abrir el editor (su versión va en If-Match)
+        this.editing = null;
+
+        this.init();
+    }
+
+    /**
+     * Consulta inicial: primera página con el orden por defecto y sin filtros
+     * @returns {Object} Parámetros de GET /api/users
+     */
+    defaultQuery() {
+        return {
+            page: 1,
+            pageSize: APP_CONFIG.pagination.defaultPageSize,
+            sort: APP_CONFIG.table.defaultSortColumn,
+            order: APP_CONFIG.table.defaultSortDirection,
+            q: '',
+            status: '',
+            role: ''
+        };
+    }
+
+    /**
+     * Inicializa el módulo
+     */
+    init() {
+        this.tableBody = DOM.$('#usersTableBody');
+        this.setupFilters();
+        this.setupSorting();
+        this.setupPagination();
+        this.setupSelection();
+        this.setupEditor();
+
+        Events.on('auth:login', () => this.loadUsers());
+        Events.on('auth:logout', () => {
+            if (this.loadController) this.loadController.abort();
+            this.users = [];
+            this.query = this.defaultQuery();
+            this.clearSelection();
+            this.resetFilterControls();
+            if (this.tableBody) this.tableBody.innerHTML = '';
+        });
+    }
+
+    setupFilters() {
+        const searchInput = DOM.$('#searchInput');
+        if (searchInput) {
+            const search = Time.debounce(() => this.applyQuery({ q: searchInput.value.trim() }),
+                APP_CONFIG.table.searchDebounceDelay);
+            searchInput.addEventListener('input', search);
+        }
+
+        ['status', 'role'].forEach(key => {
+            const select = DOM.$(`#${key}Filter`);
+            if (select) {
+                select.addEventListener('change', () => this.applyQuery({ [key]: select.value }));
+            }
+        });
+
+        const clearBtn = DOM.$('#clearFiltersBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.resetFilterControls();
+                this.applyQuery({ q: '', status: '', role: '' });
+            });
+        }
+    }
+
+    resetFilterControls() {
+        ['#searchInput', '#statusFilter', '#roleFilter'].forEach(selector => {
+            const control = DOM.$(selector);
+            if (control) control.value = '';
+        });
+    }
+
+    setupSorting() {
+        DOM.$$('#usersTable th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const sort = header.dataset.sort;
+                const order = this.query.sort === sort && this.query.order === 'asc' ? 'desc' : 'asc';
+                this.applyQuery({ sort, order });
+            });
+        });
+    }
+
+    setupPagination() {
+        const prevBtn = DOM.$('#prevPageBtn');
+        const nextBtn = DOM.$('#nextPageBtn');
+        if (prevBtn) prevBtn.addEventListener('click', () => this.goToPage(this.query.page - 1));
+        if (nextBtn) nextBtn.addEventListener('click', () => this.goToPage(this.query.page + 1));
+    }
+
+    setupSelection() {
+        const selectAll = DOM.$('#selectAllUsers');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                this.users.forEach(user => {
+                    if (selectAll.checked) {
+                        this.selected.set(user.id, user.version);
+                    } else {
+                        this.selected.delete(user.id);
+                    }
+                });
+                DOM.$$('#usersTableBody .user-select').forEach(checkbox => {
+                    checkbox.checked = selectAll.checked;
+                });
+                this.emitSelection();
+            });
+        }
+
+        if (this.tableBody) {
+            this.tableBody.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('user-select')) return;
+                const id = Number(e.target.value);
+                if (e.target.checked) {
+                    const user = this.users.find(item => item.id === id);
+                    this.selected.set(id, user ? user.version : undefined);
+                } else {
+                    this.selected.delete(id);
+                }
+                this.renderSelectAll();
+                this.emitSelection();
+            });
+        }
+    }
+
+    getSelectedIds() {
+        return [...this.selected.keys()];
+    }
+
+    /**
+     * Versiones que tenían los usuarios seleccionados al marcarlos
+     * @returns {Object} { id: versión }
+     */
+    getSelectedVersions() {
+        return Object.fromEntries([...this.selected].filter(([, version]) => version !== undefined));
+    }
+
+    clearSelection() {
+        this.selected.clear();
+        this.emitSelection();
+        if (this.tableBody) {
+            DOM.$$('#usersTableBody .user-select').forEach(checkbox => {
+                checkbox.checked = false;
+            });
+            this.renderSelectAll();
+        }
+    }
+
+    emitSelection() {
+        Events.emit('users:selection', { count: this.selected.size });
+    }
+
+    setupEditor() {
+        this.modal = DOM.$('#userModal');
+        this.form = DOM.$('#userForm');
+        this.conflictPanel = DOM.$('#userConflictPanel');
+        if (!this.modal || !this.form) return;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveChanges(this.readChanges());
+        });
+
+        ['#closeModalBtn', '#cancelModalBtn'].forEach(selector => {
+            const button = DOM.$(selector);
+            if (button) button.addEventListener('click', () => this.closeEditor());
+        });
+    }
+
+    /**
+     * Cambia búsqueda, filtros u orden y vuelve a la primera página
+     * @param {Object} changes - Parámetros que cambian
+     */
+    applyQuery(changes) {
+        this.query = { ...this.query, ...changes, page: 1 };
+        this.loadUsers();
+    }
+
+    goToPage(page) {
+        if (!this.pagination || page < 1 || page > this.pagination.pages) return;
+        this.query.page = page;
+        this.loadUsers();
+    }
+
+    /**
+     * Carga los usuarios visibles para el usuario actual
+     */
+    async loadUsers() {
+        const user = sessionStorage.getCurrentUser();
+        if (!this.tableBody || !user || !Permissions.can(user.role, PERMISSIONS.USERS_VIEW)) return;
+
+        if (this.loadController) this.loadController.abort();
+        const controller = new AbortController();
+        this.loadController = controller;
+
+        try {
+            const response = await UsersAPI.getUsers(this.query, { signal: controller.signal });
+            const { users, pagination } = response.data;
+
+            // La página quedó vacía (p. ej. tras eliminar usuarios): se muestra la última
+            if (users.length === 0 && pagination.total > 0 && this.query.page > pagination.pages) {
+                this.goToPage(pagination.pages);
+                return;
+            }
+
+            this.users = users;
+            this.pagination = pagination;
+            this.render();
+        } catch (error) {
+            // La reemplazó una carga más reciente
+            if (error.data && error.data.reason === 'aborted') return;
+            console.error('Error cargando los usuarios:', error);
+        } finally {
+            if (this.loadController === controller) this.loadController = null;
+        }
+    }
+
+    render() {
+        this.tableBody.innerHTML = '';
+        this.users.forEach(user => this.tableBody.appendChild(this.renderUser(user)));
+        this.renderSortIndicators();
+        this.renderPagination();
+        this.renderSelectAll();
+    }
+
+    renderSelectAll() {
+        const selectAll = DOM.$('#selectAllUsers');
+        if (selectAll) {
+            selectAll.checked = this.users.length > 0 && this.users.every(user => this.selected.has(user.id));
+        }
+    }
+
+    renderSortIndicators() {
+        DOM.$$('#usersTable th[data-sort]').forEach(header => {
+            DOM.removeClass(header, 'sort-asc');
+            DOM.removeClass(header, 'sort-desc');
+            if (header.dataset.sort === this.pagination.sort) {
+                DOM.addClass(header, `sort-${this.pagination.order}`);
+            }
+        });
+    }
+
+    renderPagination() {
+        const { page, pageSize, total, pages } = this.pagination;
+        const start = total === 0 ? 0 : (page - 1) * pageSize + 1;
+
+        const setText = (selector, value) => {
+            const element = DOM.$(selector);
+            if (element) element.textContent = String(value);
+        };
+        setText('#paginationStart', start);
+        setText('#paginationEnd', Math.min(page * pageSize, total));
+        setText('#paginationTotal', total);
+
+        const prevBtn = DOM.$('#prevPageBtn');
+        const nextBtn = DOM.$('#nextPageBtn');
+        if (prevBtn) prevBtn.disabled = page <= 1;
+        if (nextBtn) nextBtn.disabled = page >= pages;
+
+        const pageNumbers = DOM.$('#pageNumbers');
+        if (!pageNumbers) return;
+
+        pageNumbers.innerHTML = '';
+        for (let number = 1; number <= pages; number++) {
+            const button = DOM.createElement('button', {
+                type: 'button',
+                className: number === page ? 'page-number active' : 'page-number'
+            }, String(number));
+            button.addEventListener('click', () => this.goToPage(number));
+            pageNumbers.appendChild(button);
+        }
+    }
+
+    /**
+     * Crea la fila de un usuario; los datos se insertan como texto
+     * @param {Object} user - Usuario devuelto por la API
+     * @returns {Element} Fila de la tabla
+     */
+    renderUser(user) {
+        const row = DOM.createElement('tr', { 'data-user-id': user.id });
+
+        const selectCell = DOM.createElement('td');
+        const checkbox = DOM.createElement('input', { type: 'checkbox', className: 'user-select', value: user.id });
+        checkbox.checked = this.selected.has(user.id);
+        selectCell.appendChild(checkbox);
+        row.appendChild(selectCell);
+
+        row.appendChild(DOM.createElement('td', {}, String(user.id)));
+        row.appendChild(DOM.createElement('td', {}, user.name));
+        row.appendChild(DOM.createElement('td', {}, user.email));
+        row.appendChild(DOM.createElement('td', {}, ROLE_LABELS[user.role] || user.role));
+
+        const statusCell = DOM.createElement('td');
+        statusCell.appendChild(DOM.createElement('span', { className: `status-badge status-${user.status}` },
+            STATUS_LABELS[user.status] || user.status));
+        if (this.isLocked(user)) {
+            statusCell.appendChild(DOM.createElement('span', {
+                className: 'status-badge status-locked',
+                title: 'Bloqueado por intentos de inicio de sesión fallidos'
+            }, `Bloqueado hasta ${Format.date(user.lockedUntil)}`));
+        }
+        row.appendChild(statusCell);
+
+        row.appendChild(DOM.createElement('td', {}, Format.date(user.registeredDate, { hour: undefined, minute: undefined })));
+
+        const actions = DOM.createElement('div', { className: 'table-actions' });
+        if (this.canEdit(user)) {
+            const button = DOM.createElement('button', {
+                type: 'button',
+                className: 'action-btn action-btn-edit',
+                title: `Editar a ${user.name}`
+            }, 'Editar');
+            button.addEventListener('click', () => this.openEditor(user));
+            actions.appendChild(button);
+        }
+        if (this.isLocked(user) && this.canUnlock(user)) {
+            const button = DOM.createElement('button', {
+                type: 'button',
+                className: 'action-btn action-btn-unlock',
+                title: `Desbloquear a ${user.name}`
+            }, 'Desbloquear');
+            button.addEventListener('click', () => this.unlockUser(user));
+            actions.appendChild(button);
+        }
+        if (this.canImpersonate(user)) {
+            const button = DOM.createElement('button', {
+                type: 'button',
+                className: 'action-btn action-btn-view',
+                title: `Ver la aplicación como ${user.name}`
+            }, 'Ver como');
+            button.addEventListener('click', () => authManager.impersonate(user));
+            actions.appendChild(button);
+        }
+        const actionsCell = DOM.createElement('td');
+        actionsCell.appendChild(actions);
+        row.appendChild(actionsCell);
+
+        return row;
+    }
+
+    /**
+     * Indica si el usuario actual puede editar a otro (la API aplica las mismas reglas)
+     * @param {Object} user - Usuario de la fila
+     * @returns {boolean} True si se muestra la acción
+     */
+    canEdit(user) {
+        const current = sessionStorage.getCurrentUser();
+        return !!current && !!this.modal && Permissions.canEditUser(current, user);
+    }
+
+    /**
+     * @param {Object} user - Usuario de la fila
+     * @returns {boolean} True si la cuenta sigue bloqueada por intentos fallidos
+     */
+    isLocked(user) {
+        return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+    }
+
+    /**
+     * Indica si el usuario actual puede desbloquear a otro (la API aplica las mismas reglas)
+     * @param {Object} user - Usuario de la fila
+     * @returns {boolean} True si se muestra la acción
+     */
+    canUnlock(user) {
+        const current = sessionStorage.getCurrentUser();
+        return !!current && Permissions.can(current.role, PERMISSIONS.USERS_UNLOCK) &&
+            Permissions.canEditUser(current, user);
+    }
+
+    /**
+     * Quita el bloqueo por intentos fallidos de un usuario
+     * @param {Object} user - Usuario de la fila
+     */
+    async unlockUser(user) {
+        try {
+            const response = await UsersAPI.unlockUser(user.id);
+            showSuccess(response.message);
+            await this.loadUsers();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Abre el modal de edición con los datos del usuario
+     * @param {Object} user - Usuario de la fila
+     */
+    openEditor(user) {
+        this.editing = user;
+        DOM.$('#modalTitle').textContent = 'Editar Usuario';
+        DOM.$('#editUserId').value = String(user.id);
+        this.fillForm(user);
+        // Solo un administrador cambia el rol o el estado, y nunca los propios
+        const canChangeAccess = Permissions.canChangeAccess(sessionStorage.getCurrentUser(), user);
+        DOM.$(EDITABLE_FIELDS.role.input).disabled = !canChangeAccess;
+        DOM.$(EDITABLE_FIELDS.status.input).disabled = !canChangeAccess;
+        this.hideConflict();
+        DOM.addClass(this.modal, 'active');
+    }
+
+    closeEditor() {
+        this.editing = null;
+        this.hideConflict();
+        if (this.modal) DOM.removeClass(this.modal, 'active');
+    }
+
+    fillForm(user) {
+        Object.entries(EDITABLE_FIELDS).forEach(([field, { input }]) => {
+            DOM.$(input).value = user[field] || '';
+        });
+    }
+
+    /**
+     * Campos del formulario que difieren del usuario que se está editando
+     * @returns {Object} Cambios a enviar con PATCH
+     */
+    readChanges() {
+        const changes = {};
+        Object.entries(EDITABLE_FIELDS).forEach(([field, { input }]) => {
+            const value = DOM.$(input).value.trim();
+            if (value !== (this.editing[field] || '')) {
+                changes[field] = value;
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Envía los cambios condicionados a la versión que se editó
+     * @param {Object} changes - Campos modificados
+     */
+    async saveChanges(changes) {
+        if (!this.editing) return;
+        if (Object.keys(changes).length === 0) {
+            this.closeEditor();
+            return;
+        }
+
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        try {
+            DOM.addClass(submitBtn, 'loading');
+            submitBtn.disabled = true;
+
+            const response = await UsersAPI.patchUser(this.editing.id, changes, this.editing.version);
+            this.closeEditor();
+            if (response.queued) {
+                showInfo(response.message);
+                return;
+            }
+            showSuccess(response.message);
+            await this.loadUsers();
+        } catch (error) {
+            if (error.data && error.data.current) {
+                this.resolveConflict(changes, error.data.current);
+            } else {
+                showError(error.message);
+                if (error.status === 404) {
+                    this.closeEditor();
+                    await this.loadUsers();
+                }
+            }
+        } finally {
+            DOM.removeClass(submitBtn, 'loading');
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Otra persona guardó el usuario después de abrir el editor (412/409).
+     * Si no tocó los mismos campos los cambios se reenvían sobre la versión actual;
+     * si los tocó se muestran ambos valores para que el usuario decida.
+     * @param {Object} changes - Cambios propios
+     * @param {Object} current - Registro actual devuelto por la API
+     */
+    resolveConflict(changes, current) {
+        const overlapping = Object.keys(changes)
+            .filter(field => (current[field] || '') !== (this.editing[field] || ''));
+        this.editing = current;
+
+        if (overlapping.length === 0) {
+            this.saveChanges(changes);
+            return;
+        }
+
+        showWarning(MESSAGES.ERROR.USER_CONFLICT);
+        this.renderConflict(changes, current, overlapping);
+    }
+
+    renderConflict(changes, current, fields) {
+        const panel = this.conflictPanel;
+        panel.innerHTML = '';
+        panel.appendChild(DOM.createElement('p', {},
+            'Otra persona guardó cambios en este usuario mientras lo editaba. Revise los campos en conflicto:'));
+
+        const table = DOM.createElement('table');
+        const head = DOM.createElement('tr');
+        ['Campo', 'Su cambio', 'Valor guardado'].forEach(title => head.appendChild(DOM.createElement('th', {}, title)));
+        table.appendChild(head);
+
+        fields.forEach(field => {
+            const { label, format = value => value } = EDITABLE_FIELDS[field];
+            const row = DOM.createElement('tr');
+            row.appendChild(DOM.createElement('td', {}, label));
+            row.appendChild(DOM.createElement('td', {}, format(changes[field]) || '—'));
+            row.appendChild(DOM.createElement('td', {}, format(current[field]) || '—'));
+            table.appendChild(row);
+        });
+        panel.appendChild(table);
+
+        const actions = DOM.createElement('div', { className: 'modal-actions' });
+        const keepBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-primary' }, 'Guardar mis cambios');
+        keepBtn.addEventListener('click', () => {
+            this.hideConflict();
+            this.saveChanges(changes);
+        });
+        const reloadBtn = DOM.createElement('button', { type: 'button', className: 'btn btn-outline' }, 'Usar valores guardados');
+        reloadBtn.addEventListener('click', () => {
+            this.hideConflict();
+            this.fillForm(current);
+        });
+        actions.appendChild(keepBtn);
+        actions.appendChild(reloadBtn);
+        panel.appendChild(actions);
+
+        DOM.show(panel);
+    }
+
+    hideConflict() {
+        if (!this.conflictPanel) return;
+        this.conflictPanel.innerHTML = '';
+        DOM.hide(this.conflictPanel);
+    }
+
+    /**
+     * Indica si el usuario actual puede suplantar a otro (la API aplica las mismas reglas)
+     * @param {Object} user - Usuario de la fila
+     * @returns {boolean} True si se muestra la acción
+     */
+    canImpersonate(user) {
+        const current = sessionStorage.getCurrentUser();
+        return !!current && !authManager.isImpersonating() &&
+            Permissions.can(current.role, PERMISSIONS.USERS_IMPERSONATE) &&
+            user.id !== current.id &&
+            user.status === USER_STATUS.ACTIVE &&
+            !Permissions.can(user.role, PERMISSIONS.USERS_IMPERSONATE);
+    }
+}
+
+// Instancia global
+export const usersManager = new UsersManager();
+
+export default {
+    UsersManager,
+    usersManager
+};
@@ -3,9 +3,142 @@
  * Simulador de API con funcionalidades completas
  */
 
-import { API_ENDPOINTS, MESSAGES, DEV_CONFIG } from './constants.js';
-import { userStorage, sessionStorage } from './storage.js';
-import { Time } from './helpers.js';
+import { API_ENDPOINTS, MESSAGES, DEV_CONFIG, USER_STATUS, USER_ROLES, APP_CONFIG, STORAGE_KEYS, PERMISSIONS } from './constants.js';
+import { storage, userStorage, sessionStorage, sessionRegistryStorage, authAuditStorage, loginAttemptStorage, oneTimeTokenStorage, mailOutboxStorage, settingsStorage } from './storage.js';
+import { Time, Validation, Events } from './helpers.js';
+import { PasswordPolicy } from './validators.js';
+import { Password, Token, Totp, RecoveryCodes, WebAuthn, Encoding, Random } from './security.js';
+import { Permissions } from './permissions.js';
+import { Router } from './router.js';
+import { faultInjector } from './faults.js';
+import { responseCache } from './cache.js';
+import { AuthAudit } from './audit.js';
+import { networkStatus, mutationQueue } from './offline.js';
+import { tabSync, SYNC_EVENTS } from './sync.js';
+
+/**
+ * Convierte el parámetro :id de una ruta en un ID numérico
+ * @param {string} value - Valor del parámetro
+ * @returns {number|null} ID, o null si no es un entero
+ */
+function toId(value) {
+    return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+// Columnas por las que se puede ordenar la lista de usuarios
+const USER_SORT_FIELDS = ['id', 'name', 'email', 'role', 'status', 'registeredDate', 'lastLogin'];
+
+// Campos que el cliente no puede escribir al actualizar un usuario
+const READONLY_USER_FIELDS = [
+    'id', 'version', 'credentials', 'passwordHistory', 'passwordChangedAt', 'mfa', 'passkeys', 'createdAt', 'updatedAt',
+    'lastLogin', 'emailVerifiedAt'
+];
+
+/**
+ * ETag de un usuario: su número de versión entre comillas
+ * @param {Object} user - Usuario
+ * @returns {string} ETag
+ */
+function userETag(user) {
+    return `"${user.version || 1}"`;
+}
+
+/**
+ * Comprueba un header If-Match ('*', un ETag o una lista separada por comas)
+ * @param {string} header - Valor del header
+ * @param {string} etag - ETag actual del recurso
+ * @returns {boolean} True si la precondición se cumple
+ */
+function matchesETag(header, etag) {
+    if (header.trim() === '*') return true;
+    return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Busca un header sin distinguir mayúsculas
+ * @param {Object} options - Opciones de la petición
+ * @param {string} name - Nombre del header
+ * @returns {string|null} Valor del header
+ */
+function readHeader(options, name) {
+    const headers = (options && options.headers) || {};
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : null;
+}
+
+// Columnas de la exportación masiva de usuarios
+const USER_EXPORT_COLUMNS = ['id', 'name', 'email', 'role', 'status', 'registeredDate', 'lastLogin'];
+
+/**
+ * Serializa usuarios como CSV (RFC 4180)
+ * @param {Array} users - Usuarios públicos
+ * @returns {string} CSV con cabecera
+ */
+function usersToCSV(users) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [USER_EXPORT_COLUMNS, ...users.map(user => USER_EXPORT_COLUMNS.map(column => user[column]))]
+        .map(row => row.map(escape).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Lee un entero positivo de la query string
+ * @param {string|undefined} value - Valor recibido
+ * @param {number} fallback - Valor si el parámetro no se envió
+ * @returns {number|null} Entero, o null si no es válido
+ */
+function toPositiveInt(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Compara dos valores para ordenar; los vacíos quedan siempre al final
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {number} Resultado de la comparación ascendente
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), 'es', { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Construye un enlace a la aplicación para incluir en los emails simulados
+ * @param {string} action - Acción que atiende la aplicación (p. ej. 'reset-password')
+ * @param {string} token - Token de un solo uso
+ * @returns {string} URL absoluta
+ */
+function buildAppLink(action, token) {
+    const base = typeof window !== 'undefined' && window.location
+        ? `${window.location.origin}${window.location.pathname}`
+        : '';
+    return `${base}#${action}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Relying party de WebAuthn: el sitio que sirve la aplicación
+ * @returns {Object} { id, name, origin }
+ */
+function relyingParty() {
+    const location = typeof window !== 'undefined' && window.location ? window.location : null;
+    return {
+        id: location ? location.hostname : 'localhost',
+        name: APP_CONFIG.auth.passkeys.rpName,
+        origin: location ? location.origin : ''
+    };
+}
+
+/**
+ * User-agent del navegador que inicia la sesión (equivale al header User-Agent de un servidor real)
+ * @returns {string} User-agent, o cadena vacía fuera del navegador
+ */
+function currentUserAgent() {
+    return typeof navigator !== 'undefined' && navigator.userAgent ? navigator.userAgent : '';
+}
 
 /**
  * Clase principal de API simulada
@@ -14,393 +147,1689 @@ export class API {
     constructor() {
         this.baseURL = '';
         this.defaultDelay = DEV_CONFIG.apiMockDelay || 1000;
-        this.requestId = 0;
+        this.credentialsMigration = null;
+        this.faults = faultInjector;
+        this.router = this.createRouter();
+        this.maintenanceTimer = null;
+    }
+
+    /**
+     * Inicia las tareas periódicas del simulador: elimina las cuentas sin verificar vencidas
+     * al iniciar y luego cada APP_CONFIG.auth.unverifiedPurgeInterval
+     */
+    startMaintenance() {
+        this.stopMaintenance();
+        this.purgeUnverifiedAccounts();
+        this.maintenanceTimer = setInterval(() => this.purgeUnverifiedAccounts(),
+            APP_CONFIG.auth.unverifiedPurgeInterval);
+    }
+
+    stopMaintenance() {
+        if (this.maintenanceTimer) {
+            clearInterval(this.maintenanceTimer);
+            this.maintenanceTimer = null;
+        }
+    }
+
+    /**
+     * Garantiza que los usuarios de ejemplo tengan credenciales hasheadas
+     * @returns {Promise<number>} Usuarios migrados
+     */
+    ensureCredentials() {
+        if (!this.credentialsMigration) {
+            this.credentialsMigration = userStorage.migrateLegacyCredentials();
+        }
+        return this.credentialsMigration;
     }
 
     /**
      * Simula una petición HTTP
      * @param {string} method - Método HTTP
-     * @param {string} endpoint - Endpoint de la API
+     * @param {string} endpoint - Endpoint de la API (puede incluir query string)
      * @param {Object} data - Datos de la petición
      * @param {Object} options - Opciones adicionales
      * @returns {Promise} Respuesta simulada
      */
     async request(method, endpoint, data = null, options = {}) {
-        const requestId = ++this.requestId;
-        const delay = options.delay || this.defaultDelay;
+        return this.router.handle({ method, endpoint, data, options });
+    }
+
+    /**
+     * Construye la tabla de rutas del simulador.
+     * Metadatos de cada ruta: access ('public', 'optional' o 'challenge'; por defecto exige token),
+     * rbac (false si basta la sesión, sin consultar la matriz de permisos) y
+     * restricted (no disponible mientras un administrador suplanta al usuario).
+     * @returns {Router} Router con middleware y rutas
+     */
+    createRouter() {
+        const { AUTH, USERS, SESSIONS, REPORTS, METRICS, SETTINGS, AUDIT } = API_ENDPOINTS;
+        const router = new Router({
+            createError: (status, data) => new APIError(
+                status === 405 ? MESSAGES.ERROR.METHOD_NOT_ALLOWED : MESSAGES.ERROR.ENDPOINT_NOT_FOUND, status, data)
+        });
+
+        const account = { rbac: false };
+        const publicRoute = { access: 'public', rbac: false };
+        // Gestión de la propia cuenta: solo sesión y nunca durante una suplantación
+        const ownAccount = { rbac: false, restricted: true };
+
+        router
+            .use((ctx, next) => this.logRequest(ctx, next))
+            .use((ctx, next) => this.simulateNetwork(ctx, next))
+            .use((ctx, next) => this.authenticateRequest(ctx, next))
+            .use((ctx, next) => this.authorizeRequest(ctx, next));
+
+        // Autenticación
+        router
+            .post(AUTH.LOGIN, ctx => this.login(ctx.data), publicRoute)
+            // No exige token, pero si aún es válido identifica la sesión a cerrar
+            .post(AUTH.LOGOUT, ctx => this.logout(ctx), { access: 'optional', rbac: false })
+            .post(AUTH.REGISTER, ctx => this.register(ctx.data), publicRoute)
+            .post(AUTH.VERIFY, ctx => this.verifyEmail(ctx.data), publicRoute)
+            .post(AUTH.REFRESH, ctx => this.refreshToken(ctx), account)
+            .post(AUTH.PASSWORD_FORGOT, ctx => this.requestPasswordReset(ctx.data), publicRoute)
+            .post(AUTH.PASSWORD_RESET, ctx => this.resetPassword(ctx.data), publicRoute)
+            // Los endpoints 'challenge' aceptan un desafío de login (enrolamiento 2FA, contraseña vencida) en lugar del token
+            .post(AUTH.PASSWORD_CHANGE, ctx => this.changePassword(ctx.data, ctx), { ...ownAccount, access: 'challenge' })
+            .post(AUTH.MFA_VERIFY, ctx => this.verifyMfa(ctx.data), publicRoute)
+            .post(AUTH.MFA_SETUP, ctx => this.setupMfa(ctx.data, ctx), { ...ownAccount, access: 'challenge' })
+            .post(AUTH.MFA_ENABLE, ctx => this.enableMfa(ctx.data, ctx), { ...ownAccount, access: 'challenge' })
+            .post(AUTH.MFA_DISABLE, ctx => this.disableMfa(ctx.data, ctx), ownAccount)
+            .post(AUTH.MFA_RECOVERY_CODES, ctx => this.regenerateRecoveryCodes(ctx.data, ctx), ownAccount)
+            .get(AUTH.SESSIONS, ctx => this.getOwnSessions(ctx), account)
+            .post(AUTH.SESSIONS_REVOKE_OTHERS, ctx => this.revokeOtherSessions(ctx), ownAccount)
+            .delete(AUTH.SESSION, ctx => this.revokeOwnSession(ctx.params.id, ctx), ownAccount)
+            .post(AUTH.IMPERSONATION_STOP, ctx => this.stopImpersonation(ctx), account)
+            .get(AUTH.PASSKEYS, ctx => this.getPasskeys(ctx), account)
+            .delete(AUTH.PASSKEY, ctx => this.removePasskey(ctx.params.id, ctx), ownAccount)
+            .post(AUTH.PASSKEY_REGISTER_OPTIONS, ctx => this.getPasskeyRegistrationOptions(ctx), ownAccount)
+            .post(AUTH.PASSKEY_REGISTER, ctx => this.registerPasskey(ctx.data, ctx), ownAccount)
+            .post(AUTH.PASSKEY_LOGIN_OPTIONS, () => this.getPasskeyLoginOptions(), publicRoute)
+            .post(AUTH.PASSKEY_LOGIN, ctx => this.loginWithPasskey(ctx.data), publicRoute);
 
-        console.log(`🌐 API Request ${requestId}: ${method} ${endpoint}`, data);
+        // Usuarios
+        router
+            .get(USERS.LIST, ctx => this.getUsers(ctx.query))
+            .post(USERS.CREATE, ctx => this.createUser(ctx.data))
+            .post(USERS.BULK, ctx => this.bulkUserOperation(ctx.data, ctx))
+            .put(USERS.UPDATE, ctx => this.updateUser(toId(ctx.params.id), ctx.data, ctx))
+            .patch(USERS.UPDATE, ctx => this.updateUser(toId(ctx.params.id), ctx.data, ctx))
+            .delete(USERS.DELETE, ctx => this.deleteUser(toId(ctx.params.id), ctx))
+            .post(USERS.UNLOCK, ctx => this.unlockUser(toId(ctx.params.id), ctx))
+            .delete(USERS.SESSIONS, ctx => this.revokeUserSessions(toId(ctx.params.id), ctx))
+            .post(USERS.IMPERSONATE, ctx => this.impersonateUser(toId(ctx.params.id), ctx));
+
+        // Sesiones de todos los usuarios
+        router
+            .get(SESSIONS.LIST, ctx => this.getAllSessions(ctx))
+            .delete(SESSIONS.REVOKE, ctx => this.revokeSession(ctx.params.id, ctx));
+
+        // Reportes
+        router
+            .post(REPORTS.GENERATE, ctx => this.generateReport(ctx.data))
+            .post(REPORTS.EXPORT, ctx => this.exportData(ctx.data))
+            .get(REPORTS.LIST, () => this.getReports());
+
+        // Métricas
+        router
+            .get(METRICS.SYSTEM, () => this.getSystemMetrics())
+            .get(METRICS.USERS, () => this.getUserMetrics())
+            .get(METRICS.PERFORMANCE, () => this.getPerformanceMetrics());
+
+        // Configuración
+        router
+            .get(SETTINGS.PASSWORD_POLICY, () => this.getPasswordPolicy())
+            .put(SETTINGS.PASSWORD_POLICY, ctx => this.updatePasswordPolicy(ctx.data, ctx));
+
+        // Auditoría
+        router
+            .get(AUDIT.LOGINS, ctx => this.getAuthAudit(ctx.query))
+            .post(AUDIT.LOGINS_REVIEW, ctx => this.reviewAuthAlerts(ctx));
+
+        return router;
+    }
 
-        // Simular delay de red
-        await Time.delay(delay);
+    /**
+     * Middleware: registra en la consola (si DEV_CONFIG.enableLogs) el método, la ruta, el código
+     * y la duración de cada petición, incluidas la latencia y los fallos simulados
+     */
+    async logRequest(ctx, next) {
+        const startedAt = performance.now();
+        const log = status => {
+            if (DEV_CONFIG.enableLogs) {
+                const correlationId = readHeader(ctx.options, 'X-Correlation-ID');
+                console.log(`🖥️ Simulador${correlationId ? ` ${correlationId}` : ''}: ${ctx.method} ${ctx.path} ` +
+                    `${status} (${Math.round(performance.now() - startedAt)} ms)`);
+            }
+        };
 
         try {
-            const response = await this.processRequest(method, endpoint, data, options);
-            console.log(`✅ API Response ${requestId}:`, response);
+            const response = await next();
+            log(200);
             return response;
         } catch (error) {
-            console.error(`❌ API Error ${requestId}:`, error);
+            log(error.status !== undefined ? error.status : 500);
             throw error;
         }
     }
 
     /**
-     * Procesa la petición según el endpoint
-     * @param {string} method - Método HTTP
-     * @param {string} endpoint - Endpoint
-     * @param {Object} data - Datos
-     * @param {Object} options - Opciones
-     * @returns {Object} Respuesta
+     * Middleware: simula la red con el perfil de fallos activo (latencia, errores, timeouts y sin conexión).
+     * Los fallos ocurren antes de llegar al handler, como si la petición no alcanzara el servidor.
      */
-    async processRequest(method, endpoint, data, options) {
-        // Autenticación
-        if (endpoint.includes('/auth/')) {
-            return this.handleAuthRequest(method, endpoint, data);
-        }
+    async simulateNetwork(ctx, next) {
+        const { latency, fault } = this.faults.sample(ctx, this.defaultDelay);
 
-        // Usuarios
-        if (endpoint.includes('/users')) {
-            return this.handleUsersRequest(method, endpoint, data);
+        if (fault && fault.type === 'offline') {
+            throw new APIError(MESSAGES.ERROR.NETWORK_ERROR, 0, { reason: 'network' });
+        }
+        if (fault && fault.type === 'timeout') {
+            await Time.delay(fault.after);
+            throw new APIError(MESSAGES.ERROR.TIMEOUT, 504, { reason: 'timeout' });
         }
 
-        // Reportes
-        if (endpoint.includes('/reports')) {
-            return this.handleReportsRequest(method, endpoint, data);
+        await Time.delay(ctx.options.delay || latency);
+
+        // El cliente canceló la petición (timeout o cancelación) antes de que llegara al servidor
+        if (ctx.options.signal && ctx.options.signal.aborted) {
+            throw new APIError(MESSAGES.ERROR.REQUEST_CANCELLED, 0, { reason: 'aborted' });
+        }
+        if (fault) {
+            throw new APIError(MESSAGES.ERROR.SIMULATED_FAULT, fault.status, { reason: 'fault_injected' });
         }
+        return next();
+    }
 
-        // Métricas
-        if (endpoint.includes('/metrics')) {
-            return this.handleMetricsRequest(method, endpoint, data);
+    /**
+     * Middleware: verifica el token de acceso según el acceso declarado por la ruta
+     */
+    async authenticateRequest(ctx, next) {
+        ctx.claims = null;
+        // Sin ruta la petición termina en 404 o 405
+        const access = ctx.route ? ctx.route.meta.access : 'public';
+
+        if (access === 'optional') {
+            ctx.claims = await this.authenticate(ctx.options).catch(() => null);
+        } else if (access !== 'public' && !(access === 'challenge' && ctx.data && ctx.data.challenge)) {
+            ctx.claims = await this.authenticate(ctx.options);
         }
 
-        throw new APIError('Endpoint not found', 404);
+        return next();
     }
 
     /**
-     * Maneja peticiones de autenticación
+     * Middleware: registra las acciones hechas durante una suplantación, aplica sus restricciones
+     * y verifica la matriz de permisos
      */
-    async handleAuthRequest(method, endpoint, data) {
-        if (endpoint.includes('/login')) {
-            return this.login(data);
+    async authorizeRequest(ctx, next) {
+        const { claims, route, method } = ctx;
+        if (!claims) return next();
+
+        // Cada acción (incluso las rechazadas) queda registrada con el administrador real
+        if (claims.act && method !== 'GET' && route.pattern !== API_ENDPOINTS.AUTH.REFRESH) {
+            userStorage.logUserAction('IMPERSONATED_ACTION', claims.sub, {
+                impersonatorId: claims.act.sub,
+                method,
+                endpoint: ctx.endpoint
+            });
         }
 
-        if (endpoint.includes('/logout')) {
-            return this.logout();
+        if (claims.act && route.meta.restricted) {
+            throw new APIError(MESSAGES.ERROR.IMPERSONATION_RESTRICTED, 403, { reason: 'impersonation' });
         }
 
-        if (endpoint.includes('/register')) {
-            return this.register(data);
+        if (route.meta.rbac !== false) {
+            this.authorize(method, ctx.path, claims);
         }
 
-        throw new APIError('Auth endpoint not found', 404);
+        return next();
     }
-
     /**
-     * Maneja peticiones de usuarios
+     * Verifica el token Bearer de la petición
+     * @param {Object} options - Opciones con headers
+     * @returns {Promise<Object>} Claims del token
      */
-    async handleUsersRequest(method, endpoint, data) {
-        // Verificar autenticación
-        if (!sessionStorage.isLoggedIn()) {
-            throw new APIError('Unauthorized', 401);
-        }
-
-        if (method === 'GET' && endpoint === API_ENDPOINTS.USERS.LIST) {
-            return this.getUsers();
-        }
+    async authenticate(options = {}) {
+        const header = readHeader(options, 'Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
 
-        if (method === 'POST' && endpoint === API_ENDPOINTS.USERS.CREATE) {
-            return this.createUser(data);
+        if (!token) {
+            throw new APIError('Unauthorized', 401);
         }
 
-        if (method === 'PUT' && endpoint.includes('/users/')) {
-            const id = this.extractIdFromEndpoint(endpoint);
-            return this.updateUser(id, data);
+        // Los desafíos 2FA también están firmados, pero no son tokens de acceso
+        const claims = await Token.verify(token, this.getSigningSecret());
+        if (!claims || claims.purpose) {
+            throw new APIError(MESSAGES.ERROR.SESSION_EXPIRED, 401, { reason: 'invalid_token' });
         }
 
-        if (method === 'DELETE' && endpoint.includes('/users/')) {
-            const id = this.extractIdFromEndpoint(endpoint);
-            return this.deleteUser(id);
+        // Un token sigue siendo válido hasta su expiración aunque su sesión se cierre: se consulta el registro
+        const session = sessionRegistryStorage.getSession(claims.sid);
+        if (session && session.revokedAt) {
+            throw new APIError(MESSAGES.ERROR.SESSION_REVOKED, 401, { reason: 'session_revoked' });
         }
-
-        if (method === 'POST' && endpoint === API_ENDPOINTS.USERS.BULK) {
-            return this.bulkUserOperation(data);
+        if (session && session.endedAt) {
+            throw new APIError(MESSAGES.ERROR.SESSION_EXPIRED, 401, { reason: 'invalid_token' });
         }
 
-        throw new APIError('Users endpoint not found', 404);
+        sessionRegistryStorage.touch(claims.sid);
+        return claims;
     }
 
     /**
-     * Maneja peticiones de reportes
+     * Verifica que el rol del usuario tenga el permiso que exige el endpoint
+     * @param {string} method - Método HTTP
+     * @param {string} endpoint - Endpoint
+     * @param {Object} claims - Claims del token
      */
-    async handleReportsRequest(method, endpoint, data) {
-        if (!sessionStorage.isLoggedIn()) {
-            throw new APIError('Unauthorized', 401);
+    authorize(method, endpoint, claims) {
+        // Se usa el rol actual del usuario para no depender de tokens emitidos antes de un cambio de rol;
+        // el token de un usuario eliminado deja de valer aunque no haya expirado
+        const user = userStorage.getUserById(claims.sub);
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.SESSION_EXPIRED, 401, { reason: 'invalid_token' });
         }
+        const rule = Permissions.findRule(method, endpoint);
 
-        if (method === 'POST' && endpoint === API_ENDPOINTS.REPORTS.GENERATE) {
-            return this.generateReport(data);
+        if (!rule || !Permissions.can(user.role, rule.permission)) {
+            throw new APIError(MESSAGES.ERROR.PERMISSION_DENIED, 403, {
+                permission: rule ? rule.permission : null
+            });
         }
+    }
 
-        if (method === 'POST' && endpoint === API_ENDPOINTS.REPORTS.EXPORT) {
-            return this.exportData(data);
+    /**
+     * Obtiene (o genera) el secreto con el que el simulador firma los tokens
+     * @returns {string} Secreto en Base64
+     */
+    getSigningSecret() {
+        let secret = storage.get(STORAGE_KEYS.TOKEN_SECRET);
+        if (!secret) {
+            secret = Token.generateSecret();
+            storage.set(STORAGE_KEYS.TOKEN_SECRET, secret);
         }
+        return secret;
+    }
 
-        if (method === 'GET' && endpoint === API_ENDPOINTS.REPORTS.LIST) {
-            return this.getReports();
+    /**
+     * Emite un token de acceso para un usuario
+     * @param {Object} user - Usuario autenticado
+     * @param {string} sessionId - ID de la sesión
+     * @param {Object} actor - Administrador que suplanta al usuario (claim act), si lo hay
+     * @returns {Promise<Object>} { token, expiresIn }
+     */
+    async issueToken(user, sessionId, actor = null) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const expiresIn = Math.floor(APP_CONFIG.auth.tokenLifetime / 1000);
+
+        const claims = {
+            sub: user.id,
+            email: user.email,
+            role: user.role,
+            sid: sessionId,
+            iat: issuedAt,
+            exp: issuedAt + expiresIn
+        };
+        if (actor) {
+            claims.act = { sub: actor.id, email: actor.email };
         }
 
-        throw new APIError('Reports endpoint not found', 404);
+        const token = await Token.sign(claims, this.getSigningSecret());
+
+        return { token, expiresIn };
     }
 
     /**
-     * Maneja peticiones de métricas
+     * Implementación de endpoints específicos
      */
-    async handleMetricsRequest(method, endpoint, data) {
-        if (!sessionStorage.isLoggedIn()) {
-            throw new APIError('Unauthorized', 401);
-        }
 
-        if (endpoint === API_ENDPOINTS.METRICS.SYSTEM) {
-            return this.getSystemMetrics();
-        }
+    async login(credentials) {
+        const { email, password } = credentials || {};
 
-        if (endpoint === API_ENDPOINTS.METRICS.USERS) {
-            return this.getUserMetrics();
+        const lockoutRemaining = loginAttemptStorage.getLockoutRemaining(email);
+        if (lockoutRemaining > 0) {
+            throw this.rejectLockedOut(email, lockoutRemaining);
         }
 
-        if (endpoint === API_ENDPOINTS.METRICS.PERFORMANCE) {
-            return this.getPerformanceMetrics();
+        await this.ensureCredentials();
+
+        const user = userStorage.getUserByEmail(email);
+        const isValid = user && await Password.verify(password, user.credentials);
+
+        // Cuenta sin verificar: se reenvía el enlace por si el anterior se perdió o expiró
+        if (isValid && user.status === USER_STATUS.PENDING) {
+            await this.sendVerificationEmail(user);
+            throw new APIError(MESSAGES.ERROR.EMAIL_NOT_VERIFIED, 403, { reason: 'email_not_verified' });
         }
 
-        throw new APIError('Metrics endpoint not found', 404);
-    }
+        if (!isValid) {
+            throw this.registerLoginFailure(email);
+        }
 
-    /**
-     * Implementación de endpoints específicos
-     */
+        // La contraseña era correcta: una cuenta desactivada no suma intentos fallidos
+        if (user.status !== USER_STATUS.ACTIVE) {
+            throw new APIError(MESSAGES.ERROR.ACCOUNT_INACTIVE, 403, { reason: 'account_inactive' });
+        }
 
-    async login(credentials) {
-        const { email, password } = credentials;
-
-        // Validar credenciales demo
-        if (email === 'admin@demo.com' && password === 'demo123') {
-            const user = {
-                id: 0,
-                name: 'Administrador Demo',
-                email: email,
-                role: 'admin',
-                status: 'active'
+        // Segundo paso: código TOTP o enrolamiento obligatorio según el rol
+        if (user.mfa && user.mfa.enabled) {
+            return {
+                success: true,
+                message: MESSAGES.INFO.MFA_CODE_REQUIRED,
+                data: {
+                    mfaRequired: true,
+                    challenge: await this.issueLoginChallenge(user, 'mfa')
+                }
             };
+        }
 
-            sessionStorage.setCurrentUser(user);
-
+        if (this.isMfaRequired(user)) {
             return {
                 success: true,
-                message: MESSAGES.SUCCESS.LOGIN,
+                message: MESSAGES.ERROR.MFA_REQUIRED,
                 data: {
-                    user,
-                    token: 'demo_token_' + Date.now(),
-                    expiresIn: 30 * 60 // 30 minutos
+                    mfaEnrollmentRequired: true,
+                    challenge: await this.issueLoginChallenge(user, 'mfa_enroll')
                 }
             };
         }
 
-        // Buscar en usuarios almacenados
-        const user = userStorage.getUserByEmail(email);
-        if (user && user.status === 'active') {
-            // En un sistema real, aquí validaríamos la contraseña
-            sessionStorage.setCurrentUser(user);
+        return this.completeLogin(user);
+    }
+
+    /**
+     * Abre la sesión de un usuario ya verificado
+     * @param {Object} user - Usuario almacenado
+     * @returns {Promise<Object>} Respuesta de login con token
+     */
+    async completeLogin(user) {
+        loginAttemptStorage.reset(user.email);
 
+        // Contraseña vencida: se exige el cambio antes de abrir la sesión
+        if (PasswordPolicy.isExpired(user, settingsStorage.getPasswordPolicy())) {
             return {
                 success: true,
-                message: MESSAGES.SUCCESS.LOGIN,
+                message: MESSAGES.INFO.PASSWORD_EXPIRED,
                 data: {
-                    user,
-                    token: 'user_token_' + Date.now(),
-                    expiresIn: 30 * 60
+                    passwordChangeRequired: true,
+                    challenge: await this.issueLoginChallenge(user, 'password_change', APP_CONFIG.auth.passwordChangeLifetime)
                 }
             };
         }
 
-        throw new APIError(MESSAGES.ERROR.LOGIN_FAILED, 401);
-    }
+        // La sesión la abre el servidor: el cliente guarda el usuario y el token de la respuesta
+        const publicUser = userStorage.toPublicUser(userStorage.updateUser(user.id, { lastLogin: new Date().toISOString() }));
+        const sessionId = Encoding.toBase64Url(Random.bytes(16));
+        sessionRegistryStorage.register(sessionId, publicUser.id, currentUserAgent());
+        const { token, expiresIn } = await this.issueToken(publicUser, sessionId);
+        AuthAudit.record('LOGIN_SUCCESS', { user: publicUser, sessionId });
 
-    async logout() {
-        sessionStorage.logout();
         return {
             success: true,
-            message: MESSAGES.SUCCESS.LOGOUT
+            message: MESSAGES.SUCCESS.LOGIN,
+            data: {
+                user: publicUser,
+                token,
+                expiresIn,
+                sessionId
+            }
         };
     }
 
-    async register(userData) {
-        const { email } = userData;
+    /**
+     * Registra un intento fallido y construye el error correspondiente
+     * @param {string} email - Email del intento
+     * @param {string} message - Mensaje para el error 401
+     * @returns {APIError} Error 401 con intentos restantes, o 423 si la cuenta quedó bloqueada
+     */
+    registerLoginFailure(email, message = MESSAGES.ERROR.LOGIN_FAILED) {
+        const attempts = loginAttemptStorage.registerFailure(email);
+        const user = userStorage.getUserByEmail(email);
 
-        // Verificar si el usuario ya existe
-        if (userStorage.getUserByEmail(email)) {
-            throw new APIError(MESSAGES.ERROR.USER_EXISTS, 409);
+        if (attempts.lockedUntil) {
+            AuthAudit.record('ACCOUNT_LOCKED', { user, email, data: { lockedUntil: attempts.lockedUntil } });
+            return this.createLockoutError(APP_CONFIG.auth.lockoutDuration);
         }
 
-        // Crear nuevo usuario
-        const newUser = userStorage.createUser({
-            ...userData,
-            status: 'active'
+        const remainingAttempts = APP_CONFIG.auth.maxLoginAttempts - attempts.failures;
+        AuthAudit.record('LOGIN_FAILED', { user, email, data: { remainingAttempts } });
+        return new APIError(message, 401, { remainingAttempts });
+    }
+
+    /**
+     * Registra un intento sobre una cuenta bloqueada y construye el error 423
+     * @param {string} email - Email del intento
+     * @param {number} remainingMs - Tiempo de bloqueo restante
+     * @returns {APIError} Error 423
+     */
+    rejectLockedOut(email, remainingMs) {
+        const error = this.createLockoutError(remainingMs);
+        AuthAudit.record('ACCOUNT_LOCKED', {
+            user: userStorage.getUserByEmail(email), email, data: { lockedUntil: error.data.lockedUntil }
         });
+        return error;
+    }
 
-        return {
-            success: true,
-            message: MESSAGES.SUCCESS.USER_CREATED,
-            data: { user: newUser }
-        };
+    isMfaRequired(user) {
+        return APP_CONFIG.auth.mfa.requiredRoles.includes(user.role);
     }
 
-    async getUsers() {
-        const users = userStorage.getUsers();
-        return {
-            success: true,
-            data: {
-                users,
-                total: users.length,
-                page: 1,
-                pageSize: users.length
-            }
-        };
+    /**
+     * Emite un desafío de corta duración para un paso pendiente del login
+     * @param {Object} user - Usuario que superó la contraseña
+     * @param {string} purpose - 'mfa' (verificar código), 'mfa_enroll' (enrolamiento obligatorio)
+     *                           o 'password_change' (contraseña vencida)
+     * @param {number} lifetime - Validez en milisegundos
+     * @returns {Promise<string>} Desafío firmado
+     */
+    async issueLoginChallenge(user, purpose, lifetime = APP_CONFIG.auth.mfa.challengeLifetime) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        return Token.sign({
+            sub: user.id,
+            purpose,
+            iat: issuedAt,
+            exp: issuedAt + Math.floor(lifetime / 1000)
+        }, this.getSigningSecret());
     }
 
-    async createUser(userData) {
-        const { email } = userData;
+    /**
+     * Valida un desafío de login y devuelve su usuario
+     * @param {string} challenge - Desafío firmado
+     * @param {string} purpose - Propósito esperado
+     * @returns {Promise<Object>} Usuario almacenado
+     */
+    async resolveLoginChallenge(challenge, purpose) {
+        const claims = await Token.verify(challenge, this.getSigningSecret());
+        const user = claims && claims.purpose === purpose ? userStorage.getUserById(claims.sub) : null;
 
-        if (userStorage.getUserByEmail(email)) {
-            throw new APIError(MESSAGES.ERROR.USER_EXISTS, 409);
+        if (!user || user.status !== USER_STATUS.ACTIVE) {
+            throw new APIError(MESSAGES.ERROR.MFA_CHALLENGE_EXPIRED, 401, { reason: 'invalid_challenge' });
         }
-
-        const newUser = userStorage.createUser(userData);
-
-        return {
-            success: true,
-            message: MESSAGES.SUCCESS.USER_CREATED,
-            data: { user: newUser }
-        };
+        return user;
     }
 
-    async updateUser(id, updates) {
-        const updatedUser = userStorage.updateUser(parseInt(id), updates);
+    /**
+     * Obtiene el usuario sobre el que opera un endpoint 2FA (desafío o sesión)
+     */
+    async resolveMfaUser(data, context) {
+        if (data && data.challenge) {
+            return this.resolveLoginChallenge(data.challenge, 'mfa_enroll');
+        }
 
-        if (!updatedUser) {
+        const user = userStorage.getUserById(context.claims.sub);
+        if (!user) {
             throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
         }
-
-        return {
-            success: true,
-            message: MESSAGES.SUCCESS.USER_UPDATED,
-            data: { user: updatedUser }
-        };
+        return user;
     }
 
-    async deleteUser(id) {
-        const success = userStorage.deleteUser(parseInt(id));
+    /**
+     * Verifica un código TOTP rechazando la reutilización de un intervalo ya usado
+     * @param {Object} user - Usuario almacenado
+     * @param {string} code - Código ingresado
+     * @returns {Promise<boolean>} True si es válido
+     */
+    async checkTotp(user, code) {
+        const mfa = userStorage.getMfa(user.id);
+        if (!mfa || !mfa.secret) return false;
 
-        if (!success) {
-            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        const step = await Totp.verify(code, mfa.secret);
+        if (step === null || (typeof mfa.lastUsedStep === 'number' && step <= mfa.lastUsedStep)) {
+            return false;
         }
 
-        return {
-            success: true,
-            message: MESSAGES.SUCCESS.USER_DELETED
-        };
+        userStorage.updateMfa(user.id, { lastUsedStep: step });
+        return true;
+    }
+
+    /**
+     * Verifica un código TOTP o de recuperación de un usuario con 2FA activa
+     */
+    async checkSecondFactor(user, data) {
+        if (data.recoveryCode) {
+            return userStorage.consumeRecoveryCode(user.id, data.recoveryCode);
+        }
+        return this.checkTotp(user, data.code);
     }
 
-    async bulkUserOperation(data) {
-        const { operation, userIds } = data;
+    async verifyMfa(data) {
+        const { challenge } = data || {};
+        const user = await this.resolveLoginChallenge(challenge, 'mfa');
 
-        switch (operation) {
-            case 'delete':
-                const deletedCount = userStorage.deleteUsers(userIds);
-                return {
-                    success: true,
-                    message: `${deletedCount} usuarios eliminados`,
-                    data: { deletedCount }
-                };
+        const lockoutRemaining = loginAttemptStorage.getLockoutRemaining(user.email);
+        if (lockoutRemaining > 0) {
+            throw this.rejectLockedOut(user.email, lockoutRemaining);
+        }
 
-            case 'activate':
-                let activatedCount = 0;
-                userIds.forEach(id => {
-                    if (userStorage.updateUser(id, { status: 'active' })) {
-                        activatedCount++;
-                    }
-                });
-                return {
-                    success: true,
-                    message: `${activatedCount} usuarios activados`,
-                    data: { activatedCount }
-                };
+        if (!await this.checkSecondFactor(user, data)) {
+            throw this.registerLoginFailure(user.email, MESSAGES.ERROR.MFA_INVALID_CODE);
+        }
 
-            case 'deactivate':
-                let deactivatedCount = 0;
-                userIds.forEach(id => {
-                    if (userStorage.updateUser(id, { status: 'inactive' })) {
-                        deactivatedCount++;
-                    }
-                });
-                return {
-                    success: true,
-                    message: `${deactivatedCount} usuarios desactivados`,
-                    data: { deactivatedCount }
-                };
+        const verifiedUser = userStorage.getUserById(user.id);
+        const response = await this.completeLogin(verifiedUser);
 
-            default:
-                throw new APIError('Operación no válida', 400);
+        if (data.recoveryCode) {
+            userStorage.logUserAction('RECOVERY_CODE_USED', user.id);
+            response.data.recoveryCodesRemaining = verifiedUser.mfa.recoveryCodes.length;
         }
+        return response;
     }
 
-    async generateReport(data) {
-        const { type, filters, format } = data;
+    async setupMfa(data, context) {
+        const user = await this.resolveMfaUser(data, context);
 
-        // Simular generación de reporte
-        await Time.delay(2000);
+        if (user.mfa && user.mfa.enabled) {
+            throw new APIError(MESSAGES.ERROR.MFA_ALREADY_ENABLED, 409);
+        }
 
-        const reportData = {
-            id: Date.now(),
-            type,
-            format,
-            filters,
-            generatedAt: new Date().toISOString(),
-            size: Math.floor(Math.random() * 1000) + 100 // KB
-        };
+        // El secreto queda pendiente hasta que el usuario confirme un código
+        const secret = Totp.generateSecret();
+        userStorage.updateMfa(user.id, { enabled: false, pendingSecret: secret });
 
         return {
             success: true,
-            message: MESSAGES.SUCCESS.DATA_EXPORTED,
-            data: { report: reportData }
+            data: {
+                secret,
+                uri: Totp.buildUri(secret, user.email)
+            }
         };
     }
 
-    async exportData(data) {
-        const { format, filters } = data;
+    async enableMfa(data, context) {
+        const user = await this.resolveMfaUser(data, context);
+        const mfa = userStorage.getMfa(user.id);
 
-        let users = userStorage.getUsers();
+        if (!mfa || !mfa.pendingSecret) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400);
+        }
 
-        // Aplicar filtros
-        if (filters) {
-            users = userStorage.searchUsers('', filters);
+        const step = await Totp.verify(data.code, mfa.pendingSecret);
+        if (step === null) {
+            throw new APIError(MESSAGES.ERROR.MFA_INVALID_CODE, 400);
         }
 
-        const exportData = {
-            format,
-            recordCount: users.length,
-            generatedAt: new Date().toISOString(),
-            data: users
-        };
+        const recoveryCodes = RecoveryCodes.generate();
+        userStorage.updateMfa(user.id, {
+            enabled: true,
+            secret: mfa.pendingSecret,
+            pendingSecret: null,
+            lastUsedStep: step,
+            enrolledAt: new Date().toISOString()
+        });
+        await userStorage.storeRecoveryCodes(user.id, recoveryCodes);
+        userStorage.logUserAction('MFA_ENABLED', user.id);
+
+        const updatedUser = userStorage.getUserById(user.id);
+
+        // En el enrolamiento obligatorio, confirmar el código completa el login
+        const response = data.challenge
+            ? await this.completeLogin(updatedUser)
+            : {
+                success: true,
+                message: MESSAGES.SUCCESS.MFA_ENABLED,
+                data: { user: userStorage.toPublicUser(updatedUser) }
+            };
+
+        response.data.recoveryCodes = recoveryCodes;
+        return response;
+    }
+
+    async disableMfa(data, context) {
+        const user = await this.resolveMfaUser(null, context);
+
+        if (this.isMfaRequired(user)) {
+            throw new APIError(MESSAGES.ERROR.MFA_REQUIRED, 403);
+        }
+
+        if (!user.mfa || !user.mfa.enabled || !await this.checkSecondFactor(user, data || {})) {
+            throw new APIError(MESSAGES.ERROR.MFA_INVALID_CODE, 400);
+        }
+
+        const updatedUser = userStorage.updateMfa(user.id, null);
+        userStorage.logUserAction('MFA_DISABLED', user.id);
 
         return {
             success: true,
-            message: MESSAGES.SUCCESS.DATA_EXPORTED,
-            data: exportData
+            message: MESSAGES.SUCCESS.MFA_DISABLED,
+            data: { user: userStorage.toPublicUser(updatedUser) }
         };
     }
 
-    async getReports() {
-        // Simular lista de reportes generados
+    async regenerateRecoveryCodes(data, context) {
+        const user = await this.resolveMfaUser(null, context);
+
+        if (!user.mfa || !user.mfa.enabled || !await this.checkTotp(user, data && data.code)) {
+            throw new APIError(MESSAGES.ERROR.MFA_INVALID_CODE, 400);
+        }
+
+        const recoveryCodes = RecoveryCodes.generate();
+        await userStorage.storeRecoveryCodes(user.id, recoveryCodes);
+        userStorage.logUserAction('RECOVERY_CODES_REGENERATED', user.id);
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.RECOVERY_CODES_GENERATED,
+            data: { recoveryCodes }
+        };
+    }
+
+    /**
+     * Opciones para navigator.credentials.create() de una passkey nueva
+     */
+    async getPasskeyRegistrationOptions(context) {
+        const user = userStorage.getUserById(context.claims.sub);
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        }
+
+        const { passkeys } = APP_CONFIG.auth;
+        const rp = relyingParty();
+        const challenge = await oneTimeTokenStorage.issue('passkey_registration', user.id, passkeys.challengeLifetime);
+
+        return {
+            success: true,
+            data: {
+                challenge,
+                rp: { id: rp.id, name: rp.name },
+                // El user handle no debe contener datos personales: se usa el ID interno
+                user: {
+                    id: Encoding.toBase64Url(Encoding.toBytes(String(user.id))),
+                    name: user.email,
+                    displayName: user.name
+                },
+                pubKeyCredParams: WebAuthn.algorithms.map(alg => ({ type: 'public-key', alg })),
+                timeout: passkeys.timeout,
+                attestation: 'none',
+                // Credencial descubrible: el login no pide el email
+                authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+                excludeCredentials: userStorage.getPasskeys(user.id).map(passkey => ({
+                    type: 'public-key',
+                    id: passkey.id,
+                    transports: passkey.transports
+                }))
+            }
+        };
+    }
+
+    /**
+     * Verifica la respuesta de registro del autenticador y guarda su clave pública
+     * @param {Object} data - { credential: { id, response: { clientDataJSON, attestationObject, transports } }, name }
+     */
+    async registerPasskey(data, context) {
+        const { credential, name } = data || {};
+        const { claims } = context;
+        const rp = relyingParty();
+
+        let clientData;
+        let authData;
+        try {
+            clientData = WebAuthn.parseClientData(credential.response.clientDataJSON);
+            authData = WebAuthn.parseAttestationObject(credential.response.attestationObject);
+        } catch (error) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'malformed' });
+        }
+
+        // El desafío se consume aunque el resto de la respuesta sea inválida
+        const challenge = await oneTimeTokenStorage.consume('passkey_registration', clientData.challenge);
+        if (!challenge || challenge.userId !== claims.sub) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'invalid_challenge' });
+        }
+
+        if (clientData.type !== 'webauthn.create' || clientData.origin !== rp.origin) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'client_data' });
+        }
+
+        if (!await WebAuthn.matchesRpId(authData, rp.id) || !authData.userPresent || !authData.userVerified ||
+            !authData.credentialId || Encoding.toBase64Url(authData.credentialId) !== credential.id) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'authenticator_data' });
+        }
+
+        if (userStorage.getUserByPasskey(credential.id)) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_EXISTS, 409);
+        }
+
+        let publicKey;
+        try {
+            publicKey = WebAuthn.coseToPublicKey(authData.publicKey);
+        } catch (error) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'unsupported_algorithm' });
+        }
+
+        const now = new Date().toISOString();
+        const passkey = {
+            id: credential.id,
+            publicKey,
+            signCount: authData.signCount,
+            name: String(name || '').trim().slice(0, 50) || 'Passkey',
+            transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+            createdAt: now,
+            lastUsedAt: null
+        };
+        userStorage.addPasskey(claims.sub, passkey);
+        userStorage.logUserAction('PASSKEY_REGISTERED', claims.sub, { credentialId: passkey.id });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.PASSKEY_REGISTERED,
+            data: { passkey: this.toPublicPasskey(passkey) }
+        };
+    }
+
+    /**
+     * Opciones para navigator.credentials.get(); sin allowCredentials el navegador ofrece las passkeys del sitio
+     */
+    async getPasskeyLoginOptions() {
+        const { passkeys } = APP_CONFIG.auth;
+        const challenge = await oneTimeTokenStorage.issue('passkey_login', null, passkeys.challengeLifetime);
+
+        return {
+            success: true,
+            data: {
+                challenge,
+                rpId: relyingParty().id,
+                timeout: passkeys.timeout,
+                userVerification: 'required'
+            }
+        };
+    }
+
+    /**
+     * Inicia sesión con una aserción firmada por una passkey registrada.
+     * La verificación del usuario en el autenticador cuenta como segundo factor.
+     * @param {Object} data - { credential: { id, response: { clientDataJSON, authenticatorData, signature, userHandle } } }
+     */
+    async loginWithPasskey(data) {
+        const { credential } = data || {};
+        const rp = relyingParty();
+
+        let clientData;
+        let authData;
+        try {
+            clientData = WebAuthn.parseClientData(credential.response.clientDataJSON);
+            authData = WebAuthn.parseAuthenticatorData(Encoding.fromBase64Url(credential.response.authenticatorData));
+        } catch (error) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'malformed' });
+        }
+
+        if (!await oneTimeTokenStorage.consume('passkey_login', clientData.challenge)) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'invalid_challenge' });
+        }
+
+        if (clientData.type !== 'webauthn.get' || clientData.origin !== rp.origin) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 400, { reason: 'client_data' });
+        }
+
+        await this.ensureCredentials();
+
+        const user = userStorage.getUserByPasskey(credential.id);
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_INVALID, 401);
+        }
+
+        const lockoutRemaining = loginAttemptStorage.getLockoutRemaining(user.email);
+        if (lockoutRemaining > 0) {
+            throw this.rejectLockedOut(user.email, lockoutRemaining);
+        }
+
+        const passkey = userStorage.getPasskeys(user.id).find(item => item.id === credential.id);
+        const userHandle = credential.response.userHandle;
+        const signatureValid = await WebAuthn.matchesRpId(authData, rp.id) &&
+            authData.userPresent && authData.userVerified &&
+            (!userHandle || userHandle === Encoding.toBase64Url(Encoding.toBytes(String(user.id)))) &&
+            await WebAuthn.verifyAssertion(passkey.publicKey, credential.response).catch(() => false);
+
+        if (!signatureValid) {
+            throw this.registerLoginFailure(user.email, MESSAGES.ERROR.PASSKEY_INVALID);
+        }
+
+        // Un contador que no avanza indica un autenticador clonado (0 = el autenticador no lleva contador)
+        if ((authData.signCount !== 0 || passkey.signCount !== 0) && authData.signCount <= passkey.signCount) {
+            userStorage.logUserAction('PASSKEY_CLONE_SUSPECTED', user.id, { credentialId: passkey.id });
+            throw this.registerLoginFailure(user.email, MESSAGES.ERROR.PASSKEY_INVALID);
+        }
+
+        if (user.status !== USER_STATUS.ACTIVE) {
+            throw new APIError(MESSAGES.ERROR.ACCOUNT_INACTIVE, 403, { reason: 'account_inactive' });
+        }
+
+        userStorage.updatePasskey(user.id, passkey.id, {
+            signCount: authData.signCount,
+            lastUsedAt: new Date().toISOString()
+        });
+
+        return this.completeLogin(user);
+    }
+
+    async getPasskeys(context) {
+        const passkeys = userStorage.getPasskeys(context.claims.sub).map(passkey => this.toPublicPasskey(passkey));
+
+        return {
+            success: true,
+            data: { passkeys }
+        };
+    }
+
+    async removePasskey(credentialId, context) {
+        const { claims } = context;
+
+        if (!userStorage.removePasskey(claims.sub, credentialId)) {
+            throw new APIError(MESSAGES.ERROR.PASSKEY_NOT_FOUND, 404);
+        }
+
+        userStorage.logUserAction('PASSKEY_REMOVED', claims.sub, { credentialId });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.PASSKEY_REMOVED
+        };
+    }
+
+    /**
+     * Datos de una passkey que se muestran al usuario (sin la clave pública)
+     */
+    toPublicPasskey(passkey) {
+        const { id, name, transports, createdAt, lastUsedAt } = passkey;
+        return { id, name, transports, createdAt, lastUsedAt };
+    }
+
+    async requestPasswordReset(data) {
+        const { email } = data || {};
+
+        if (!email || !Validation.isValidEmail(email)) {
+            throw new APIError(MESSAGES.ERROR.INVALID_EMAIL, 400);
+        }
+
+        await this.ensureCredentials();
+        const user = userStorage.getUserByEmail(email);
+
+        // La respuesta es la misma exista o no la cuenta, para no revelar qué emails están registrados
+        if (user && user.status === USER_STATUS.ACTIVE) {
+            const lifetime = APP_CONFIG.auth.passwordResetLifetime;
+            const token = await oneTimeTokenStorage.issue('password_reset', user.id, lifetime);
+
+            mailOutboxStorage.send({
+                to: user.email,
+                subject: 'Restablecer contraseña - StudyQuality',
+                body: `Hola ${user.name}:\n\n` +
+                    'Recibimos una solicitud para restablecer la contraseña de tu cuenta. ' +
+                    `El enlace es válido durante ${Math.round(lifetime / 60000)} minutos y solo puede usarse una vez.\n\n` +
+                    'Si no solicitaste el cambio, puedes ignorar este mensaje.',
+                links: [{ label: 'Restablecer contraseña', url: buildAppLink('reset-password', token) }]
+            });
+            userStorage.logUserAction('PASSWORD_RESET_REQUESTED', user.id);
+        }
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.PASSWORD_RESET_REQUESTED
+        };
+    }
+
+    async resetPassword(data) {
+        const { token, password } = data || {};
+
+        const record = await oneTimeTokenStorage.peek('password_reset', token);
+        const user = record ? userStorage.getUserById(record.userId) : null;
+
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.INVALID_RESET_TOKEN, 400, { reason: 'invalid_token' });
+        }
+
+        // Validar antes de consumir el token para que una contraseña rechazada no lo invalide
+        const policy = await this.checkPasswordPolicy(password, user);
+
+        // Otra petición pudo usar el mismo enlace mientras se validaba la contraseña
+        if (!await oneTimeTokenStorage.consume('password_reset', token)) {
+            throw new APIError(MESSAGES.ERROR.INVALID_RESET_TOKEN, 400, { reason: 'invalid_token' });
+        }
+
+        await userStorage.setPassword(user.id, password, policy.historySize);
+        loginAttemptStorage.reset(user.email);
+        userStorage.logUserAction('PASSWORD_RESET', user.id);
+        AuthAudit.record('PASSWORD_RESET', { user });
+        this.notifyPasswordChanged(user);
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.PASSWORD_RESET
+        };
+    }
+
+    /**
+     * Cambia la contraseña del usuario de la sesión (con la contraseña actual)
+     * o la de un usuario con la contraseña vencida (con el desafío del login)
+     */
+    async changePassword(data, context) {
+        const { challenge, currentPassword, password } = data || {};
+        let user;
+
+        if (challenge) {
+            user = await this.resolveLoginChallenge(challenge, 'password_change');
+        } else {
+            user = userStorage.getUserById(context.claims.sub);
+            if (!user) {
+                throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+            }
+            if (!(await Password.verify(currentPassword, user.credentials))) {
+                throw new APIError(MESSAGES.ERROR.CURRENT_PASSWORD_INVALID, 400, { reason: 'invalid_current_password' });
+            }
+        }
+
+        const policy = await this.checkPasswordPolicy(password, user);
+        await userStorage.setPassword(user.id, password, policy.historySize);
+        userStorage.logUserAction('PASSWORD_CHANGED', user.id);
+        this.notifyPasswordChanged(user);
+
+        // Tras un cambio obligatorio se abre la sesión que quedó pendiente
+        if (challenge) {
+            const response = await this.completeLogin(userStorage.getUserById(user.id));
+            return { ...response, message: MESSAGES.SUCCESS.PASSWORD_CHANGED };
+        }
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.PASSWORD_CHANGED
+        };
+    }
+
+    /**
+     * Verifica que una contraseña nueva cumpla la política y no repita las recientes
+     * @param {string} password - Contraseña nueva
+     * @param {Object} user - Usuario almacenado, o { name, email } si aún no existe
+     * @returns {Promise<Object>} Política aplicada
+     */
+    async checkPasswordPolicy(password, user) {
+        const policy = settingsStorage.getPasswordPolicy();
+        const result = PasswordPolicy.validate(password, [user.name, user.email], policy);
+
+        if (!result.isValid) {
+            throw new APIError(result.errors[0], 400, {
+                errors: result.errors,
+                score: result.estimate ? result.estimate.score : 0
+            });
+        }
+
+        if (user.id !== undefined && await userStorage.isPasswordReused(user.id, password, policy.historySize)) {
+            throw new APIError(MESSAGES.ERROR.PASSWORD_REUSED, 400, { errors: [MESSAGES.ERROR.PASSWORD_REUSED] });
+        }
+
+        return policy;
+    }
+
+    /**
+     * Avisa por email de un cambio de contraseña
+     * @param {Object} user - Usuario afectado
+     */
+    notifyPasswordChanged(user) {
+        mailOutboxStorage.send({
+            to: user.email,
+            subject: 'Tu contraseña fue cambiada - StudyQuality',
+            body: `Hola ${user.name}:\n\n` +
+                'La contraseña de tu cuenta se cambió correctamente. ' +
+                'Si no fuiste tú, contacta al administrador del sistema.'
+        });
+    }
+
+    async refreshToken(context) {
+        const { claims } = context;
+        const user = userStorage.getUserById(claims.sub);
+        const actor = claims.act ? userStorage.getUserById(claims.act.sub) : null;
+
+        if (!user || user.status !== USER_STATUS.ACTIVE) {
+            throw new APIError(MESSAGES.ERROR.SESSION_EXPIRED, 401, { reason: 'invalid_token' });
+        }
+
+        // Una suplantación no sobrevive a que el administrador pierda el permiso
+        if (claims.act && (!actor || !Permissions.can(actor.role, PERMISSIONS.USERS_IMPERSONATE))) {
+            throw new APIError(MESSAGES.ERROR.SESSION_EXPIRED, 401, { reason: 'invalid_token' });
+        }
+
+        // Se reemiten los claims con el rol vigente del usuario
+        const { token, expiresIn } = await this.issueToken(user, claims.sid, actor);
+
+        return {
+            success: true,
+            data: { token, expiresIn }
+        };
+    }
+
+    async logout(context) {
+        if (context.claims) {
+            sessionRegistryStorage.end(context.claims.sid);
+        }
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.LOGOUT
+        };
+    }
+
+    async register(userData) {
+        const { email, password, role, ...profile } = userData || {};
+
+        if (!email || !password) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400);
+        }
+
+        // El auto-registro no puede otorgar roles privilegiados
+        const allowedRoles = APP_CONFIG.auth.selfRegistrationRoles;
+        if (role && !allowedRoles.includes(role)) {
+            throw new APIError(MESSAGES.ERROR.PERMISSION_DENIED, 403);
+        }
+
+        await this.ensureCredentials();
+
+        // Verificar si el usuario ya existe
+        if (userStorage.getUserByEmail(email)) {
+            throw new APIError(MESSAGES.ERROR.USER_EXISTS, 409);
+        }
+
+        await this.checkPasswordPolicy(password, { name: profile.name, email });
+
+        // Crear nuevo usuario (la contraseña solo se almacena como hash); se activa al verificar el email
+        const newUser = userStorage.createUser({
+            ...profile,
+            email,
+            role: role || allowedRoles[0],
+            status: USER_STATUS.PENDING,
+            credentials: await Password.hash(password),
+            passwordChangedAt: new Date().toISOString()
+        });
+        await this.sendVerificationEmail(newUser);
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.VERIFICATION_SENT,
+            data: {
+                user: userStorage.toPublicUser(newUser),
+                verificationRequired: true
+            }
+        };
+    }
+
+    /**
+     * Envía el enlace de activación de una cuenta pendiente
+     * @param {Object} user - Usuario pendiente de verificación
+     */
+    async sendVerificationEmail(user) {
+        const lifetime = APP_CONFIG.auth.emailVerificationLifetime;
+        const token = await oneTimeTokenStorage.issue('email_verification', user.id, lifetime);
+
+        mailOutboxStorage.send({
+            to: user.email,
+            subject: 'Activa tu cuenta - StudyQuality',
+            body: `Hola ${user.name || user.email}:\n\n` +
+                'Gracias por registrarte. Confirma tu email para activar la cuenta. ' +
+                `El enlace es válido durante ${Math.round(lifetime / 3600000)} horas y solo puede usarse una vez.\n\n` +
+                'Si no creaste esta cuenta, puedes ignorar este mensaje.',
+            links: [{ label: 'Verificar email', url: buildAppLink('verify-email', token) }]
+        });
+    }
+
+    async verifyEmail(data) {
+        const { token } = data || {};
+
+        const record = await oneTimeTokenStorage.consume('email_verification', token);
+        const user = record ? userStorage.getUserById(record.userId) : null;
+
+        if (!user || user.status !== USER_STATUS.PENDING) {
+            throw new APIError(MESSAGES.ERROR.INVALID_VERIFICATION_TOKEN, 400, { reason: 'invalid_token' });
+        }
+
+        userStorage.updateUser(user.id, {
+            status: USER_STATUS.ACTIVE,
+            emailVerifiedAt: new Date().toISOString()
+        });
+        userStorage.logUserAction('EMAIL_VERIFIED', user.id);
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.EMAIL_VERIFIED,
+            data: { email: user.email }
+        };
+    }
+
+    /**
+     * Elimina las cuentas auto-registradas que no se verificaron a tiempo
+     */
+    purgeUnverifiedAccounts() {
+        const purged = userStorage.purgeUnverified(APP_CONFIG.auth.unverifiedAccountMaxAge);
+        if (purged.length > 0 && DEV_CONFIG.debug) {
+            console.debug(`🧹 Cuentas sin verificar eliminadas: ${purged.length}`);
+        }
+    }
+
+    /**
+     * Lista los usuarios con búsqueda, filtros, orden y paginación
+     * @param {Object} query - page, pageSize, sort, order, q (nombre o email), status, role
+     * @returns {Promise<Object>} { users, pagination: { page, pageSize, total, pages, sort, order, links } }
+     */
+    async getUsers(query = {}) {
+        const { pagination, table } = APP_CONFIG;
+        const page = toPositiveInt(query.page, 1);
+        const pageSize = toPositiveInt(query.pageSize, pagination.defaultPageSize);
+        const sort = query.sort || table.defaultSortColumn;
+        const order = query.order || table.defaultSortDirection;
+
+        if (page === null || pageSize === null) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { reason: 'invalid_page' });
+        }
+        if (!USER_SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { reason: 'invalid_sort', sortable: USER_SORT_FIELDS });
+        }
+
+        const search = (query.q || '').trim().toLowerCase();
+        const direction = order === 'desc' ? -1 : 1;
+        const matches = userStorage.getUsers()
+            .filter(user => !search ||
+                user.name.toLowerCase().includes(search) || user.email.toLowerCase().includes(search))
+            .filter(user => !query.status || user.status === query.status)
+            .filter(user => !query.role || user.role === query.role)
+            .sort((a, b) => {
+                const aEmpty = a[sort] === null || a[sort] === undefined || a[sort] === '';
+                const bEmpty = b[sort] === null || b[sort] === undefined || b[sort] === '';
+                if (aEmpty !== bEmpty) return aEmpty ? 1 : -1;
+                // El ID desempata para que el orden sea estable entre páginas
+                return (aEmpty ? 0 : direction * compareValues(a[sort], b[sort])) || a.id - b.id;
+            });
+
+        const size = Math.min(pageSize, pagination.maxPageSize);
+        const total = matches.length;
+        const pages = Math.max(1, Math.ceil(total / size));
+        const users = matches.slice((page - 1) * size, page * size).map(user => ({
+            ...userStorage.toPublicUser(user),
+            lockedUntil: loginAttemptStorage.getRecord(user.email).lockedUntil
+        }));
+
+        // Los enlaces conservan búsqueda, filtros y orden
+        const link = target => {
+            const params = new URLSearchParams();
+            ['q', 'status', 'role'].forEach(key => {
+                if (query[key]) params.set(key, query[key]);
+            });
+            params.set('sort', sort);
+            params.set('order', order);
+            params.set('page', target);
+            params.set('pageSize', size);
+            return `${API_ENDPOINTS.USERS.LIST}?${params}`;
+        };
+
+        return {
+            success: true,
+            data: {
+                users,
+                pagination: {
+                    page,
+                    pageSize: size,
+                    total,
+                    pages,
+                    sort,
+                    order,
+                    links: {
+                        self: link(page),
+                        first: link(1),
+                        prev: page > 1 ? link(Math.min(page - 1, pages)) : null,
+                        next: page < pages ? link(page + 1) : null,
+                        last: link(pages)
+                    }
+                }
+            }
+        };
+    }
+
+    async createUser(userData) {
+        const { email, password, credentials, ...profile } = userData;
+
+        if (userStorage.getUserByEmail(email)) {
+            throw new APIError(MESSAGES.ERROR.USER_EXISTS, 409);
+        }
+
+        if (password) {
+            await this.checkPasswordPolicy(password, { name: profile.name, email });
+        }
+
+        // Sin contraseña el usuario existe pero no puede iniciar sesión
+        const newUser = userStorage.createUser({
+            ...profile,
+            email,
+            ...(password ? { credentials: await Password.hash(password), passwordChangedAt: new Date().toISOString() } : {})
+        });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.USER_CREATED,
+            data: { user: userStorage.toPublicUser(newUser) }
+        };
+    }
+
+    /**
+     * Actualiza parcialmente un usuario (PUT y PATCH aplican solo los campos enviados).
+     * Con If-Match, o con version en el cuerpo, la escritura solo se aplica si el registro no cambió
+     * desde que el cliente lo leyó: 412 si no coincide el ETag, 409 si no coincide la versión.
+     * Ambas respuestas incluyen el registro actual para resolver el conflicto.
+     * @param {number} id - ID del usuario
+     * @param {Object} updates - Campos a cambiar (password opcional)
+     * @param {Object} context - Contexto de la petición (headers)
+     * @returns {Promise<Object>} { user, etag }
+     */
+    async updateUser(id, updates, context = {}) {
+        const body = updates || {};
+        // Las credenciales, la 2FA y los metadatos del registro nunca se reciben desde el cliente
+        const changes = Object.fromEntries(Object.entries(body)
+            .filter(([field]) => field !== 'password' && !READONLY_USER_FIELDS.includes(field)));
+        const { password } = body;
+        const user = userStorage.getUserById(id);
+
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        }
+
+        this.authorizeUserChanges(user, changes, context.claims);
+        this.validateUserChanges(id, changes);
+
+        let policy = null;
+        if (password) {
+            policy = await this.checkPasswordPolicy(password, { ...user, ...changes });
+        }
+
+        // La precondición se evalúa con el registro vigente justo antes de escribir
+        const current = userStorage.getUserById(id);
+        const etag = userETag(current);
+        const ifMatch = readHeader(context.options, 'If-Match');
+        if (ifMatch && !matchesETag(ifMatch, etag)) {
+            throw new APIError(MESSAGES.ERROR.USER_CONFLICT, 412, {
+                reason: 'precondition_failed', current: userStorage.toPublicUser(current), etag
+            });
+        }
+        if (!ifMatch && body.version !== undefined && Number(body.version) !== (current.version || 1)) {
+            throw new APIError(MESSAGES.ERROR.USER_CONFLICT, 409, {
+                reason: 'version_conflict', current: userStorage.toPublicUser(current), etag
+            });
+        }
+
+        let updatedUser = userStorage.updateUser(id, changes);
+        if (password) {
+            updatedUser = await userStorage.setPassword(id, password, policy.historySize);
+        }
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.USER_UPDATED,
+            data: { user: userStorage.toPublicUser(updatedUser), etag: userETag(updatedUser) }
+        };
+    }
+
+    /**
+     * Verifica que quien edita pueda modificar al usuario y, si cambian, su rol y su estado.
+     * El rol y el estado exigen users:manage_roles y nunca se cambian en la propia cuenta.
+     * @param {Object} user - Usuario almacenado
+     * @param {Object} changes - Campos enviados
+     * @param {Object} claims - Claims del token
+     */
+    authorizeUserChanges(user, changes, claims) {
+        const actor = claims ? userStorage.getUserById(claims.sub) : null;
+        if (!actor) {
+            throw new APIError(MESSAGES.ERROR.PERMISSION_DENIED, 403);
+        }
+        if (!Permissions.canEditUser(actor, user)) {
+            throw new APIError(MESSAGES.ERROR.USER_OUTRANKS, 403, { reason: 'outranked' });
+        }
+
+        // El formulario de edición reenvía el rol y el estado aunque no cambien
+        const accessChanged = ['role', 'status']
+            .some(field => changes[field] !== undefined && changes[field] !== user[field]);
+        if (!accessChanged) return;
+
+        if (actor.id === user.id) {
+            throw new APIError(MESSAGES.ERROR.OWN_ACCESS_CHANGE, 403, { reason: 'own_account' });
+        }
+        if (!Permissions.canChangeAccess(actor, user)) {
+            throw new APIError(MESSAGES.ERROR.ACCESS_CHANGE_DENIED, 403, { permission: PERMISSIONS.USERS_MANAGE_ROLES });
+        }
+    }
+
+    /**
+     * Valida los campos de perfil que cambian en una actualización
+     * @param {number} id - ID del usuario
+     * @param {Object} changes - Campos enviados
+     */
+    validateUserChanges(id, changes) {
+        if (changes.name !== undefined && !Validation.validateName(changes.name).isValid) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'name' });
+        }
+        if (changes.email !== undefined) {
+            if (!Validation.isValidEmail(changes.email)) {
+                throw new APIError(MESSAGES.ERROR.INVALID_EMAIL, 400, { field: 'email' });
+            }
+            const owner = userStorage.getUserByEmail(changes.email);
+            if (owner && owner.id !== id) {
+                throw new APIError(MESSAGES.ERROR.USER_EXISTS, 409, { field: 'email' });
+            }
+        }
+        if (changes.role !== undefined && !Object.values(USER_ROLES).includes(changes.role)) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'role' });
+        }
+        if (changes.status !== undefined && !Object.values(USER_STATUS).includes(changes.status)) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'status' });
+        }
+    }
+
+    async deleteUser(id, context = {}) {
+        const user = userStorage.getUserById(parseInt(id));
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        }
+
+        // Con If-Match solo se elimina la versión que vio el cliente
+        const etag = userETag(user);
+        const ifMatch = readHeader(context.options, 'If-Match');
+        if (ifMatch && !matchesETag(ifMatch, etag)) {
+            throw new APIError(MESSAGES.ERROR.USER_CONFLICT, 412, {
+                reason: 'precondition_failed', current: userStorage.toPublicUser(user), etag
+            });
+        }
+
+        userStorage.deleteUser(user.id);
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.USER_DELETED
+        };
+    }
+
+    async unlockUser(id, context) {
+        const { claims } = context;
+        const user = userStorage.getUserById(parseInt(id));
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        }
+
+        // Un moderador puede desbloquear usuarios, pero no a alguien de rango superior
+        const actor = userStorage.getUserById(claims.sub);
+        if (!actor || !Permissions.canEditUser(actor, user)) {
+            throw new APIError(MESSAGES.ERROR.USER_OUTRANKS, 403, { reason: 'outranked' });
+        }
+
+        loginAttemptStorage.reset(user.email);
+        userStorage.logUserAction('USER_UNLOCKED', user.id, { unlockedBy: claims.sub });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.ACCOUNT_UNLOCKED,
+            data: { user: userStorage.toPublicUser(user) }
+        };
+    }
+
+    /**
+     * Emite un token con la identidad de otro usuario para el administrador de la sesión
+     * (el claim act conserva quién actúa realmente)
+     */
+    async impersonateUser(id, context) {
+        const { claims } = context;
+        const admin = userStorage.getUserById(claims.sub);
+        const target = userStorage.getUserById(parseInt(id));
+
+        if (!target) {
+            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        }
+
+        // No se suplanta a uno mismo, a cuentas inactivas ni a otros administradores
+        const allowed = !claims.act && admin && target.id !== admin.id && target.status === USER_STATUS.ACTIVE &&
+            !Permissions.can(target.role, PERMISSIONS.USERS_IMPERSONATE);
+        if (!allowed) {
+            throw new APIError(MESSAGES.ERROR.IMPERSONATION_NOT_ALLOWED, 403);
+        }
+
+        const { token, expiresIn } = await this.issueToken(target, claims.sid, admin);
+        userStorage.logUserAction('IMPERSONATION_STARTED', target.id, { impersonatorId: admin.id });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.IMPERSONATION_STARTED,
+            data: {
+                user: userStorage.toPublicUser(target),
+                token,
+                expiresIn
+            }
+        };
+    }
+
+    async stopImpersonation(context) {
+        const { claims } = context;
+
+        if (!claims.act) {
+            throw new APIError(MESSAGES.ERROR.NOT_IMPERSONATING, 400);
+        }
+
+        const admin = userStorage.getUserById(claims.act.sub);
+        if (!admin) {
+            throw new APIError(MESSAGES.ERROR.SESSION_EXPIRED, 401, { reason: 'invalid_token' });
+        }
+
+        const { token, expiresIn } = await this.issueToken(admin, claims.sid);
+        userStorage.logUserAction('IMPERSONATION_ENDED', claims.sub, { impersonatorId: admin.id });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.IMPERSONATION_ENDED,
+            data: {
+                user: userStorage.toPublicUser(admin),
+                token,
+                expiresIn
+            }
+        };
+    }
+
+    /**
+     * Aplica una operación a varios usuarios y devuelve el resultado de cada ID.
+     * En modo 'atomic' primero se validan todos: si alguno falla no se escribe nada (422).
+     * En modo 'best-effort' se aplican los válidos y se informan los que fallaron.
+     * @param {Object} data - { operation, userIds, params, mode }
+     * @param {Object} context - Contexto de la petición
+     * @returns {Promise<Object>} { operation, mode, results, summary, export }
+     */
+    async bulkUserOperation(data, context) {
+        // versions (opcional): { id: versión } que esperaba el cliente; los usuarios modificados después fallan con 412
+        const { operation, userIds, params = {}, mode = 'best-effort', versions = null } = data || {};
+        const action = this.createBulkAction(operation, params);
+
+        if (!['atomic', 'best-effort'].includes(mode)) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'mode' });
+        }
+        if (!Array.isArray(userIds) || userIds.length === 0) {
+            throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'userIds' });
+        }
+
+        const actorId = context.claims.sub;
+        const actor = userStorage.getUserById(actorId);
+        if (action.changesAccess && !(actor && Permissions.can(actor.role, PERMISSIONS.USERS_MANAGE_ROLES))) {
+            throw new APIError(MESSAGES.ERROR.ACCESS_CHANGE_DENIED, 403, { permission: PERMISSIONS.USERS_MANAGE_ROLES });
+        }
+
+        const planned = [...new Set(userIds.map(Number))].map(id => {
+            const user = userStorage.getUserById(id);
+            if (!user) {
+                return { id, success: false, status: 404, error: MESSAGES.ERROR.USER_NOT_FOUND };
+            }
+            if (!action.allowSelf && id === actorId) {
+                return { id, success: false, status: 403, error: MESSAGES.ERROR.BULK_SELF };
+            }
+            if (!action.readOnly && !(actor && Permissions.canEditUser(actor, user))) {
+                return { id, success: false, status: 403, error: MESSAGES.ERROR.USER_OUTRANKS };
+            }
+            if (versions && versions[id] !== undefined && Number(versions[id]) !== (user.version || 1)) {
+                return {
+                    id, success: false, status: 412, error: MESSAGES.ERROR.USER_CONFLICT,
+                    current: userStorage.toPublicUser(user)
+                };
+            }
+            return { id, success: true, status: 200 };
+        });
+
+        const summarize = results => ({
+            total: results.length,
+            succeeded: results.filter(result => result.success).length,
+            failed: results.filter(result => !result.success).length
+        });
+
+        if (mode === 'atomic' && planned.some(item => !item.success)) {
+            const results = planned.map(item => item.success
+                ? { id: item.id, success: false, status: 424, error: MESSAGES.ERROR.BULK_NOT_APPLIED }
+                : item);
+            throw new APIError(MESSAGES.ERROR.BULK_ABORTED, 422, { operation, mode, results, summary: summarize(results) });
+        }
+
+        // En modo atómico un fallo al escribir restaura los usuarios como estaban
+        const snapshot = userStorage.get(STORAGE_KEYS.USER_DATA, []);
+        let results;
+        try {
+            results = planned.map(item => {
+                if (!item.success) return item;
+                try {
+                    const user = action.apply(item.id);
+                    return user ? { ...item, user: userStorage.toPublicUser(user) } : item;
+                } catch (error) {
+                    if (mode === 'atomic') throw error;
+                    return { id: item.id, success: false, status: 500, error: error.message };
+                }
+            });
+        } catch (error) {
+            userStorage.set(STORAGE_KEYS.USER_DATA, snapshot);
+            throw new APIError(error.message, 500, { operation, mode });
+        }
+        const summary = summarize(results);
+        userStorage.logUserAction('BULK_OPERATION', actorId, { operation, mode, summary });
+
+        const response = { operation, mode, results, summary };
+        if (operation === 'export') {
+            const users = results.filter(result => result.success).map(result => result.user);
+            response.export = {
+                format: action.format,
+                filename: `usuarios-${new Date().toISOString().split('T')[0]}.${action.format}`,
+                recordCount: users.length,
+                content: action.format === 'csv' ? usersToCSV(users) : JSON.stringify(users, null, 2)
+            };
+        }
+
+        return {
+            success: true,
+            message: `${summary.succeeded} de ${summary.total} usuarios procesados`,
+            data: response
+        };
+    }
+
+    /**
+     * Valida una operación masiva y sus parámetros
+     * @param {string} operation - delete, status, role, note, export (activate y deactivate equivalen a status)
+     * @param {Object} params - { status }, { role }, { note } o { format }
+     * @returns {Object} { apply(id), allowSelf, changesAccess, readOnly, format } - apply devuelve el usuario resultante, si lo hay;
+     *                   changesAccess exige users:manage_roles
+     */
+    createBulkAction(operation, params) {
+        const setStatus = status => ({ changesAccess: true, apply: id => userStorage.updateUser(id, { status }) });
+
+        switch (operation) {
+            case 'delete':
+                return {
+                    apply: id => {
+                        userStorage.deleteUser(id);
+                        return null;
+                    }
+                };
+
+            case 'activate':
+                return setStatus(USER_STATUS.ACTIVE);
+
+            case 'deactivate':
+                return setStatus(USER_STATUS.INACTIVE);
+
+            case 'status':
+                if (!Object.values(USER_STATUS).includes(params.status)) {
+                    throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'status' });
+                }
+                return setStatus(params.status);
+
+            case 'role':
+                if (!Object.values(USER_ROLES).includes(params.role)) {
+                    throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'role' });
+                }
+                return { changesAccess: true, apply: id => userStorage.updateUser(id, { role: params.role }) };
+
+            case 'note': {
+                const note = typeof params.note === 'string' ? params.note.trim() : '';
+                if (!note) {
+                    throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'note' });
+                }
+                return {
+                    allowSelf: true,
+                    apply: id => {
+                        const { notes } = userStorage.getUserById(id);
+                        return userStorage.updateUser(id, { notes: notes ? `${notes}\n${note}` : note });
+                    }
+                };
+            }
+
+            case 'export': {
+                const format = params.format || 'json';
+                if (!['json', 'csv'].includes(format)) {
+                    throw new APIError(MESSAGES.ERROR.INVALID_DATA, 400, { field: 'format' });
+                }
+                return { allowSelf: true, readOnly: true, format, apply: id => userStorage.getUserById(id) };
+            }
+
+            default:
+                throw new APIError(MESSAGES.ERROR.BULK_INVALID_OPERATION, 400, { field: 'operation' });
+        }
+    }
+
+    async generateReport(data) {
+        const { type, filters, format } = data;
+
+        // Simular generación de reporte
+        await Time.delay(2000);
+
+        const reportData = {
+            id: Date.now(),
+            type,
+            format,
+            filters,
+            generatedAt: new Date().toISOString(),
+            size: Math.floor(Math.random() * 1000) + 100 // KB
+        };
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.DATA_EXPORTED,
+            data: { report: reportData }
+        };
+    }
+
+    async exportData(data) {
+        const { format, filters } = data;
+
+        let users = userStorage.getUsers();
+
+        // Aplicar filtros
+        if (filters) {
+            users = userStorage.searchUsers('', filters);
+        }
+        users = users.map(user => userStorage.toPublicUser(user));
+
+        const exportData = {
+            format,
+            recordCount: users.length,
+            generatedAt: new Date().toISOString(),
+            data: users
+        };
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.DATA_EXPORTED,
+            data: exportData
+        };
+    }
+
+    async getReports() {
+        // Simular lista de reportes generados
         const reports = [
             {
                 id: 1,
@@ -418,154 +1847,1277 @@ export class API {
                 generatedAt: '2024-03-14T15:45:00Z',
                 size: '156 KB'
             }
-        ];
+        ];
+
+        return {
+            success: true,
+            data: { reports }
+        };
+    }
+
+    async getSystemMetrics() {
+        const users = userStorage.getUsers();
+        const stats = userStorage.getUserStats();
+
+        return {
+            success: true,
+            data: {
+                uptime: Math.floor(Math.random() * 100000),
+                responseTime: Math.floor(Math.random() * 100) + 50,
+                activeUsers: stats.active,
+                totalUsers: stats.total,
+                memoryUsage: Math.floor(Math.random() * 80) + 20,
+                cpuUsage: Math.floor(Math.random() * 60) + 10
+            }
+        };
+    }
+
+    async getUserMetrics() {
+        const stats = userStorage.getUserStats();
+
+        return {
+            success: true,
+            data: {
+                ...stats,
+                growthRate: Math.floor(Math.random() * 20) + 5,
+                retention: Math.floor(Math.random() * 30) + 70,
+                satisfaction: Math.floor(Math.random() * 20) + 80
+            }
+        };
+    }
+
+    async getPerformanceMetrics() {
+        return {
+            success: true,
+            data: {
+                loadTime: Math.floor(Math.random() * 500) + 100,
+                renderTime: Math.floor(Math.random() * 200) + 50,
+                networkTime: Math.floor(Math.random() * 300) + 100,
+                errorRate: Math.random() * 2
+            }
+        };
+    }
+
+    async getPasswordPolicy() {
+        return {
+            success: true,
+            data: { policy: settingsStorage.getPasswordPolicy() }
+        };
+    }
+
+    async updatePasswordPolicy(data, context) {
+        const input = data || {};
+        const errors = [];
+        const changes = {};
+
+        // Campos numéricos con sus rangos admitidos
+        const ranges = {
+            minLength: [4, 128],
+            minScore: [0, 4],
+            historySize: [0, 24],
+            maxAgeDays: [0, 3650]
+        };
+        Object.entries(ranges).forEach(([field, [min, max]]) => {
+            if (input[field] === undefined) return;
+            const value = Number(input[field]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${field} debe ser un entero entre ${min} y ${max}`);
+            } else {
+                changes[field] = value;
+            }
+        });
+
+        ['requireUppercase', 'requireLowercase', 'requireNumbers', 'requireSymbols'].forEach(field => {
+            if (input[field] !== undefined) {
+                changes[field] = Boolean(input[field]);
+            }
+        });
+
+        if (input.bannedWords !== undefined) {
+            if (!Array.isArray(input.bannedWords)) {
+                errors.push('bannedWords debe ser una lista');
+            } else {
+                changes.bannedWords = [...new Set(input.bannedWords
+                    .map(word => String(word).trim().toLowerCase())
+                    .filter(word => word.length >= 3))];
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new APIError(errors[0], 400, { errors });
+        }
+
+        const policy = settingsStorage.updatePasswordPolicy(changes);
+        userStorage.logUserAction('PASSWORD_POLICY_UPDATED', context.claims.sub, changes);
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.SETTINGS_SAVED,
+            data: { policy }
+        };
+    }
+
+    /**
+     * Datos de una sesión que se exponen al cliente
+     * @param {Object} session - Sesión registrada
+     * @param {Object} claims - Claims del token de quien consulta
+     * @returns {Object} Sesión pública
+     */
+    toPublicSession(session, claims) {
+        const { id, userId, userAgent, createdAt, lastActivity } = session;
+        return { id, userId, userAgent, createdAt, lastActivity, current: id === claims.sid };
+    }
+
+    async getOwnSessions(context) {
+        const { claims } = context;
+        const sessions = sessionRegistryStorage.getActiveSessions(claims.sub)
+            .map(session => this.toPublicSession(session, claims));
+
+        return {
+            success: true,
+            data: { sessions }
+        };
+    }
+
+    async revokeOwnSession(sessionId, context) {
+        const { claims } = context;
+        const session = sessionRegistryStorage.getSession(sessionId);
+
+        // Las sesiones de otros usuarios se tratan como inexistentes
+        if (!session || session.userId !== claims.sub || !sessionRegistryStorage.revoke(sessionId, claims.sub)) {
+            throw new APIError(MESSAGES.ERROR.SESSION_NOT_FOUND, 404);
+        }
+
+        userStorage.logUserAction('SESSION_REVOKED', claims.sub, { sessionId, revokedBy: claims.sub });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.SESSION_REVOKED
+        };
+    }
+
+    async revokeOtherSessions(context) {
+        const { claims } = context;
+        const revoked = sessionRegistryStorage.revokeForUser(claims.sub, claims.sub, claims.sid);
+        userStorage.logUserAction('SESSIONS_REVOKED', claims.sub, { revoked, revokedBy: claims.sub });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.SESSIONS_REVOKED,
+            data: { revoked }
+        };
+    }
+
+    async getAllSessions(context) {
+        const { claims } = context;
+        const sessions = sessionRegistryStorage.getActiveSessions().map(session => {
+            const user = userStorage.getUserById(session.userId);
+            return {
+                ...this.toPublicSession(session, claims),
+                user: user ? { id: user.id, name: user.name, email: user.email, role: user.role } : null
+            };
+        });
+
+        return {
+            success: true,
+            data: { sessions }
+        };
+    }
+
+    async revokeSession(sessionId, context) {
+        const { claims } = context;
+        const session = sessionRegistryStorage.getSession(sessionId);
+
+        if (!session || !sessionRegistryStorage.revoke(sessionId, claims.sub)) {
+            throw new APIError(MESSAGES.ERROR.SESSION_NOT_FOUND, 404);
+        }
+
+        userStorage.logUserAction('SESSION_REVOKED', session.userId, { sessionId, revokedBy: claims.sub });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.SESSION_REVOKED
+        };
+    }
+
+    async revokeUserSessions(id, context) {
+        const { claims } = context;
+        const user = userStorage.getUserById(id);
+        if (!user) {
+            throw new APIError(MESSAGES.ERROR.USER_NOT_FOUND, 404);
+        }
+
+        const revoked = sessionRegistryStorage.revokeForUser(user.id, claims.sub);
+        userStorage.logUserAction('SESSIONS_REVOKED', user.id, { revoked, revokedBy: claims.sub });
+
+        return {
+            success: true,
+            message: MESSAGES.SUCCESS.SESSIONS_REVOKED,
+            data: { revoked }
+        };
+    }
+
+    /**
+     * Consulta el registro de auditoría de autenticación
+     * @param {Object} query - Filtros: type, email, flagged, since, limit
+     */
+    async getAuthAudit(query) {
+        const limit = Math.min(Number(query.limit) || 100, APP_CONFIG.auth.audit.maxEntries);
+        const events = authAuditStorage.query({
+            type: query.type || null,
+            email: query.email || null,
+            flagged: query.flagged === 'true',
+            since: query.since || null
+        });
+
+        return {
+            success: true,
+            data: {
+                events: events.slice(0, limit),
+                total: events.length,
+                unreviewed: authAuditStorage.getUnreviewedCount()
+            }
+        };
+    }
+
+    async reviewAuthAlerts(context) {
+        const reviewed = authAuditStorage.markReviewed(context.claims.sub);
 
         return {
             success: true,
-            data: { reports }
+            message: MESSAGES.SUCCESS.AUDIT_REVIEWED,
+            data: { reviewed }
+        };
+    }
+
+    /**
+     * Utilidades
+     */
+    createLockoutError(remainingMs) {
+        const retryAfter = Math.ceil(remainingMs / 1000);
+        const minutes = Math.ceil(retryAfter / 60);
+
+        return new APIError(
+            `${MESSAGES.ERROR.ACCOUNT_LOCKED}. Intente nuevamente en ${minutes} minuto${minutes > 1 ? 's' : ''}`,
+            423,
+            {
+                retryAfter,
+                lockedUntil: new Date(Date.now() + remainingMs).toISOString()
+            }
+        );
+    }
+}
+
+/**
+ * Clase de error de API
+ */
+export class APIError extends Error {
+    constructor(message, status = 500, data = null) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * Transporte que atiende las peticiones con el simulador en el navegador
+ */
+export class MockTransport {
+    /**
+     * @param {API} api - Simulador que procesa las peticiones
+     */
+    constructor(api) {
+        this.api = api;
+    }
+
+    async request(method, endpoint, data = null, options = {}) {
+        return this.api.request(method, endpoint, data, options);
+    }
+}
+
+/**
+ * Transporte que envía las peticiones a un backend REST con fetch.
+ * El backend responde con el mismo formato que el simulador: { success, message, data },
+ * y en los errores usa el código HTTP con { message, data }.
+ */
+export class FetchTransport {
+    /**
+     * @param {Object} config - { baseURL, credentials } (APP_CONFIG.api)
+     */
+    constructor({ baseURL = '', credentials = 'same-origin' } = {}) {
+        this.baseURL = baseURL.replace(/\/$/, '');
+        this.credentials = credentials;
+    }
+
+    async request(method, endpoint, data = null, options = {}) {
+        const headers = { Accept: 'application/json', ...(options.headers || {}) };
+        const init = { method, headers, credentials: this.credentials, signal: options.signal };
+
+        if (data !== null && data !== undefined && method !== 'GET') {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(data);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseURL}${endpoint}`, init);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw cancelledError();
+            }
+            throw new APIError(MESSAGES.ERROR.NETWORK_ERROR, 0, { reason: 'network' });
+        }
+
+        const body = await this.parseBody(response);
+        if (!response.ok) {
+            throw new APIError(
+                (body && body.message) || response.statusText || MESSAGES.ERROR.NETWORK_ERROR,
+                response.status,
+                body && body.data !== undefined ? body.data : null
+            );
+        }
+        return body;
+    }
+
+    /**
+     * Lee el cuerpo JSON de la respuesta (vacío en 204 o si el backend no envía JSON)
+     * @param {Response} response - Respuesta de fetch
+     * @returns {Promise<Object|null>} Cuerpo decodificado
+     */
+    async parseBody(response) {
+        const type = response.headers.get('Content-Type') || '';
+        if (response.status === 204 || !type.includes('application/json')) {
+            return null;
+        }
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Transportes disponibles en APP_CONFIG.api.transport
+const TRANSPORTS = {
+    mock: () => new MockTransport(api),
+    fetch: config => new FetchTransport(config)
+};
+
+let activeTransport = null;
+
+/**
+ * Crea un transporte a partir de la configuración
+ * @param {Object} config - { transport, baseURL, credentials }
+ * @returns {Object} Transporte con request(method, endpoint, data, options)
+ */
+export function createTransport(config = APP_CONFIG.api) {
+    const factory = TRANSPORTS[config.transport];
+    if (!factory) {
+        throw new Error(`Transporte de API desconocido: ${config.transport}`);
+    }
+    return factory(config);
+}
+
+/**
+ * Obtiene el transporte compartido por los servicios (se crea con APP_CONFIG.api la primera vez)
+ * @returns {Object} Transporte activo
+ */
+export function getTransport() {
+    if (!activeTransport) {
+        activeTransport = createTransport();
+    }
+    return activeTransport;
+}
+
+/**
+ * Reemplaza el transporte de los servicios (p. ej. un backend de pruebas de integración)
+ * @param {Object} transport - Objeto con request(method, endpoint, data, options)
+ */
+export function setTransport(transport) {
+    activeTransport = transport;
+}
+
+/**
+ * Lista ordenada de interceptores del cliente HTTP.
+ * Cada interceptor recibe el valor del anterior: la configuración de la petición en la cadena
+ * de peticiones y la respuesta (o el error) en la cadena de respuestas.
+ */
+export class InterceptorChain {
+    constructor() {
+        this.handlers = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Registra un interceptor al final de la cadena, o antes de otro con options.before
+     * @param {Function|null} fulfilled - (valor, config) => valor, puede ser async
+     * @param {Function|null} rejected - (error, config) => valor para recuperarse, o lanza el error
+     * @param {Object} options - { name, before } (before: nombre del interceptor que debe ir después)
+     * @returns {number} Id para quitarlo con eject
+     */
+    use(fulfilled, rejected = null, { name = null, before = null } = {}) {
+        const handler = { id: this.nextId++, name, fulfilled, rejected };
+        const index = before ? this.handlers.findIndex(item => item.name === before) : -1;
+
+        if (index === -1) {
+            this.handlers.push(handler);
+        } else {
+            this.handlers.splice(index, 0, handler);
+        }
+        return handler.id;
+    }
+
+    /**
+     * Quita un interceptor
+     * @param {number|string} idOrName - Id devuelto por use o nombre del interceptor
+     * @returns {boolean} True si estaba registrado
+     */
+    eject(idOrName) {
+        const index = this.handlers.findIndex(item => item.id === idOrName || item.name === idOrName);
+        if (index === -1) return false;
+
+        this.handlers.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Nombres de los interceptores en orden de ejecución
+     * @returns {Array<string|null>} Nombres
+     */
+    names() {
+        return this.handlers.map(item => item.name);
+    }
+
+    /**
+     * Encadena los interceptores sobre una promesa
+     * @param {Promise} promise - Valor inicial
+     * @param {Object} config - Configuración de la petición, segundo argumento de cada interceptor
+     * @returns {Promise} Valor final
+     */
+    run(promise, config) {
+        return this.handlers.reduce((current, handler) => current.then(
+            handler.fulfilled ? value => handler.fulfilled(value, config) : undefined,
+            handler.rejected ? error => handler.rejected(error, config) : undefined
+        ), promise);
+    }
+}
+
+// Peticiones que conserva requestMetrics
+const REQUEST_METRICS_LIMIT = 200;
+
+/**
+ * Métricas de las últimas peticiones del cliente, registradas por el interceptor 'metrics'
+ */
+export const requestMetrics = {
+    entries: [],
+
+    /**
+     * @param {Object} entry - { method, endpoint, ok, status (solo en errores), duration }
+     */
+    record(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > REQUEST_METRICS_LIMIT) {
+            this.entries.shift();
+        }
+    },
+
+    /**
+     * Resume las peticiones registradas
+     * @returns {Object} { requests, errors, errorRate (%), averageTime, p95Time (ms) }
+     */
+    getSummary() {
+        const durations = this.entries.map(entry => entry.duration).sort((a, b) => a - b);
+        const errors = this.entries.filter(entry => !entry.ok).length;
+        const total = this.entries.length;
+
+        return {
+            requests: total,
+            errors,
+            errorRate: total ? Math.round(errors / total * 1000) / 10 : 0,
+            averageTime: total ? Math.round(durations.reduce((sum, value) => sum + value, 0) / total) : 0,
+            p95Time: total ? Math.round(durations[Math.min(total - 1, Math.floor(total * 0.95))]) : 0
         };
+    },
+
+    reset() {
+        this.entries = [];
+    }
+};
+
+/**
+ * Reemplaza los emails de un valor por una versión enmascarada (a***@dominio.com)
+ * @param {any} value - Texto, objeto o arreglo
+ * @returns {any} Copia con los emails enmascarados
+ */
+export function redactEmails(value) {
+    if (typeof value === 'string') {
+        return value.replace(/([\w.+-])[\w.+-]*@([\w-]+(?:\.[\w-]+)+)/g, '$1***@$2');
+    }
+    if (Array.isArray(value)) {
+        return value.map(redactEmails);
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactEmails(item)]));
+    }
+    return value;
+}
+
+/**
+ * Interceptores incluidos. Los de petición reciben la configuración
+ * { method, endpoint, data, headers, options, meta } y deben devolverla;
+ * meta se comparte entre los reintentos de la misma petición (meta.attempt empieza en 0).
+ */
+export const Interceptors = {
+    /**
+     * Petición: adjunta el token de la sesión actual como header Authorization
+     */
+    auth(config) {
+        const token = sessionStorage.getToken();
+        if (token && !config.headers.Authorization) {
+            config.headers.Authorization = `Bearer ${token}`;
+        }
+        return config;
+    },
+
+    /**
+     * Petición: identifica la petición con X-Correlation-ID; los reintentos conservan el mismo id
+     */
+    correlationId(config) {
+        if (!config.meta.correlationId) {
+            config.meta.correlationId = config.headers['X-Correlation-ID'] || Encoding.toBase64Url(Random.bytes(9));
+        }
+        config.headers['X-Correlation-ID'] = config.meta.correlationId;
+        return config;
+    },
+
+    /**
+     * Petición: marca el inicio del intento para el interceptor de respuesta 'metrics'
+     */
+    startTimer(config) {
+        config.meta.startedAt = performance.now();
+        return config;
+    },
+
+    /**
+     * Respuesta: registra la duración y el resultado del intento en requestMetrics
+     */
+    recordTiming: {
+        fulfilled(response, config) {
+            recordAttempt(config, null);
+            return response;
+        },
+        rejected(error, config) {
+            recordAttempt(config, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Petición: registra la petición en la consola. Los datos pasan antes por las funciones
+     * de meta.redact, que agregan los interceptores registrados antes de 'logging'.
+     */
+    logRequest(config) {
+        if (DEV_CONFIG.enableLogs) {
+            const retry = config.meta.attempt > 0 ? ` (reintento ${config.meta.attempt})` : '';
+            console.log(`🌐 API Request ${config.meta.correlationId}${retry}: ${config.method} ${config.endpoint}`,
+                redactForLog(config.data, config));
+        }
+        return config;
+    },
+
+    /**
+     * Respuesta: registra la respuesta o el error en la consola
+     */
+    logResponse: {
+        fulfilled(response, config) {
+            if (DEV_CONFIG.enableLogs) {
+                console.log(`✅ API Response ${config.meta.correlationId}:`, redactForLog(response, config));
+            }
+            return response;
+        },
+        rejected(error, config) {
+            if (DEV_CONFIG.enableLogs) {
+                console.error(`❌ API Error ${config.meta.correlationId}:`, error.status, error.message,
+                    redactForLog(error.data, config));
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Respuesta: convierte cualquier error que no sea APIError (fallos del transporte o de
+     * otros interceptores) en un APIError, para que reintentos y pantallas lean siempre status y data
+     */
+    normalizeError(error) {
+        if (error instanceof APIError) {
+            throw error;
+        }
+        throw new APIError(MESSAGES.ERROR.UNEXPECTED, 500, {
+            reason: 'unexpected',
+            cause: error && error.message ? error.message : String(error)
+        });
+    },
+
+    /**
+     * Petición (opcional): enmascara los emails en los registros de 'logging'.
+     * Se instala con interceptors.request.use(Interceptors.redactEmails, null, { name: 'redact-emails', before: 'logging' })
+     */
+    redactEmails(config) {
+        config.meta.redact = [...(config.meta.redact || []), redactEmails];
+        return config;
+    }
+};
+
+/**
+ * Guarda en requestMetrics la duración de un intento
+ * @param {Object} config - Configuración de la petición
+ * @param {APIError|null} error - Error del intento, o null si tuvo éxito
+ */
+function recordAttempt(config, error) {
+    requestMetrics.record({
+        method: config.method,
+        endpoint: config.endpoint.split('?')[0],
+        ok: !error,
+        status: error ? error.status : null,
+        duration: config.meta.startedAt !== undefined ? performance.now() - config.meta.startedAt : 0
+    });
+}
+
+/**
+ * Aplica las funciones de redacción de la petición a un valor que se va a registrar
+ * @param {any} value - Datos a registrar
+ * @param {Object} config - Configuración de la petición
+ * @returns {any} Valor redactado
+ */
+function redactForLog(value, config) {
+    return (config.meta.redact || []).reduce((current, redact) => redact(current), value);
+}
+
+/**
+ * Interceptores compartidos por todos los HTTPClient, en orden de ejecución.
+ * Los de respuesta corren después de cada intento, incluidos los timeouts y cancelaciones.
+ */
+export const interceptors = {
+    request: new InterceptorChain(),
+    response: new InterceptorChain()
+};
+
+interceptors.request.use(Interceptors.auth, null, { name: 'auth' });
+interceptors.request.use(Interceptors.correlationId, null, { name: 'correlation-id' });
+interceptors.request.use(Interceptors.startTimer, null, { name: 'metrics' });
+interceptors.request.use(Interceptors.logRequest, null, { name: 'logging' });
+
+interceptors.response.use(null, Interceptors.normalizeError, { name: 'normalize-error' });
+interceptors.response.use(Interceptors.recordTiming.fulfilled, Interceptors.recordTiming.rejected, { name: 'metrics' });
+interceptors.response.use(Interceptors.logResponse.fulfilled, Interceptors.logResponse.rejected, { name: 'logging' });
+
+// Las escrituras hechas en otra pestaña también dejan viejas las respuestas guardadas en esta
+tabSync.subscribe(SYNC_EVENTS.CACHE_INVALIDATED, ({ endpoint }) => responseCache.invalidate(endpoint));
+
+/**
+ * Cliente HTTP simplificado
+ */
+export class HTTPClient {
+    /**
+     * @param {Object} transport - Transporte a usar (por defecto el activo al enviar cada petición)
+     * @param {Object} chains - { request, response } (por defecto los interceptores compartidos)
+     * @param {ResponseCache} cache - Caché de respuestas GET (por defecto la compartida)
+     */
+    constructor(transport = null, chains = interceptors, cache = responseCache) {
+        this.transport = transport;
+        this.interceptors = chains;
+        this.cache = cache;
+    }
+
+    async get(endpoint, options = {}) {
+        return this.send('GET', endpoint, null, options);
+    }
+
+    async post(endpoint, data, options = {}) {
+        return this.send('POST', endpoint, data, options);
+    }
+
+    async put(endpoint, data, options = {}) {
+        return this.send('PUT', endpoint, data, options);
+    }
+
+    async delete(endpoint, options = {}) {
+        return this.send('DELETE', endpoint, null, options);
     }
 
-    async getSystemMetrics() {
-        const users = userStorage.getUsers();
-        const stats = userStorage.getUserStats();
+    async patch(endpoint, data, options = {}) {
+        return this.send('PATCH', endpoint, data, options);
+    }
 
-        return {
-            success: true,
-            data: {
-                uptime: Math.floor(Math.random() * 100000),
-                responseTime: Math.floor(Math.random() * 100) + 50,
-                activeUsers: stats.active,
-                totalUsers: stats.total,
-                memoryUsage: Math.floor(Math.random() * 80) + 20,
-                cpuUsage: Math.floor(Math.random() * 60) + 10
-            }
-        };
+    /**
+     * Envía la petición. Los GET con regla en APP_CONFIG.api.cache se sirven desde la caché;
+     * las escrituras exitosas descartan las respuestas que invalidan.
+     * @param {string} method - Método HTTP
+     * @param {string} endpoint - Endpoint
+     * @param {Object} data - Datos
+     * @param {Object} options - Opciones de execute(), más cache (false para ignorar la caché)
+     * @returns {Promise<Object>} Respuesta
+     */
+    async send(method, endpoint, data, options = {}) {
+        const { cache = true, ...requestOptions } = options;
+
+        if (method === 'GET' && cache !== false) {
+            // La clave es la sesión y el usuario (cambia al suplantar), no el token, que se renueva
+            const user = sessionStorage.getCurrentUser();
+            const key = `${sessionStorage.getSessionId() || ''}:${user ? user.id : ''} ${endpoint}`;
+            return this.cache.fetch(key, endpoint, background => this.execute(method, endpoint, data,
+                background ? { ...requestOptions, signal: null } : requestOptions));
+        }
+
+        const response = await this.execute(method, endpoint, data, requestOptions);
+        if (method !== 'GET' && this.cache.rulesInvalidatedBy(endpoint).length > 0) {
+            this.cache.invalidate(endpoint);
+            tabSync.publish(SYNC_EVENTS.CACHE_INVALIDATED, { endpoint });
+        }
+        return response;
     }
 
-    async getUserMetrics() {
-        const stats = userStorage.getUserStats();
+    /**
+     * Envía la petición por los interceptores, reintenta los fallos transitorios y avisa a la aplicación
+     * si la sesión fue revocada
+     * @param {string} method - Método HTTP
+     * @param {string} endpoint - Endpoint
+     * @param {Object} data - Datos
+     * @param {Object} options - Opciones de la petición, más:
+     *   timeout (ms por intento), signal (AbortSignal para cancelarla) y
+     *   retry (false o cambios sobre APP_CONFIG.api.retry)
+     * @returns {Promise<Object>} Respuesta
+     */
+    async execute(method, endpoint, data, options = {}) {
+        const { timeout = APP_CONFIG.api.timeout, signal = null, retry = {}, headers = {}, ...requestOptions } = options;
+        const policy = { ...APP_CONFIG.api.retry, ...(retry || {}) };
+        const retries = retry === false || !policy.methods.includes(method) ? 0 : policy.attempts;
+        const meta = { attempt: 0 };
+
+        for (let attempt = 0; ; attempt++) {
+            meta.attempt = attempt;
+            const config = { method, endpoint, data, headers: { ...headers }, options: { ...requestOptions }, meta };
+
+            try {
+                return await this.attempt(config, { timeout, signal });
+            } catch (error) {
+                if (error.data && error.data.reason === 'session_revoked') {
+                    Events.emit('auth:session-revoked', { endpoint });
+                }
 
-        return {
-            success: true,
-            data: {
-                ...stats,
-                growthRate: Math.floor(Math.random() * 20) + 5,
-                retention: Math.floor(Math.random() * 30) + 70,
-                satisfaction: Math.floor(Math.random() * 20) + 80
+                const reason = error.data && error.data.reason;
+                if (attempt >= retries || reason === 'aborted' || !policy.statuses.includes(error.status)) {
+                    throw error;
+                }
+
+                // Backoff exponencial con jitter para no reintentar todos a la vez
+                const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+                await abortableDelay(backoff * (0.5 + Math.random() / 2), signal);
             }
-        };
+        }
     }
 
-    async getPerformanceMetrics() {
-        return {
-            success: true,
-            data: {
-                loadTime: Math.floor(Math.random() * 500) + 100,
-                renderTime: Math.floor(Math.random() * 200) + 50,
-                networkTime: Math.floor(Math.random() * 300) + 100,
-                cacheHitRate: Math.floor(Math.random() * 20) + 80,
-                errorRate: Math.random() * 2
-            }
-        };
+    /**
+     * Un intento de la petición: interceptores de petición, transporte e interceptores de respuesta
+     * @param {Object} config - { method, endpoint, data, headers, options, meta }
+     * @param {Object} limits - { timeout, signal }
+     * @returns {Promise<Object>} Respuesta
+     */
+    async attempt(config, limits) {
+        let response;
+        try {
+            config = await this.interceptors.request.run(Promise.resolve(config));
+            response = this.dispatch(config, limits);
+        } catch (error) {
+            // Un interceptor de petición falló: el error también pasa por los de respuesta
+            response = Promise.reject(error);
+        }
+        return this.interceptors.response.run(response, config);
     }
 
     /**
-     * Utilidades
+     * Envía la petición al transporte, cancelada si vence el timeout o si se aborta la señal del llamador
+     * @param {Object} config - Configuración ya procesada por los interceptores
+     * @param {Object} limits - { timeout, signal }
+     * @returns {Promise<Object>} Respuesta del transporte
      */
-    extractIdFromEndpoint(endpoint) {
-        const matches = endpoint.match(/\/(\d+)(?:\/|$)/);
-        return matches ? parseInt(matches[1]) : null;
+    dispatch({ method, endpoint, data, headers, options }, { timeout, signal }) {
+        if (signal && signal.aborted) {
+            return Promise.reject(cancelledError());
+        }
+
+        const controller = new AbortController();
+        const transport = this.transport || getTransport();
+        const request = transport.request(method, endpoint, data, { ...options, headers, signal: controller.signal });
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                controller.abort();
+                reject(cancelledError());
+            };
+            const timer = timeout > 0 ? setTimeout(() => {
+                controller.abort();
+                reject(new APIError(MESSAGES.ERROR.TIMEOUT, 0, { reason: 'timeout' }));
+            }, timeout) : null;
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            // Si ya venció el timeout o se canceló, la respuesta tardía se descarta
+            request.then(resolve, reject).finally(() => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            });
+        });
     }
 }
 
 /**
- * Clase de error de API
+ * Error de una petición cancelada por el llamador
+ * @returns {APIError} Error con reason 'aborted'
  */
-export class APIError extends Error {
-    constructor(message, status = 500, data = null) {
-        super(message);
-        this.name = 'APIError';
-        this.status = status;
-        this.data = data;
-    }
+function cancelledError() {
+    return new APIError(MESSAGES.ERROR.REQUEST_CANCELLED, 0, { reason: 'aborted' });
 }
 
 /**
- * Cliente HTTP simplificado
+ * Espera entre reintentos; se interrumpe si se cancela la petición
+ * @param {number} ms - Milisegundos
+ * @param {AbortSignal|null} signal - Señal del llamador
+ * @returns {Promise<void>} Promesa que se rechaza con cancelledError() al abortar
  */
-export class HTTPClient {
-    constructor(api) {
-        this.api = api || new API();
-    }
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelledError());
+            return;
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelledError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-    async get(endpoint, options = {}) {
-        return this.api.request('GET', endpoint, null, options);
+/**
+ * Guarda la sesión local con la respuesta de un login completado.
+ * Si quedan pasos pendientes (2FA, contraseña vencida) la respuesta trae un desafío en lugar del token.
+ * @param {Object} response - Respuesta de la API
+ * @returns {Object} La misma respuesta
+ */
+function storeSession(response) {
+    if (response.data && response.data.token) {
+        sessionStorage.setCurrentUser(response.data.user, response.data.sessionId);
+        sessionStorage.setToken(response.data.token, response.data.expiresIn);
     }
+    return response;
+}
 
-    async post(endpoint, data, options = {}) {
-        return this.api.request('POST', endpoint, data, options);
-    }
+function ifMatch(version) {
+    return version !== null && version !== undefined ? { 'If-Match': `"${version}"` } : {};
+}
 
-    async put(endpoint, data, options = {}) {
-        return this.api.request('PUT', endpoint, data, options);
+/**
+ * Peticiones de los cambios de usuarios que pueden quedar en la cola sin conexión.
+ * Las operaciones masivas envían las versiones esperadas solo desde la cola, donde el
+ * cambio se decidió con datos que pueden haber quedado viejos.
+ */
+const USER_MUTATIONS = {
+    create: ({ data }) => ({ method: 'POST', endpoint: API_ENDPOINTS.USERS.CREATE, data }),
+    update: ({ id, data, version }) => ({
+        method: 'PUT', endpoint: API_ENDPOINTS.USERS.UPDATE.replace(':id', id), data, headers: ifMatch(version)
+    }),
+    patch: ({ id, data, version }) => ({
+        method: 'PATCH', endpoint: API_ENDPOINTS.USERS.UPDATE.replace(':id', id), data, headers: ifMatch(version)
+    }),
+    delete: ({ id, version }) => ({
+        method: 'DELETE', endpoint: API_ENDPOINTS.USERS.DELETE.replace(':id', id), data: null, headers: ifMatch(version)
+    }),
+    bulk: ({ data, versions }, replay) => ({
+        method: 'POST', endpoint: API_ENDPOINTS.USERS.BULK, data: replay && versions ? { ...data, versions } : data
+    })
+};
+
+function requestUserMutation(type, payload, replay = false) {
+    const { method, endpoint, data, headers = {} } = USER_MUTATIONS[type](payload, replay);
+    const client = new HTTPClient();
+    return client.send(method, endpoint, data, { headers });
+}
+
+/**
+ * Indica si la petición no llegó al servidor porque no hay red.
+ * Las respuestas del servidor (incluido 503) se muestran como error; los timeouts tampoco cuentan,
+ * porque el servidor pudo haber aplicado el cambio.
+ * @param {APIError} error - Error de la petición
+ * @returns {boolean} True si el cambio se puede encolar y reenviar
+ */
+function isUnreachable(error) {
+    return (error.status === 0 && !!error.data && error.data.reason === 'network') || !networkStatus.isOnline();
+}
+
+function currentUserId() {
+    const user = sessionStorage.getCurrentUser();
+    return user ? user.id : null;
+}
+
+/**
+ * Envía un cambio de usuarios o, sin conexión, lo guarda en la cola de cambios pendientes
+ * @param {string} type - Clave de USER_MUTATIONS
+ * @param {Object} payload - { id, data, version, versions }
+ * @param {string} label - Descripción para la lista de cambios pendientes
+ * @returns {Promise<Object>} Respuesta de la API, o { success, queued: true, message, data: { pending } }
+ */
+async function sendUserMutation(type, payload, label) {
+    if (networkStatus.isOnline()) {
+        try {
+            return await requestUserMutation(type, payload);
+        } catch (error) {
+            if (!isUnreachable(error)) throw error;
+        }
     }
 
-    async delete(endpoint, options = {}) {
-        return this.api.request('DELETE', endpoint, null, options);
+    const pending = await mutationQueue.add({ type, payload, label, userId: currentUserId() });
+    return { success: true, queued: true, message: MESSAGES.INFO.MUTATION_QUEUED, data: { pending } };
+}
+
+/**
+ * Ajusta las versiones esperadas de un cambio pendiente a las que dejaron los cambios
+ * anteriores de la misma cola (editar dos veces el mismo usuario sin conexión no es un conflicto)
+ * @param {Object} payload - Datos del cambio
+ * @param {Map} rebased - id → { from, to }: versión sobre la que se editó y versión actual
+ * @returns {Object} Datos con las versiones ajustadas
+ */
+function rebasePayload(payload, rebased) {
+    const rebase = (id, version) => {
+        const entry = rebased.get(Number(id));
+        return entry && entry.from === version ? entry.to : version;
+    };
+
+    if (payload.versions) {
+        return {
+            ...payload,
+            versions: Object.fromEntries(Object.entries(payload.versions).map(([id, version]) => [id, rebase(id, version)]))
+        };
+    }
+    if (payload.version !== undefined && payload.version !== null) {
+        return { ...payload, version: rebase(payload.id, payload.version) };
     }
+    return payload;
+}
 
-    async patch(endpoint, data, options = {}) {
-        return this.api.request('PATCH', endpoint, data, options);
+/**
+ * Registra las versiones que dejó un cambio enviado desde la cola
+ * @param {Object} payload - Datos originales del cambio
+ * @param {Object} response - Respuesta de la API
+ * @param {Map} rebased - Versiones ajustadas (ver rebasePayload)
+ */
+function trackVersions(payload, response, rebased) {
+    const data = response.data || {};
+    const users = data.user ? [data.user] : (data.results || []).filter(result => result.user).map(result => result.user);
+
+    users.forEach(user => {
+        const base = payload.versions ? payload.versions[user.id] : payload.version;
+        if (base !== undefined && base !== null) {
+            rebased.set(user.id, { from: base, to: user.version });
+        }
+    });
+}
+
+/**
+ * Datos de un error que se guardan con el cambio pendiente
+ * @param {string} message - Mensaje
+ * @param {number} status - Código HTTP
+ * @param {Object} data - { current } o { results }
+ * @returns {Object} { message, status, current, results }
+ */
+function pendingError(message, status, data) {
+    return {
+        message,
+        status,
+        current: (data && data.current) || null,
+        results: (data && data.results) ? data.results.filter(result => !result.success) : null
+    };
+}
+
+/**
+ * Envía en orden los cambios pendientes de la sesión actual. Se detiene si vuelve a faltar la conexión;
+ * los conflictos (409/412) y los errores quedan en la cola hasta que el usuario los reintente o descarte.
+ * @returns {Promise<Object>} { sent, conflicts, failed, pending }
+ */
+async function replayPendingMutations() {
+    const result = { sent: 0, conflicts: 0, failed: 0, pending: 0 };
+    const rebased = new Map();
+    const entries = (await PendingChangesAPI.getPending()).filter(entry => entry.status === 'pending');
+
+    for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+        let response;
+        try {
+            response = await requestUserMutation(entry.type, rebasePayload(entry.payload, rebased), true);
+        } catch (error) {
+            if (isUnreachable(error)) {
+                result.pending = entries.length - index;
+                break;
+            }
+            const conflict = [409, 412].includes(error.status) ||
+                (!!error.data && !!error.data.results && error.data.results.some(item => item.status === 412));
+            await mutationQueue.update({
+                ...entry,
+                status: conflict ? 'conflict' : 'failed',
+                error: pendingError(error.message, error.status, error.data)
+            });
+            result[conflict ? 'conflicts' : 'failed']++;
+            continue;
+        }
+
+        trackVersions(entry.payload, response, rebased);
+        const failed = response.data && response.data.results
+            ? response.data.results.filter(item => !item.success)
+            : [];
+
+        if (failed.length === 0) {
+            await mutationQueue.remove(entry.id);
+            result.sent++;
+            continue;
+        }
+
+        // Operación masiva aplicada en parte: quedan pendientes solo los usuarios que fallaron
+        const conflict = failed.some(item => item.status === 412);
+        await mutationQueue.update({
+            ...entry,
+            payload: { ...entry.payload, data: { ...entry.payload.data, userIds: failed.map(item => item.id) } },
+            status: conflict ? 'conflict' : 'failed',
+            error: pendingError(response.message, 200, response.data)
+        });
+        result[conflict ? 'conflicts' : 'failed']++;
     }
+    return result;
 }
 
+let replayInProgress = null;
+
 /**
  * Servicios de API específicos
  */
 export const AuthAPI = {
     async login(credentials) {
         const client = new HTTPClient();
-        return client.post(API_ENDPOINTS.AUTH.LOGIN, credentials);
+        return storeSession(await client.post(API_ENDPOINTS.AUTH.LOGIN, credentials));
+    },
+
+    async verifyMfa(challenge, { code, recoveryCode }) {
+        const client = new HTTPClient();
+        return storeSession(await client.post(API_ENDPOINTS.AUTH.MFA_VERIFY, { challenge, code, recoveryCode }));
+    },
+
+    async setupMfa(challenge = null) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.MFA_SETUP, challenge ? { challenge } : {});
+    },
+
+    async enableMfa(code, challenge = null) {
+        const client = new HTTPClient();
+        return storeSession(await client.post(API_ENDPOINTS.AUTH.MFA_ENABLE, challenge ? { code, challenge } : { code }));
+    },
+
+    async disableMfa({ code, recoveryCode }) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.MFA_DISABLE, { code, recoveryCode });
+    },
+
+    async regenerateRecoveryCodes(code) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.MFA_RECOVERY_CODES, { code });
     },
 
     async logout() {
         const client = new HTTPClient();
-        return client.post(API_ENDPOINTS.AUTH.LOGOUT);
+        try {
+            return await client.post(API_ENDPOINTS.AUTH.LOGOUT);
+        } finally {
+            sessionStorage.logout();
+            responseCache.clear();
+        }
     },
 
     async register(userData) {
         const client = new HTTPClient();
         return client.post(API_ENDPOINTS.AUTH.REGISTER, userData);
+    },
+
+    async verifyEmail(token) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.VERIFY, { token });
+    },
+
+    async requestPasswordReset(email) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.PASSWORD_FORGOT, { email });
+    },
+
+    async resetPassword(token, password) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.PASSWORD_RESET, { token, password });
+    },
+
+    async changePassword(currentPassword, password) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.PASSWORD_CHANGE, { currentPassword, password });
+    },
+
+    async changeExpiredPassword(challenge, password) {
+        const client = new HTTPClient();
+        return storeSession(await client.post(API_ENDPOINTS.AUTH.PASSWORD_CHANGE, { challenge, password }));
+    },
+
+    async refresh() {
+        const client = new HTTPClient();
+        const response = await client.post(API_ENDPOINTS.AUTH.REFRESH);
+        sessionStorage.setToken(response.data.token, response.data.expiresIn);
+        return response;
+    },
+
+    async stopImpersonation() {
+        const client = new HTTPClient();
+        const response = await client.post(API_ENDPOINTS.AUTH.IMPERSONATION_STOP);
+        sessionStorage.stopImpersonation(response.data.user);
+        sessionStorage.setToken(response.data.token, response.data.expiresIn);
+        return response;
+    },
+
+    async getPasskeyRegistrationOptions() {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.PASSKEY_REGISTER_OPTIONS);
+    },
+
+    async registerPasskey(credential, name) {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.PASSKEY_REGISTER, { credential, name });
+    },
+
+    async getPasskeyLoginOptions() {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.PASSKEY_LOGIN_OPTIONS);
+    },
+
+    async loginWithPasskey(credential) {
+        const client = new HTTPClient();
+        return storeSession(await client.post(API_ENDPOINTS.AUTH.PASSKEY_LOGIN, { credential }));
+    },
+
+    async getPasskeys() {
+        const client = new HTTPClient();
+        return client.get(API_ENDPOINTS.AUTH.PASSKEYS);
+    },
+
+    async removePasskey(id) {
+        const client = new HTTPClient();
+        const endpoint = API_ENDPOINTS.AUTH.PASSKEY.replace(':id', encodeURIComponent(id));
+        return client.delete(endpoint);
     }
 };
 
 export const UsersAPI = {
-    async getUsers() {
+    async getUsers(params = {}, options = {}) {
         const client = new HTTPClient();
-        return client.get(API_ENDPOINTS.USERS.LIST);
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value) query.set(key, value);
+        });
+        const search = query.toString();
+        return client.get(search ? `${API_ENDPOINTS.USERS.LIST}?${search}` : API_ENDPOINTS.USERS.LIST, options);
     },
 
     async createUser(userData) {
-        const client = new HTTPClient();
-        return client.post(API_ENDPOINTS.USERS.CREATE, userData);
+        return sendUserMutation('create', { data: userData }, 'Crear usuario');
     },
 
-    async updateUser(id, updates) {
-        const client = new HTTPClient();
-        const endpoint = API_ENDPOINTS.USERS.UPDATE.replace(':id', id);
-        return client.put(endpoint, updates);
+    async updateUser(id, updates, version = null) {
+        // La versión editada (argumento o campo version) viaja en If-Match, también al reenviarla desde la cola
+        const { version: editedVersion = null, ...data } = updates || {};
+        return sendUserMutation('update', { id, data, version: version !== null ? version : editedVersion },
+            `Editar usuario #${id}`);
+    },
+
+    async patchUser(id, changes, version) {
+        return sendUserMutation('patch', { id, data: changes, version },
+            `Editar usuario #${id}: ${Object.keys(changes).join(', ')}`);
+    },
+
+    async deleteUser(id, version = null) {
+        return sendUserMutation('delete', { id, version }, `Eliminar usuario #${id}`);
     },
 
-    async deleteUser(id) {
+    async unlockUser(id) {
         const client = new HTTPClient();
-        const endpoint = API_ENDPOINTS.USERS.DELETE.replace(':id', id);
-        return client.delete(endpoint);
+        const endpoint = API_ENDPOINTS.USERS.UNLOCK.replace(':id', id);
+        return client.post(endpoint);
+    },
+
+    async bulkOperation(operation, userIds, params = {}, mode = 'best-effort', versions = null) {
+        const data = { operation, userIds, params, mode };
+        // La exportación necesita la respuesta: no se encola
+        if (operation === 'export') {
+            const client = new HTTPClient();
+            return client.post(API_ENDPOINTS.USERS.BULK, data);
+        }
+        return sendUserMutation('bulk', { data, versions },
+            `Acción masiva "${operation}" (${userIds.length} ${userIds.length === 1 ? 'usuario' : 'usuarios'})`);
     },
 
-    async bulkOperation(operation, userIds) {
+    async impersonate(id) {
         const client = new HTTPClient();
-        return client.post(API_ENDPOINTS.USERS.BULK, { operation, userIds });
+        const endpoint = API_ENDPOINTS.USERS.IMPERSONATE.replace(':id', id);
+        const response = await client.post(endpoint);
+        sessionStorage.startImpersonation(response.data.user);
+        sessionStorage.setToken(response.data.token, response.data.expiresIn);
+        return response;
+    }
+};
+
+export const PendingChangesAPI = {
+    async getPending() {
+        const userId = currentUserId();
+        return (await mutationQueue.getAll()).filter(entry => entry.userId === userId);
+    },
+
+    async replay() {
+        if (!replayInProgress) {
+            replayInProgress = replayPendingMutations().finally(() => {
+                replayInProgress = null;
+            });
+        }
+        return replayInProgress;
+    },
+
+    async retry(id) {
+        const entry = (await mutationQueue.getAll()).find(item => item.id === id);
+        if (!entry) return this.replay();
+
+        // En un conflicto se reenvía sobre la versión actual: se sobrescriben los cambios de la otra persona
+        const { current, results } = entry.error || {};
+        const payload = { ...entry.payload };
+        if (current && payload.version !== undefined && payload.version !== null) {
+            payload.version = current.version;
+        }
+        if (results && payload.versions) {
+            payload.versions = { ...payload.versions };
+            results.filter(item => item.current).forEach(item => {
+                payload.versions[item.id] = item.current.version;
+            });
+        }
+
+        await mutationQueue.update({ ...entry, payload, status: 'pending', error: null });
+        return this.replay();
+    },
+
+    async discard(id) {
+        return mutationQueue.remove(id);
     }
 };
 
@@ -599,7 +3151,73 @@ export const MetricsAPI = {
 
     async getPerformanceMetrics() {
         const client = new HTTPClient();
-        return client.get(API_ENDPOINTS.METRICS.PERFORMANCE);
+        const response = await client.get(API_ENDPOINTS.METRICS.PERFORMANCE);
+        // El servidor no ve la caché del cliente: la tasa de aciertos se mide aquí
+        return { ...response, data: { ...response.data, cacheHitRate: client.cache.getStats().hitRate } };
+    }
+};
+
+export const SessionsAPI = {
+    async getMySessions() {
+        const client = new HTTPClient();
+        return client.get(API_ENDPOINTS.AUTH.SESSIONS);
+    },
+
+    async revokeMySession(id) {
+        const client = new HTTPClient();
+        const endpoint = API_ENDPOINTS.AUTH.SESSION.replace(':id', encodeURIComponent(id));
+        return client.delete(endpoint);
+    },
+
+    async revokeOtherSessions() {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUTH.SESSIONS_REVOKE_OTHERS);
+    },
+
+    async getAllSessions() {
+        const client = new HTTPClient();
+        return client.get(API_ENDPOINTS.SESSIONS.LIST);
+    },
+
+    async revokeSession(id) {
+        const client = new HTTPClient();
+        const endpoint = API_ENDPOINTS.SESSIONS.REVOKE.replace(':id', encodeURIComponent(id));
+        return client.delete(endpoint);
+    },
+
+    async revokeUserSessions(userId) {
+        const client = new HTTPClient();
+        const endpoint = API_ENDPOINTS.USERS.SESSIONS.replace(':id', userId);
+        return client.delete(endpoint);
+    }
+};
+
+export const AuditAPI = {
+    async getAuthEvents(filters = {}) {
+        const client = new HTTPClient();
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        const query = params.toString();
+        return client.get(query ? `${API_ENDPOINTS.AUDIT.LOGINS}?${query}` : API_ENDPOINTS.AUDIT.LOGINS);
+    },
+
+    async reviewAlerts() {
+        const client = new HTTPClient();
+        return client.post(API_ENDPOINTS.AUDIT.LOGINS_REVIEW);
+    }
+};
+
+export const SettingsAPI = {
+    async getPasswordPolicy() {
+        const client = new HTTPClient();
+        return client.get(API_ENDPOINTS.SETTINGS.PASSWORD_POLICY);
+    },
+
+    async updatePasswordPolicy(policy) {
+        const client = new HTTPClient();
+        return client.put(API_ENDPOINTS.SETTINGS.PASSWORD_POLICY, policy);
     }
 };
 
@@ -610,11 +3228,25 @@ export const httpClient = new HTTPClient();
 export default {
     API,
     APIError,
+    MockTransport,
+    FetchTransport,
+    createTransport,
+    getTransport,
+    setTransport,
+    InterceptorChain,
+    Interceptors,
+    interceptors,
+    requestMetrics,
+    redactEmails,
     HTTPClient,
     AuthAPI,
     UsersAPI,
+    PendingChangesAPI,
     ReportsAPI,
     MetricsAPI,
+    SessionsAPI,
+    AuditAPI,
+    SettingsAPI,
     api,
     httpClient
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * AUDIT - StudyQuality System
+ * Auditoría de autenticación y detección de actividad sospechosa
+ */
+
+import { APP_CONFIG } from './constants.js';
+import { Events } from './helpers.js';
+import { authAuditStorage } from './storage.js';
+
+// Eventos que cuentan como intento rechazado (el que provoca un bloqueo también lo es)
+const FAILURE_TYPES = ['LOGIN_FAILED', 'ACCOUNT_LOCKED'];
+
+// Tipos de evento que se registran y su descripción para la vista de auditoría
+export const AUTH_EVENT_TYPES = {
+    LOGIN_SUCCESS: 'Inicio de sesión',
+    LOGIN_FAILED: 'Intento fallido',
+    ACCOUNT_LOCKED: 'Cuenta bloqueada',
+    LOGOUT_SUCCESS: 'Cierre de sesión',
+    SESSION_EXPIRED: 'Sesión expirada',
+    SESSION_REVOKED: 'Sesión revocada',
+    PASSWORD_RESET: 'Contraseña restablecida',
+    IMPERSONATION_START: 'Inicio de suplantación',
+    IMPERSONATION_END: 'Fin de suplantación'
+};
+
+/**
+ * Reglas de anomalías. Cada una recibe el evento nuevo y el historial previo
+ * (del más antiguo al más reciente) y devuelve una marca o null.
+ */
+const ANOMALY_RULES = [
+    {
+        id: 'failures_across_accounts',
+        severity: 'high',
+        evaluate(event, history) {
+            if (!FAILURE_TYPES.includes(event.type)) return null;
+
+            const { failureWindow, failureThreshold, failureAccounts } = APP_CONFIG.auth.audit;
+            const since = new Date(event.timestamp).getTime() - failureWindow;
+            const recent = history.filter(item => new Date(item.timestamp).getTime() >= since);
+            const failures = [...recent.filter(item => FAILURE_TYPES.includes(item.type)), event];
+            const accounts = new Set(failures.map(item => (item.email || '').toLowerCase()));
+
+            // Una sola alerta por ráfaga: si ya se marcó dentro de la ventana no se repite
+            const alreadyFlagged = recent.some(item => item.flags.some(flag => flag.rule === this.id));
+            if (alreadyFlagged || failures.length < failureThreshold || accounts.size < failureAccounts) {
+                return null;
+            }
+
+            return {
+                message: `${failures.length} intentos fallidos sobre ${accounts.size} cuentas distintas ` +
+                    `en ${Math.round(failureWindow / 60000)} minutos`
+            };
+        }
+    },
+    {
+        id: 'login_after_lockout',
+        severity: 'medium',
+        evaluate(event, history) {
+            if (event.type !== 'LOGIN_SUCCESS' || !event.email) return null;
+
+            const since = new Date(event.timestamp).getTime() - APP_CONFIG.auth.audit.lockoutWindow;
+            const email = event.email.toLowerCase();
+            const lockout = [...history].reverse().find(item =>
+                item.type === 'ACCOUNT_LOCKED' &&
+                (item.email || '').toLowerCase() === email &&
+                new Date(item.timestamp).getTime() >= since
+            );
+            if (!lockout) return null;
+
+            const minutes = Math.max(1, Math.round((new Date(event.timestamp) - new Date(lockout.timestamp)) / 60000));
+            return {
+                message: `Inicio de sesión de ${event.email} ${minutes} minuto${minutes > 1 ? 's' : ''} después de un bloqueo de la cuenta`
+            };
+        }
+    }
+];
+
+/**
+ * Registro de eventos de autenticación
+ */
+export const AuthAudit = {
+    types: AUTH_EVENT_TYPES,
+
+    /**
+     * Registra un evento y lo evalúa con las reglas de anomalías
+     * @param {string} type - Tipo de evento (AUTH_EVENT_TYPES)
+     * @param {Object} details - { user, email, sessionId, impersonatorId, data }
+     * @returns {Object} Evento almacenado
+     */
+    record(type, { user = null, email = null, sessionId = null, impersonatorId = null, data = {} } = {}) {
+        const event = {
+            type,
+            userId: user ? user.id : null,
+            email: email || (user ? user.email : null),
+            sessionId,
+            // Administrador real cuando el evento ocurre viendo la aplicación como otro usuario
+            impersonatorId,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        event.flags = this.evaluate(event, authAuditStorage.getAll());
+        const stored = authAuditStorage.append(event);
+
+        if (stored.flags.length > 0) {
+            Events.emit('audit:flagged', { event: stored });
+        }
+        return stored;
+    },
+
+    /**
+     * Aplica las reglas de anomalías a un evento
+     * @param {Object} event - Evento nuevo
+     * @param {Array} history - Eventos anteriores
+     * @returns {Array} Marcas { rule, severity, message }
+     */
+    evaluate(event, history) {
+        return ANOMALY_RULES
+            .map(rule => {
+                const flag = rule.evaluate(event, history);
+                return flag ? { rule: rule.id, severity: rule.severity, ...flag } : null;
+            })
+            .filter(Boolean);
+    }
+};
+
+export default AuthAudit;
@@ -0,0 +1,202 @@
+/**
+ * CACHE - StudyQuality System
+ * Caché de respuestas GET del cliente HTTP con TTL por endpoint y stale-while-revalidate
+ */
+
+import { APP_CONFIG } from './constants.js';
+
+/**
+ * Indica si un endpoint coincide con la ruta de una regla
+ * @param {string} route - Endpoint exacto o prefijo terminado en '*'
+ * @param {string} path - Endpoint sin query string
+ * @returns {boolean} True si coincide
+ */
+function matchesRoute(route, path) {
+    return route.endsWith('*') ? path.startsWith(route.slice(0, -1)) : path === route;
+}
+
+function pathOf(endpoint) {
+    return endpoint.split('?')[0];
+}
+
+/**
+ * Respuestas guardadas por clave (sesión + endpoint con query).
+ * Una respuesta fresca se devuelve sin pedirla; una vencida dentro de la ventana 'stale' se devuelve
+ * y se revalida en segundo plano; pasada esa ventana se vuelve a pedir.
+ * Con config.maxEntries, al llenarse se descartan primero las respuestas vencidas y luego las usadas
+ * hace más tiempo (el Map conserva el orden de uso).
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} config - { enabled, maxEntries, rules } (APP_CONFIG.api.cache)
+     */
+    constructor(config = APP_CONFIG.api.cache) {
+        this.config = config;
+        this.entries = new Map();
+        this.revalidating = new Map();
+        // Cambia en cada invalidación: las respuestas pedidas antes no se guardan
+        this.generation = 0;
+        this.stats = { hits: 0, staleHits: 0, misses: 0 };
+    }
+
+    /**
+     * @param {string} endpoint - Endpoint de la petición
+     * @returns {Object|null} Regla de caché del endpoint
+     */
+    getRule(endpoint) {
+        if (!this.config.enabled) return null;
+        const path = pathOf(endpoint);
+        return this.config.rules.find(rule => matchesRoute(rule.route, path)) || null;
+    }
+
+    /**
+     * Devuelve la respuesta guardada o la pide con loader
+     * @param {string} key - Clave de la respuesta
+     * @param {string} endpoint - Endpoint de la petición
+     * @param {Function} loader - (background) => Promise con la respuesta; background es true al revalidar
+     * @returns {Promise<Object>} Respuesta (una copia, para que el llamador pueda modificarla)
+     */
+    async fetch(key, endpoint, loader) {
+        const rule = this.getRule(endpoint);
+        if (!rule) {
+            return loader(false);
+        }
+
+        const entry = this.entries.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age <= rule.ttl) {
+            this.stats.hits++;
+            this.touch(key, entry);
+            return structuredClone(entry.response);
+        }
+        if (age <= rule.ttl + (rule.stale || 0)) {
+            this.stats.staleHits++;
+            this.touch(key, entry);
+            this.revalidate(key, endpoint, loader).catch(() => {});
+            return structuredClone(entry.response);
+        }
+
+        this.stats.misses++;
+        return structuredClone(await this.load(key, endpoint, () => loader(false)));
+    }
+
+    /**
+     * Pide de nuevo una respuesta en segundo plano (una sola revalidación por clave a la vez)
+     * @returns {Promise<Object>} Respuesta nueva
+     */
+    revalidate(key, endpoint, loader) {
+        if (!this.revalidating.has(key)) {
+            const request = this.load(key, endpoint, () => loader(true))
+                .finally(() => this.revalidating.delete(key));
+            this.revalidating.set(key, request);
+        }
+        return this.revalidating.get(key);
+    }
+
+    /**
+     * Pide la respuesta y la guarda si no hubo una invalidación mientras tanto
+     * @returns {Promise<Object>} Respuesta
+     */
+    async load(key, endpoint, request) {
+        const generation = this.generation;
+        const response = await request();
+
+        if (generation === this.generation) {
+            const rule = this.getRule(endpoint);
+            const storedAt = Date.now();
+            this.touch(key, {
+                endpoint: pathOf(endpoint),
+                response: structuredClone(response),
+                storedAt,
+                expiresAt: storedAt + rule.ttl + (rule.stale || 0)
+            });
+            this.evict();
+        }
+        return response;
+    }
+
+    /**
+     * Guarda una entrada como la usada más recientemente
+     * @param {string} key - Clave de la respuesta
+     * @param {Object} entry - Entrada
+     */
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+
+    /**
+     * Descarta entradas hasta respetar config.maxEntries: primero las vencidas, luego las menos usadas
+     */
+    evict() {
+        const { maxEntries } = this.config;
+        if (!maxEntries || this.entries.size <= maxEntries) return;
+
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expiresAt < now) {
+                this.entries.delete(key);
+            }
+        });
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= maxEntries) break;
+            this.entries.delete(key);
+        }
+    }
+
+    /**
+     * @param {string} endpoint - Endpoint de una escritura
+     * @returns {Array} Reglas cuyas respuestas deja viejas una escritura en el endpoint
+     */
+    rulesInvalidatedBy(endpoint) {
+        const path = pathOf(endpoint);
+        return this.config.rules.filter(rule =>
+            (rule.invalidatedBy || []).some(prefix => path.startsWith(prefix)));
+    }
+
+    /**
+     * Descarta las respuestas de las reglas que invalida una escritura exitosa en el endpoint
+     * @param {string} endpoint - Endpoint de la escritura
+     * @returns {number} Respuestas descartadas
+     */
+    invalidate(endpoint) {
+        const rules = this.rulesInvalidatedBy(endpoint);
+        if (rules.length === 0) return 0;
+
+        this.generation++;
+        let removed = 0;
+        this.entries.forEach((entry, key) => {
+            if (rules.some(rule => matchesRoute(rule.route, entry.endpoint))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    clear() {
+        this.generation++;
+        this.entries.clear();
+    }
+
+    /**
+     * @returns {Object} { hits, staleHits, misses, hitRate } - hitRate en porcentaje, incluye las respuestas stale
+     */
+    getStats() {
+        const served = this.stats.hits + this.stats.staleHits;
+        const total = served + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: total ? Math.round(served / total * 1000) / 10 : 0
+        };
+    }
+}
+
+// Instancia global
+export const responseCache = new ResponseCache();
+
+export default {
+    ResponseCache,
+    responseCache
+};
@@ -19,9 +19,82 @@ export const APP_CONFIG = {
     auth: {
         sessionTimeout: 30 * 60 * 1000, // 30 minutos en millisegundos
         maxLoginAttempts: 3,
-        lockoutDuration: 15 * 60 * 1000 // 15 minutos
+        lockoutDuration: 15 * 60 * 1000, // 15 minutos
+        tokenLifetime: 30 * 60 * 1000, // Validez del token de sesión
+        tokenRefreshMargin: 2 * 60 * 1000, // Renovar 2 minutos antes de expirar
+        sessionWarningTime: 5 * 60 * 1000, // Avisar 5 minutos antes de que expire la sesión
+        selfRegistrationRoles: ['user'], // Roles que se pueden elegir al registrarse
+        passwordResetLifetime: 30 * 60 * 1000, // Validez del enlace de restablecimiento
+        emailVerificationLifetime: 24 * 60 * 60 * 1000, // Validez del enlace de verificación de email
+        unverifiedAccountMaxAge: 7 * 24 * 60 * 60 * 1000, // Las cuentas sin verificar se eliminan pasado este plazo
+        unverifiedPurgeInterval: 60 * 60 * 1000, // Cada cuánto el simulador busca cuentas sin verificar vencidas
+        passwordHashing: {
+            algorithm: 'PBKDF2-SHA256',
+            iterations: 100000,
+            saltLength: 16, // bytes
+            keyLength: 32 // bytes
+        },
+        mfa: {
+            issuer: 'StudyQuality',
+            digits: 6,
+            period: 30, // segundos por código
+            window: 1, // intervalos de tolerancia por desfase de reloj
+            recoveryCodes: 10,
+            challengeLifetime: 5 * 60 * 1000, // Validez del paso de verificación tras la contraseña
+            requiredRoles: ['admin'] // Roles que deben usar 2FA obligatoriamente
+        },
+        passwordChangeLifetime: 10 * 60 * 1000, // Validez del desafío para cambiar una contraseña vencida
+        passkeys: {
+            rpName: 'StudyQuality', // Nombre del relying party que muestra el autenticador
+            challengeLifetime: 5 * 60 * 1000, // Validez del desafío de registro o de inicio de sesión
+            timeout: 60000 // Tiempo que el navegador espera al autenticador
+        },
+        sessionHistoryLimit: 200, // Registros de sesiones conservados (activas y cerradas)
+        audit: {
+            maxEntries: 1000, // Eventos de autenticación conservados
+            failureWindow: 10 * 60 * 1000, // Ventana para detectar fallos repartidos entre cuentas
+            failureThreshold: 5, // Fallos dentro de la ventana...
+            failureAccounts: 3, // ...sobre al menos esta cantidad de cuentas distintas
+            lockoutWindow: 60 * 60 * 1000 // Un login exitoso dentro de este plazo tras un bloqueo es sospechoso
+        }
     },
     
+    // Transporte de los servicios de API: 'mock' (simulador en el navegador) o 'fetch' (backend REST)
+    api: {
+        transport: 'mock',
+        baseURL: '', // Origen del backend con 'fetch' (vacío = mismo origen que la aplicación)
+        credentials: 'same-origin', // Envío de cookies en las peticiones fetch
+        timeout: 15000, // Tiempo máximo de espera por intento (ms)
+        // Reintentos con backoff exponencial: solo métodos idempotentes y errores transitorios
+        retry: {
+            attempts: 2,
+            baseDelay: 300,
+            maxDelay: 4000,
+            methods: ['GET', 'PUT', 'DELETE'],
+            statuses: [0, 408, 429, 502, 503, 504] // 0: sin conexión o sin respuesta a tiempo
+        },
+        // Caché de respuestas GET. route: endpoint exacto (sin query) o prefijo terminado en '*'.
+        // ttl: ms en que la respuesta está fresca; stale: ms adicionales en que se sirve mientras se revalida.
+        // invalidatedBy: prefijos de endpoints cuyas escrituras exitosas descartan las respuestas guardadas
+        cache: {
+            enabled: true,
+            maxEntries: 100, // Al llenarse se descartan las vencidas y luego las usadas hace más tiempo
+            rules: [
+                { route: '/api/users', ttl: 30000, stale: 120000, invalidatedBy: ['/api/users', '/api/auth/register', '/api/auth/verify'] },
+                { route: '/api/metrics/*', ttl: 15000, stale: 60000, invalidatedBy: ['/api/users', '/api/auth/register', '/api/auth/verify', '/api/reports'] },
+                { route: '/api/reports', ttl: 60000, stale: 300000, invalidatedBy: ['/api/reports'] },
+                { route: '/api/settings/*', ttl: 300000, stale: 0, invalidatedBy: ['/api/settings'] }
+            ]
+        }
+    },
+
+    // Cola de cambios de usuarios hechos sin conexión (IndexedDB)
+    offlineQueue: {
+        database: 'studyquality_offline',
+        store: 'mutations',
+        version: 1
+    },
+
     // Configuración de paginación
     pagination: {
         defaultPageSize: 10,
@@ -133,6 +206,55 @@ export const USER_ROLES = {
     GUEST: 'guest'
 };
 
+// Permisos del sistema
+export const PERMISSIONS = {
+    USERS_VIEW: 'users:view',
+    USERS_CREATE: 'users:create',
+    USERS_UPDATE: 'users:update',
+    USERS_DELETE: 'users:delete',
+    USERS_BULK: 'users:bulk',
+    USERS_UNLOCK: 'users:unlock',
+    USERS_IMPERSONATE: 'users:impersonate',
+    USERS_MANAGE_ROLES: 'users:manage_roles',
+    REPORTS_VIEW: 'reports:view',
+    REPORTS_GENERATE: 'reports:generate',
+    REPORTS_EXPORT: 'reports:export',
+    METRICS_VIEW: 'metrics:view',
+    SETTINGS_MANAGE: 'settings:manage',
+    SESSIONS_MANAGE: 'sessions:manage',
+    AUDIT_VIEW: 'audit:view'
+};
+
+// Matriz de permisos por rol
+export const ROLE_PERMISSIONS = {
+    [USER_ROLES.ADMIN]: Object.values(PERMISSIONS),
+    [USER_ROLES.MODERATOR]: [
+        PERMISSIONS.USERS_VIEW,
+        PERMISSIONS.USERS_UPDATE,
+        PERMISSIONS.USERS_UNLOCK,
+        PERMISSIONS.REPORTS_VIEW,
+        PERMISSIONS.REPORTS_GENERATE,
+        PERMISSIONS.REPORTS_EXPORT,
+        PERMISSIONS.METRICS_VIEW
+    ],
+    [USER_ROLES.USER]: [
+        PERMISSIONS.USERS_VIEW,
+        PERMISSIONS.REPORTS_VIEW,
+        PERMISSIONS.METRICS_VIEW
+    ],
+    [USER_ROLES.GUEST]: [
+        PERMISSIONS.REPORTS_VIEW
+    ]
+};
+
+// Jerarquía de roles: nadie puede modificar a un usuario de rango superior al suyo
+export const ROLE_RANK = {
+    [USER_ROLES.GUEST]: 0,
+    [USER_ROLES.USER]: 1,
+    [USER_ROLES.MODERATOR]: 2,
+    [USER_ROLES.ADMIN]: 3
+};
+
 // Estados de usuario
 export const USER_STATUS = {
     ACTIVE: 'active',
@@ -247,7 +369,15 @@ export const STORAGE_KEYS = {
     BACKUP_DATA: 'studyquality_backup',
     SESSION_DATA: 'studyquality_session',
     METRICS_DATA: 'studyquality_metrics',
-    LOGS_DATA: 'studyquality_logs'
+    LOGS_DATA: 'studyquality_logs',
+    LOGIN_ATTEMPTS: 'studyquality_login_attempts',
+    TOKEN_SECRET: 'studyquality_token_secret',
+    TAB_SYNC: 'studyquality_tab_sync',
+    ONE_TIME_TOKENS: 'studyquality_one_time_tokens',
+    MAIL_OUTBOX: 'studyquality_mail_outbox',
+    SESSION_REGISTRY: 'studyquality_session_registry',
+    AUTH_AUDIT: 'studyquality_auth_audit',
+    FAULT_PROFILE: 'studyquality_fault_profile'
 };
 
 // Configuración de API (simulada)
@@ -256,14 +386,40 @@ export const API_ENDPOINTS = {
         LOGIN: '/api/auth/login',
         LOGOUT: '/api/auth/logout',
         REGISTER: '/api/auth/register',
-        REFRESH: '/api/auth/refresh'
+        REFRESH: '/api/auth/refresh',
+        VERIFY: '/api/auth/verify',
+        MFA_VERIFY: '/api/auth/2fa/verify',
+        MFA_SETUP: '/api/auth/2fa/setup',
+        MFA_ENABLE: '/api/auth/2fa/enable',
+        MFA_DISABLE: '/api/auth/2fa/disable',
+        MFA_RECOVERY_CODES: '/api/auth/2fa/recovery-codes',
+        PASSWORD_FORGOT: '/api/auth/password/forgot',
+        PASSWORD_RESET: '/api/auth/password/reset',
+        PASSWORD_CHANGE: '/api/auth/password/change',
+        SESSIONS: '/api/auth/sessions',
+        SESSION: '/api/auth/sessions/:id',
+        SESSIONS_REVOKE_OTHERS: '/api/auth/sessions/revoke-others',
+        IMPERSONATION_STOP: '/api/auth/impersonation/stop',
+        PASSKEYS: '/api/auth/passkeys',
+        PASSKEY: '/api/auth/passkeys/:id',
+        PASSKEY_REGISTER_OPTIONS: '/api/auth/passkeys/register/options',
+        PASSKEY_REGISTER: '/api/auth/passkeys/register',
+        PASSKEY_LOGIN_OPTIONS: '/api/auth/passkeys/login/options',
+        PASSKEY_LOGIN: '/api/auth/passkeys/login'
     },
     USERS: {
         LIST: '/api/users',
         CREATE: '/api/users',
         UPDATE: '/api/users/:id',
         DELETE: '/api/users/:id',
-        BULK: '/api/users/bulk'
+        BULK: '/api/users/bulk',
+        UNLOCK: '/api/users/:id/unlock',
+        SESSIONS: '/api/users/:id/sessions',
+        IMPERSONATE: '/api/users/:id/impersonate'
+    },
+    SESSIONS: {
+        LIST: '/api/sessions',
+        REVOKE: '/api/sessions/:id'
     },
     REPORTS: {
         GENERATE: '/api/reports/generate',
@@ -274,42 +430,132 @@ export const API_ENDPOINTS = {
         SYSTEM: '/api/metrics/system',
         USERS: '/api/metrics/users',
         PERFORMANCE: '/api/metrics/performance'
+    },
+    SETTINGS: {
+        PASSWORD_POLICY: '/api/settings/password-policy'
+    },
+    AUDIT: {
+        LOGINS: '/api/audit/logins',
+        LOGINS_REVIEW: '/api/audit/logins/review'
     }
 };
 
+// Permiso requerido por endpoint y método (los endpoints no listados se rechazan)
+export const ENDPOINT_PERMISSIONS = [
+    { method: 'GET', endpoint: API_ENDPOINTS.USERS.LIST, permission: PERMISSIONS.USERS_VIEW },
+    { method: 'POST', endpoint: API_ENDPOINTS.USERS.CREATE, permission: PERMISSIONS.USERS_CREATE },
+    { method: 'POST', endpoint: API_ENDPOINTS.USERS.BULK, permission: PERMISSIONS.USERS_BULK },
+    { method: 'POST', endpoint: API_ENDPOINTS.USERS.UNLOCK, permission: PERMISSIONS.USERS_UNLOCK },
+    { method: 'POST', endpoint: API_ENDPOINTS.USERS.IMPERSONATE, permission: PERMISSIONS.USERS_IMPERSONATE },
+    { method: 'PUT', endpoint: API_ENDPOINTS.USERS.UPDATE, permission: PERMISSIONS.USERS_UPDATE },
+    { method: 'PATCH', endpoint: API_ENDPOINTS.USERS.UPDATE, permission: PERMISSIONS.USERS_UPDATE },
+    { method: 'DELETE', endpoint: API_ENDPOINTS.USERS.DELETE, permission: PERMISSIONS.USERS_DELETE },
+    { method: 'DELETE', endpoint: API_ENDPOINTS.USERS.SESSIONS, permission: PERMISSIONS.SESSIONS_MANAGE },
+    { method: 'GET', endpoint: API_ENDPOINTS.SESSIONS.LIST, permission: PERMISSIONS.SESSIONS_MANAGE },
+    { method: 'DELETE', endpoint: API_ENDPOINTS.SESSIONS.REVOKE, permission: PERMISSIONS.SESSIONS_MANAGE },
+    { method: 'GET', endpoint: API_ENDPOINTS.REPORTS.LIST, permission: PERMISSIONS.REPORTS_VIEW },
+    { method: 'POST', endpoint: API_ENDPOINTS.REPORTS.GENERATE, permission: PERMISSIONS.REPORTS_GENERATE },
+    { method: 'POST', endpoint: API_ENDPOINTS.REPORTS.EXPORT, permission: PERMISSIONS.REPORTS_EXPORT },
+    { method: 'GET', endpoint: API_ENDPOINTS.METRICS.SYSTEM, permission: PERMISSIONS.METRICS_VIEW },
+    { method: 'GET', endpoint: API_ENDPOINTS.METRICS.USERS, permission: PERMISSIONS.METRICS_VIEW },
+    { method: 'GET', endpoint: API_ENDPOINTS.METRICS.PERFORMANCE, permission: PERMISSIONS.METRICS_VIEW },
+    { method: 'GET', endpoint: API_ENDPOINTS.SETTINGS.PASSWORD_POLICY, permission: PERMISSIONS.SETTINGS_MANAGE },
+    { method: 'PUT', endpoint: API_ENDPOINTS.SETTINGS.PASSWORD_POLICY, permission: PERMISSIONS.SETTINGS_MANAGE },
+    { method: 'GET', endpoint: API_ENDPOINTS.AUDIT.LOGINS, permission: PERMISSIONS.AUDIT_VIEW },
+    { method: 'POST', endpoint: API_ENDPOINTS.AUDIT.LOGINS_REVIEW, permission: PERMISSIONS.AUDIT_VIEW }
+];
+
 // Mensajes del sistema
 export const MESSAGES = {
     SUCCESS: {
         LOGIN: 'Inicio de sesión exitoso',
         LOGOUT: 'Sesión cerrada correctamente',
         USER_CREATED: 'Usuario creado exitosamente',
+        VERIFICATION_SENT: 'Cuenta creada. Revise su email para activarla',
+        EMAIL_VERIFIED: 'Email verificado. Ya puede iniciar sesión',
         USER_UPDATED: 'Usuario actualizado exitosamente',
         USER_DELETED: 'Usuario eliminado exitosamente',
         DATA_EXPORTED: 'Datos exportados correctamente',
         BACKUP_CREATED: 'Respaldo creado exitosamente',
         BACKUP_RESTORED: 'Datos restaurados exitosamente',
         TESTS_PASSED: 'Todas las pruebas pasaron exitosamente',
-        CI_COMPLETED: 'Pipeline CI/CD completado exitosamente'
+        CI_COMPLETED: 'Pipeline CI/CD completado exitosamente',
+        ACCOUNT_UNLOCKED: 'Cuenta desbloqueada correctamente',
+        MFA_ENABLED: 'Verificación en dos pasos activada',
+        MFA_DISABLED: 'Verificación en dos pasos desactivada',
+        RECOVERY_CODES_GENERATED: 'Nuevos códigos de recuperación generados',
+        PASSWORD_RESET_REQUESTED: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña',
+        PASSWORD_RESET: 'Contraseña restablecida. Ya puede iniciar sesión',
+        PASSWORD_CHANGED: 'Contraseña actualizada correctamente',
+        SETTINGS_SAVED: 'Configuración guardada',
+        SESSION_REVOKED: 'Sesión cerrada',
+        SESSIONS_REVOKED: 'Sesiones cerradas',
+        AUDIT_REVIEWED: 'Alertas marcadas como revisadas',
+        IMPERSONATION_STARTED: 'Está viendo la aplicación como otro usuario',
+        IMPERSONATION_ENDED: 'Volvió a su cuenta de administrador',
+        PASSKEY_REGISTERED: 'Passkey registrada',
+        PASSKEY_REMOVED: 'Passkey eliminada',
+        PENDING_SYNCED: 'Se enviaron los cambios pendientes'
     },
     ERROR: {
         LOGIN_FAILED: 'Credenciales incorrectas',
         USER_EXISTS: 'El usuario ya existe',
         USER_NOT_FOUND: 'Usuario no encontrado',
+        USER_CONFLICT: 'Otra persona modificó este usuario mientras lo editaba',
+        BULK_INVALID_OPERATION: 'Operación masiva no válida',
+        BULK_ABORTED: 'No se aplicó ningún cambio: algunos usuarios no admiten la operación',
+        BULK_NOT_APPLIED: 'No aplicado porque otro usuario de la selección falló',
+        BULK_SELF: 'No puede aplicar esta acción a su propia cuenta',
+        USER_OUTRANKS: 'No puede modificar a un usuario con un rol superior al suyo',
+        ACCESS_CHANGE_DENIED: 'Solo un administrador puede cambiar el rol o el estado de un usuario',
+        OWN_ACCESS_CHANGE: 'No puede cambiar el rol ni el estado de su propia cuenta',
         INVALID_EMAIL: 'Email inválido',
         INVALID_DATA: 'Datos inválidos',
+        ENDPOINT_NOT_FOUND: 'Endpoint no encontrado',
+        METHOD_NOT_ALLOWED: 'Método no permitido para este endpoint',
         EXPORT_FAILED: 'Error al exportar datos',
         BACKUP_FAILED: 'Error al crear respaldo',
         RESTORE_FAILED: 'Error al restaurar datos',
         NETWORK_ERROR: 'Error de conexión',
+        SIMULATED_FAULT: 'Error del servidor (simulado)',
+        TIMEOUT: 'El servidor no respondió a tiempo',
+        REQUEST_CANCELLED: 'Petición cancelada',
+        UNEXPECTED: 'Error inesperado al procesar la petición',
         PERMISSION_DENIED: 'Permisos insuficientes',
-        SESSION_EXPIRED: 'Sesión expirada'
+        SESSION_EXPIRED: 'Sesión expirada',
+        ACCOUNT_LOCKED: 'Cuenta bloqueada temporalmente por intentos fallidos',
+        ACCOUNT_INACTIVE: 'La cuenta no está activa. Contacte a un administrador',
+        MFA_INVALID_CODE: 'Código de verificación incorrecto',
+        MFA_CHALLENGE_EXPIRED: 'La verificación expiró, inicie sesión nuevamente',
+        MFA_REQUIRED: 'Su rol requiere verificación en dos pasos',
+        MFA_ALREADY_ENABLED: 'La verificación en dos pasos ya está activa',
+        INVALID_RESET_TOKEN: 'El enlace de restablecimiento es inválido o expiró',
+        INVALID_VERIFICATION_TOKEN: 'El enlace de verificación es inválido o expiró',
+        EMAIL_NOT_VERIFIED: 'Debe verificar su email antes de iniciar sesión. Le enviamos un nuevo enlace de activación',
+        PASSWORD_REUSED: 'No puede reutilizar una de sus contraseñas recientes',
+        CURRENT_PASSWORD_INVALID: 'La contraseña actual es incorrecta',
+        SESSION_NOT_FOUND: 'Sesión no encontrada',
+        SESSION_REVOKED: 'Su sesión fue cerrada de forma remota. Inicie sesión nuevamente',
+        IMPERSONATION_NOT_ALLOWED: 'No se puede ver la aplicación como este usuario',
+        IMPERSONATION_RESTRICTED: 'Acción no disponible mientras ve la aplicación como otro usuario',
+        NOT_IMPERSONATING: 'No hay una suplantación activa',
+        PASSKEY_INVALID: 'No se pudo verificar la passkey',
+        PASSKEY_NOT_FOUND: 'Passkey no encontrada',
+        PASSKEY_EXISTS: 'Esta passkey ya está registrada',
+        PASSKEY_UNSUPPORTED: 'Este navegador no admite passkeys',
+        PASSKEY_CANCELLED: 'Se canceló la operación con la passkey'
     },
     WARNING: {
         UNSAVED_CHANGES: 'Hay cambios sin guardar',
+        LOGOUT_TO_RESET_PASSWORD: 'Cierra la sesión actual para restablecer la contraseña',
         DELETE_CONFIRM: '¿Está seguro de eliminar este elemento?',
         BULK_DELETE_CONFIRM: '¿Está seguro de eliminar los elementos seleccionados?',
         SESSION_EXPIRING: 'Su sesión expirará pronto',
-        HIGH_MEMORY_USAGE: 'Uso alto de memoria detectado'
+        RECOVERY_CODES_LOW: 'Quedan pocos códigos de recuperación',
+        SUSPICIOUS_ACTIVITY: 'Actividad sospechosa detectada',
+        UNREVIEWED_ALERTS: 'Hay alertas de seguridad sin revisar',
+        HIGH_MEMORY_USAGE: 'Uso alto de memoria detectado',
+        PENDING_CONFLICTS: 'Algunos cambios pendientes no se pudieron aplicar. Revíselos en Cambios pendientes'
     },
     INFO: {
         LOADING: 'Cargando...',
@@ -318,7 +564,11 @@ export const MESSAGES = {
         RUNNING_TESTS: 'Ejecutando pruebas...',
         NO_DATA: 'No hay datos disponibles',
         SEARCH_NO_RESULTS: 'No se encontraron resultados',
-        CI_RUNNING: 'Pipeline CI/CD en progreso...'
+        CI_RUNNING: 'Pipeline CI/CD en progreso...',
+        SESSION_CLOSED_ELSEWHERE: 'La sesión se cerró en otra pestaña',
+        MFA_CODE_REQUIRED: 'Ingrese el código de su aplicación autenticadora',
+        PASSWORD_EXPIRED: 'Su contraseña venció. Elija una nueva para continuar',
+        MUTATION_QUEUED: 'Sin conexión: el cambio quedó pendiente y se enviará al recuperar la conexión'
     }
 };
 
@@ -328,11 +578,6 @@ export const VALIDATION_RULES = {
         pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
         message: 'Formato de email inválido'
     },
-    password: {
-        minLength: 6,
-        pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-        message: 'La contraseña debe tener al menos 6 caracteres, una mayúscula, una minúscula y un número'
-    },
     name: {
         minLength: 2,
         maxLength: 50,
@@ -344,6 +589,19 @@ export const VALIDATION_RULES = {
     }
 };
 
+// Política de contraseñas por defecto (editable por administradores en SYSTEM_SETTINGS)
+export const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumbers: true,
+    requireSymbols: false,
+    minScore: 2, // Puntuación mínima del estimador de fortaleza (0-4)
+    historySize: 5, // Contraseñas recientes que no se pueden reutilizar (0 = sin control)
+    maxAgeDays: 90, // Días hasta exigir un cambio en el siguiente login (0 = sin vencimiento)
+    bannedWords: ['studyquality']
+};
+
 // Configuración de temas
 export const THEMES = {
     LIGHT: 'light',
@@ -372,7 +630,50 @@ export const DEV_CONFIG = {
     enableMetrics: true,
     enableTesting: true,
     apiMockDelay: 1000,
-    enableServiceWorker: true
+    enableServiceWorker: true,
+
+    // Perfiles de red del simulador de API. Se eligen en Configuración de Pruebas
+    // o con la URL (?faults=inestable&seed=42&offline=1).
+    // latency: fixed (apiMockDelay), uniform (min-max), normal (mean, stdDev) o exponential (mean)
+    // rules: route es un patrón de API_ENDPOINTS, un prefijo terminado en '*' o '*' para todas
+    faultProfiles: {
+        ninguno: {
+            label: 'Sin fallos',
+            latency: { distribution: 'fixed' }
+        },
+        lento: {
+            label: 'Red lenta',
+            latency: { distribution: 'normal', mean: 3000, stdDev: 1000, min: 500 }
+        },
+        variable: {
+            label: 'Latencia variable',
+            latency: { distribution: 'uniform', min: 100, max: 2500 }
+        },
+        inestable: {
+            label: 'Inestable (errores 5xx y timeouts)',
+            latency: { distribution: 'exponential', mean: 800, max: 6000 },
+            timeoutAfter: 10000,
+            rules: [
+                { route: '*', errorRate: 0.15, statuses: [500, 502, 503] },
+                { route: '*', timeoutRate: 0.05 }
+            ]
+        },
+        usuarios_caidos: {
+            label: 'Servicio de usuarios caído',
+            latency: { distribution: 'fixed' },
+            rules: [
+                { route: '/api/users*', errorRate: 1, statuses: [503] }
+            ]
+        },
+        escrituras_fallidas: {
+            label: 'Escrituras rechazadas (500)',
+            latency: { distribution: 'fixed' },
+            rules: [
+                { route: '*', methods: ['POST', 'PUT', 'PATCH', 'DELETE'], errorRate: 0.5, statuses: [500] }
+            ]
+        }
+    },
+    defaultFaultProfile: 'ninguno'
 };
 
 // Exportar todo como objeto por defecto también
@@ -382,6 +683,9 @@ export default {
     DEMO_CREDENTIALS,
     SAMPLE_USERS,
     USER_ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLE_RANK,
     USER_STATUS,
     NOTIFICATION_TYPES,
     SYSTEM_EVENTS,
@@ -389,8 +693,10 @@ export default {
     PERFORMANCE_TARGETS,
     STORAGE_KEYS,
     API_ENDPOINTS,
+    ENDPOINT_PERMISSIONS,
     MESSAGES,
     VALIDATION_RULES,
+    DEFAULT_PASSWORD_POLICY,
     THEMES,
     LANGUAGES,
     EXTERNAL_RESOURCES,
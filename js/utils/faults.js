@@ -0,0 +1,181 @@
+/**
+ * FAULTS - StudyQuality System
+ * Perfiles de latencia y fallos del simulador de API, con semilla reproducible
+ */
+
+import { DEV_CONFIG, STORAGE_KEYS } from './constants.js';
+import { storage } from './storage.js';
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32): la misma semilla repite la misma secuencia
+ * @param {number} seed - Semilla entera
+ * @returns {Function} Función que devuelve números en [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Indica si una regla del perfil aplica a la petición
+ * @param {Object} rule - { route, methods }
+ * @param {Object} ctx - Contexto del router (method, path, route)
+ * @returns {boolean} True si coincide
+ */
+function matchesRule(rule, ctx) {
+    if (rule.methods && !rule.methods.includes(ctx.method)) return false;
+    if (rule.route === '*') return true;
+    if (rule.route.endsWith('*')) return ctx.path.startsWith(rule.route.slice(0, -1));
+    return !!ctx.route && ctx.route.pattern === rule.route;
+}
+
+/**
+ * Sorteos de latencia y fallos del perfil activo.
+ * Cada petición consume siempre la misma cantidad de números aleatorios (dos para la latencia
+ * y uno por regla), así una semilla reproduce los mismos fallos con la misma secuencia de peticiones.
+ */
+export class FaultInjector {
+    /**
+     * @param {Object} profiles - Perfiles disponibles (DEV_CONFIG.faultProfiles)
+     */
+    constructor(profiles = DEV_CONFIG.faultProfiles) {
+        this.profiles = profiles;
+        this.state = null;
+        this.random = null;
+
+        this.configure(this.loadState());
+    }
+
+    /**
+     * Selección inicial: parámetros de la URL o la última guardada
+     * @returns {Object} { profile, seed, offline }
+     */
+    loadState() {
+        const params = typeof window !== 'undefined' && window.location
+            ? new URLSearchParams(window.location.search)
+            : new URLSearchParams();
+
+        if (params.has('faults') || params.has('offline')) {
+            return {
+                profile: params.get('faults') || DEV_CONFIG.defaultFaultProfile,
+                seed: params.has('seed') ? Number(params.get('seed')) : null,
+                offline: ['1', 'true'].includes(params.get('offline'))
+            };
+        }
+        return storage.get(STORAGE_KEYS.FAULT_PROFILE, {});
+    }
+
+    /**
+     * Activa un perfil y reinicia la secuencia aleatoria
+     * @param {Object} options - { profile, seed, offline } (sin semilla se genera una nueva)
+     * @returns {Object} Estado aplicado
+     */
+    configure({ profile = DEV_CONFIG.defaultFaultProfile, seed = null, offline = false } = {}) {
+        const name = this.profiles[profile] ? profile : DEV_CONFIG.defaultFaultProfile;
+        const validSeed = Number.isInteger(seed) ? seed : Math.floor(Math.random() * 2 ** 31);
+
+        this.state = { profile: name, seed: validSeed, offline: !!offline };
+        this.random = createSeededRandom(validSeed);
+
+        if (name !== DEV_CONFIG.defaultFaultProfile || offline) {
+            console.log(`🧪 Perfil de red "${name}" (semilla ${validSeed}${offline ? ', sin conexión' : ''})`);
+        }
+        return this.getState();
+    }
+
+    /**
+     * Activa un perfil y lo recuerda para las próximas cargas
+     * @param {Object} options - { profile, seed, offline }
+     * @returns {Object} Estado aplicado
+     */
+    select(options) {
+        const state = this.configure(options);
+        storage.set(STORAGE_KEYS.FAULT_PROFILE, state);
+        return state;
+    }
+
+    getState() {
+        return { ...this.state };
+    }
+
+    getProfile() {
+        return this.profiles[this.state.profile];
+    }
+
+    /**
+     * Sortea la latencia y el fallo de una petición
+     * @param {Object} ctx - Contexto del router
+     * @param {number} baseDelay - Latencia de la distribución 'fixed'
+     * @returns {Object} { latency, fault } - fault: null, { type: 'offline' }, { type: 'timeout', after }
+     *                   o { type: 'error', status }
+     */
+    sample(ctx, baseDelay) {
+        const profile = this.getProfile();
+        const latency = this.sampleLatency(profile.latency || {}, baseDelay);
+
+        let fault = null;
+        (profile.rules || []).forEach(rule => {
+            const roll = this.random();
+            if (fault || !matchesRule(rule, ctx)) return;
+
+            if (roll < (rule.timeoutRate || 0)) {
+                fault = { type: 'timeout', after: profile.timeoutAfter || 10000 };
+            } else if (roll < (rule.timeoutRate || 0) + (rule.errorRate || 0)) {
+                const statuses = rule.statuses || [500];
+                // La misma tirada elige el código, sin consumir otro número
+                const index = Math.floor((roll - (rule.timeoutRate || 0)) / rule.errorRate * statuses.length);
+                fault = { type: 'error', status: statuses[Math.min(index, statuses.length - 1)] };
+            }
+        });
+
+        if (this.state.offline) {
+            fault = { type: 'offline' };
+        }
+        return { latency, fault };
+    }
+
+    /**
+     * @param {Object} latency - Distribución del perfil
+     * @param {number} baseDelay - Latencia fija por defecto
+     * @returns {number} Milisegundos
+     */
+    sampleLatency(latency, baseDelay) {
+        const u1 = this.random();
+        const u2 = this.random();
+        let value;
+
+        switch (latency.distribution) {
+            case 'uniform':
+                value = latency.min + u1 * (latency.max - latency.min);
+                break;
+            case 'normal':
+                // Box-Muller
+                value = latency.mean + latency.stdDev * Math.sqrt(-2 * Math.log(1 - u1)) * Math.cos(2 * Math.PI * u2);
+                break;
+            case 'exponential':
+                value = -latency.mean * Math.log(1 - u1);
+                break;
+            default:
+                value = latency.base !== undefined ? latency.base : baseDelay;
+        }
+
+        const min = latency.min !== undefined ? latency.min : 0;
+        const max = latency.max !== undefined ? latency.max : Infinity;
+        return Math.round(Math.min(Math.max(value, min), max));
+    }
+}
+
+// Instancia global
+export const faultInjector = new FaultInjector();
+
+export default {
+    FaultInjector,
+    faultInjector,
+    createSeededRandom
+};
@@ -3,7 +3,7 @@
  * Funciones de utilidad general para el sistema
  */
 
-import { NOTIFICATION_TYPES, MESSAGES, VALIDATION_RULES } from './constants.js';
+import { NOTIFICATION_TYPES, MESSAGES, VALIDATION_RULES, DEFAULT_PASSWORD_POLICY } from './constants.js';
 
 /**
  * Utilidades de DOM
@@ -171,14 +171,14 @@ export const Validation = {
     },
 
     /**
-     * Valida una contraseña
+     * Valida la longitud y las clases de caracteres de una contraseña
      * @param {string} password - Contraseña a validar
+     * @param {Object} policy - Política de contraseñas (por defecto DEFAULT_PASSWORD_POLICY)
      * @returns {Object} Resultado de la validación
      */
-    validatePassword(password) {
+    validatePassword(password, policy = DEFAULT_PASSWORD_POLICY) {
         const result = {
             isValid: false,
-            strength: 'weak',
             errors: []
         };
 
@@ -187,32 +187,16 @@ export const Validation = {
             return result;
         }
 
-        if (password.length < VALIDATION_RULES.password.minLength) {
-            result.errors.push(`Mínimo ${VALIDATION_RULES.password.minLength} caracteres`);
+        if (password.length < policy.minLength) {
+            result.errors.push(`Mínimo ${policy.minLength} caracteres`);
         }
 
-        const hasUpperCase = /[A-Z]/.test(password);
-        const hasLowerCase = /[a-z]/.test(password);
-        const hasNumbers = /\d/.test(password);
-        const hasSpecialChars = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-
-        if (!hasUpperCase) result.errors.push('Debe contener mayúsculas');
-        if (!hasLowerCase) result.errors.push('Debe contener minúsculas');
-        if (!hasNumbers) result.errors.push('Debe contener números');
-
-        // Calcular fortaleza
-        let strength = 0;
-        if (password.length >= 8) strength++;
-        if (hasUpperCase) strength++;
-        if (hasLowerCase) strength++;
-        if (hasNumbers) strength++;
-        if (hasSpecialChars) strength++;
-
-        if (strength <= 2) result.strength = 'weak';
-        else if (strength === 3) result.strength = 'fair';
-        else if (strength === 4) result.strength = 'good';
-        else result.strength = 'strong';
+        if (policy.requireUppercase && !/[A-Z]/.test(password)) result.errors.push('Debe contener mayúsculas');
+        if (policy.requireLowercase && !/[a-z]/.test(password)) result.errors.push('Debe contener minúsculas');
+        if (policy.requireNumbers && !/\d/.test(password)) result.errors.push('Debe contener números');
+        if (policy.requireSymbols && !/[^a-zA-Z0-9]/.test(password)) result.errors.push('Debe contener símbolos');
 
+        // La fortaleza y las palabras prohibidas se evalúan en PasswordPolicy (validators.js)
         result.isValid = result.errors.length === 0;
         return result;
     },
@@ -350,6 +334,25 @@ export const Format = {
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    },
+
+    /**
+     * Resume un user-agent como navegador y sistema operativo (ej: "Chrome en Windows")
+     * @param {string} userAgent - User-agent del navegador
+     * @returns {string} Descripción del dispositivo
+     */
+    device(userAgent) {
+        if (!userAgent) return 'Dispositivo desconocido';
+
+        // El orden importa: Edge y Opera también declaran Chrome, y Chrome declara Safari
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+        const find = (list) => (list.find(([token]) => userAgent.includes(token)) || [])[1];
+        const browser = find(browsers) || 'Navegador desconocido';
+        const system = find(systems);
+
+        return system ? `${browser} en ${system}` : browser;
     }
 };
 
@@ -0,0 +1,182 @@
+/**
+ * OFFLINE - StudyQuality System
+ * Estado de la conexión y cola de cambios pendientes guardada en IndexedDB
+ */
+
+import { APP_CONFIG } from './constants.js';
+import { Events } from './helpers.js';
+
+/**
+ * Estado de la conexión: el del navegador, o sin conexión si se simula desde el perfil de red.
+ * Emite 'network:online' y 'network:offline' solo en los cambios.
+ */
+export class NetworkStatus {
+    constructor() {
+        this.browserOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+        this.simulatedOffline = false;
+        this.online = this.browserOnline;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.setBrowserOnline(true));
+            window.addEventListener('offline', () => this.setBrowserOnline(false));
+        }
+    }
+
+    isOnline() {
+        return this.online;
+    }
+
+    setBrowserOnline(online) {
+        this.browserOnline = online;
+        this.update();
+    }
+
+    /**
+     * Aplica la opción "Sin conexión" del simulador de API
+     * @param {boolean} offline - True para simular que no hay red
+     */
+    setSimulatedOffline(offline) {
+        this.simulatedOffline = !!offline;
+        this.update();
+    }
+
+    update() {
+        const online = this.browserOnline && !this.simulatedOffline;
+        if (online !== this.online) {
+            this.online = online;
+            Events.emit(online ? 'network:online' : 'network:offline');
+        }
+    }
+}
+
+/**
+ * Convierte una petición de IndexedDB en una promesa
+ * @param {IDBRequest} request - Petición
+ * @returns {Promise<any>} Resultado
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Cola FIFO de cambios pendientes de enviar. Cada entrada guarda la operación y sus datos
+ * ({ type, payload, label, userId, status, error, createdAt }); el id autoincremental fija el orden.
+ * Sin IndexedDB (navegación privada en algunos navegadores) la cola vive solo en memoria.
+ */
+export class MutationQueue {
+    /**
+     * @param {Object} config - { database, store, version } (APP_CONFIG.offlineQueue)
+     */
+    constructor(config = APP_CONFIG.offlineQueue) {
+        this.config = config;
+        this.db = null;
+        this.memory = null;
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Abre la base la primera vez que se usa
+     * @returns {Promise<IDBDatabase|null>} Base, o null si se usa la memoria
+     */
+    open() {
+        if (!this.db) {
+            if (typeof indexedDB === 'undefined') {
+                this.memory = this.memory || new Map();
+                return Promise.resolve(null);
+            }
+
+            const request = indexedDB.open(this.config.database, this.config.version);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.config.store)) {
+                    request.result.createObjectStore(this.config.store, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            this.db = promisify(request).catch(error => {
+                console.warn('⚠️ IndexedDB no disponible, la cola de cambios pendientes queda en memoria:', error);
+                this.memory = new Map();
+                return null;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Ejecuta una operación sobre el almacén de la cola
+     * @param {string} mode - 'readonly' o 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<any>} Resultado de la petición
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        const store = db.transaction(this.config.store, mode).objectStore(this.config.store);
+        return promisify(operation(store));
+    }
+
+    /**
+     * Agrega un cambio al final de la cola
+     * @param {Object} entry - Cambio sin id
+     * @returns {Promise<Object>} Cambio con su id
+     */
+    async add(entry) {
+        const record = { ...entry, status: 'pending', error: null, createdAt: new Date().toISOString() };
+
+        if (await this.open()) {
+            record.id = await this.withStore('readwrite', store => store.add(record));
+        } else {
+            record.id = this.nextMemoryId++;
+            this.memory.set(record.id, record);
+        }
+        Events.emit('queue:changed');
+        return record;
+    }
+
+    /**
+     * @returns {Promise<Array>} Cambios en el orden en que se agregaron
+     */
+    async getAll() {
+        const entries = await this.open()
+            ? await this.withStore('readonly', store => store.getAll())
+            : [...this.memory.values()];
+        return entries.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Reemplaza un cambio (estado, error o datos tras resolver un conflicto)
+     * @param {Object} entry - Cambio con id
+     */
+    async update(entry) {
+        if (await this.open()) {
+            await this.withStore('readwrite', store => store.put(entry));
+        } else {
+            this.memory.set(entry.id, entry);
+        }
+        Events.emit('queue:changed');
+    }
+
+    /**
+     * Quita un cambio enviado o descartado
+     * @param {number} id - Id del cambio
+     */
+    async remove(id) {
+        if (await this.open()) {
+            await this.withStore('readwrite', store => store.delete(id));
+        } else {
+            this.memory.delete(id);
+        }
+        Events.emit('queue:changed');
+    }
+}
+
+// Instancias globales
+export const networkStatus = new NetworkStatus();
+export const mutationQueue = new MutationQueue();
+
+export default {
+    NetworkStatus,
+    MutationQueue,
+    networkStatus,
+    mutationQueue
+};
@@ -0,0 +1,86 @@
+/**
+ * PERMISSIONS - StudyQuality System
+ * Control de acceso basado en roles compartido por la API simulada y la UI
+ */
+
+import { ROLE_PERMISSIONS, ROLE_RANK, ENDPOINT_PERMISSIONS, PERMISSIONS } from './constants.js';
+
+/**
+ * @param {string} role - Rol del usuario
+ * @returns {number} Rango en la jerarquía (-1 si el rol no existe)
+ */
+function rankOf(role) {
+    return role in ROLE_RANK ? ROLE_RANK[role] : -1;
+}
+
+/**
+ * Consultas sobre la matriz de permisos
+ */
+export const Permissions = {
+    /**
+     * Verifica si un rol tiene un permiso
+     * @param {string} role - Rol del usuario
+     * @param {string} permission - Permiso (PERMISSIONS.*)
+     * @returns {boolean} True si el rol lo tiene
+     */
+    can(role, permission) {
+        return (ROLE_PERMISSIONS[role] || []).includes(permission);
+    },
+
+    /**
+     * Obtiene los permisos de un rol
+     * @param {string} role - Rol del usuario
+     * @returns {Array} Lista de permisos
+     */
+    forRole(role) {
+        return [...(ROLE_PERMISSIONS[role] || [])];
+    },
+
+    /**
+     * Verifica si un usuario puede editar a otro: no puede tocar a nadie con un rol superior al suyo
+     * @param {Object} actor - Usuario que edita
+     * @param {Object} target - Usuario editado
+     * @returns {boolean} True si puede editarlo
+     */
+    canEditUser(actor, target) {
+        return this.can(actor.role, PERMISSIONS.USERS_UPDATE) &&
+            rankOf(actor.role) >= rankOf(target.role);
+    },
+
+    /**
+     * Verifica si un usuario puede cambiar el rol o el estado de otro (nunca los propios)
+     * @param {Object} actor - Usuario que edita
+     * @param {Object} target - Usuario editado
+     * @returns {boolean} True si puede cambiarlos
+     */
+    canChangeAccess(actor, target) {
+        return actor.id !== target.id && this.can(actor.role, PERMISSIONS.USERS_MANAGE_ROLES) &&
+            this.canEditUser(actor, target);
+    },
+
+    /**
+     * Busca la regla de la matriz que aplica a una petición
+     * @param {string} method - Método HTTP
+     * @param {string} endpoint - Endpoint solicitado (puede incluir query string)
+     * @returns {Object|null} Regla { method, endpoint, permission }
+     */
+    findRule(method, endpoint) {
+        const path = endpoint.split('?')[0];
+        return ENDPOINT_PERMISSIONS.find(rule =>
+            rule.method === method && this.matchesPattern(rule.endpoint, path)
+        ) || null;
+    },
+
+    /**
+     * Compara un endpoint con un patrón tipo '/api/users/:id'
+     * @param {string} pattern - Patrón con parámetros
+     * @param {string} path - Ruta solicitada
+     * @returns {boolean} True si coincide
+     */
+    matchesPattern(pattern, path) {
+        const regex = new RegExp('^' + pattern.replace(/:[^/]+/g, '[^/]+') + '$');
+        return regex.test(path);
+    }
+};
+
+export default Permissions;
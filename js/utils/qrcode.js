@@ -0,0 +1,434 @@
+/**
+ * QRCODE - StudyQuality System
+ * Codificador QR local (modo byte, corrección de errores nivel M) usado en el enrolamiento 2FA.
+ * Soporta versiones 1 a 15, suficiente para URIs otpauth://
+ */
+
+// Bloques por versión para nivel M: [EC por bloque, bloques G1, datos G1, bloques G2, datos G2]
+const EC_BLOCKS_M = [
+    null,
+    [10, 1, 16, 0, 0],
+    [16, 1, 28, 0, 0],
+    [26, 1, 44, 0, 0],
+    [18, 2, 32, 0, 0],
+    [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0],
+    [18, 4, 31, 0, 0],
+    [22, 2, 38, 2, 39],
+    [22, 3, 36, 2, 37],
+    [26, 4, 43, 1, 44],
+    [30, 1, 50, 4, 51],
+    [22, 6, 36, 2, 37],
+    [22, 8, 37, 1, 38],
+    [24, 4, 40, 5, 41],
+    [24, 5, 41, 5, 42]
+];
+
+// Centros de los patrones de alineación por versión
+const ALIGNMENT_POSITIONS = [
+    null,
+    [],
+    [6, 18],
+    [6, 22],
+    [6, 26],
+    [6, 30],
+    [6, 34],
+    [6, 22, 38],
+    [6, 24, 42],
+    [6, 26, 46],
+    [6, 28, 50],
+    [6, 30, 54],
+    [6, 32, 58],
+    [6, 34, 62],
+    [6, 26, 46, 66],
+    [6, 26, 48, 70]
+];
+
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+const EC_LEVEL_M_BITS = 0;
+
+// Tablas de GF(256) con polinomio primitivo 0x11D
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 256) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Funciones de Reed-Solomon sobre GF(256)
+ */
+const ReedSolomon = {
+    multiply(a, b) {
+        return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+    },
+
+    generator(degree) {
+        let poly = [1];
+        for (let i = 0; i < degree; i++) {
+            const next = new Array(poly.length + 1).fill(0);
+            poly.forEach((coefficient, j) => {
+                next[j] ^= coefficient;
+                next[j + 1] ^= this.multiply(coefficient, GF_EXP[i]);
+            });
+            poly = next;
+        }
+        return poly;
+    },
+
+    remainder(data, degree) {
+        const generator = this.generator(degree);
+        const result = new Array(degree).fill(0);
+
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            for (let i = 0; i < degree; i++) {
+                result[i] ^= this.multiply(generator[i + 1], factor);
+            }
+        });
+        return result;
+    }
+};
+
+/**
+ * Codificador de códigos QR
+ */
+export const QRCode = {
+    /**
+     * Codifica un texto en una matriz QR
+     * @param {string} text - Texto a codificar (UTF-8)
+     * @returns {Object} { version, size, modules } con modules[fila][columna] = oscuro
+     */
+    encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = this.chooseVersion(bytes.length);
+        const codewords = this.buildCodewords(bytes, version);
+
+        const size = version * 4 + 17;
+        const base = this.createBaseMatrix(version, size);
+        this.placeData(base, codewords);
+
+        // Elegir la máscara con menor penalización
+        let best = null;
+        MASKS.forEach((mask, index) => {
+            const candidate = this.applyMask(base, mask, index, version);
+            const penalty = this.penalty(candidate);
+            if (!best || penalty < best.penalty) {
+                best = { modules: candidate, penalty };
+            }
+        });
+
+        return { version, size, modules: best.modules };
+    },
+
+    /**
+     * Genera una imagen SVG del código QR
+     * @param {string} text - Texto a codificar
+     * @param {Object} options - { scale, margin, dark, light }
+     * @returns {string} Marcado SVG
+     */
+    toSVG(text, options = {}) {
+        const { scale = 4, margin = 4, dark = '#000000', light = '#ffffff' } = options;
+        const { size, modules } = this.encode(text);
+        const total = size + margin * 2;
+
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) {
+                    path += `M${x + margin},${y + margin}h1v1h-1z`;
+                }
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+            `width="${total * scale}" height="${total * scale}" shape-rendering="crispEdges" role="img" aria-label="Código QR">` +
+            `<rect width="100%" height="100%" fill="${light}"/>` +
+            `<path d="${path}" fill="${dark}"/></svg>`;
+    },
+
+    chooseVersion(byteLength) {
+        for (let version = 1; version <= MAX_VERSION; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + byteLength * 8 <= this.dataCapacity(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Texto demasiado largo para el código QR');
+    },
+
+    dataCapacity(version) {
+        const [, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version];
+        return blocks1 * data1 + blocks2 * data2;
+    },
+
+    /**
+     * Construye la secuencia final de codewords (datos + corrección, intercalados)
+     */
+    buildCodewords(bytes, version) {
+        const capacity = this.dataCapacity(version);
+        const bits = [];
+        const pushBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        pushBits(0b0100, 4); // Modo byte
+        pushBits(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => pushBits(byte, 8));
+
+        // Terminador, alineación a byte y relleno
+        pushBits(0, Math.min(4, capacity * 8 - bits.length));
+        pushBits(0, (8 - (bits.length % 8)) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+
+        // Dividir en bloques y calcular la corrección de errores
+        const [ecLength, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version];
+        const blocks = [];
+        let offset = 0;
+        for (let i = 0; i < blocks1 + blocks2; i++) {
+            const length = i < blocks1 ? data1 : data2;
+            const blockData = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: blockData, ec: ReedSolomon.remainder(blockData, ecLength) });
+        }
+
+        const result = [];
+        const maxData = Math.max(data1, data2);
+        for (let i = 0; i < maxData; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    },
+
+    /**
+     * Crea la matriz con los patrones funcionales y marca las zonas reservadas
+     */
+    createBaseMatrix(version, size) {
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Patrones de posición con separadores
+        [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+            for (let dy = -1; dy <= 7; dy++) {
+                for (let dx = -1; dx <= 7; dx++) {
+                    const x = left + dx;
+                    const y = top + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                    set(x, y, ring !== 2 && ring !== 4);
+                }
+            }
+        });
+
+        // Patrones de temporización
+        for (let i = 8; i < size - 8; i++) {
+            set(i, 6, i % 2 === 0);
+            set(6, i, i % 2 === 0);
+        }
+
+        // Patrones de alineación (excepto los que se superponen a los de posición)
+        const positions = ALIGNMENT_POSITIONS[version];
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Zonas de formato (se completan al aplicar la máscara) y módulo oscuro
+        for (let i = 0; i < 9; i++) {
+            reserved[8][i] = true;
+            reserved[i][8] = true;
+        }
+        for (let i = 0; i < 8; i++) {
+            reserved[8][size - 1 - i] = true;
+            reserved[size - 1 - i][8] = true;
+        }
+        set(8, size - 8, true);
+
+        // Información de versión
+        if (version >= 7) {
+            const bits = this.versionBits(version);
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        return { modules, reserved, size };
+    },
+
+    /**
+     * Coloca los bits de datos en zigzag desde la esquina inferior derecha
+     */
+    placeData(base, codewords) {
+        const { modules, reserved, size } = base;
+        const totalBits = codewords.length * 8;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x]) continue;
+                    modules[y][x] = index < totalBits &&
+                        ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    },
+
+    /**
+     * Aplica una máscara a los módulos de datos y escribe la información de formato
+     */
+    applyMask(base, mask, maskIndex, version) {
+        const { reserved, size } = base;
+        const modules = base.modules.map((row, y) =>
+            row.map((dark, x) => (reserved[y][x] ? dark : dark !== mask(x, y)))
+        );
+
+        const bits = this.formatBits(maskIndex);
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+        };
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+
+        return modules;
+    },
+
+    formatBits(maskIndex) {
+        const data = (EC_LEVEL_M_BITS << 3) | maskIndex;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    },
+
+    versionBits(version) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        return (version << 12) | remainder;
+    },
+
+    /**
+     * Penalización de una matriz según las reglas de ISO/IEC 18004
+     */
+    penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        // Regla 1: corridas de 5 o más módulos del mismo color
+        // Regla 3: patrones similares a los de posición
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((value, k) => line[i + k] === value))) {
+                    score += 40;
+                }
+            }
+        });
+
+        // Regla 2: bloques de 2x2 del mismo color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+
+        // Regla 4: proporción de módulos oscuros
+        modules.forEach(row => row.forEach(value => {
+            if (value) dark++;
+        }));
+        score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+
+        return score;
+    }
+};
+
+export default QRCode;
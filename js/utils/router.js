@@ -0,0 +1,161 @@
+/**
+ * ROUTER - StudyQuality System
+ * Tabla de rutas con parámetros y middleware para el simulador de API
+ */
+
+/**
+ * Separa la ruta y la query string de un endpoint
+ * @param {string} endpoint - Endpoint solicitado (p. ej. '/api/audit/logins?type=LOGIN_FAILED')
+ * @returns {Object} { path, query } con la query como objeto
+ */
+export function parseEndpoint(endpoint) {
+    const [path, queryString = ''] = endpoint.split('?');
+    return {
+        path,
+        query: Object.fromEntries(new URLSearchParams(queryString))
+    };
+}
+
+/**
+ * Compila un patrón tipo '/api/users/:id' en una expresión regular
+ * @param {string} pattern - Patrón con parámetros ':nombre'
+ * @returns {Object} { regex, keys }
+ */
+function compilePattern(pattern) {
+    const keys = [];
+    const source = pattern.split('/').map(segment => {
+        if (segment.startsWith(':')) {
+            keys.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { regex: new RegExp(`^${source}$`), keys };
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Enrutador con middleware encadenado (cada uno recibe el contexto y next)
+ */
+export class Router {
+    /**
+     * @param {Object} options - { createError(status, data) } construye los errores 404 y 405
+     */
+    constructor({ createError } = {}) {
+        this.routes = [];
+        this.middleware = [];
+        this.createError = createError ||
+            ((status, data) => Object.assign(new Error(status === 405 ? 'Method Not Allowed' : 'Not Found'), { status, data }));
+    }
+
+    /**
+     * Registra un middleware que se ejecuta en todas las peticiones, en orden de registro
+     * @param {Function} middleware - async (ctx, next) => respuesta
+     * @returns {Router} El mismo router
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Registra una ruta
+     * @param {string} method - Método HTTP
+     * @param {string} pattern - Patrón de la ruta
+     * @param {Function} handler - async (ctx) => respuesta
+     * @param {Object} meta - Datos de la ruta que consultan los middleware (acceso, restricciones...)
+     * @returns {Router} El mismo router
+     */
+    add(method, pattern, handler, meta = {}) {
+        this.routes.push({ method, pattern, handler, meta, ...compilePattern(pattern) });
+        return this;
+    }
+
+    get(pattern, handler, meta) {
+        return this.add('GET', pattern, handler, meta);
+    }
+
+    post(pattern, handler, meta) {
+        return this.add('POST', pattern, handler, meta);
+    }
+
+    put(pattern, handler, meta) {
+        return this.add('PUT', pattern, handler, meta);
+    }
+
+    patch(pattern, handler, meta) {
+        return this.add('PATCH', pattern, handler, meta);
+    }
+
+    delete(pattern, handler, meta) {
+        return this.add('DELETE', pattern, handler, meta);
+    }
+
+    /**
+     * Busca la ruta de una petición. Las rutas sin parámetros tienen prioridad
+     * ('/api/users/bulk' antes que '/api/users/:id').
+     * @param {string} method - Método HTTP
+     * @param {string} path - Ruta sin query string
+     * @returns {Object} { route, params, allowed } (route es null si no hay coincidencia para el método)
+     */
+    match(method, path) {
+        const candidates = this.routes
+            .map(route => ({ route, values: route.regex.exec(path) }))
+            .filter(candidate => candidate.values)
+            .sort((a, b) => a.route.keys.length - b.route.keys.length);
+
+        const found = candidates.find(candidate => candidate.route.method === method);
+        const allowed = [...new Set(candidates.map(candidate => candidate.route.method))];
+        if (!found) {
+            return { route: null, params: {}, allowed };
+        }
+
+        const params = {};
+        found.route.keys.forEach((key, index) => {
+            params[key] = decodeParam(found.values[index + 1]);
+        });
+        return { route: found.route, params, allowed };
+    }
+
+    /**
+     * Atiende una petición: resuelve la ruta, ejecuta los middleware y luego el handler
+     * @param {Object} request - { method, endpoint, data, options }
+     * @returns {Promise<Object>} Respuesta del handler
+     */
+    async handle(request) {
+        const ctx = { ...request, ...parseEndpoint(request.endpoint) };
+        Object.assign(ctx, this.match(ctx.method, ctx.path));
+
+        const dispatch = index => {
+            const middleware = this.middleware[index];
+            return middleware
+                ? middleware(ctx, () => dispatch(index + 1))
+                : this.invoke(ctx);
+        };
+        return dispatch(0);
+    }
+
+    /**
+     * Ejecuta el handler de la ruta, o responde 404 / 405 si no la hay
+     * @param {Object} ctx - Contexto de la petición
+     * @returns {Promise<Object>} Respuesta
+     */
+    async invoke(ctx) {
+        if (!ctx.route) {
+            throw ctx.allowed.length > 0
+                ? this.createError(405, { allow: ctx.allowed })
+                : this.createError(404, null);
+        }
+        return ctx.route.handler(ctx);
+    }
+}
+
+export default Router;
@@ -0,0 +1,667 @@
+/**
+ * SECURITY - StudyQuality System
+ * Primitivas criptográficas basadas en WebCrypto para el simulador de autenticación
+ */
+
+import { APP_CONFIG } from './constants.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Utilidades de codificación binaria
+ */
+export const Encoding = {
+    /**
+     * Convierte texto a bytes UTF-8
+     * @param {string} text - Texto
+     * @returns {Uint8Array} Bytes
+     */
+    toBytes(text) {
+        return encoder.encode(text);
+    },
+
+    /**
+     * Codifica bytes en Base64
+     * @param {Uint8Array|ArrayBuffer} bytes - Bytes a codificar
+     * @returns {string} Cadena Base64
+     */
+    toBase64(bytes) {
+        const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        let binary = '';
+        view.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
+
+    /**
+     * Decodifica una cadena Base64
+     * @param {string} base64 - Cadena Base64
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    /**
+     * Codifica bytes en Base64 URL-safe sin relleno (RFC 4648 §5)
+     * @param {Uint8Array|ArrayBuffer} bytes - Bytes a codificar
+     * @returns {string} Cadena Base64url
+     */
+    toBase64Url(bytes) {
+        return this.toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Decodifica una cadena Base64url
+     * @param {string} base64url - Cadena Base64url
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64Url(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        const padding = (4 - (base64.length % 4)) % 4;
+        return this.fromBase64(base64 + '='.repeat(padding));
+    },
+
+    /**
+     * Codifica bytes en Base32 sin relleno (RFC 4648 §6)
+     * @param {Uint8Array} bytes - Bytes a codificar
+     * @returns {string} Cadena Base32
+     */
+    toBase32(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        bytes.forEach(byte => {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    },
+
+    /**
+     * Decodifica una cadena Base32 (ignora espacios, guiones y relleno)
+     * @param {string} base32 - Cadena Base32
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase32(base32) {
+        const clean = base32.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Carácter Base32 inválido: ${char}`);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+};
+
+/**
+ * Generación de valores aleatorios criptográficamente seguros
+ */
+export const Random = {
+    /**
+     * Genera bytes aleatorios
+     * @param {number} length - Cantidad de bytes
+     * @returns {Uint8Array} Bytes aleatorios
+     */
+    bytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+};
+
+/**
+ * Resúmenes criptográficos
+ */
+export const Digest = {
+    /**
+     * Calcula el SHA-256 de un texto
+     * @param {string} text - Texto
+     * @returns {Promise<string>} Resumen en Base64
+     */
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', Encoding.toBytes(text));
+        return Encoding.toBase64(digest);
+    },
+
+    /**
+     * Calcula el SHA-256 de texto o bytes
+     * @param {string|Uint8Array} data - Datos
+     * @returns {Promise<Uint8Array>} Resumen en bytes
+     */
+    async sha256Bytes(data) {
+        const bytes = typeof data === 'string' ? Encoding.toBytes(data) : data;
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    }
+};
+
+/**
+ * Compara dos cadenas en tiempo constante
+ * @param {string} a - Primera cadena
+ * @param {string} b - Segunda cadena
+ * @returns {boolean} True si son iguales
+ */
+export function constantTimeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Hash y verificación de contraseñas (PBKDF2 con sal aleatoria)
+ */
+export const Password = {
+    /**
+     * Deriva el hash de una contraseña
+     * @param {string} password - Contraseña en texto plano
+     * @param {Object} options - Sal e iteraciones (por defecto APP_CONFIG.auth.passwordHashing)
+     * @returns {Promise<Object>} Credencial almacenable { algorithm, iterations, salt, hash }
+     */
+    async hash(password, options = {}) {
+        const config = APP_CONFIG.auth.passwordHashing;
+        const iterations = options.iterations || config.iterations;
+        const salt = options.salt ? Encoding.fromBase64(options.salt) : Random.bytes(config.saltLength);
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            Encoding.toBytes(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            key,
+            config.keyLength * 8
+        );
+
+        return {
+            algorithm: config.algorithm,
+            iterations,
+            salt: Encoding.toBase64(salt),
+            hash: Encoding.toBase64(bits)
+        };
+    },
+
+    /**
+     * Verifica una contraseña contra una credencial almacenada
+     * @param {string} password - Contraseña en texto plano
+     * @param {Object} credentials - Credencial generada por Password.hash
+     * @returns {Promise<boolean>} True si coincide
+     */
+    async verify(password, credentials) {
+        if (!password || !credentials || !credentials.salt || !credentials.hash) {
+            return false;
+        }
+
+        const candidate = await this.hash(password, {
+            salt: credentials.salt,
+            iterations: credentials.iterations
+        });
+
+        return constantTimeEqual(candidate.hash, credentials.hash);
+    }
+};
+
+/**
+ * Tokens de sesión con formato JWT firmados con HMAC-SHA256 (HS256)
+ */
+export const Token = {
+    /**
+     * Firma un conjunto de claims
+     * @param {Object} payload - Claims del token
+     * @param {string} secret - Secreto de firma en Base64
+     * @returns {Promise<string>} Token JWT
+     */
+    async sign(payload, secret) {
+        const header = { alg: 'HS256', typ: 'JWT' };
+        const signingInput = `${this.encodeSegment(header)}.${this.encodeSegment(payload)}`;
+
+        const key = await this.importKey(secret);
+        const signature = await crypto.subtle.sign('HMAC', key, Encoding.toBytes(signingInput));
+
+        return `${signingInput}.${Encoding.toBase64Url(signature)}`;
+    },
+
+    /**
+     * Verifica firma y expiración de un token
+     * @param {string} token - Token JWT
+     * @param {string} secret - Secreto de firma en Base64
+     * @returns {Promise<Object|null>} Claims si el token es válido, null en caso contrario
+     */
+    async verify(token, secret) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return null;
+
+        try {
+            const [header, payload, signature] = parts;
+            if (this.decodeSegment(header).alg !== 'HS256') return null;
+
+            const key = await this.importKey(secret);
+            const isValid = await crypto.subtle.verify(
+                'HMAC',
+                key,
+                Encoding.fromBase64Url(signature),
+                Encoding.toBytes(`${header}.${payload}`)
+            );
+            if (!isValid) return null;
+
+            const claims = this.decodeSegment(payload);
+            if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+                return null;
+            }
+            return claims;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Lee los claims de un token sin verificar la firma (solo para uso del cliente)
+     * @param {string} token - Token JWT
+     * @returns {Object|null} Claims
+     */
+    decode(token) {
+        try {
+            return this.decodeSegment(token.split('.')[1]);
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Genera un secreto de firma aleatorio
+     * @returns {string} Secreto en Base64
+     */
+    generateSecret() {
+        return Encoding.toBase64(Random.bytes(32));
+    },
+
+    importKey(secret) {
+        return crypto.subtle.importKey(
+            'raw',
+            Encoding.fromBase64(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+    },
+
+    encodeSegment(value) {
+        return Encoding.toBase64Url(Encoding.toBytes(JSON.stringify(value)));
+    },
+
+    decodeSegment(segment) {
+        return JSON.parse(new TextDecoder().decode(Encoding.fromBase64Url(segment)));
+    }
+};
+
+/**
+ * Contraseñas de un solo uso basadas en tiempo (RFC 6238, HMAC-SHA1)
+ */
+export const Totp = {
+    /**
+     * Genera un secreto compartido
+     * @returns {string} Secreto en Base32 (160 bits)
+     */
+    generateSecret() {
+        return Encoding.toBase32(Random.bytes(20));
+    },
+
+    /**
+     * Calcula el código para un instante dado
+     * @param {string} secret - Secreto en Base32
+     * @param {Object} options - { time, period, digits }
+     * @returns {Promise<string>} Código numérico
+     */
+    async generate(secret, options = {}) {
+        const { period, digits } = { ...APP_CONFIG.auth.mfa, ...options };
+        const time = options.time !== undefined ? options.time : Date.now();
+        return this.generateForStep(secret, Math.floor(time / 1000 / period), digits);
+    },
+
+    /**
+     * Calcula el código HOTP de un contador (RFC 4226)
+     * @param {string} secret - Secreto en Base32
+     * @param {number} step - Contador de intervalos
+     * @param {number} digits - Cantidad de dígitos
+     * @returns {Promise<string>} Código numérico
+     */
+    async generateForStep(secret, step, digits = APP_CONFIG.auth.mfa.digits) {
+        const counter = new Uint8Array(8);
+        let value = step;
+        for (let i = 7; i >= 0; i--) {
+            counter[i] = value & 255;
+            value = Math.floor(value / 256);
+        }
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            Encoding.fromBase32(secret),
+            { name: 'HMAC', hash: 'SHA-1' },
+            false,
+            ['sign']
+        );
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+        // Truncamiento dinámico
+        const offset = hmac[hmac.length - 1] & 15;
+        const binary = ((hmac[offset] & 127) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % (10 ** digits)).padStart(digits, '0');
+    },
+
+    /**
+     * Verifica un código tolerando desfase de reloj
+     * @param {string} code - Código ingresado
+     * @param {string} secret - Secreto en Base32
+     * @param {Object} options - { time, window, period, digits }
+     * @returns {Promise<number|null>} Contador que coincidió, o null
+     */
+    async verify(code, secret, options = {}) {
+        const { period, digits, window } = { ...APP_CONFIG.auth.mfa, ...options };
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+        const time = options.time !== undefined ? options.time : Date.now();
+        const current = Math.floor(time / 1000 / period);
+
+        for (let offset = -window; offset <= window; offset++) {
+            const candidate = await this.generateForStep(secret, current + offset, digits);
+            if (constantTimeEqual(candidate, normalized)) {
+                return current + offset;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Construye el URI otpauth:// para aplicaciones autenticadoras
+     * @param {string} secret - Secreto en Base32
+     * @param {string} account - Cuenta (email)
+     * @returns {string} URI de aprovisionamiento
+     */
+    buildUri(secret, account) {
+        const { issuer, digits, period } = APP_CONFIG.auth.mfa;
+        const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(digits),
+            period: String(period)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+};
+
+/**
+ * Códigos de recuperación de un solo uso
+ */
+export const RecoveryCodes = {
+    /**
+     * Genera códigos legibles con formato XXXXX-XXXXX
+     * @param {number} count - Cantidad de códigos
+     * @returns {Array<string>} Códigos en texto plano
+     */
+    generate(count = APP_CONFIG.auth.mfa.recoveryCodes) {
+        return Array.from({ length: count }, () => {
+            const code = Encoding.toBase32(Random.bytes(7)).slice(0, 10);
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    },
+
+    /**
+     * Normaliza y resume un código para almacenarlo o compararlo
+     * @param {string} code - Código en texto plano
+     * @returns {Promise<string>} Resumen SHA-256
+     */
+    hash(code) {
+        return Digest.sha256(String(code || '').toUpperCase().replace(/[\s-]/g, ''));
+    }
+};
+
+/**
+ * Lee un elemento CBOR (RFC 8949) a partir de una posición. Solo cubre lo que usa
+ * WebAuthn: enteros, cadenas de bytes y de texto, arrays, mapas y true/false/null.
+ * @param {Uint8Array} bytes - Datos
+ * @param {number} offset - Posición inicial
+ * @returns {Object} { value, offset } con el valor y la posición siguiente
+ */
+function readCbor(bytes, offset) {
+    const major = bytes[offset] >> 5;
+    const info = bytes[offset] & 31;
+    let position = offset + 1;
+
+    if (major === 7) {
+        const simple = { 20: false, 21: true, 22: null };
+        if (!(info in simple)) throw new Error('Valor CBOR no soportado');
+        return { value: simple[info], offset: position };
+    }
+
+    let length = info;
+    if (info >= 24 && info <= 26) {
+        const size = 1 << (info - 24);
+        length = 0;
+        for (let i = 0; i < size; i++) {
+            length = length * 256 + bytes[position + i];
+        }
+        position += size;
+    } else if (info > 23) {
+        throw new Error('Longitud CBOR no soportada');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: length, offset: position };
+        case 1:
+            return { value: -1 - length, offset: position };
+        case 2:
+            return { value: bytes.slice(position, position + length), offset: position + length };
+        case 3:
+            return { value: decoder.decode(bytes.slice(position, position + length)), offset: position + length };
+        case 4:
+        case 5: {
+            const items = major === 4 ? [] : new Map();
+            for (let i = 0; i < length; i++) {
+                const key = readCbor(bytes, position);
+                if (major === 4) {
+                    items.push(key.value);
+                    position = key.offset;
+                } else {
+                    const value = readCbor(bytes, key.offset);
+                    items.set(key.value, value.value);
+                    position = value.offset;
+                }
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error('Tipo CBOR no soportado');
+    }
+}
+
+/**
+ * Convierte una firma ECDSA DER (como la entregan los autenticadores) al formato r||s de WebCrypto
+ * @param {Uint8Array} der - Firma DER
+ * @returns {Uint8Array} Firma de 64 bytes
+ */
+function derToRawSignature(der) {
+    const raw = new Uint8Array(64);
+    // SEQUENCE { INTEGER r, INTEGER s }; las firmas P-256 siempre usan longitudes de un byte
+    let position = 2;
+    for (let i = 0; i < 2; i++) {
+        if (der[position] !== 0x02) throw new Error('Firma DER inválida');
+        const length = der[position + 1];
+        let value = der.slice(position + 2, position + 2 + length);
+        while (value.length > 32 && value[0] === 0) {
+            value = value.slice(1);
+        }
+        raw.set(value, i * 32 + 32 - value.length);
+        position += 2 + length;
+    }
+    return raw;
+}
+
+// Algoritmos COSE admitidos para passkeys y sus parámetros WebCrypto
+const COSE_ALGORITHMS = {
+    [-7]: {
+        importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+        verifyParams: { name: 'ECDSA', hash: 'SHA-256' },
+        toJwk: cose => ({ kty: 'EC', crv: 'P-256', x: Encoding.toBase64Url(cose.get(-2)), y: Encoding.toBase64Url(cose.get(-3)) })
+    },
+    [-257]: {
+        importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+        verifyParams: { name: 'RSASSA-PKCS1-v1_5' },
+        toJwk: cose => ({ kty: 'RSA', n: Encoding.toBase64Url(cose.get(-1)), e: Encoding.toBase64Url(cose.get(-2)) })
+    }
+};
+
+/**
+ * Verificación de credenciales WebAuthn (passkeys) del lado del servidor simulado
+ */
+export const WebAuthn = {
+    algorithms: Object.keys(COSE_ALGORITHMS).map(Number),
+
+    /**
+     * Decodifica el clientDataJSON de una respuesta
+     * @param {string} encoded - clientDataJSON en Base64url
+     * @returns {Object} { type, challenge, origin, ... }
+     */
+    parseClientData(encoded) {
+        return JSON.parse(decoder.decode(Encoding.fromBase64Url(encoded)));
+    },
+
+    /**
+     * Interpreta los datos del autenticador (WebAuthn §6.1)
+     * @param {Uint8Array} bytes - authenticatorData
+     * @returns {Object} { rpIdHash, userPresent, userVerified, signCount, credentialId?, publicKey? }
+     */
+    parseAuthenticatorData(bytes) {
+        if (bytes.length < 37) throw new Error('authenticatorData demasiado corto');
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const flags = bytes[32];
+        const data = {
+            rpIdHash: bytes.slice(0, 32),
+            userPresent: !!(flags & 0x01),
+            userVerified: !!(flags & 0x04),
+            signCount: view.getUint32(33)
+        };
+
+        // Datos de la credencial: AAGUID (16 bytes), longitud del ID, ID y clave pública COSE
+        if (flags & 0x40) {
+            const idLength = view.getUint16(53);
+            data.credentialId = bytes.slice(55, 55 + idLength);
+            data.publicKey = readCbor(bytes, 55 + idLength).value;
+        }
+        return data;
+    },
+
+    /**
+     * Decodifica el attestationObject de un registro (solo se admite el formato sin atestación)
+     * @param {string} encoded - attestationObject en Base64url
+     * @returns {Object} Datos del autenticador con la credencial nueva
+     */
+    parseAttestationObject(encoded) {
+        const attestation = readCbor(Encoding.fromBase64Url(encoded), 0).value;
+        if (!(attestation instanceof Map) || !attestation.get('authData')) {
+            throw new Error('attestationObject inválido');
+        }
+        return this.parseAuthenticatorData(attestation.get('authData'));
+    },
+
+    /**
+     * Convierte una clave pública COSE a JWK
+     * @param {Map} cose - Clave COSE
+     * @returns {Object} { alg, jwk }
+     */
+    coseToPublicKey(cose) {
+        const alg = cose instanceof Map ? cose.get(3) : undefined;
+        if (!COSE_ALGORITHMS[alg]) throw new Error('Algoritmo de clave no soportado');
+        return { alg, jwk: COSE_ALGORITHMS[alg].toJwk(cose) };
+    },
+
+    /**
+     * Comprueba que los datos pertenezcan al relying party esperado
+     * @param {Object} authData - Datos del autenticador
+     * @param {string} rpId - ID del relying party
+     * @returns {Promise<boolean>} True si el hash coincide
+     */
+    async matchesRpId(authData, rpId) {
+        const expected = await Digest.sha256Bytes(rpId);
+        return constantTimeEqual(Encoding.toBase64(expected), Encoding.toBase64(authData.rpIdHash));
+    },
+
+    /**
+     * Verifica la firma de una aserción sobre authenticatorData || SHA-256(clientDataJSON)
+     * @param {Object} publicKey - { alg, jwk } almacenado al registrar la passkey
+     * @param {Object} assertion - { authenticatorData, clientDataJSON, signature } en Base64url
+     * @returns {Promise<boolean>} True si la firma es válida
+     */
+    async verifyAssertion(publicKey, assertion) {
+        const algorithm = COSE_ALGORITHMS[publicKey.alg];
+        const authData = Encoding.fromBase64Url(assertion.authenticatorData);
+        const clientDataHash = await Digest.sha256Bytes(Encoding.fromBase64Url(assertion.clientDataJSON));
+
+        const signed = new Uint8Array(authData.length + clientDataHash.length);
+        signed.set(authData);
+        signed.set(clientDataHash, authData.length);
+
+        let signature = Encoding.fromBase64Url(assertion.signature);
+        if (publicKey.alg === -7) {
+            signature = derToRawSignature(signature);
+        }
+
+        const key = await crypto.subtle.importKey('jwk', publicKey.jwk, algorithm.importParams, false, ['verify']);
+        return crypto.subtle.verify(algorithm.verifyParams, key, signature, signed);
+    }
+};
+
+export default {
+    Encoding,
+    Random,
+    Digest,
+    Password,
+    Token,
+    Totp,
+    RecoveryCodes,
+    WebAuthn,
+    constantTimeEqual
+};
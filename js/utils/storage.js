@@ -3,8 +3,17 @@
  * Sistema de almacenamiento local con respaldo y recuperación
  */
 
-import { STORAGE_KEYS, SAMPLE_USERS } from './constants.js';
+import { STORAGE_KEYS, SAMPLE_USERS, DEMO_CREDENTIALS, APP_CONFIG, DEFAULT_PASSWORD_POLICY, USER_STATUS } from './constants.js';
 import { Data } from './helpers.js';
+import { Password, RecoveryCodes, Digest, Encoding, Random } from './security.js';
+
+// Campos del registro de usuario que nunca deben salir del almacenamiento
+const PRIVATE_USER_FIELDS = ['credentials', 'mfa', 'passwordHistory', 'passkeys'];
+
+// Campos que mantiene el servidor (login, 2FA, passkeys, contraseña): escribirlos no cambia la versión del registro
+const BOOKKEEPING_USER_FIELDS = [
+    'lastLogin', 'emailVerifiedAt', 'credentials', 'passwordHistory', 'passwordChangedAt', 'mfa', 'passkeys'
+];
 
 /**
  * Clase principal de almacenamiento
@@ -184,6 +193,7 @@ export class UserStorage extends Storage {
      * @returns {Object|null} Usuario encontrado
      */
     getUserByEmail(email) {
+        if (!email) return null;
         const users = this.getUsers();
         return users.find(user => user.email.toLowerCase() === email.toLowerCase()) || null;
     }
@@ -200,13 +210,14 @@ export class UserStorage extends Storage {
             ...userData,
             registeredDate: new Date().toISOString().split('T')[0],
             lastLogin: null,
+            version: 1,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
         users.push(newUser);
         this.set(STORAGE_KEYS.USER_DATA, users);
-        this.logUserAction('USER_CREATED', newUser.id, newUser);
+        this.logUserAction('USER_CREATED', newUser.id, this.toPublicUser(newUser));
         
         return newUser;
     }
@@ -223,15 +234,21 @@ export class UserStorage extends Storage {
         
         if (userIndex === -1) return null;
 
+        // Solo los cambios de perfil incrementan la versión del registro (ETag de la API),
+        // para que un login o un uso de la 2FA no invaliden las ediciones en curso
+        const versioned = Object.keys(updates).some(field => !BOOKKEEPING_USER_FIELDS.includes(field));
         const updatedUser = {
             ...users[userIndex],
             ...updates,
-            updatedAt: new Date().toISOString()
+            ...(versioned ? {
+                version: (users[userIndex].version || 1) + 1,
+                updatedAt: new Date().toISOString()
+            } : {})
         };
 
         users[userIndex] = updatedUser;
         this.set(STORAGE_KEYS.USER_DATA, users);
-        this.logUserAction('USER_UPDATED', id, updatedUser);
+        this.logUserAction('USER_UPDATED', id, this.toPublicUser(updatedUser));
         
         return updatedUser;
     }
@@ -250,7 +267,7 @@ export class UserStorage extends Storage {
         const deletedUser = users[userIndex];
         users.splice(userIndex, 1);
         this.set(STORAGE_KEYS.USER_DATA, users);
-        this.logUserAction('USER_DELETED', id, deletedUser);
+        this.logUserAction('USER_DELETED', id, this.toPublicUser(deletedUser));
         
         return true;
     }
@@ -270,6 +287,25 @@ export class UserStorage extends Storage {
         return deletedCount;
     }
 
+    /**
+     * Elimina las cuentas pendientes de verificación creadas hace más de maxAge
+     * @param {number} maxAge - Antigüedad máxima en milisegundos
+     * @returns {Array} Usuarios eliminados
+     */
+    purgeUnverified(maxAge) {
+        const cutoff = Date.now() - maxAge;
+        const expired = this.getUsers().filter(user =>
+            user.status === USER_STATUS.PENDING && !user.emailVerifiedAt &&
+            new Date(user.createdAt).getTime() < cutoff
+        );
+
+        expired.forEach(user => {
+            this.deleteUser(user.id);
+            this.logUserAction('UNVERIFIED_ACCOUNT_PURGED', user.id, { email: user.email });
+        });
+        return expired;
+    }
+
     /**
      * Busca usuarios
      * @param {string} query - Consulta de búsqueda
@@ -321,6 +357,214 @@ export class UserStorage extends Storage {
         };
     }
 
+    /**
+     * Devuelve una copia del usuario sin credenciales ni datos internos
+     * @param {Object} user - Usuario almacenado
+     * @returns {Object|null} Usuario apto para respuestas y sesión
+     */
+    toPublicUser(user) {
+        if (!user) return null;
+        const publicUser = { ...user, version: user.version || 1, mfaEnabled: !!(user.mfa && user.mfa.enabled) };
+        PRIVATE_USER_FIELDS.forEach(field => delete publicUser[field]);
+        return publicUser;
+    }
+
+    /**
+     * Obtiene la configuración de verificación en dos pasos de un usuario
+     * @param {number} id - ID del usuario
+     * @returns {Object|null} { enabled, secret, pendingSecret, recoveryCodes, lastUsedStep }
+     */
+    getMfa(id) {
+        const user = this.getUserById(id);
+        return user && user.mfa ? user.mfa : null;
+    }
+
+    /**
+     * Actualiza la configuración de verificación en dos pasos
+     * @param {number} id - ID del usuario
+     * @param {Object|null} changes - Campos a modificar (null la elimina)
+     * @returns {Object|null} Usuario actualizado
+     */
+    updateMfa(id, changes) {
+        const current = this.getMfa(id) || {};
+        return this.updateUser(id, { mfa: changes ? { ...current, ...changes } : null });
+    }
+
+    /**
+     * Obtiene las passkeys registradas por un usuario
+     * @param {number} id - ID del usuario
+     * @returns {Array} Passkeys { id, publicKey, signCount, name, transports, createdAt, lastUsedAt }
+     */
+    getPasskeys(id) {
+        const user = this.getUserById(id);
+        return user && user.passkeys ? user.passkeys : [];
+    }
+
+    /**
+     * Busca el usuario dueño de una passkey
+     * @param {string} credentialId - ID de la credencial (Base64url)
+     * @returns {Object|null} Usuario encontrado
+     */
+    getUserByPasskey(credentialId) {
+        return this.getUsers().find(user =>
+            (user.passkeys || []).some(passkey => passkey.id === credentialId)
+        ) || null;
+    }
+
+    /**
+     * Agrega una passkey a un usuario
+     * @param {number} id - ID del usuario
+     * @param {Object} passkey - Passkey verificada
+     * @returns {Object|null} Usuario actualizado
+     */
+    addPasskey(id, passkey) {
+        return this.updateUser(id, { passkeys: [...this.getPasskeys(id), passkey] });
+    }
+
+    /**
+     * Actualiza una passkey (contador de firmas, último uso)
+     * @param {number} id - ID del usuario
+     * @param {string} credentialId - ID de la credencial
+     * @param {Object} changes - Campos a modificar
+     */
+    updatePasskey(id, credentialId, changes) {
+        const passkeys = this.getPasskeys(id).map(passkey =>
+            passkey.id === credentialId ? { ...passkey, ...changes } : passkey
+        );
+        this.updateUser(id, { passkeys });
+    }
+
+    /**
+     * Elimina una passkey
+     * @param {number} id - ID del usuario
+     * @param {string} credentialId - ID de la credencial
+     * @returns {boolean} True si existía
+     */
+    removePasskey(id, credentialId) {
+        const passkeys = this.getPasskeys(id);
+        const remaining = passkeys.filter(passkey => passkey.id !== credentialId);
+        if (remaining.length === passkeys.length) return false;
+
+        this.updateUser(id, { passkeys: remaining });
+        return true;
+    }
+
+    /**
+     * Guarda los códigos de recuperación como hashes (reemplaza los anteriores)
+     * @param {number} id - ID del usuario
+     * @param {Array<string>} codes - Códigos en texto plano
+     */
+    async storeRecoveryCodes(id, codes) {
+        const hashes = await Promise.all(codes.map(code => RecoveryCodes.hash(code)));
+        this.updateMfa(id, { recoveryCodes: hashes });
+    }
+
+    /**
+     * Consume un código de recuperación si es válido
+     * @param {number} id - ID del usuario
+     * @param {string} code - Código en texto plano
+     * @returns {Promise<boolean>} True si el código existía (queda invalidado)
+     */
+    async consumeRecoveryCode(id, code) {
+        const hash = await RecoveryCodes.hash(code);
+        const mfa = this.getMfa(id);
+        const remaining = mfa && mfa.recoveryCodes ? mfa.recoveryCodes : [];
+
+        if (!remaining.includes(hash)) return false;
+
+        this.updateMfa(id, { recoveryCodes: remaining.filter(stored => stored !== hash) });
+        return true;
+    }
+
+    /**
+     * Indica si una contraseña coincide con la actual o con una de las recientes
+     * @param {number} id - ID del usuario
+     * @param {string} password - Contraseña en texto plano
+     * @param {number} historySize - Cantidad de contraseñas recientes a comparar (incluye la actual)
+     * @returns {Promise<boolean>} True si la contraseña ya se usó
+     */
+    async isPasswordReused(id, password, historySize) {
+        const user = this.getUserById(id);
+        if (!user || historySize <= 0) return false;
+
+        const recent = [user.credentials, ...(user.passwordHistory || [])]
+            .filter(Boolean)
+            .slice(0, historySize);
+
+        for (const credentials of recent) {
+            if (await Password.verify(password, credentials)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Cambia la contraseña guardando la anterior en el historial
+     * @param {number} id - ID del usuario
+     * @param {string} password - Nueva contraseña en texto plano
+     * @param {number} historySize - Contraseñas recientes a conservar (incluye la nueva)
+     * @returns {Promise<Object|null>} Usuario actualizado
+     */
+    async setPassword(id, password, historySize) {
+        const credentials = await Password.hash(password);
+        const user = this.getUserById(id);
+        if (!user) return null;
+
+        const passwordHistory = [user.credentials, ...(user.passwordHistory || [])]
+            .filter(Boolean)
+            .slice(0, Math.max(historySize - 1, 0));
+
+        return this.updateUser(id, {
+            credentials,
+            passwordHistory,
+            passwordChangedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Asigna credenciales hasheadas a los usuarios de ejemplo que no las tienen
+     * y registra la cuenta demo como un usuario almacenado más.
+     * Los usuarios de ejemplo usan la contraseña demo (DEMO_CREDENTIALS.password).
+     * @returns {Promise<number>} Cantidad de usuarios migrados
+     */
+    async migrateLegacyCredentials() {
+        const sampleIds = SAMPLE_USERS.map(user => user.id);
+        const pending = this.getUsers()
+            .filter(user => !user.credentials && sampleIds.includes(user.id))
+            .map(user => user.id);
+        const needsDemoAdmin = !this.getUserById(DEMO_CREDENTIALS.user.id);
+
+        if (pending.length === 0 && !needsDemoAdmin) return 0;
+
+        // Derivar los hashes antes de leer de nuevo para no pisar escrituras concurrentes
+        const hashes = {};
+        for (const id of pending) {
+            hashes[id] = await Password.hash(DEMO_CREDENTIALS.password);
+        }
+        const demoCredentials = needsDemoAdmin ? await Password.hash(DEMO_CREDENTIALS.password) : null;
+
+        const passwordChangedAt = new Date().toISOString();
+        const users = this.getUsers().map(user => (
+            hashes[user.id] && !user.credentials ? { ...user, credentials: hashes[user.id], passwordChangedAt } : user
+        ));
+
+        if (demoCredentials && !users.some(user => user.id === DEMO_CREDENTIALS.user.id)) {
+            users.unshift({
+                ...DEMO_CREDENTIALS.user,
+                credentials: demoCredentials,
+                passwordChangedAt,
+                registeredDate: new Date().toISOString().split('T')[0],
+                lastLogin: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        this.set(STORAGE_KEYS.USER_DATA, users);
+        return pending.length + (demoCredentials ? 1 : 0);
+    }
+
     /**
      * Obtiene el siguiente ID de usuario
      * @returns {number} Siguiente ID
@@ -365,13 +609,14 @@ export class SessionStorage extends Storage {
     /**
      * Inicia sesión de usuario
      * @param {Object} user - Datos del usuario
+     * @param {string} sessionId - ID de sesión asignado por la API (se genera uno local si no lo envía)
      */
-    setCurrentUser(user) {
+    setCurrentUser(user, sessionId = this.generateSessionId()) {
         const sessionData = {
             user,
             loginTime: new Date().toISOString(),
             lastActivity: new Date().toISOString(),
-            sessionId: this.generateSessionId()
+            sessionId
         };
         
         this.set(STORAGE_KEYS.CURRENT_USER, sessionData);
@@ -380,12 +625,6 @@ export class SessionStorage extends Storage {
             sessionStart: sessionData.loginTime,
             sessionId: sessionData.sessionId
         });
-
-        // Actualizar último login del usuario
-        const userStorage = new UserStorage();
-        userStorage.updateUser(user.id, {
-            lastLogin: new Date().toISOString()
-        });
     }
 
     /**
@@ -397,6 +636,53 @@ export class SessionStorage extends Storage {
         return sessionData ? sessionData.user : null;
     }
 
+    /**
+     * Actualiza los datos del usuario de la sesión actual
+     * @param {Object} changes - Campos a modificar
+     */
+    updateCurrentUser(changes) {
+        const sessionData = this.get(STORAGE_KEYS.CURRENT_USER);
+        if (!sessionData) return;
+
+        sessionData.user = { ...sessionData.user, ...changes };
+        this.set(STORAGE_KEYS.CURRENT_USER, sessionData);
+    }
+
+    /**
+     * Pasa a usar la identidad de otro usuario conservando la del administrador
+     * @param {Object} user - Usuario suplantado
+     */
+    startImpersonation(user) {
+        const sessionData = this.get(STORAGE_KEYS.CURRENT_USER);
+        if (!sessionData) return;
+
+        sessionData.impersonator = sessionData.impersonator || sessionData.user;
+        sessionData.user = user;
+        this.set(STORAGE_KEYS.CURRENT_USER, sessionData);
+    }
+
+    /**
+     * Vuelve a la identidad del administrador
+     * @param {Object} user - Datos actualizados del administrador
+     */
+    stopImpersonation(user) {
+        const sessionData = this.get(STORAGE_KEYS.CURRENT_USER);
+        if (!sessionData) return;
+
+        sessionData.user = user;
+        delete sessionData.impersonator;
+        this.set(STORAGE_KEYS.CURRENT_USER, sessionData);
+    }
+
+    /**
+     * Obtiene el administrador que está suplantando al usuario actual
+     * @returns {Object|null} Administrador, o null si no hay suplantación
+     */
+    getImpersonator() {
+        const sessionData = this.get(STORAGE_KEYS.CURRENT_USER);
+        return sessionData ? sessionData.impersonator || null : null;
+    }
+
     /**
      * Verifica si hay una sesión activa
      * @returns {boolean} True si está logueado
@@ -406,6 +692,56 @@ export class SessionStorage extends Storage {
         return sessionData && sessionData.isLoggedIn;
     }
 
+    /**
+     * Obtiene el ID de la sesión actual
+     * @returns {string|null} ID de sesión
+     */
+    getSessionId() {
+        const sessionData = this.get(STORAGE_KEYS.SESSION_DATA);
+        return sessionData ? sessionData.sessionId : null;
+    }
+
+    /**
+     * Guarda el token de acceso emitido por la API
+     * @param {string} token - Token firmado
+     * @param {number} expiresIn - Validez en segundos
+     */
+    setToken(token, expiresIn) {
+        const sessionData = this.get(STORAGE_KEYS.SESSION_DATA);
+        if (!sessionData) return;
+
+        sessionData.token = token;
+        sessionData.tokenExpiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+        this.set(STORAGE_KEYS.SESSION_DATA, sessionData);
+    }
+
+    /**
+     * Obtiene el token de acceso actual
+     * @returns {string|null} Token
+     */
+    getToken() {
+        const sessionData = this.get(STORAGE_KEYS.SESSION_DATA);
+        return sessionData ? sessionData.token || null : null;
+    }
+
+    /**
+     * Obtiene el momento de expiración del token
+     * @returns {Date|null} Fecha de expiración
+     */
+    getTokenExpiry() {
+        const sessionData = this.get(STORAGE_KEYS.SESSION_DATA);
+        return sessionData && sessionData.tokenExpiresAt ? new Date(sessionData.tokenExpiresAt) : null;
+    }
+
+    /**
+     * Obtiene el momento de la última actividad registrada
+     * @returns {Date|null} Fecha de última actividad
+     */
+    getLastActivity() {
+        const currentSession = this.get(STORAGE_KEYS.CURRENT_USER);
+        return currentSession ? new Date(currentSession.lastActivity) : null;
+    }
+
     /**
      * Actualiza la actividad de la sesión
      */
@@ -450,6 +786,310 @@ export class SessionStorage extends Storage {
     }
 }
 
+/**
+ * Registro de sesiones emitidas por la API (una por login, en cualquier dispositivo).
+ * A diferencia de SessionStorage, conserva todas las sesiones y su estado de revocación.
+ */
+export class SessionRegistryStorage extends Storage {
+    /**
+     * Obtiene todos los registros
+     * @returns {Array} Sesiones registradas
+     */
+    getAll() {
+        return this.get(STORAGE_KEYS.SESSION_REGISTRY, []);
+    }
+
+    /**
+     * Obtiene una sesión por ID
+     * @param {string} id - ID de sesión
+     * @returns {Object|null} Sesión
+     */
+    getSession(id) {
+        return this.getAll().find(session => session.id === id) || null;
+    }
+
+    /**
+     * Registra una sesión nueva
+     * @param {string} id - ID de sesión
+     * @param {number} userId - ID del usuario
+     * @param {string} userAgent - Navegador desde el que se inició
+     * @returns {Object} Sesión registrada
+     */
+    register(id, userId, userAgent = '') {
+        const now = new Date().toISOString();
+        const session = {
+            id,
+            userId,
+            userAgent,
+            createdAt: now,
+            lastActivity: now,
+            endedAt: null,
+            revokedAt: null,
+            revokedBy: null
+        };
+
+        // Se descartan primero los registros más antiguos
+        const sessions = [...this.getAll(), session].slice(-APP_CONFIG.auth.sessionHistoryLimit);
+        this.set(STORAGE_KEYS.SESSION_REGISTRY, sessions);
+        return session;
+    }
+
+    /**
+     * Registra actividad en una sesión
+     * @param {string} id - ID de sesión
+     */
+    touch(id) {
+        this.updateSessions(session => session.id === id, { lastActivity: new Date().toISOString() });
+    }
+
+    /**
+     * Marca una sesión como cerrada por su usuario (logout)
+     * @param {string} id - ID de sesión
+     */
+    end(id) {
+        this.updateSessions(session => session.id === id && this.isActive(session), {
+            endedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Revoca una sesión activa
+     * @param {string} id - ID de sesión
+     * @param {number} revokedBy - ID del usuario que la revoca
+     * @returns {boolean} True si se revocó
+     */
+    revoke(id, revokedBy) {
+        return this.revokeWhere(session => session.id === id, revokedBy) > 0;
+    }
+
+    /**
+     * Revoca las sesiones activas de un usuario
+     * @param {number} userId - ID del usuario
+     * @param {number} revokedBy - ID del usuario que las revoca
+     * @param {string|null} exceptId - Sesión que se conserva (p. ej. la actual)
+     * @returns {number} Sesiones revocadas
+     */
+    revokeForUser(userId, revokedBy, exceptId = null) {
+        return this.revokeWhere(session => session.userId === userId && session.id !== exceptId, revokedBy);
+    }
+
+    revokeWhere(predicate, revokedBy) {
+        return this.updateSessions(session => predicate(session) && this.isActive(session), {
+            revokedAt: new Date().toISOString(),
+            revokedBy
+        });
+    }
+
+    /**
+     * Aplica cambios a las sesiones que cumplen una condición
+     * @param {Function} predicate - Condición
+     * @param {Object} changes - Campos a modificar
+     * @returns {number} Sesiones modificadas
+     */
+    updateSessions(predicate, changes) {
+        let count = 0;
+        const sessions = this.getAll().map(session => {
+            if (!predicate(session)) return session;
+            count++;
+            return { ...session, ...changes };
+        });
+
+        if (count > 0) {
+            this.set(STORAGE_KEYS.SESSION_REGISTRY, sessions);
+        }
+        return count;
+    }
+
+    /**
+     * Indica si una sesión sigue abierta: sin cerrar, sin revocar y con actividad reciente
+     * @param {Object} session - Sesión registrada
+     * @returns {boolean} True si está activa
+     */
+    isActive(session) {
+        if (!session || session.endedAt || session.revokedAt) return false;
+        return Date.now() - new Date(session.lastActivity).getTime() <= APP_CONFIG.auth.sessionTimeout;
+    }
+
+    /**
+     * Obtiene las sesiones activas, opcionalmente de un solo usuario
+     * @param {number|null} userId - ID del usuario
+     * @returns {Array} Sesiones activas, la de actividad más reciente primero
+     */
+    getActiveSessions(userId = null) {
+        return this.getAll()
+            .filter(session => this.isActive(session) && (userId === null || session.userId === userId))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+    }
+}
+
+/**
+ * Registro de auditoría de autenticación (logins, fallos, bloqueos, cierres de sesión)
+ */
+export class AuthAuditStorage extends Storage {
+    /**
+     * Obtiene todos los eventos, del más antiguo al más reciente
+     * @returns {Array} Eventos registrados
+     */
+    getAll() {
+        return this.get(STORAGE_KEYS.AUTH_AUDIT, []);
+    }
+
+    /**
+     * Agrega un evento al registro
+     * @param {Object} event - Evento ya completo (tipo, email, marcas de anomalía, etc.)
+     * @returns {Object} Evento almacenado
+     */
+    append(event) {
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+            timestamp: new Date().toISOString(),
+            flags: [],
+            reviewed: false,
+            ...event
+        };
+
+        const events = [...this.getAll(), entry].slice(-APP_CONFIG.auth.audit.maxEntries);
+        this.set(STORAGE_KEYS.AUTH_AUDIT, events);
+        return entry;
+    }
+
+    /**
+     * Busca eventos
+     * @param {Object} filters - { type, email, flagged, since }
+     * @returns {Array} Eventos, el más reciente primero
+     */
+    query(filters = {}) {
+        const { type, email, flagged, since } = filters;
+        const emailQuery = email ? email.toLowerCase() : null;
+        const sinceTime = since ? new Date(since).getTime() : null;
+
+        return this.getAll()
+            .filter(event => {
+                if (type && event.type !== type) return false;
+                if (emailQuery && !(event.email || '').toLowerCase().includes(emailQuery)) return false;
+                if (flagged && event.flags.length === 0) return false;
+                if (sinceTime && new Date(event.timestamp).getTime() < sinceTime) return false;
+                return true;
+            })
+            .reverse();
+    }
+
+    /**
+     * Cuenta los eventos marcados que nadie revisó
+     * @returns {number} Alertas pendientes
+     */
+    getUnreviewedCount() {
+        return this.getAll().filter(event => event.flags.length > 0 && !event.reviewed).length;
+    }
+
+    /**
+     * Marca como revisadas todas las alertas pendientes
+     * @param {number} reviewedBy - ID del usuario que las revisa
+     * @returns {number} Alertas marcadas
+     */
+    markReviewed(reviewedBy) {
+        let count = 0;
+        const events = this.getAll().map(event => {
+            if (event.flags.length === 0 || event.reviewed) return event;
+            count++;
+            return { ...event, reviewed: true, reviewedBy, reviewedAt: new Date().toISOString() };
+        });
+
+        if (count > 0) {
+            this.set(STORAGE_KEYS.AUTH_AUDIT, events);
+        }
+        return count;
+    }
+}
+
+/**
+ * Seguimiento de intentos de login fallidos y bloqueo de cuentas
+ */
+export class LoginAttemptStorage extends Storage {
+    /**
+     * Obtiene todos los registros de intentos
+     * @returns {Object} Registros indexados por email
+     */
+    getAll() {
+        return this.get(STORAGE_KEYS.LOGIN_ATTEMPTS, {});
+    }
+
+    /**
+     * Obtiene el registro de intentos de un email
+     * @param {string} email - Email
+     * @returns {Object} Registro { failures, lastFailure, lockedUntil }
+     */
+    getRecord(email) {
+        const record = this.getAll()[this.normalize(email)];
+        return record || { failures: 0, lastFailure: null, lockedUntil: null };
+    }
+
+    /**
+     * Obtiene el tiempo de bloqueo restante de un email
+     * @param {string} email - Email
+     * @returns {number} Milisegundos restantes (0 si no está bloqueado)
+     */
+    getLockoutRemaining(email) {
+        const { lockedUntil } = this.getRecord(email);
+        if (!lockedUntil) return 0;
+
+        const remaining = new Date(lockedUntil) - new Date();
+        if (remaining <= 0) {
+            // El bloqueo expiró: se reinicia el contador
+            this.reset(email);
+            return 0;
+        }
+        return remaining;
+    }
+
+    /**
+     * Registra un intento fallido y bloquea al alcanzar el límite.
+     * Solo cuentan los fallos seguidos: si el anterior pasó hace más que la duración del bloqueo,
+     * el contador empieza de nuevo.
+     * @param {string} email - Email
+     * @returns {Object} Registro actualizado
+     */
+    registerFailure(email) {
+        const { maxLoginAttempts, lockoutDuration } = APP_CONFIG.auth;
+        const records = this.getAll();
+        const key = this.normalize(email);
+        const record = records[key] || { failures: 0, lastFailure: null, lockedUntil: null };
+
+        if (record.lastFailure && Date.now() - new Date(record.lastFailure) > lockoutDuration) {
+            record.failures = 0;
+        }
+        record.failures++;
+        record.lastFailure = new Date().toISOString();
+
+        if (record.failures >= maxLoginAttempts) {
+            record.lockedUntil = new Date(Date.now() + lockoutDuration).toISOString();
+        }
+
+        records[key] = record;
+        this.set(STORAGE_KEYS.LOGIN_ATTEMPTS, records);
+        return record;
+    }
+
+    /**
+     * Reinicia los intentos de un email (login exitoso o desbloqueo manual)
+     * @param {string} email - Email
+     */
+    reset(email) {
+        const records = this.getAll();
+        delete records[this.normalize(email)];
+        this.set(STORAGE_KEYS.LOGIN_ATTEMPTS, records);
+    }
+
+    /**
+     * Normaliza el email usado como clave
+     * @param {string} email - Email
+     * @returns {string} Email normalizado
+     */
+    normalize(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+}
+
 /**
  * Gestión de respaldos
  */
@@ -568,19 +1208,235 @@ export class BackupStorage extends Storage {
     }
 }
 
+/**
+ * Tokens de un solo uso con vencimiento (restablecimiento de contraseña, verificaciones).
+ * Solo se almacena el hash del token; el valor en claro viaja únicamente al destinatario.
+ */
+export class OneTimeTokenStorage extends Storage {
+    /**
+     * Obtiene todos los registros
+     * @returns {Array} Registros de tokens
+     */
+    getAll() {
+        return this.get(STORAGE_KEYS.ONE_TIME_TOKENS, []);
+    }
+
+    /**
+     * Emite un token nuevo e invalida los pendientes del mismo propósito y usuario
+     * @param {string} purpose - Propósito del token (p. ej. 'password_reset')
+     * @param {number} userId - ID del usuario
+     * @param {number} lifetime - Validez en milisegundos
+     * @returns {Promise<string>} Token en claro
+     */
+    async issue(purpose, userId, lifetime) {
+        const token = Encoding.toBase64Url(Random.bytes(32));
+        const tokenHash = await Digest.sha256(token);
+        const now = Date.now();
+
+        const records = this.getAll()
+            .filter(record => new Date(record.expiresAt).getTime() > now)
+            .map(record => (record.purpose === purpose && record.userId === userId && !record.usedAt
+                ? { ...record, usedAt: new Date(now).toISOString(), revoked: true }
+                : record));
+
+        records.push({
+            purpose,
+            userId,
+            tokenHash,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + lifetime).toISOString(),
+            usedAt: null
+        });
+
+        this.set(STORAGE_KEYS.ONE_TIME_TOKENS, records);
+        return token;
+    }
+
+    /**
+     * Busca un token válido sin consumirlo
+     * @param {string} purpose - Propósito esperado
+     * @param {string} token - Token en claro
+     * @returns {Promise<Object|null>} Registro, o null si no es válido, ya se usó o expiró
+     */
+    async peek(purpose, token) {
+        if (!token) return null;
+
+        const tokenHash = await Digest.sha256(token);
+        const record = this.getAll().find(item => item.purpose === purpose && item.tokenHash === tokenHash);
+
+        if (!record || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Consume un token si es válido, no fue usado y no expiró
+     * @param {string} purpose - Propósito esperado
+     * @param {string} token - Token en claro
+     * @returns {Promise<Object|null>} Registro consumido, o null si no es válido
+     */
+    async consume(purpose, token) {
+        const record = await this.peek(purpose, token);
+        if (!record) return null;
+
+        // Se relee sin esperas intermedias: de dos consumos simultáneos solo uno encuentra el token sin usar
+        const records = this.getAll();
+        const stored = records.find(item => item.tokenHash === record.tokenHash);
+        if (!stored || stored.usedAt) return null;
+
+        stored.usedAt = new Date().toISOString();
+        this.set(STORAGE_KEYS.ONE_TIME_TOKENS, records);
+        return stored;
+    }
+}
+
+/**
+ * Configuración del sistema editable por administradores
+ */
+export class SettingsStorage extends Storage {
+    /**
+     * Obtiene la configuración completa
+     * @returns {Object} Configuración
+     */
+    getSettings() {
+        return this.get(STORAGE_KEYS.SYSTEM_SETTINGS, {});
+    }
+
+    /**
+     * Actualiza parte de la configuración
+     * @param {Object} changes - Valores a modificar
+     * @returns {Object} Configuración actualizada
+     */
+    updateSettings(changes) {
+        const settings = { ...this.getSettings(), ...changes };
+        this.set(STORAGE_KEYS.SYSTEM_SETTINGS, settings);
+        return settings;
+    }
+
+    /**
+     * Obtiene la política de contraseñas vigente (completa con los valores por defecto)
+     * @returns {Object} Política de contraseñas
+     */
+    getPasswordPolicy() {
+        return { ...DEFAULT_PASSWORD_POLICY, ...(this.getSettings().passwordPolicy || {}) };
+    }
+
+    /**
+     * Actualiza la política de contraseñas
+     * @param {Object} changes - Campos a modificar
+     * @returns {Object} Política actualizada
+     */
+    updatePasswordPolicy(changes) {
+        const passwordPolicy = { ...this.getPasswordPolicy(), ...changes };
+        this.updateSettings({ passwordPolicy });
+        return passwordPolicy;
+    }
+}
+
+/**
+ * Bandeja de salida de correo simulada: guarda los emails que el sistema habría enviado
+ */
+export class MailOutboxStorage extends Storage {
+    constructor() {
+        super();
+        this.maxMessages = 100;
+    }
+
+    /**
+     * Obtiene los mensajes, del más reciente al más antiguo
+     * @param {string} to - Filtrar por destinatario (opcional)
+     * @returns {Array} Mensajes
+     */
+    getMessages(to = null) {
+        const messages = this.get(STORAGE_KEYS.MAIL_OUTBOX, []);
+        return to
+            ? messages.filter(message => message.to.toLowerCase() === to.toLowerCase())
+            : messages;
+    }
+
+    /**
+     * "Envía" un email guardándolo en la bandeja
+     * @param {Object} mail - { to, subject, body, links }
+     * @returns {Object} Mensaje almacenado
+     */
+    send(mail) {
+        const messages = this.getMessages();
+        const message = {
+            id: Data.generateId(),
+            to: mail.to,
+            subject: mail.subject,
+            body: mail.body,
+            links: mail.links || [],
+            sentAt: new Date().toISOString(),
+            read: false
+        };
+
+        messages.unshift(message);
+        this.set(STORAGE_KEYS.MAIL_OUTBOX, messages.slice(0, this.maxMessages));
+        return message;
+    }
+
+    /**
+     * Marca un mensaje como leído
+     * @param {string} id - ID del mensaje
+     */
+    markAsRead(id) {
+        const messages = this.getMessages();
+        const message = messages.find(item => item.id === id);
+        if (message) {
+            message.read = true;
+            this.set(STORAGE_KEYS.MAIL_OUTBOX, messages);
+        }
+    }
+
+    /**
+     * Cuenta los mensajes no leídos
+     * @returns {number} Cantidad
+     */
+    getUnreadCount() {
+        return this.getMessages().filter(message => !message.read).length;
+    }
+
+    /**
+     * Vacía la bandeja
+     */
+    clear() {
+        this.set(STORAGE_KEYS.MAIL_OUTBOX, []);
+    }
+}
+
 // Instancias singleton
 export const storage = new Storage();
 export const userStorage = new UserStorage();
 export const sessionStorage = new SessionStorage();
+export const sessionRegistryStorage = new SessionRegistryStorage();
+export const authAuditStorage = new AuthAuditStorage();
 export const backupStorage = new BackupStorage();
+export const loginAttemptStorage = new LoginAttemptStorage();
+export const oneTimeTokenStorage = new OneTimeTokenStorage();
+export const mailOutboxStorage = new MailOutboxStorage();
+export const settingsStorage = new SettingsStorage();
 
 export default {
     Storage,
     UserStorage,
     SessionStorage,
+    SessionRegistryStorage,
+    AuthAuditStorage,
     BackupStorage,
+    LoginAttemptStorage,
+    OneTimeTokenStorage,
+    MailOutboxStorage,
+    SettingsStorage,
     storage,
     userStorage,
     sessionStorage,
-    backupStorage
+    sessionRegistryStorage,
+    authAuditStorage,
+    backupStorage,
+    loginAttemptStorage,
+    oneTimeTokenStorage,
+    mailOutboxStorage,
+    settingsStorage
 };
\ No newline at end of file
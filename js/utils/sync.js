@@ -0,0 +1,132 @@
+/**
+ * SYNC - StudyQuality System
+ * Sincronización de estado entre pestañas (BroadcastChannel con respaldo en eventos storage)
+ */
+
+import { STORAGE_KEYS } from './constants.js';
+
+// Mensajes intercambiados entre pestañas
+export const SYNC_EVENTS = {
+    LOGIN: 'session_login',
+    LOGOUT: 'session_logout',
+    ACTIVITY: 'session_activity',
+    EXPIRED: 'session_expired',
+    REVOKED: 'session_revoked',
+    TOKEN_REFRESHED: 'token_refreshed',
+    CACHE_INVALIDATED: 'cache_invalidated'
+};
+
+/**
+ * Canal de mensajes entre pestañas del mismo origen
+ */
+export class TabSync {
+    constructor(channelName = 'studyquality_sync') {
+        this.channelName = channelName;
+        this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        this.handlers = new Map();
+        this.channel = null;
+
+        this.init();
+    }
+
+    /**
+     * Abre el canal disponible en el navegador
+     */
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        } else if (typeof window !== 'undefined' && window.addEventListener) {
+            // Respaldo: los eventos storage solo llegan a las demás pestañas
+            window.addEventListener('storage', (event) => {
+                if (event.key !== STORAGE_KEYS.TAB_SYNC || !event.newValue) return;
+                try {
+                    this.dispatch(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.error('Mensaje de sincronización inválido:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Envía un mensaje a las demás pestañas
+     * @param {string} type - Tipo de mensaje (SYNC_EVENTS.*)
+     * @param {Object} payload - Datos del mensaje
+     */
+    publish(type, payload = {}) {
+        const message = {
+            type,
+            payload,
+            origin: this.tabId,
+            timestamp: Date.now()
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // El timestamp y el origen garantizan un valor distinto en cada escritura
+                localStorage.setItem(STORAGE_KEYS.TAB_SYNC, JSON.stringify(message));
+                localStorage.removeItem(STORAGE_KEYS.TAB_SYNC);
+            }
+        } catch (error) {
+            console.error('Error sincronizando pestañas:', error);
+        }
+    }
+
+    /**
+     * Registra un manejador para un tipo de mensaje
+     * @param {string} type - Tipo de mensaje
+     * @param {Function} handler - Manejador (recibe payload y mensaje completo)
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    subscribe(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    /**
+     * Entrega un mensaje recibido a sus manejadores
+     * @param {Object} message - Mensaje recibido
+     */
+    dispatch(message) {
+        // Ignorar ecos de esta misma pestaña
+        if (!message || message.origin === this.tabId) return;
+
+        const handlers = this.handlers.get(message.type);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(message.payload, message);
+            } catch (error) {
+                console.error(`Error procesando ${message.type}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Cierra el canal
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.handlers.clear();
+    }
+}
+
+// Instancia global
+export const tabSync = new TabSync();
+
+export default {
+    TabSync,
+    tabSync,
+    SYNC_EVENTS
+};
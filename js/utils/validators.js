@@ -4,7 +4,8 @@
  */
 
 import { VALIDATION_RULES, USER_ROLES, USER_STATUS } from './constants.js';
-import { DOM } from './helpers.js';
+import { DOM, Validation } from './helpers.js';
+import { settingsStorage } from './storage.js';
 
 /**
  * Clase principal de validación
@@ -202,11 +203,12 @@ export class FormValidator {
             rules.push({ type: 'required' });
         }
 
-        if (field.minLength) {
+        // Sin atributo, el navegador devuelve -1
+        if (field.minLength > 0) {
             rules.push({ type: 'minLength', min: parseInt(field.minLength) });
         }
 
-        if (field.maxLength) {
+        if (field.maxLength > 0) {
             rules.push({ type: 'maxLength', max: parseInt(field.maxLength) });
         }
 
@@ -225,15 +227,27 @@ export class FormValidator {
             case 'loginEmail':
             case 'regEmail':
             case 'modalEmail':
+            case 'forgotEmail':
                 rules.push({ type: 'email' });
                 break;
 
             case 'password':
-            case 'loginPassword':
             case 'regPassword':
+            case 'resetPassword':
+            case 'expiredPassword':
+            case 'changePassword':
                 rules.push({
                     type: 'custom',
-                    validator: (value) => this.validatePassword(value)
+                    validator: (value) => this.validatePassword(value, this.getUserInputs())
+                });
+                break;
+
+            case 'resetPasswordConfirm':
+            case 'expiredPasswordConfirm':
+            case 'changePasswordConfirm':
+                rules.push({
+                    type: 'custom',
+                    validator: (value) => this.validatePasswordMatch(value, this.form.querySelector(`#${fieldName.replace(/Confirm$/, '')}`))
                 });
                 break;
 
@@ -268,28 +282,37 @@ export class FormValidator {
         return rules;
     }
 
+    /**
+     * Datos personales del formulario que no deberían aparecer en la contraseña
+     * @returns {Array<string>} Nombre y email ingresados
+     */
+    getUserInputs() {
+        return Array.from(this.form.querySelectorAll('input[type="email"], input[autocomplete="name"]'))
+            .map(field => field.value)
+            .filter(Boolean);
+    }
+
     /**
      * Validaciones personalizadas
      */
-    validatePassword(password) {
+    validatePassword(password, userInputs = []) {
         if (!password) {
             return { isValid: false, message: 'La contraseña es obligatoria' };
         }
 
-        const minLength = VALIDATION_RULES.password.minLength;
-        if (password.length < minLength) {
-            return { isValid: false, message: `Mínimo ${minLength} caracteres` };
-        }
-
-        const hasUpperCase = /[A-Z]/.test(password);
-        const hasLowerCase = /[a-z]/.test(password);
-        const hasNumbers = /\d/.test(password);
-
-        if (!hasUpperCase || !hasLowerCase || !hasNumbers) {
-            return { isValid: false, message: 'Debe contener mayúsculas, minúsculas y números' };
-        }
+        const result = PasswordPolicy.validate(password, userInputs);
+        return {
+            isValid: result.isValid,
+            message: result.isValid ? '' : result.errors[0]
+        };
+    }
 
-        return { isValid: true, message: '' };
+    validatePasswordMatch(value, passwordField) {
+        const isValid = !!passwordField && value === passwordField.value;
+        return {
+            isValid,
+            message: isValid ? '' : 'Las contraseñas no coinciden'
+        };
     }
 
     validateRole(role) {
@@ -520,6 +543,463 @@ export const FieldValidators = {
     }
 };
 
+/**
+ * Contraseñas más usadas (en orden aproximado de frecuencia), incluidas las habituales en español
+ */
+const COMMON_PASSWORDS = [
+    '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+    '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+    'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890', 'michael',
+    '654321', 'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx', '123qwe',
+    'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter', 'buster',
+    'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou', 'charlie',
+    'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster', '112233',
+    'george', 'computer', 'michelle', 'jessica', 'pepper', 'zxcvbn', 'freedom', 'ginger',
+    'princess', 'welcome', 'admin', 'administrator', 'root', 'login', 'passw0rd', 'secret',
+    'contrasena', 'clave', 'secreto', 'teamo', 'tequiero', 'amor', 'amorcito',
+    'hola', 'holamundo', 'princesa', 'futbol', 'barcelona', 'realmadrid', 'madrid', 'america',
+    'mexico', 'argentina', 'colombia', 'chile', 'peru', 'espana', 'familia', 'estrella',
+    'mariposa', 'corazon', 'angel', 'bonita', 'hermosa', 'carlos', 'alejandro', 'jesus',
+    'dios', 'diosesamor', 'cristo', 'bienvenido', 'usuario', 'invitado', 'prueba', 'demo',
+    'test', 'changeme', 'default', 'studyquality', 'calidad', 'software', 'universidad'
+];
+
+// Filas del teclado (distribución española) para detectar recorridos como "qwerty" o "asdf"
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjklñ', 'zxcvbnm'];
+
+// Sustituciones habituales de letras por números o símbolos
+const LEET_SUBSTITUTIONS = { '4': 'a', '@': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+const STRENGTH_LEVELS = ['weak', 'weak', 'fair', 'good', 'strong'];
+
+// Minúsculas sin tildes ("María" → "maria"); conserva la longitud de los caracteres precompuestos
+const normalizeText = (text) => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Bits de entropía necesarios para alcanzar cada puntuación (1 a 4)
+const SCORE_THRESHOLDS = [25, 35, 50, 65];
+
+/**
+ * Estimador de fortaleza de contraseñas basado en entropía y patrones predecibles
+ */
+export const PasswordStrength = {
+    /**
+     * Etiquetas visibles de cada nivel
+     */
+    labels: {
+        weak: 'Débil',
+        fair: 'Regular',
+        good: 'Buena',
+        strong: 'Fuerte'
+    },
+
+    /**
+     * Estima la fortaleza de una contraseña y la contrasta con la política vigente
+     * @param {string} password - Contraseña a evaluar
+     * @param {Array<string>} userInputs - Datos del usuario que no deberían aparecer (nombre, email)
+     * @param {Object} policy - Política de contraseñas (por defecto la configurada)
+     * @returns {Object} { score (0-4), level, entropy (bits), isAcceptable, errors, warnings, suggestions }
+     */
+    estimate(password, userInputs = [], policy = PasswordPolicy.get()) {
+        const result = {
+            score: 0,
+            level: '',
+            entropy: 0,
+            isAcceptable: false,
+            errors: [],
+            warnings: [],
+            suggestions: []
+        };
+
+        if (!password) {
+            return result;
+        }
+
+        const bitsPerChar = Math.log2(this.charsetSize(password));
+        const allMatches = this.findMatches(password, userInputs, policy.bannedWords || []);
+        const matches = this.selectMatches(allMatches, bitsPerChar);
+        const coveredLength = matches.reduce((total, match) => total + match.j - match.i, 0);
+
+        const entropy = matches.reduce((total, match) => total + match.bits, 0) +
+            (password.length - coveredLength) * bitsPerChar;
+
+        let score = SCORE_THRESHOLDS.filter(threshold => entropy >= threshold).length;
+
+        // Las reglas de la política van primero y limitan la puntuación del medidor
+        result.errors = Validation.validatePassword(password, policy).errors;
+        const banned = allMatches.find(match => match.type === 'banned');
+        if (banned) {
+            result.errors.push(`No puede contener "${banned.token}"`);
+        }
+
+        if (password.length < policy.minLength) {
+            score = 0;
+        } else if (result.errors.length > 0) {
+            score = Math.min(score, 1);
+        }
+
+        result.warnings.push(...result.errors);
+        if (!/[A-Z]/.test(password)) result.suggestions.push('Agrega letras mayúsculas');
+        if (!/[a-z]/.test(password)) result.suggestions.push('Agrega letras minúsculas');
+        if (!/\d/.test(password)) result.suggestions.push('Agrega números');
+
+        matches.forEach(match => {
+            const warning = this.warningFor(match);
+            if (!result.warnings.includes(warning)) {
+                result.warnings.push(warning);
+            }
+        });
+
+        if (score < 3) {
+            if (!/[^a-zA-Z0-9]/.test(password)) {
+                result.suggestions.push('Agrega símbolos');
+            }
+            result.suggestions.push('Usa una contraseña más larga, por ejemplo una frase con palabras poco comunes');
+        }
+
+        result.score = score;
+        result.level = STRENGTH_LEVELS[score];
+        result.entropy = Math.round(entropy);
+        result.isAcceptable = result.errors.length === 0 && score >= policy.minScore;
+        return result;
+    },
+
+    /**
+     * Devuelve el primer mensaje útil para mostrar al usuario
+     * @param {Object} estimate - Resultado de estimate()
+     * @returns {string} Mensaje (vacío si no hay nada que mejorar)
+     */
+    feedback(estimate) {
+        return estimate.warnings[0] || estimate.suggestions[0] || '';
+    },
+
+    /**
+     * Tamaño del alfabeto según las clases de caracteres presentes
+     * @param {string} password - Contraseña
+     * @returns {number} Cantidad de símbolos posibles por carácter
+     */
+    charsetSize(password) {
+        let size = 0;
+        if (/[a-z]/.test(password)) size += 26;
+        if (/[A-Z]/.test(password)) size += 26;
+        if (/\d/.test(password)) size += 10;
+        if (/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(password)) size += 33;
+        if (/[^\x20-\x7e]/.test(password)) size += 100;
+        return size;
+    },
+
+    /**
+     * Busca todos los patrones predecibles de la contraseña
+     * @param {string} password - Contraseña
+     * @param {Array<string>} userInputs - Datos del usuario
+     * @param {Array<string>} bannedWords - Palabras prohibidas por la política
+     * @returns {Array} Coincidencias { i, j, bits, type, token }
+     */
+    findMatches(password, userInputs, bannedWords = []) {
+        return [
+            ...this.dictionaryMatches(password, userInputs, bannedWords),
+            ...this.keyboardMatches(password),
+            ...this.sequenceMatches(password),
+            ...this.repeatMatches(password),
+            ...this.dateMatches(password)
+        ];
+    },
+
+    /**
+     * Elige coincidencias sin solapamiento que más entropía descuentan
+     * @param {Array} matches - Coincidencias encontradas
+     * @param {number} bitsPerChar - Entropía de un carácter aleatorio
+     * @returns {Array} Coincidencias seleccionadas
+     */
+    selectMatches(matches, bitsPerChar) {
+        const savings = (match) => (match.j - match.i) * bitsPerChar - match.bits;
+        const selected = [];
+
+        matches
+            .filter(match => savings(match) > 0)
+            .sort((a, b) => savings(b) - savings(a))
+            .forEach(match => {
+                const overlaps = selected.some(other => match.i < other.j && other.i < match.j);
+                if (!overlaps) {
+                    selected.push(match);
+                }
+            });
+
+        return selected;
+    },
+
+    /**
+     * Contraseñas comunes, palabras prohibidas y datos personales (con sustituciones tipo "p4ssw0rd")
+     */
+    dictionaryMatches(password, userInputs, bannedWords = []) {
+        const lower = normalizeText(password);
+        const unleet = lower.replace(/[4@31!05$7]/g, char => LEET_SUBSTITUTIONS[char]);
+        const matches = [];
+
+        // Las partes del nombre y del email cuentan como palabras de rango 1
+        const personal = userInputs
+            .filter(Boolean)
+            .flatMap(input => normalizeText(String(input)).split(/[\s@._+-]+/))
+            .filter(word => word.length >= 3);
+
+        const dictionaries = [
+            { words: bannedWords.map(normalizeText).filter(Boolean), type: 'banned' },
+            { words: personal, type: 'user_input' },
+            { words: COMMON_PASSWORDS, type: 'common' }
+        ];
+
+        dictionaries.forEach(({ words, type }) => {
+            words.forEach((word, index) => {
+                [lower, unleet].forEach((candidate, variant) => {
+                    let start = candidate.indexOf(word);
+                    while (start !== -1) {
+                        const token = password.slice(start, start + word.length);
+                        const rank = type === 'common' ? index + 1 : 1;
+                        let bits = Math.log2(rank + 1);
+
+                        // Variantes con mayúsculas o sustituciones: pocas combinaciones extra
+                        if (/[A-Z]/.test(token)) {
+                            bits += /^[A-Z][^A-Z]*$/.test(token) ? 1 : Math.log2(word.length);
+                        }
+                        if (variant === 1 && candidate !== lower) {
+                            bits += 1;
+                        }
+
+                        matches.push({ i: start, j: start + word.length, bits, type, token });
+                        start = candidate.indexOf(word, start + 1);
+                    }
+                });
+            });
+        });
+
+        return matches;
+    },
+
+    /**
+     * Recorridos por filas del teclado ("qwerty", "asdfg", "0987")
+     */
+    keyboardMatches(password) {
+        const lower = password.toLowerCase();
+        const rowOf = (char) => KEYBOARD_ROWS.findIndex(row => row.includes(char));
+
+        return this.runMatches(lower, (prev, next) => {
+            const row = rowOf(prev);
+            if (row === -1 || rowOf(next) !== row) return null;
+            const delta = KEYBOARD_ROWS[row].indexOf(next) - KEYBOARD_ROWS[row].indexOf(prev);
+            return Math.abs(delta) === 1 ? delta : null;
+        }, (length) => Math.log2(KEYBOARD_ROWS.length * 2 * 10) + Math.log2(length), 'keyboard', password);
+    },
+
+    /**
+     * Secuencias alfabéticas o numéricas ("abcd", "6543")
+     */
+    sequenceMatches(password) {
+        const lower = password.toLowerCase();
+        const isSequential = (char) => /[a-z0-9]/.test(char);
+
+        return this.runMatches(lower, (prev, next) => {
+            if (!isSequential(prev) || !isSequential(next) || /\d/.test(prev) !== /\d/.test(next)) return null;
+            const delta = next.charCodeAt(0) - prev.charCodeAt(0);
+            return Math.abs(delta) === 1 ? delta : null;
+        }, (length) => Math.log2(26 * 2) + Math.log2(length), 'sequence', password);
+    },
+
+    /**
+     * Caracteres repetidos ("aaaa", "1111")
+     */
+    repeatMatches(password) {
+        const matches = [];
+        const regex = /(.)\1{2,}/g;
+        let match;
+
+        while ((match = regex.exec(password)) !== null) {
+            matches.push({
+                i: match.index,
+                j: match.index + match[0].length,
+                bits: Math.log2(this.charsetSize(match[1])) + Math.log2(match[0].length),
+                type: 'repeat',
+                token: match[0]
+            });
+        }
+
+        return matches;
+    },
+
+    /**
+     * Fechas y años (1990, 15/08/1990, 150890)
+     */
+    dateMatches(password) {
+        const matches = [];
+        const isYear = (value) => value >= 1900 && value <= 2099;
+        const isDayMonth = (a, b) => (a >= 1 && a <= 31 && b >= 1 && b <= 12) || (b >= 1 && b <= 31 && a >= 1 && a <= 12);
+        const add = (i, token, bits) => matches.push({ i, j: i + token.length, bits, type: 'date', token });
+
+        // Fechas con separadores
+        const separated = /\d{1,4}([-\/. ])\d{1,2}\1\d{2,4}/g;
+        let match;
+        while ((match = separated.exec(password)) !== null) {
+            const parts = match[0].split(match[1]).map(Number);
+            const [first, second, third] = parts;
+            const plausible = (isYear(first) && isDayMonth(second, third)) ||
+                (isDayMonth(first, second) && (isYear(third) || match[0].endsWith(String(third).padStart(2, '0'))));
+            if (plausible) {
+                add(match.index, match[0], Math.log2(366 * 200) + 2);
+            }
+        }
+
+        // Fechas sin separadores dentro de bloques de dígitos
+        const digitRuns = /\d{4,}/g;
+        while ((match = digitRuns.exec(password)) !== null) {
+            const digits = match[0];
+            for (let start = 0; start < digits.length; start++) {
+                const slice = (length) => digits.substr(start, length);
+                const at = match.index + start;
+
+                const eight = slice(8);
+                if (eight.length === 8) {
+                    const ddmm = isDayMonth(Number(eight.slice(0, 2)), Number(eight.slice(2, 4))) && isYear(Number(eight.slice(4)));
+                    const yyyy = isYear(Number(eight.slice(0, 4))) && isDayMonth(Number(eight.slice(4, 6)), Number(eight.slice(6)));
+                    if (ddmm || yyyy) add(at, eight, Math.log2(366 * 200));
+                }
+
+                const six = slice(6);
+                if (six.length === 6 && isDayMonth(Number(six.slice(0, 2)), Number(six.slice(2, 4)))) {
+                    add(at, six, Math.log2(366 * 100));
+                }
+
+                const four = slice(4);
+                if (four.length === 4 && isYear(Number(four))) {
+                    add(at, four, Math.log2(200));
+                }
+            }
+        }
+
+        return matches;
+    },
+
+    /**
+     * Detecta tramos de 3 o más caracteres donde cada paso mantiene la misma dirección
+     * @param {string} text - Texto normalizado
+     * @param {Function} stepOf - (anterior, siguiente) => dirección (±1) o null
+     * @param {Function} bitsFor - Entropía del tramo según su longitud
+     * @param {string} type - Tipo de coincidencia
+     * @param {string} original - Contraseña original (para el token)
+     * @returns {Array} Coincidencias
+     */
+    runMatches(text, stepOf, bitsFor, type, original) {
+        const matches = [];
+        let start = 0;
+        let direction = null;
+
+        for (let index = 1; index <= text.length; index++) {
+            const step = index < text.length ? stepOf(text[index - 1], text[index]) : null;
+
+            if (step !== null && (direction === null || step === direction)) {
+                direction = step;
+                continue;
+            }
+
+            if (index - start >= 3) {
+                matches.push({ i: start, j: index, bits: bitsFor(index - start), type, token: original.slice(start, index) });
+            }
+
+            // Un cambio de dirección empieza un tramo nuevo desde el carácter anterior
+            start = step !== null ? index - 1 : index;
+            direction = step;
+        }
+
+        return matches;
+    },
+
+    /**
+     * Mensaje de advertencia para una coincidencia
+     * @param {Object} match - Coincidencia
+     * @returns {string} Mensaje
+     */
+    warningFor(match) {
+        switch (match.type) {
+            case 'common':
+                return `"${match.token}" es una de las contraseñas más usadas`;
+            case 'user_input':
+                return 'Evita usar tu nombre o tu email en la contraseña';
+            case 'banned':
+                return `"${match.token}" no está permitido por la política de contraseñas`;
+            case 'keyboard':
+                return `Los recorridos de teclado como "${match.token}" son fáciles de adivinar`;
+            case 'sequence':
+                return `Las secuencias como "${match.token}" son fáciles de adivinar`;
+            case 'repeat':
+                return `Las repeticiones como "${match.token}" son fáciles de adivinar`;
+            case 'date':
+                return 'Evita fechas y años, suelen estar asociados a ti';
+            default:
+                return 'La contraseña contiene un patrón predecible';
+        }
+    }
+};
+
+/**
+ * Política de contraseñas configurable (SYSTEM_SETTINGS.passwordPolicy)
+ */
+export const PasswordPolicy = {
+    /**
+     * Obtiene la política vigente
+     * @returns {Object} Política de contraseñas
+     */
+    get() {
+        return settingsStorage.getPasswordPolicy();
+    },
+
+    /**
+     * Valida una contraseña nueva contra la política
+     * El historial de contraseñas solo puede comprobarse en la API, que conoce las credenciales
+     * @param {string} password - Contraseña a validar
+     * @param {Array<string>} userInputs - Nombre y email del usuario
+     * @param {Object} policy - Política a aplicar (por defecto la vigente)
+     * @returns {Object} { isValid, errors, estimate }
+     */
+    validate(password, userInputs = [], policy = this.get()) {
+        if (!password) {
+            return { isValid: false, errors: ['La contraseña es obligatoria'], estimate: null };
+        }
+
+        const estimate = PasswordStrength.estimate(password, userInputs, policy);
+        const errors = [...estimate.errors];
+
+        if (errors.length === 0 && !estimate.isAcceptable) {
+            errors.push(PasswordStrength.feedback(estimate) || 'La contraseña es demasiado predecible');
+        }
+
+        return { isValid: errors.length === 0, errors, estimate };
+    },
+
+    /**
+     * Indica si la contraseña de un usuario superó la antigüedad máxima
+     * @param {Object} user - Usuario almacenado
+     * @param {Object} policy - Política a aplicar (por defecto la vigente)
+     * @returns {boolean} True si debe cambiarla
+     */
+    isExpired(user, policy = this.get()) {
+        if (!user || !policy.maxAgeDays || !user.passwordChangedAt) return false;
+        const age = Date.now() - new Date(user.passwordChangedAt).getTime();
+        return age > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    },
+
+    /**
+     * Describe los requisitos de la política para mostrarlos al usuario
+     * @param {Object} policy - Política a describir (por defecto la vigente)
+     * @returns {Array<string>} Requisitos legibles
+     */
+    describe(policy = this.get()) {
+        const requirements = [`Al menos ${policy.minLength} caracteres`];
+        if (policy.requireUppercase) requirements.push('una mayúscula');
+        if (policy.requireLowercase) requirements.push('una minúscula');
+        if (policy.requireNumbers) requirements.push('un número');
+        if (policy.requireSymbols) requirements.push('un símbolo');
+        if (policy.historySize > 0) requirements.push(`distinta de las últimas ${policy.historySize}`);
+        return requirements;
+    }
+};
+
 /**
  * Utilidades de validación
  */
@@ -602,5 +1082,7 @@ export default {
     Validator,
     FormValidator,
     FieldValidators,
+    PasswordStrength,
+    PasswordPolicy,
     ValidationUtils
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * WEBAUTHN - StudyQuality System
+ * Puente entre las opciones JSON de la API y navigator.credentials (passkeys)
+ */
+
+import { Encoding } from './security.js';
+
+/**
+ * Convierte un Base64url de la API en el BufferSource que espera el navegador
+ * @param {string} value - Cadena Base64url
+ * @returns {ArrayBuffer} Bytes
+ */
+function toBuffer(value) {
+    return Encoding.fromBase64Url(value).buffer;
+}
+
+/**
+ * Convierte un ArrayBuffer del autenticador en Base64url para enviarlo a la API
+ * @param {ArrayBuffer|null} buffer - Bytes
+ * @returns {string|null} Cadena Base64url
+ */
+function fromBuffer(buffer) {
+    return buffer ? Encoding.toBase64Url(buffer) : null;
+}
+
+/**
+ * Ceremonias de registro y de inicio de sesión con passkeys
+ */
+export const WebAuthnClient = {
+    /**
+     * Indica si el navegador admite passkeys
+     * @returns {boolean} True si existe la API de credenciales de clave pública
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && !!window.PublicKeyCredential &&
+            typeof navigator !== 'undefined' && !!navigator.credentials;
+    },
+
+    /**
+     * Crea una passkey con las opciones de registro de la API
+     * @param {Object} options - Opciones devueltas por la API
+     * @returns {Promise<Object>} Credencial serializada { id, type, response }
+     */
+    async create(options) {
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...options,
+                challenge: toBuffer(options.challenge),
+                user: { ...options.user, id: toBuffer(options.user.id) },
+                excludeCredentials: (options.excludeCredentials || []).map(item => ({ ...item, id: toBuffer(item.id) }))
+            }
+        });
+
+        const { response } = credential;
+        return {
+            id: credential.id,
+            type: credential.type,
+            response: {
+                clientDataJSON: fromBuffer(response.clientDataJSON),
+                attestationObject: fromBuffer(response.attestationObject),
+                transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+            }
+        };
+    },
+
+    /**
+     * Firma el desafío de inicio de sesión con una passkey elegida por el usuario
+     * @param {Object} options - Opciones devueltas por la API
+     * @returns {Promise<Object>} Aserción serializada { id, type, response }
+     */
+    async get(options) {
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: toBuffer(options.challenge)
+            }
+        });
+
+        const { response } = credential;
+        return {
+            id: credential.id,
+            type: credential.type,
+            response: {
+                clientDataJSON: fromBuffer(response.clientDataJSON),
+                authenticatorData: fromBuffer(response.authenticatorData),
+                signature: fromBuffer(response.signature),
+                userHandle: fromBuffer(response.userHandle)
+            }
+        };
+    }
+};
+
+export default WebAuthnClient;
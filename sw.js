@@ -3,7 +3,7 @@
  * Service Worker para funcionamiento offline y cache
  */
 
-const CACHE_NAME = 'studyquality-v1.0.0';
+const CACHE_NAME = 'studyquality-v1.1.0';
 const CACHE_URLS = [
     './',
     './index.html',
@@ -18,9 +18,28 @@ const CACHE_URLS = [
     './js/utils/helpers.js',
     './js/utils/validators.js',
     './js/utils/storage.js',
+    './js/utils/security.js',
+    './js/utils/permissions.js',
+    './js/utils/sync.js',
+    './js/utils/audit.js',
+    './js/utils/qrcode.js',
+    './js/utils/webauthn.js',
+    './js/utils/router.js',
+    './js/utils/faults.js',
+    './js/utils/cache.js',
+    './js/utils/offline.js',
     './js/utils/api.js',
     './js/modules/auth.js',
     './js/modules/notifications.js',
+    './js/modules/mfa.js',
+    './js/modules/outbox.js',
+    './js/modules/settings.js',
+    './js/modules/sessions.js',
+    './js/modules/audit.js',
+    './js/modules/users.js',
+    './js/modules/bulk.js',
+    './js/modules/passkeys.js',
+    './js/modules/pending.js',
     './js/app.js'
 ];
 
@@ -0,0 +1,163 @@
+/**
+ * Caché de respuestas GET: TTL, stale-while-revalidate e invalidación por escrituras
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './setup.js';
+import { ResponseCache, responseCache } from '../js/utils/cache.js';
+
+const RULES = [
+    { route: '/api/users', ttl: 1000, stale: 5000, invalidatedBy: ['/api/users', '/api/auth/verify'] },
+    { route: '/api/metrics/*', ttl: 1000, stale: 0, invalidatedBy: ['/api/users'] }
+];
+
+/**
+ * Loader que responde con un contador
+ * @returns {Function} Loader con la lista de llamadas en .calls
+ */
+function counter() {
+    const calls = [];
+    const loader = async background => {
+        calls.push(background);
+        return { data: { count: calls.length } };
+    };
+    loader.calls = calls;
+    return loader;
+}
+
+describe('ResponseCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        cache = new ResponseCache({ enabled: true, rules: RULES });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('sirve la respuesta fresca sin pedirla de nuevo', async () => {
+        const loader = counter();
+        await cache.fetch('s1 /api/users', '/api/users', loader);
+        const cached = await cache.fetch('s1 /api/users', '/api/users', loader);
+
+        assert.equal(cached.data.count, 1);
+        assert.deepEqual(loader.calls, [false]);
+        assert.deepEqual(cache.getStats(), { hits: 1, staleHits: 0, misses: 1, hitRate: 50 });
+    });
+
+    test('devuelve una copia que el llamador puede modificar', async () => {
+        const loader = counter();
+        const first = await cache.fetch('s1 /api/users', '/api/users', loader);
+        first.data.count = 99;
+
+        assert.equal((await cache.fetch('s1 /api/users', '/api/users', loader)).data.count, 1);
+    });
+
+    test('vencida dentro de la ventana stale responde la vieja y revalida en segundo plano', async () => {
+        const loader = counter();
+        await cache.fetch('s1 /api/users', '/api/users', loader);
+        mock.timers.tick(2000);
+
+        const stale = await cache.fetch('s1 /api/users', '/api/users', loader);
+        await cache.revalidating.get('s1 /api/users');
+
+        assert.equal(stale.data.count, 1);
+        assert.deepEqual(loader.calls, [false, true]);
+        assert.equal((await cache.fetch('s1 /api/users', '/api/users', loader)).data.count, 2);
+    });
+
+    test('pasada la ventana stale vuelve a pedirla', async () => {
+        const loader = counter();
+        await cache.fetch('s1 /api/metrics/system', '/api/metrics/system', loader);
+        mock.timers.tick(1001);
+
+        assert.equal((await cache.fetch('s1 /api/metrics/system', '/api/metrics/system', loader)).data.count, 2);
+        assert.deepEqual(loader.calls, [false, false]);
+    });
+
+    test('cada sesión tiene su propia respuesta', async () => {
+        const loader = counter();
+        await cache.fetch('s1 /api/users', '/api/users', loader);
+
+        assert.equal((await cache.fetch('s2 /api/users', '/api/users', loader)).data.count, 2);
+    });
+
+    test('una escritura descarta las respuestas de las reglas que invalida', async () => {
+        const loader = counter();
+        await cache.fetch('s1 /api/users?page=2', '/api/users?page=2', loader);
+        await cache.fetch('s1 /api/metrics/users', '/api/metrics/users', loader);
+
+        assert.equal(cache.invalidate('/api/auth/verify'), 1);
+        assert.equal(cache.invalidate('/api/users/3'), 1);
+        assert.equal(cache.invalidate('/api/reports'), 0);
+        assert.equal(cache.entries.size, 0);
+    });
+
+    test('no guarda una respuesta pedida antes de una invalidación', async () => {
+        let resolve;
+        const pending = cache.fetch('s1 /api/users', '/api/users', () => new Promise(done => {
+            resolve = done;
+        }));
+        cache.invalidate('/api/users/2');
+        resolve({ data: { count: 1 } });
+        await pending;
+
+        assert.equal(cache.entries.has('s1 /api/users'), false);
+    });
+
+    test('los endpoints sin regla no se guardan', async () => {
+        const loader = counter();
+        await cache.fetch('s1 /api/reports/5', '/api/reports/5', loader);
+        await cache.fetch('s1 /api/reports/5', '/api/reports/5', loader);
+
+        assert.equal(loader.calls.length, 2);
+    });
+});
+
+describe('ResponseCache con maxEntries', () => {
+    let cache;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        cache = new ResponseCache({ enabled: true, maxEntries: 2, rules: RULES });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    const search = term => `/api/users?search=${term}`;
+
+    test('al llenarse descarta la respuesta usada hace más tiempo', async () => {
+        const loader = counter();
+        await cache.fetch(search('a'), search('a'), loader);
+        await cache.fetch(search('b'), search('b'), loader);
+        await cache.fetch(search('a'), search('a'), loader);
+        await cache.fetch(search('c'), search('c'), loader);
+
+        assert.deepEqual([...cache.entries.keys()], [search('a'), search('c')]);
+    });
+
+    test('descarta primero las respuestas vencidas', async () => {
+        const loader = counter();
+        await cache.fetch(search('a'), search('a'), loader);
+        mock.timers.tick(100);
+        await cache.fetch('s1 /api/metrics/system', '/api/metrics/system', loader);
+        mock.timers.tick(1100);
+        await cache.fetch(search('b'), search('b'), loader);
+
+        assert.deepEqual([...cache.entries.keys()], [search('a'), search('b')]);
+    });
+});
+
+describe('Reglas de APP_CONFIG.api.cache', () => {
+    test('verificar un correo deja viejos los usuarios y las métricas', () => {
+        const routes = responseCache.rulesInvalidatedBy('/api/auth/verify').map(rule => rule.route);
+
+        assert.deepEqual(routes, ['/api/users', '/api/metrics/*']);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Perfiles de fallos del simulador: la misma semilla reproduce la misma secuencia
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './setup.js';
+import { createSeededRandom, FaultInjector } from '../js/utils/faults.js';
+
+const users = { method: 'GET', path: '/api/users', route: { pattern: '/api/users' } };
+
+function sampleMany(injector, count) {
+    return Array.from({ length: count }, () => injector.sample(users, 100));
+}
+
+describe('createSeededRandom', () => {
+    test('la misma semilla repite la secuencia y otra semilla la cambia', () => {
+        const take = seed => Array.from({ length: 5 }, createSeededRandom(seed));
+
+        assert.deepEqual(take(42), take(42));
+        assert.notDeepEqual(take(42), take(43));
+        take(7).forEach(value => assert.ok(value >= 0 && value < 1));
+    });
+});
+
+describe('FaultInjector', () => {
+    test('con la misma semilla sortea las mismas latencias y fallos', () => {
+        const first = new FaultInjector();
+        const second = new FaultInjector();
+        first.configure({ profile: 'inestable', seed: 1234 });
+        second.configure({ profile: 'inestable', seed: 1234 });
+
+        assert.deepEqual(sampleMany(first, 20), sampleMany(second, 20));
+    });
+
+    test('un perfil desconocido usa el perfil por defecto', () => {
+        const injector = new FaultInjector();
+        const state = injector.configure({ profile: 'no-existe', seed: 1 });
+
+        assert.notEqual(state.profile, 'no-existe');
+        assert.equal(injector.sample(users, 100).fault, null);
+    });
+
+    test('el perfil de usuarios caídos responde 503 solo en /api/users', () => {
+        const injector = new FaultInjector();
+        injector.configure({ profile: 'usuarios_caidos', seed: 5 });
+
+        assert.deepEqual(injector.sample(users, 100).fault, { type: 'error', status: 503 });
+        assert.equal(injector.sample({ method: 'GET', path: '/api/reports', route: null }, 100).fault, null);
+    });
+
+    test('sin conexión todas las peticiones fallan por la red', () => {
+        const injector = new FaultInjector();
+        injector.configure({ seed: 9, offline: true });
+
+        assert.deepEqual(injector.sample(users, 100).fault, { type: 'offline' });
+    });
+});
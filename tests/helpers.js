@@ -0,0 +1,49 @@
+/**
+ * HELPERS - StudyQuality System
+ * Sesiones y datos de usuarios para las pruebas de la API simulada
+ */
+
+import './setup.js';
+import { api } from '../js/utils/api.js';
+import { sessionStorage, sessionRegistryStorage, userStorage } from '../js/utils/storage.js';
+
+// Sin latencia simulada: las pruebas solo esperan a las promesas
+api.defaultDelay = 0;
+
+/**
+ * Inicia una sesión con un token válido para el usuario
+ * @param {number} id - Id del usuario
+ * @returns {Promise<Object>} Usuario público
+ */
+export async function signInAs(id) {
+    await api.ensureCredentials();
+    const user = userStorage.toPublicUser(userStorage.getUserById(id));
+    sessionStorage.setCurrentUser(user);
+    sessionRegistryStorage.register(sessionStorage.getSessionId(), user.id, 'node');
+
+    const { token, expiresIn } = await api.issueToken(user, sessionStorage.getSessionId());
+    sessionStorage.setToken(token, expiresIn);
+    return user;
+}
+
+/**
+ * @param {number} id - Id del usuario
+ * @returns {Object} Usuario público tal como está guardado
+ */
+export function storedUser(id) {
+    return userStorage.toPublicUser(userStorage.getUserById(id));
+}
+
+/**
+ * Espera el rechazo de una promesa y devuelve el error
+ * @param {Promise} promise - Petición que debe fallar
+ * @returns {Promise<Error>} Error con el que se rechazó
+ */
+export async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error('La petición debía fallar');
+}
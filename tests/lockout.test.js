@@ -0,0 +1,102 @@
+/**
+ * Límite de intentos de login y bloqueo de cuentas (APP_CONFIG.auth)
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, rejection } from './helpers.js';
+import { APP_CONFIG, DEMO_CREDENTIALS } from '../js/utils/constants.js';
+import { HTTPClient } from '../js/utils/api.js';
+import { loginAttemptStorage } from '../js/utils/storage.js';
+
+const { maxLoginAttempts, lockoutDuration } = APP_CONFIG.auth;
+const ADMIN = 1;
+const EMAIL = 'maria@demo.com';
+const INACTIVE_EMAIL = 'carlos@demo.com';
+
+function login(email, password) {
+    return new HTTPClient().post('/api/auth/login', { email, password });
+}
+
+async function failLogins(email, count) {
+    const errors = [];
+    for (let i = 0; i < count; i++) {
+        errors.push(await rejection(login(email, 'incorrecta')));
+    }
+    return errors;
+}
+
+describe('Bloqueo por intentos fallidos', () => {
+    beforeEach(() => {
+        loginAttemptStorage.reset(EMAIL);
+        loginAttemptStorage.reset(INACTIVE_EMAIL);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('informa los intentos restantes y bloquea al llegar al límite', async () => {
+        const errors = await failLogins(EMAIL, maxLoginAttempts);
+
+        assert.equal(errors[0].status, 401);
+        assert.equal(errors[0].data.remainingAttempts, maxLoginAttempts - 1);
+        assert.equal(errors[maxLoginAttempts - 1].status, 423);
+    });
+
+    test('una cuenta bloqueada rechaza también la contraseña correcta', async () => {
+        await failLogins(EMAIL, maxLoginAttempts);
+
+        const error = await rejection(login(EMAIL, DEMO_CREDENTIALS.password));
+        assert.equal(error.status, 423);
+    });
+
+    test('el bloqueo vence solo pasada su duración', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        await failLogins(EMAIL, maxLoginAttempts);
+
+        mock.timers.tick(lockoutDuration + 1);
+        const response = await login(EMAIL, DEMO_CREDENTIALS.password);
+        assert.equal(response.data.user.email, EMAIL);
+    });
+
+    test('los fallos más viejos que la duración del bloqueo no cuentan', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        await failLogins(EMAIL, maxLoginAttempts - 1);
+
+        mock.timers.tick(lockoutDuration + 1);
+        const [error] = await failLogins(EMAIL, 1);
+
+        assert.equal(error.status, 401);
+        assert.equal(error.data.remainingAttempts, maxLoginAttempts - 1);
+    });
+
+    test('un login correcto reinicia el contador', async () => {
+        await failLogins(EMAIL, maxLoginAttempts - 1);
+        await login(EMAIL, DEMO_CREDENTIALS.password);
+
+        assert.equal(loginAttemptStorage.getRecord(EMAIL).failures, 0);
+    });
+
+    test('una cuenta inactiva con la contraseña correcta no suma intentos', async () => {
+        const error = await rejection(login(INACTIVE_EMAIL, DEMO_CREDENTIALS.password));
+
+        assert.equal(error.status, 403);
+        assert.equal(error.data.reason, 'account_inactive');
+        assert.equal(loginAttemptStorage.getRecord(INACTIVE_EMAIL).failures, 0);
+    });
+
+    test('el administrador ve el bloqueo en el listado y puede quitarlo', async () => {
+        await failLogins(EMAIL, maxLoginAttempts);
+        await signInAs(ADMIN);
+        const client = new HTTPClient();
+
+        const { data } = await client.get(`/api/users?search=${EMAIL}`, { cache: false });
+        assert.ok(data.users.find(user => user.email === EMAIL).lockedUntil);
+
+        await client.post('/api/users/2/unlock');
+        const response = await login(EMAIL, DEMO_CREDENTIALS.password);
+        assert.equal(response.data.user.email, EMAIL);
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Verificación en dos pasos (TOTP, RFC 6238): enrolamiento obligatorio de administradores,
+ * segundo paso del login y códigos de recuperación
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, rejection } from './helpers.js';
+import { APP_CONFIG, DEMO_CREDENTIALS } from '../js/utils/constants.js';
+import { Encoding, Totp } from '../js/utils/security.js';
+import { HTTPClient } from '../js/utils/api.js';
+import { userStorage, loginAttemptStorage } from '../js/utils/storage.js';
+
+const { period } = APP_CONFIG.auth.mfa;
+const ADMIN = 1;
+const ADMIN_EMAIL = 'juan@demo.com';
+const USER = 2;
+const USER_EMAIL = 'maria@demo.com';
+
+function post(endpoint, data) {
+    return new HTTPClient().post(endpoint, data);
+}
+
+function login(email) {
+    return post('/api/auth/login', { email, password: DEMO_CREDENTIALS.password });
+}
+
+/**
+ * Completa el enrolamiento obligatorio del administrador
+ * @returns {Promise<Object>} { secret, response } con la respuesta de /2fa/enable
+ */
+async function enrollAdmin() {
+    const { data: { challenge } } = await login(ADMIN_EMAIL);
+    const { data: { secret } } = await post('/api/auth/2fa/setup', { challenge });
+    const response = await post('/api/auth/2fa/enable', { challenge, code: await Totp.generate(secret) });
+    return { secret, response };
+}
+
+describe('Totp', () => {
+    // Vector de prueba del RFC 6238 (apéndice B, SHA-1)
+    const secret = Encoding.toBase32(Encoding.toBytes('12345678901234567890'));
+
+    test('reproduce los códigos del RFC', async () => {
+        assert.equal(await Totp.generate(secret, { time: 59000, digits: 8 }), '94287082');
+        assert.equal(await Totp.generate(secret, { time: 1111111109000, digits: 8 }), '07081804');
+    });
+
+    test('acepta el intervalo anterior y el siguiente, no más', async () => {
+        const time = 1111111109000;
+        const code = await Totp.generate(secret, { time });
+        const step = Math.floor(time / 1000 / period);
+
+        assert.equal(await Totp.verify(code, secret, { time: time + period * 1000 }), step);
+        assert.equal(await Totp.verify(code, secret, { time: time - period * 1000 }), step);
+        assert.equal(await Totp.verify(code, secret, { time: time + 2 * period * 1000 }), null);
+        assert.equal(await Totp.verify('12a456', secret, { time }), null);
+    });
+
+    test('el URI otpauth lleva el secreto, el emisor y la cuenta', () => {
+        const uri = Totp.buildUri('JBSWY3DPEHPK3PXP', ADMIN_EMAIL);
+
+        assert.ok(uri.startsWith(`otpauth://totp/StudyQuality:${encodeURIComponent(ADMIN_EMAIL)}?`));
+        assert.equal(new URL(uri).searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+    });
+});
+
+describe('Login con 2FA', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        userStorage.updateMfa(ADMIN, null);
+        userStorage.updateMfa(USER, null);
+        loginAttemptStorage.reset(ADMIN_EMAIL);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('un usuario sin 2FA inicia sesión solo con la contraseña', async () => {
+        const response = await login(USER_EMAIL);
+
+        assert.ok(response.data.token);
+        assert.equal(response.data.mfaRequired, undefined);
+    });
+
+    test('el administrador sin 2FA debe enrolarse antes de recibir un token', async () => {
+        const { data } = await login(ADMIN_EMAIL);
+
+        assert.equal(data.mfaEnrollmentRequired, true);
+        assert.equal(data.token, undefined);
+
+        // El desafío no sirve como token de acceso
+        const error = await rejection(new HTTPClient().get('/api/users', {
+            cache: false, headers: { Authorization: `Bearer ${data.challenge}` }
+        }));
+        assert.equal(error.status, 401);
+    });
+
+    test('confirmar el primer código activa la 2FA, completa el login y entrega los códigos de recuperación', async () => {
+        const { response } = await enrollAdmin();
+
+        assert.ok(response.data.token);
+        assert.equal(response.data.user.mfaEnabled, true);
+        assert.equal(response.data.recoveryCodes.length, APP_CONFIG.auth.mfa.recoveryCodes);
+
+        // Solo se guardan los hashes de los códigos
+        const stored = userStorage.getMfa(ADMIN).recoveryCodes;
+        assert.equal(stored.includes(response.data.recoveryCodes[0]), false);
+    });
+
+    test('un código incorrecto no activa la 2FA', async () => {
+        const { data: { challenge } } = await login(ADMIN_EMAIL);
+        await post('/api/auth/2fa/setup', { challenge });
+
+        const error = await rejection(post('/api/auth/2fa/enable', { challenge, code: '000000' }));
+        assert.equal(error.status, 400);
+        assert.equal(userStorage.getMfa(ADMIN).enabled, false);
+    });
+
+    test('con la 2FA activa el login pide el código y no acepta reutilizarlo', async () => {
+        const { secret } = await enrollAdmin();
+        mock.timers.tick(period * 1000);
+
+        const { data } = await login(ADMIN_EMAIL);
+        assert.equal(data.mfaRequired, true);
+        assert.equal(data.token, undefined);
+
+        const code = await Totp.generate(secret);
+        const response = await post('/api/auth/2fa/verify', { challenge: data.challenge, code });
+        assert.ok(response.data.token);
+
+        const { data: again } = await login(ADMIN_EMAIL);
+        const error = await rejection(post('/api/auth/2fa/verify', { challenge: again.challenge, code }));
+        assert.equal(error.status, 401);
+    });
+
+    test('un código de recuperación sirve una sola vez', async () => {
+        const { response: { data: { recoveryCodes } } } = await enrollAdmin();
+        const recoveryCode = recoveryCodes[0];
+
+        const { data } = await login(ADMIN_EMAIL);
+        const response = await post('/api/auth/2fa/verify', { challenge: data.challenge, recoveryCode });
+        assert.ok(response.data.token);
+        assert.equal(response.data.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+        const { data: again } = await login(ADMIN_EMAIL);
+        const error = await rejection(post('/api/auth/2fa/verify', { challenge: again.challenge, recoveryCode }));
+        assert.equal(error.status, 401);
+    });
+
+    test('el desafío vence pasada su validez', async () => {
+        const { secret } = await enrollAdmin();
+        const { data } = await login(ADMIN_EMAIL);
+
+        mock.timers.tick(APP_CONFIG.auth.mfa.challengeLifetime + 1000);
+        const error = await rejection(post('/api/auth/2fa/verify', {
+            challenge: data.challenge, code: await Totp.generate(secret)
+        }));
+
+        assert.equal(error.status, 401);
+        assert.equal(error.data.reason, 'invalid_challenge');
+    });
+
+    test('el administrador no puede desactivar la 2FA obligatoria', async () => {
+        const { secret } = await enrollAdmin();
+        await signInAs(ADMIN);
+        mock.timers.tick(period * 1000);
+
+        const error = await rejection(post('/api/auth/2fa/disable', { code: await Totp.generate(secret) }));
+        assert.equal(error.status, 403);
+        assert.equal(userStorage.getMfa(ADMIN).enabled, true);
+    });
+});
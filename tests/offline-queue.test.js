@@ -0,0 +1,141 @@
+/**
+ * Cola de cambios pendientes: qué se encola, en qué orden se reenvía y cómo quedan los conflictos
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, storedUser, rejection } from './helpers.js';
+import { UsersAPI, PendingChangesAPI, createTransport, setTransport } from '../js/utils/api.js';
+import { MutationQueue, mutationQueue, networkStatus } from '../js/utils/offline.js';
+import { faultInjector } from '../js/utils/faults.js';
+import { userStorage } from '../js/utils/storage.js';
+
+const ADMIN = 1;
+const TARGET = 4;
+
+function setOffline(offline) {
+    networkStatus.setSimulatedOffline(offline);
+    faultInjector.configure({ offline });
+}
+
+/**
+ * Transporte simulado que anota cada petición enviada
+ * @returns {Array} Peticiones { method, endpoint, headers }
+ */
+function recordRequests() {
+    const requests = [];
+    const mock = createTransport({ transport: 'mock' });
+    setTransport({
+        request(method, endpoint, data, options = {}) {
+            requests.push({ method, endpoint, headers: { ...(options.headers || {}) } });
+            return mock.request(method, endpoint, data, options);
+        }
+    });
+    return requests;
+}
+
+describe('MutationQueue', () => {
+    test('sin IndexedDB guarda los cambios en memoria y los devuelve en orden', async () => {
+        const queue = new MutationQueue();
+        const first = await queue.add({ type: 'patch', payload: { id: 1 } });
+        const second = await queue.add({ type: 'delete', payload: { id: 2 } });
+
+        assert.ok(second.id > first.id);
+        assert.equal(first.status, 'pending');
+        assert.deepEqual((await queue.getAll()).map(entry => entry.type), ['patch', 'delete']);
+
+        await queue.update({ ...first, status: 'conflict' });
+        await queue.remove(second.id);
+        assert.deepEqual((await queue.getAll()).map(entry => [entry.id, entry.status]), [[first.id, 'conflict']]);
+    });
+});
+
+describe('Cambios de usuarios sin conexión', () => {
+    beforeEach(async () => {
+        setOffline(false);
+        await signInAs(ADMIN);
+        for (const entry of await mutationQueue.getAll()) {
+            await mutationQueue.remove(entry.id);
+        }
+    });
+
+    afterEach(() => {
+        setTransport(null);
+        faultInjector.configure({});
+    });
+
+    test('un 503 con conexión es un error y no se encola', async () => {
+        faultInjector.configure({ profile: 'usuarios_caidos' });
+
+        const error = await rejection(UsersAPI.patchUser(TARGET, { notes: 'servicio caído' }));
+
+        assert.equal(error.status, 503);
+        assert.equal((await PendingChangesAPI.getPending()).length, 0);
+    });
+
+    test('sin conexión se encola y al reconectar se reenvía con If-Match', async () => {
+        const version = storedUser(TARGET).version;
+        setOffline(true);
+
+        const response = await UsersAPI.updateUser(TARGET, { notes: 'editado sin conexión', version });
+        assert.equal(response.queued, true);
+        assert.notEqual(storedUser(TARGET).notes, 'editado sin conexión');
+
+        setOffline(false);
+        const requests = recordRequests();
+        const result = await PendingChangesAPI.replay();
+
+        assert.deepEqual(result, { sent: 1, conflicts: 0, failed: 0, pending: 0 });
+        assert.equal(requests[0].method, 'PUT');
+        assert.equal(requests[0].headers['If-Match'], `"${version}"`);
+        assert.equal(storedUser(TARGET).notes, 'editado sin conexión');
+    });
+
+    test('dos ediciones del mismo usuario en la cola no son un conflicto', async () => {
+        const version = storedUser(TARGET).version;
+        setOffline(true);
+        await UsersAPI.patchUser(TARGET, { notes: 'primera' }, version);
+        await UsersAPI.patchUser(TARGET, { name: 'Ana Segunda' }, version);
+
+        setOffline(false);
+        const requests = recordRequests();
+        const result = await PendingChangesAPI.replay();
+
+        assert.deepEqual(result, { sent: 2, conflicts: 0, failed: 0, pending: 0 });
+        assert.deepEqual(requests.map(request => request.headers['If-Match']), [`"${version}"`, `"${version + 1}"`]);
+        assert.equal(storedUser(TARGET).name, 'Ana Segunda');
+    });
+
+    test('un cambio de otra persona deja el pendiente en conflicto hasta reintentarlo', async () => {
+        const version = storedUser(TARGET).version;
+        setOffline(true);
+        await UsersAPI.patchUser(TARGET, { notes: 'mi versión' }, version);
+        userStorage.updateUser(TARGET, { notes: 'versión de otra persona' });
+
+        setOffline(false);
+        const result = await PendingChangesAPI.replay();
+        const [entry] = await PendingChangesAPI.getPending();
+
+        assert.deepEqual(result, { sent: 0, conflicts: 1, failed: 0, pending: 0 });
+        assert.equal(entry.status, 'conflict');
+        assert.equal(entry.error.status, 412);
+        assert.equal(entry.error.current.notes, 'versión de otra persona');
+        assert.equal(storedUser(TARGET).notes, 'versión de otra persona');
+
+        assert.equal((await PendingChangesAPI.retry(entry.id)).sent, 1);
+        assert.equal(storedUser(TARGET).notes, 'mi versión');
+        assert.equal((await PendingChangesAPI.getPending()).length, 0);
+    });
+
+    test('si vuelve a faltar la conexión el reenvío se detiene y conserva el orden', async () => {
+        setOffline(true);
+        await UsersAPI.patchUser(TARGET, { notes: 'uno' });
+        await UsersAPI.patchUser(TARGET, { notes: 'dos' });
+
+        const result = await PendingChangesAPI.replay();
+
+        assert.deepEqual(result, { sent: 0, conflicts: 0, failed: 0, pending: 2 });
+        assert.deepEqual((await PendingChangesAPI.getPending()).map(entry => entry.payload.data.notes), ['uno', 'dos']);
+    });
+});
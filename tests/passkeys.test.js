@@ -0,0 +1,256 @@
+/**
+ * Passkeys (WebAuthn): registro y login contra un autenticador virtual con claves P-256
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, rejection } from './helpers.js';
+import { Encoding, Digest, Random } from '../js/utils/security.js';
+import { HTTPClient } from '../js/utils/api.js';
+import { userStorage, loginAttemptStorage } from '../js/utils/storage.js';
+
+const ADMIN = 1;
+const USER = 2;
+const USER_EMAIL = 'maria@demo.com';
+const ORIGIN = 'http://localhost';
+
+/**
+ * Codifica en CBOR los tipos que usa un attestationObject: enteros, textos, bytes y mapas
+ */
+function cbor(value) {
+    const head = (major, length) => {
+        if (length < 24) return [(major << 5) | length];
+        if (length < 256) return [(major << 5) | 24, length];
+        return [(major << 5) | 25, length >> 8, length & 255];
+    };
+
+    if (typeof value === 'number') {
+        return value < 0 ? head(1, -1 - value) : head(0, value);
+    }
+    if (typeof value === 'string') {
+        const bytes = Encoding.toBytes(value);
+        return [...head(3, bytes.length), ...bytes];
+    }
+    if (value instanceof Uint8Array) {
+        return [...head(2, value.length), ...value];
+    }
+    const entries = value instanceof Map ? [...value] : Object.entries(value);
+    return [...head(5, entries.length), ...entries.flatMap(([key, item]) => [...cbor(key), ...cbor(item)])];
+}
+
+/**
+ * Convierte una firma r||s de WebCrypto al formato DER que entregan los autenticadores
+ */
+function rawToDer(raw) {
+    const integer = bytes => {
+        let value = [...bytes];
+        while (value.length > 1 && value[0] === 0 && value[1] < 128) value = value.slice(1);
+        if (value[0] >= 128) value = [0, ...value];
+        return [0x02, value.length, ...value];
+    };
+    const body = [...integer(raw.slice(0, 32)), ...integer(raw.slice(32))];
+    return new Uint8Array([0x30, body.length, ...body]);
+}
+
+function concat(...parts) {
+    return new Uint8Array(parts.flatMap(part => [...part]));
+}
+
+function uint32(value) {
+    return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+}
+
+/**
+ * Autenticador de plataforma simulado con una credencial descubrible
+ */
+class VirtualAuthenticator {
+    constructor(userId) {
+        this.userId = userId;
+        this.credentialId = Random.bytes(16);
+        this.signCount = 0;
+    }
+
+    get id() {
+        return Encoding.toBase64Url(this.credentialId);
+    }
+
+    async authenticatorData(flags, extra = []) {
+        const rpIdHash = await Digest.sha256Bytes('localhost');
+        return concat(rpIdHash, [flags], uint32(this.signCount), extra);
+    }
+
+    clientData(type, challenge, origin = ORIGIN) {
+        return Encoding.toBase64Url(Encoding.toBytes(JSON.stringify({ type, challenge, origin })));
+    }
+
+    /**
+     * Respuesta de navigator.credentials.create()
+     */
+    async create(challenge, { origin } = {}) {
+        this.keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        const jwk = await crypto.subtle.exportKey('jwk', this.keys.publicKey);
+        const coseKey = new Map([
+            [1, 2], [3, -7], [-1, 1],
+            [-2, Encoding.fromBase64Url(jwk.x)],
+            [-3, Encoding.fromBase64Url(jwk.y)]
+        ]);
+        const attested = [
+            ...new Uint8Array(16),
+            this.credentialId.length >> 8, this.credentialId.length & 255,
+            ...this.credentialId,
+            ...cbor(coseKey)
+        ];
+        // Flags: presencia (UP), verificación (UV) y datos de la credencial (AT)
+        const authData = await this.authenticatorData(0x45, attested);
+
+        return {
+            id: this.id,
+            response: {
+                clientDataJSON: this.clientData('webauthn.create', challenge, origin),
+                attestationObject: Encoding.toBase64Url(new Uint8Array(cbor({ fmt: 'none', attStmt: {}, authData }))),
+                transports: ['internal']
+            }
+        };
+    }
+
+    /**
+     * Respuesta de navigator.credentials.get()
+     */
+    async get(challenge, { signingKey = this.keys.privateKey, signCount = this.signCount + 1 } = {}) {
+        this.signCount = signCount;
+        const authData = await this.authenticatorData(0x05);
+        const clientDataJSON = this.clientData('webauthn.get', challenge);
+        const clientDataHash = await Digest.sha256Bytes(Encoding.fromBase64Url(clientDataJSON));
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' }, signingKey, concat(authData, clientDataHash)
+        );
+
+        return {
+            id: this.id,
+            response: {
+                clientDataJSON,
+                authenticatorData: Encoding.toBase64Url(authData),
+                signature: Encoding.toBase64Url(rawToDer(new Uint8Array(signature))),
+                userHandle: Encoding.toBase64Url(Encoding.toBytes(String(this.userId)))
+            }
+        };
+    }
+}
+
+function post(endpoint, data) {
+    return new HTTPClient().post(endpoint, data);
+}
+
+/**
+ * Registra una passkey nueva para el usuario con sesión iniciada
+ */
+async function register(userId) {
+    await signInAs(userId);
+    const authenticator = new VirtualAuthenticator(userId);
+    const { data: { challenge } } = await post('/api/auth/passkeys/register/options');
+    await post('/api/auth/passkeys/register', { credential: await authenticator.create(challenge), name: 'Portátil' });
+    return authenticator;
+}
+
+async function loginWith(authenticator, options) {
+    const { data: { challenge } } = await post('/api/auth/passkeys/login/options');
+    return post('/api/auth/passkeys/login', { credential: await authenticator.get(challenge, options) });
+}
+
+describe('Registro de passkeys', () => {
+    test('las opciones identifican al usuario por su ID interno y excluyen sus passkeys', async () => {
+        const authenticator = await register(USER);
+        const { data } = await post('/api/auth/passkeys/register/options');
+
+        assert.equal(data.rp.id, 'localhost');
+        assert.equal(data.user.id, Encoding.toBase64Url(Encoding.toBytes(String(USER))));
+        assert.equal(data.authenticatorSelection.userVerification, 'required');
+        assert.ok(data.excludeCredentials.some(credential => credential.id === authenticator.id));
+    });
+
+    test('guarda la clave pública y lista la passkey sin exponerla', async () => {
+        const authenticator = await register(USER);
+        const { data: { passkeys } } = await new HTTPClient().get('/api/auth/passkeys', { cache: false });
+        const passkey = passkeys.find(item => item.id === authenticator.id);
+
+        assert.equal(passkey.name, 'Portátil');
+        assert.equal(passkey.publicKey, undefined);
+        assert.equal(userStorage.getPasskeys(USER).find(item => item.id === authenticator.id).publicKey.alg, -7);
+    });
+
+    test('rechaza una respuesta de otro origen y no deja reutilizar el desafío', async () => {
+        await signInAs(USER);
+        const authenticator = new VirtualAuthenticator(USER);
+        const { data: { challenge } } = await post('/api/auth/passkeys/register/options');
+
+        const foreign = await rejection(post('/api/auth/passkeys/register', {
+            credential: await authenticator.create(challenge, { origin: 'https://otro.example' })
+        }));
+        assert.equal(foreign.status, 400);
+        assert.equal(foreign.data.reason, 'client_data');
+
+        const reused = await rejection(post('/api/auth/passkeys/register', {
+            credential: await authenticator.create(challenge)
+        }));
+        assert.equal(reused.data.reason, 'invalid_challenge');
+    });
+});
+
+describe('Login con passkey', () => {
+    beforeEach(() => {
+        loginAttemptStorage.reset(USER_EMAIL);
+    });
+
+    test('una aserción válida abre la sesión y actualiza el contador', async () => {
+        const authenticator = await register(USER);
+        const response = await loginWith(authenticator);
+
+        assert.equal(response.data.user.id, USER);
+        assert.ok(response.data.token);
+
+        const passkey = userStorage.getPasskeys(USER).find(item => item.id === authenticator.id);
+        assert.equal(passkey.signCount, 1);
+        assert.ok(passkey.lastUsedAt);
+    });
+
+    test('la verificación del autenticador reemplaza a la 2FA del administrador', async () => {
+        const authenticator = await register(ADMIN);
+        const response = await loginWith(authenticator);
+
+        assert.equal(response.data.user.id, ADMIN);
+        assert.ok(response.data.token);
+        assert.equal(response.data.mfaRequired, undefined);
+    });
+
+    test('una firma de otra clave se rechaza y cuenta como intento fallido', async () => {
+        const authenticator = await register(USER);
+        const other = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+
+        const error = await rejection(loginWith(authenticator, { signingKey: other.privateKey }));
+        assert.equal(error.status, 401);
+        assert.equal(loginAttemptStorage.getRecord(USER_EMAIL).failures, 1);
+    });
+
+    test('un contador que no avanza indica un autenticador clonado', async () => {
+        const authenticator = await register(USER);
+        await loginWith(authenticator, { signCount: 5 });
+
+        const error = await rejection(loginWith(authenticator, { signCount: 5 }));
+        assert.equal(error.status, 401);
+    });
+
+    test('una credencial desconocida o un desafío ya usado no inician sesión', async () => {
+        const unknown = new VirtualAuthenticator(USER);
+        unknown.keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        assert.equal((await rejection(loginWith(unknown))).status, 401);
+
+        const authenticator = await register(USER);
+        const { data: { challenge } } = await post('/api/auth/passkeys/login/options');
+        await post('/api/auth/passkeys/login', { credential: await authenticator.get(challenge) });
+
+        const error = await rejection(post('/api/auth/passkeys/login', { credential: await authenticator.get(challenge) }));
+        assert.equal(error.status, 400);
+        assert.equal(error.data.reason, 'invalid_challenge');
+    });
+});
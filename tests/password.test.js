@@ -0,0 +1,96 @@
+/**
+ * Hash de contraseñas (PBKDF2) y su verificación en el login y el registro
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { rejection } from './helpers.js';
+import { APP_CONFIG, DEMO_CREDENTIALS } from '../js/utils/constants.js';
+import { Password } from '../js/utils/security.js';
+import { api, HTTPClient } from '../js/utils/api.js';
+import { userStorage, loginAttemptStorage } from '../js/utils/storage.js';
+
+const EMAIL = 'maria@demo.com';
+
+function login(email, password) {
+    return new HTTPClient().post('/api/auth/login', { email, password });
+}
+
+describe('Password', () => {
+    test('la misma contraseña con otra sal produce otro hash', async () => {
+        const first = await Password.hash('demo123');
+        const second = await Password.hash('demo123');
+
+        assert.equal(first.iterations, APP_CONFIG.auth.passwordHashing.iterations);
+        assert.notEqual(first.salt, second.salt);
+        assert.notEqual(first.hash, second.hash);
+    });
+
+    test('con la sal guardada se reproduce el hash', async () => {
+        const credentials = await Password.hash('demo123');
+        const again = await Password.hash('demo123', { salt: credentials.salt, iterations: credentials.iterations });
+
+        assert.equal(again.hash, credentials.hash);
+    });
+
+    test('verify acepta solo la contraseña correcta', async () => {
+        const credentials = await Password.hash('demo123', { iterations: 1000 });
+
+        assert.equal(await Password.verify('demo123', credentials), true);
+        assert.equal(await Password.verify('demo124', credentials), false);
+        assert.equal(await Password.verify('', credentials), false);
+        assert.equal(await Password.verify('demo123', null), false);
+    });
+});
+
+describe('POST /api/auth/login', () => {
+    beforeEach(() => {
+        loginAttemptStorage.reset(EMAIL);
+    });
+
+    test('los usuarios de ejemplo migran a un hash de la contraseña de demostración', async () => {
+        await api.ensureCredentials();
+        const { credentials } = userStorage.getUserByEmail(EMAIL);
+
+        assert.ok(credentials.hash);
+        assert.notEqual(credentials.hash, DEMO_CREDENTIALS.password);
+        assert.equal(await Password.verify(DEMO_CREDENTIALS.password, credentials), true);
+    });
+
+    test('con la contraseña correcta abre la sesión sin exponer la credencial', async () => {
+        const response = await login(EMAIL, DEMO_CREDENTIALS.password);
+
+        assert.equal(response.data.user.email, EMAIL);
+        assert.ok(response.data.token);
+        assert.equal(response.data.user.credentials, undefined);
+    });
+
+    test('rechaza el email sin contraseña o con una contraseña incorrecta', async () => {
+        assert.equal((await rejection(login(EMAIL, ''))).status, 401);
+        assert.equal((await rejection(login(EMAIL, 'incorrecta'))).status, 401);
+    });
+
+    test('un email desconocido recibe el mismo error que una contraseña incorrecta', async () => {
+        const unknown = await rejection(login('nadie@demo.com', DEMO_CREDENTIALS.password));
+        const wrong = await rejection(login(EMAIL, 'incorrecta'));
+
+        assert.equal(unknown.status, wrong.status);
+        assert.equal(unknown.message, wrong.message);
+    });
+});
+
+describe('POST /api/auth/register', () => {
+    test('guarda solo el hash de la contraseña', async () => {
+        const password = 'Registro-Seguro-2024';
+        const response = await new HTTPClient().post('/api/auth/register', {
+            name: 'Lucía Pérez', email: 'lucia@demo.com', password
+        });
+
+        assert.equal(response.data.user.credentials, undefined);
+
+        const stored = userStorage.getUserByEmail('lucia@demo.com');
+        assert.equal(JSON.stringify(stored).includes(password), false);
+        assert.equal(await Password.verify(password, stored.credentials), true);
+    });
+});
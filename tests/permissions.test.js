@@ -0,0 +1,150 @@
+/**
+ * Matriz de permisos (RBAC) y reglas de jerarquía al editar usuarios
+ */
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, storedUser, rejection } from './helpers.js';
+import { PERMISSIONS, USER_ROLES } from '../js/utils/constants.js';
+import { Permissions } from '../js/utils/permissions.js';
+import { api, HTTPClient } from '../js/utils/api.js';
+import { userStorage, sessionStorage } from '../js/utils/storage.js';
+
+// Usuarios de ejemplo: 1 y 5 administradores, 2 y 4 usuarios activos (4 pasa a moderador)
+const ADMIN = 1;
+const MODERATOR = 4;
+const USER = 2;
+
+describe('Permissions', () => {
+    test('solo el administrador puede cambiar roles y estados', () => {
+        assert.equal(Permissions.can(USER_ROLES.ADMIN, PERMISSIONS.USERS_MANAGE_ROLES), true);
+        [USER_ROLES.MODERATOR, USER_ROLES.USER, USER_ROLES.GUEST].forEach(role => {
+            assert.equal(Permissions.can(role, PERMISSIONS.USERS_MANAGE_ROLES), false, role);
+        });
+    });
+
+    test('el moderador edita usuarios pero no los crea, elimina ni suplanta', () => {
+        assert.equal(Permissions.can(USER_ROLES.MODERATOR, PERMISSIONS.USERS_UPDATE), true);
+        assert.equal(Permissions.can(USER_ROLES.MODERATOR, PERMISSIONS.USERS_CREATE), false);
+        assert.equal(Permissions.can(USER_ROLES.MODERATOR, PERMISSIONS.USERS_DELETE), false);
+        assert.equal(Permissions.can(USER_ROLES.MODERATOR, PERMISSIONS.USERS_IMPERSONATE), false);
+        assert.equal(Permissions.can('desconocido', PERMISSIONS.USERS_VIEW), false);
+    });
+
+    test('findRule aplica la regla del endpoint con parámetros y query string', () => {
+        assert.equal(Permissions.findRule('PATCH', '/api/users/7').permission, PERMISSIONS.USERS_UPDATE);
+        assert.equal(Permissions.findRule('GET', '/api/users?role=admin').permission, PERMISSIONS.USERS_VIEW);
+        assert.equal(Permissions.findRule('GET', '/api/no-existe'), null);
+    });
+
+    test('nadie edita a un usuario de rango superior', () => {
+        const moderator = { id: 10, role: USER_ROLES.MODERATOR };
+        assert.equal(Permissions.canEditUser(moderator, { id: 11, role: USER_ROLES.USER }), true);
+        assert.equal(Permissions.canEditUser(moderator, { id: 12, role: USER_ROLES.MODERATOR }), true);
+        assert.equal(Permissions.canEditUser(moderator, { id: 13, role: USER_ROLES.ADMIN }), false);
+        assert.equal(Permissions.canEditUser({ id: 14, role: USER_ROLES.USER }, { id: 15, role: USER_ROLES.GUEST }), false);
+    });
+
+    test('nadie cambia su propio rol o estado', () => {
+        const admin = { id: 10, role: USER_ROLES.ADMIN };
+        assert.equal(Permissions.canChangeAccess(admin, { id: 11, role: USER_ROLES.ADMIN }), true);
+        assert.equal(Permissions.canChangeAccess(admin, admin), false);
+        assert.equal(Permissions.canChangeAccess({ id: 12, role: USER_ROLES.MODERATOR }, { id: 13, role: USER_ROLES.USER }), false);
+    });
+});
+
+describe('PUT/PATCH /api/users/:id', () => {
+    before(() => {
+        userStorage.updateUser(MODERATOR, { role: USER_ROLES.MODERATOR });
+    });
+
+    test('el moderador no puede cambiar su propio rol', async () => {
+        await signInAs(MODERATOR);
+        const error = await rejection(new HTTPClient().patch(`/api/users/${MODERATOR}`, { role: USER_ROLES.ADMIN }));
+
+        assert.equal(error.status, 403);
+        assert.equal(error.data.reason, 'own_account');
+        assert.equal(storedUser(MODERATOR).role, USER_ROLES.MODERATOR);
+    });
+
+    test('el moderador no puede editar a un administrador', async () => {
+        await signInAs(MODERATOR);
+        const error = await rejection(new HTTPClient().patch(`/api/users/${ADMIN}`, { name: 'Otro Nombre' }));
+
+        assert.equal(error.status, 403);
+        assert.equal(error.data.reason, 'outranked');
+        assert.notEqual(storedUser(ADMIN).name, 'Otro Nombre');
+    });
+
+    test('el moderador necesita users:manage_roles para cambiar el estado de un usuario', async () => {
+        await signInAs(MODERATOR);
+        const error = await rejection(new HTTPClient().patch(`/api/users/${USER}`, { status: 'inactive' }));
+
+        assert.equal(error.status, 403);
+        assert.equal(error.data.permission, PERMISSIONS.USERS_MANAGE_ROLES);
+        assert.equal(storedUser(USER).status, 'active');
+    });
+
+    test('el moderador edita los datos de un usuario si reenvía el mismo rol y estado', async () => {
+        await signInAs(MODERATOR);
+        const response = await new HTTPClient().put(`/api/users/${USER}`, {
+            name: 'María Editada', role: USER_ROLES.USER, status: 'active'
+        });
+
+        assert.equal(response.data.user.name, 'María Editada');
+    });
+
+    test('un usuario sin users:update recibe 403', async () => {
+        await signInAs(USER);
+        const error = await rejection(new HTTPClient().patch(`/api/users/${MODERATOR}`, { name: 'Ana' }));
+
+        assert.equal(error.status, 403);
+    });
+
+    test('el administrador cambia el rol de otro usuario pero no el suyo', async () => {
+        await signInAs(ADMIN);
+        const client = new HTTPClient();
+
+        const response = await client.patch(`/api/users/${USER}`, { role: USER_ROLES.MODERATOR });
+        assert.equal(response.data.user.role, USER_ROLES.MODERATOR);
+
+        const error = await rejection(client.patch(`/api/users/${ADMIN}`, { role: USER_ROLES.USER }));
+        assert.equal(error.status, 403);
+        assert.equal(error.data.reason, 'own_account');
+        assert.equal(storedUser(ADMIN).role, USER_ROLES.ADMIN);
+    });
+});
+
+describe('POST /api/users/:id/unlock', () => {
+    test('el moderador desbloquea a un usuario pero no a un administrador', async () => {
+        await signInAs(MODERATOR);
+        const client = new HTTPClient();
+
+        const response = await client.post(`/api/users/${USER}/unlock`);
+        assert.equal(response.data.user.id, USER);
+
+        const error = await rejection(client.post(`/api/users/${ADMIN}/unlock`));
+        assert.equal(error.status, 403);
+        assert.equal(error.data.reason, 'outranked');
+    });
+});
+
+describe('Token de acceso', () => {
+    test('el header Authorization se lee sin distinguir mayúsculas', async () => {
+        await signInAs(ADMIN);
+        const response = await api.request('GET', '/api/users', null, {
+            headers: { authorization: `Bearer ${sessionStorage.getToken()}` }
+        });
+
+        assert.equal(response.success, true);
+    });
+
+    test('el token de un usuario eliminado deja de valer antes de expirar', async () => {
+        const user = await signInAs(5);
+        userStorage.deleteUser(user.id);
+
+        const error = await rejection(new HTTPClient().get('/api/users', { cache: false }));
+        assert.equal(error.status, 401);
+    });
+});
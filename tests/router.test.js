@@ -0,0 +1,98 @@
+/**
+ * Router del simulador: parámetros, prioridad de rutas, middleware y errores 404 / 405
+ */
+
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { rejection } from './helpers.js';
+import { DEV_CONFIG } from '../js/utils/constants.js';
+import { Router, parseEndpoint } from '../js/utils/router.js';
+import { api } from '../js/utils/api.js';
+
+function usersRouter() {
+    return new Router()
+        .get('/api/users/:id', ctx => ({ route: 'user', id: ctx.params.id }))
+        .post('/api/users/bulk', () => ({ route: 'bulk' }))
+        .post('/api/users/:id/unlock', ctx => ({ route: 'unlock', id: ctx.params.id }));
+}
+
+describe('parseEndpoint', () => {
+    test('separa la ruta de la query string', () => {
+        assert.deepEqual(parseEndpoint('/api/audit/logins?type=LOGIN_FAILED&page=2'), {
+            path: '/api/audit/logins',
+            query: { type: 'LOGIN_FAILED', page: '2' }
+        });
+        assert.deepEqual(parseEndpoint('/api/users'), { path: '/api/users', query: {} });
+    });
+});
+
+describe('Router', () => {
+    test('extrae y decodifica los parámetros', async () => {
+        assert.deepEqual(await usersRouter().handle({ method: 'GET', endpoint: '/api/users/a%40b' }), {
+            route: 'user', id: 'a@b'
+        });
+    });
+
+    test('las rutas sin parámetros tienen prioridad', async () => {
+        const router = usersRouter().post('/api/users/:id', () => ({ route: 'param' }));
+
+        assert.deepEqual(await router.handle({ method: 'POST', endpoint: '/api/users/bulk' }), { route: 'bulk' });
+    });
+
+    test('los middleware corren en orden antes del handler', async () => {
+        const order = [];
+        const router = usersRouter()
+            .use(async (ctx, next) => {
+                order.push('primero');
+                return next();
+            })
+            .use(async (ctx, next) => {
+                order.push(`segundo ${ctx.route.pattern}`);
+                return next();
+            });
+
+        await router.handle({ method: 'POST', endpoint: '/api/users/3/unlock' });
+        assert.deepEqual(order, ['primero', 'segundo /api/users/:id/unlock']);
+    });
+
+    test('responde 405 con los métodos permitidos y 404 si no hay ruta', async () => {
+        const router = usersRouter();
+
+        await assert.rejects(router.handle({ method: 'DELETE', endpoint: '/api/users/3' }),
+            error => error.status === 405 && error.data.allow.includes('GET'));
+        await assert.rejects(router.handle({ method: 'GET', endpoint: '/api/desconocido' }),
+            error => error.status === 404);
+    });
+});
+
+describe('Middleware de logging del simulador', () => {
+    const enableLogs = DEV_CONFIG.enableLogs;
+
+    afterEach(() => {
+        mock.restoreAll();
+        DEV_CONFIG.enableLogs = enableLogs;
+    });
+
+    test('registra método, ruta, código y duración, también de las peticiones rechazadas', async () => {
+        DEV_CONFIG.enableLogs = true;
+        const log = mock.method(console, 'log', () => {});
+
+        await rejection(api.request('GET', '/api/metrics/performance?desde=hoy', null, {
+            headers: { 'X-Correlation-ID': 'abc123' }
+        }));
+        await rejection(api.request('GET', '/api/desconocido'));
+
+        const lines = log.mock.calls.map(call => call.arguments[0]);
+        assert.match(lines[0], /abc123: GET \/api\/metrics\/performance 401 \(\d+ ms\)$/);
+        assert.match(lines[1], /GET \/api\/desconocido 404 \(\d+ ms\)$/);
+    });
+
+    test('no registra nada con los logs desactivados', async () => {
+        DEV_CONFIG.enableLogs = false;
+        const log = mock.method(console, 'log', () => {});
+
+        await rejection(api.request('GET', '/api/desconocido'));
+        assert.equal(log.mock.callCount(), 0);
+    });
+});
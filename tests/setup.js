@@ -0,0 +1,49 @@
+/**
+ * SETUP - StudyQuality System
+ * Globales del navegador que usan los módulos de js/utils, para ejecutarlos en Node.
+ * Se importa antes que cualquier módulo de la aplicación.
+ */
+
+const values = new Map();
+
+globalThis.localStorage = {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+    key: index => [...values.keys()][index] || null,
+    get length() {
+        return values.size;
+    },
+    clear: () => values.clear()
+};
+
+if (typeof navigator === 'undefined') {
+    globalThis.navigator = { userAgent: 'node', onLine: true };
+}
+
+const windowEvents = new EventTarget();
+globalThis.window = globalThis;
+globalThis.addEventListener = windowEvents.addEventListener.bind(windowEvents);
+globalThis.removeEventListener = windowEvents.removeEventListener.bind(windowEvents);
+globalThis.location = { search: '', href: 'http://localhost/', origin: 'http://localhost', hostname: 'localhost', pathname: '/' };
+
+const documentEvents = new EventTarget();
+globalThis.document = {
+    addEventListener: documentEvents.addEventListener.bind(documentEvents),
+    removeEventListener: documentEvents.removeEventListener.bind(documentEvents),
+    dispatchEvent: documentEvents.dispatchEvent.bind(documentEvents),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    readyState: 'complete',
+    visibilityState: 'visible'
+};
+
+// Sin BroadcastChannel la sincronización entre pestañas usa los eventos storage,
+// que no mantienen vivo el proceso de las pruebas
+delete globalThis.BroadcastChannel;
+
+// Los módulos registran en la consola cada petición y los errores esperados de las pruebas;
+// esa salida se mezclaría con los resultados que el proceso envía al ejecutor de node --test
+['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    console[method] = () => {};
+});
@@ -0,0 +1,127 @@
+/**
+ * Tokens de sesión firmados (HS256), su expiración y POST /api/auth/refresh
+ */
+
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, rejection } from './helpers.js';
+import { APP_CONFIG, USER_ROLES } from '../js/utils/constants.js';
+import { Token } from '../js/utils/security.js';
+import { api, HTTPClient } from '../js/utils/api.js';
+import { userStorage, sessionStorage } from '../js/utils/storage.js';
+
+const ADMIN = 1;
+const USER = 4;
+
+/**
+ * Reemplaza el payload de un token conservando su firma
+ */
+function withPayload(token, changes) {
+    const [header, payload, signature] = token.split('.');
+    const claims = { ...Token.decodeSegment(payload), ...changes };
+    return [header, Token.encodeSegment(claims), signature].join('.');
+}
+
+function requestWith(token) {
+    return api.request('GET', '/api/users', null, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+describe('Token', () => {
+    const secret = Token.generateSecret();
+    const now = () => Math.floor(Date.now() / 1000);
+
+    test('verify devuelve los claims de un token vigente', async () => {
+        const token = await Token.sign({ sub: 7, role: 'user', exp: now() + 60 }, secret);
+
+        assert.equal(token.split('.').length, 3);
+        assert.deepEqual(await Token.verify(token, secret), { sub: 7, role: 'user', exp: now() + 60 });
+    });
+
+    test('rechaza tokens alterados, de otro secreto o vencidos', async () => {
+        const token = await Token.sign({ sub: 7, role: 'user', exp: now() + 60 }, secret);
+
+        assert.equal(await Token.verify(withPayload(token, { role: 'admin' }), secret), null);
+        assert.equal(await Token.verify(token, Token.generateSecret()), null);
+        assert.equal(await Token.verify(await Token.sign({ sub: 7, exp: now() - 1 }, secret), secret), null);
+        assert.equal(await Token.verify(await Token.sign({ sub: 7 }, secret), secret), null);
+        assert.equal(await Token.verify('no-es-un-token', secret), null);
+    });
+
+    test('rechaza un header con otro algoritmo', async () => {
+        const token = await Token.sign({ sub: 7, exp: now() + 60 }, secret);
+        const [, payload, signature] = token.split('.');
+        const unsigned = [Token.encodeSegment({ alg: 'none', typ: 'JWT' }), payload, signature].join('.');
+
+        assert.equal(await Token.verify(unsigned, secret), null);
+    });
+});
+
+describe('Autenticación de peticiones', () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('HTTPClient adjunta el token de la sesión', async () => {
+        await signInAs(ADMIN);
+
+        const response = await new HTTPClient().get('/api/users', { cache: false });
+        assert.equal(response.success, true);
+    });
+
+    test('sin token o con un token alterado responde 401', async () => {
+        const { token } = await api.issueToken(userStorage.getUserById(USER), 'sesion-prueba');
+
+        assert.equal((await rejection(api.request('GET', '/api/users'))).status, 401);
+        assert.equal((await rejection(requestWith(withPayload(token, { role: USER_ROLES.ADMIN })))).status, 401);
+    });
+
+    test('un token vencido responde 401', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const { token } = await api.issueToken(userStorage.getUserById(ADMIN), 'sesion-prueba');
+
+        mock.timers.tick(APP_CONFIG.auth.tokenLifetime + 1000);
+        const error = await rejection(requestWith(token));
+
+        assert.equal(error.status, 401);
+        assert.equal(error.data.reason, 'invalid_token');
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        userStorage.updateUser(USER, { role: USER_ROLES.USER, status: 'active' });
+    });
+
+    test('emite un token nuevo de la misma sesión con una expiración posterior', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        await signInAs(USER);
+        const previous = Token.decode(sessionStorage.getToken());
+
+        mock.timers.tick(60000);
+        const { data } = await new HTTPClient().post('/api/auth/refresh');
+        const claims = Token.decode(data.token);
+
+        assert.equal(claims.sub, USER);
+        assert.equal(claims.sid, previous.sid);
+        assert.ok(claims.exp > previous.exp);
+        assert.equal(data.expiresIn, Math.floor(APP_CONFIG.auth.tokenLifetime / 1000));
+    });
+
+    test('el token renovado lleva el rol vigente del usuario', async () => {
+        await signInAs(USER);
+        userStorage.updateUser(USER, { role: USER_ROLES.MODERATOR });
+
+        const { data } = await new HTTPClient().post('/api/auth/refresh');
+        assert.equal(Token.decode(data.token).role, USER_ROLES.MODERATOR);
+    });
+
+    test('no renueva el token de un usuario desactivado', async () => {
+        await signInAs(USER);
+        userStorage.updateUser(USER, { status: 'inactive' });
+
+        const error = await rejection(new HTTPClient().post('/api/auth/refresh'));
+        assert.equal(error.status, 401);
+    });
+});
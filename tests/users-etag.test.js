@@ -0,0 +1,92 @@
+/**
+ * Escrituras condicionales de usuarios: ETag, If-Match (412) y versión en el cuerpo (409)
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signInAs, storedUser, rejection } from './helpers.js';
+import { DEMO_CREDENTIALS } from '../js/utils/constants.js';
+import { HTTPClient } from '../js/utils/api.js';
+import { userStorage } from '../js/utils/storage.js';
+
+const ADMIN = 1;
+const TARGET = 2;
+
+const etagOf = id => `"${storedUser(id).version}"`;
+
+describe('ETag de /api/users/:id', () => {
+    beforeEach(async () => {
+        await signInAs(ADMIN);
+    });
+
+    test('If-Match vigente aplica el cambio y devuelve el ETag nuevo', async () => {
+        const before = storedUser(TARGET).version;
+        const response = await new HTTPClient().patch(`/api/users/${TARGET}`, { notes: 'primera edición' }, {
+            headers: { 'If-Match': etagOf(TARGET) }
+        });
+
+        assert.equal(response.data.user.version, before + 1);
+        assert.equal(response.data.etag, `"${before + 1}"`);
+        assert.equal(storedUser(TARGET).notes, 'primera edición');
+    });
+
+    test('If-Match viejo responde 412 con el registro actual y no escribe', async () => {
+        const stale = etagOf(TARGET);
+        userStorage.updateUser(TARGET, { notes: 'cambio de otra persona' });
+
+        const error = await rejection(new HTTPClient().patch(`/api/users/${TARGET}`, { notes: 'pisaría el cambio' }, {
+            headers: { 'If-Match': stale }
+        }));
+
+        assert.equal(error.status, 412);
+        assert.equal(error.data.reason, 'precondition_failed');
+        assert.equal(error.data.etag, etagOf(TARGET));
+        assert.equal(error.data.current.notes, 'cambio de otra persona');
+        assert.equal(storedUser(TARGET).notes, 'cambio de otra persona');
+    });
+
+    test('If-Match acepta * y listas de ETags, también débiles', async () => {
+        const client = new HTTPClient();
+        await client.patch(`/api/users/${TARGET}`, { notes: 'con asterisco' }, { headers: { 'If-Match': '*' } });
+        await client.patch(`/api/users/${TARGET}`, { notes: 'con lista' }, {
+            headers: { 'If-Match': `"0", W/${etagOf(TARGET)}` }
+        });
+
+        assert.equal(storedUser(TARGET).notes, 'con lista');
+    });
+
+    test('una versión vieja en el cuerpo responde 409', async () => {
+        const stale = storedUser(TARGET).version;
+        userStorage.updateUser(TARGET, { notes: 'otra edición' });
+
+        const error = await rejection(new HTTPClient().patch(`/api/users/${TARGET}`, { notes: 'vieja', version: stale }));
+
+        assert.equal(error.status, 409);
+        assert.equal(error.data.reason, 'version_conflict');
+    });
+
+    test('DELETE con If-Match viejo responde 412 y no elimina', async () => {
+        const stale = etagOf(TARGET);
+        userStorage.updateUser(TARGET, { notes: 'editado antes de eliminar' });
+
+        const error = await rejection(new HTTPClient().delete(`/api/users/${TARGET}`, { headers: { 'If-Match': stale } }));
+
+        assert.equal(error.status, 412);
+        assert.ok(userStorage.getUserById(TARGET));
+    });
+
+    test('iniciar sesión no cambia la versión del usuario', async () => {
+        const etag = etagOf(DEMO_CREDENTIALS.user.id);
+        await new HTTPClient().post('/api/auth/login', {
+            email: DEMO_CREDENTIALS.email, password: DEMO_CREDENTIALS.password
+        });
+
+        assert.equal(etagOf(DEMO_CREDENTIALS.user.id), etag);
+        await signInAs(ADMIN);
+        const response = await new HTTPClient().patch(`/api/users/${DEMO_CREDENTIALS.user.id}`, { notes: 'sin 412' }, {
+            headers: { 'If-Match': etag }
+        });
+        assert.equal(response.data.user.notes, 'sin 412');
+    });
+});